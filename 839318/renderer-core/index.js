@@ -7,6 +7,7 @@
 // Preprocess
 import { preprocessImage, loadImageToMat, grayscale, removeShadows, adaptiveThreshold, deskewUsingHough, matToImageData } from './src/preprocess/opencv-clean.js';
 import { combinedThreshold } from './src/preprocess/threshold.js';
+import { detectGrid, removeGridLines, calibrateFromGrid } from './src/preprocess/vector-guide-detect.js';
 
 // Vectorize
 import { vectorize as potraceVectorize, loadPotrace } from './src/vectorize/potrace.js';
@@ -18,12 +19,14 @@ import { aiClean } from './src/topology/ai-clean.js';
 import { snapToOrthogonal, snapLinesToOrthogonal, getDominantOrthogonalDirection } from './src/topology/snap-orthogonal.js';
 import { mergeParallel } from './src/topology/merge-parallel.js';
 import { detectWalls, extractWallGeometry, classifyWalls } from './src/topology/wall-detection.js';
+import { detectOpenings } from './src/topology/opening-detection.js';
 import { normalizeTopology } from './src/topology/normalizeTopology.js';
+import { getLevel } from './src/topology/building-model.js';
 
 // Render
 import { renderPlan, drawWalls, drawAnnotations } from './src/render/plan.js';
-import { renderSection, drawCutWalls } from './src/render/section.js';
-import { renderAxon, createAxonometricMatrix, generateAxonView } from './src/render/axon.js';
+import { renderSection, drawCutWalls, renderBuildingSection } from './src/render/section.js';
+import { renderAxon, createAxonometricMatrix, generateAxonView, renderBuildingAxon } from './src/render/axon.js';
 import { exportAllViews, exportPNG, canvasToPNG, renderAllViews as exportRenderAllViews } from './src/render/export.js';
 import { neaveBrownStyle, defaultStyle, getStylePreset, getRoughOptions, getPaperStyle } from './src/render/style.js';
 import { renderDebugLayers, renderDebugPolylines, renderDebugWalls } from './src/render/debug-layers.js';
@@ -48,6 +51,9 @@ export * from './src/topology/ai-clean.js';
 export * from './src/topology/snap-orthogonal.js';
 export * from './src/topology/merge-parallel.js';
 export * from './src/topology/wall-detection.js';
+export * from './src/topology/opening-detection.js';
+export * from './src/topology/planar-graph.js';
+export * from './src/topology/building-model.js';
 export * from './src/topology/validate-ai-input.js';
 export { normalizeTopology } from './src/topology/normalizeTopology.js';
 export * from './src/render/plan.js';
@@ -55,8 +61,11 @@ export * from './src/render/section.js';
 export * from './src/render/axon.js';
 export * from './src/render/style.js';
 export * from './src/render/export.js';
+export * from './src/render/dxf.js';
+export * from './src/render/pdf.js';
 export * from './src/render/debug-layers.js';
 export * from './src/render/wall-extrusion.js';
+export * from './src/render/roof.js';
 export * from './src/test/mock-topology.js';
 
 // Explicitly export style presets for convenience
@@ -102,7 +111,8 @@ export class Renderer {
       preprocessed: null,
       vectorized: null,
       topology: null,
-      walls: null
+      walls: null,
+      grid: null
     };
   }
   
@@ -127,6 +137,7 @@ export class Renderer {
       // Preprocess with OpenCV
       const processed = preprocessImage(imageSource, {
         removeShadows: options.removeShadows || false,
+        correctPerspective: options.correctPerspective || false,
         adaptiveThreshold: true,
         deskew: options.deskew || false,
         ...options
@@ -157,6 +168,20 @@ export class Renderer {
         this.state.preprocessed = imageData;
       }
       
+      // Opt-in (detectGrid: true) squared/graph paper grid: calibrate scale, then strip grid lines so they don't become walls
+      this.state.grid = null;
+      if (options.detectGrid === true) {
+        const grid = detectGrid(this.state.preprocessed, options.gridOptions);
+        if (grid) {
+          this.state.grid = {
+            ...grid,
+            calibration: calibrateFromGrid(grid, options.gridCalibration)
+          };
+          this.state.preprocessed = removeGridLines(this.state.preprocessed, grid, options.gridOptions);
+          debug('Grid detected and removed', { pitch: grid.pitch, angle: grid.angle, confidence: grid.confidence });
+        }
+      }
+      
       timer.end();
       return this.state.preprocessed;
       
@@ -372,7 +397,7 @@ export class Renderer {
           // Prepare metadata
           const metadata = {
             imageSize: options.imageSize || [1920, 1080],
-            pxToMeters: options.pxToMeters || 0.01
+            pxToMeters: options.pxToMeters || this.state.grid?.calibration?.pxToMeters || 0.01
           };
           
           // Call AI backend with timeout protection
@@ -472,10 +497,18 @@ export class Renderer {
         this.state.walls = walls;
       }
       
+      // 7. Detect openings (gaps, door swings, window marks) when AI did not supply them
+      let openings = aiResult ? aiResult.openings : [];
+      if (!aiResult && options.detectOpenings !== false) {
+        const detected = detectOpenings(this.state.walls, inputPaths, options.openingOptions || {});
+        this.state.walls = detected.walls;
+        openings = detected.openings;
+      }
+      
       this.state.topology = {
         geometry: geometry,
         walls: this.state.walls,
-        openings: aiResult ? aiResult.openings : [],
+        openings: openings,
         rooms: aiResult ? aiResult.rooms : []
       };
       
@@ -492,8 +525,10 @@ export class Renderer {
   
   /**
    * Render plan view
-   * @param {Object} topology - Optional: topology object (uses state.topology if not provided)
+   * For a multi-level building (see createBuilding) the plan shows one level
+   * @param {Object} topology - Optional: topology object or building (uses state.topology if not provided)
    * @param {Object} options - Rendering options
+   * @param {number|string} options.level - Level index, id or name for buildings (default: 0)
    * @returns {Object} Rendered plan view { svg, bounds, project }
    */
   renderPlan(topology = null, options = {}) {
@@ -503,7 +538,8 @@ export class Renderer {
       throw new Error('Rough.js instance and Paper.js (global) are required for rendering');
     }
     
-    const topo = topology || this.state.topology;
+    const source = topology || this.state.topology;
+    const topo = source && Array.isArray(source.levels) ? getLevel(source, options.level ?? 0) : source;
     if (!topo || !topo.walls) {
       throw new Error('No topology available. Run topology() first or provide topology parameter.');
     }
@@ -512,7 +548,8 @@ export class Renderer {
       topo.walls,
       {
         openings: topo.openings || [],
-        labels: topo.labels || []
+        labels: topo.labels || [],
+        rooms: topo.rooms || []
       },
       {
         width: options.width || 800,
@@ -525,7 +562,8 @@ export class Renderer {
   
   /**
    * Render section view
-   * @param {Object} topology - Optional: topology object
+   * For a multi-level building (see createBuilding) the section cuts through every level
+   * @param {Object} topology - Optional: topology object or building
    * @param {{start: [number, number], end: [number, number]}} cutPlane - Cut plane
    * @param {Object} options - Rendering options
    * @returns {Object} Rendered section view { svg, bounds, project }
@@ -538,7 +576,7 @@ export class Renderer {
     }
     
     const topo = topology || this.state.topology;
-    if (!topo || !topo.walls) {
+    if (!topo || (!topo.walls && !Array.isArray(topo.levels))) {
       throw new Error('No topology available. Run topology() first or provide topology parameter.');
     }
     
@@ -546,6 +584,19 @@ export class Renderer {
       throw new Error('Cut plane is required for section view');
     }
     
+    if (Array.isArray(topo.levels)) {
+      return renderBuildingSection(
+        topo,
+        cutPlane,
+        {
+          width: options.width || 800,
+          height: options.height || 600,
+          ...options
+        },
+        this.options.rough
+      );
+    }
+    
     return renderSection(
       topo.walls,
       cutPlane,
@@ -560,12 +611,54 @@ export class Renderer {
   
   /**
    * Render axonometric view
-   * @param {Object} topology - Optional: topology object
+   * A multi-level building (see createBuilding) is drawn with its levels and slabs stacked
+   * @param {Object} topology - Optional: topology object or building
    * @param {Object} options - Rendering options
+   * @param {number} options.explode - Extra vertical gap between building levels (default: 0)
    * @returns {Object} Rendered axon view { svg, bounds, project, matrix }
    */
   renderAxon(topology = null, options = {}) {
-    // HARD DEBUG MODE: Use hardcoded 3D box vertices directly
+    if (topology && Array.isArray(topology.levels)) {
+      debug('Rendering building axonometric view', { levels: topology.levels.length, options });
+      
+      if (!this.options.rough || typeof paper === 'undefined') {
+        throw new Error('Rough.js instance and Paper.js (global) are required for rendering');
+      }
+      
+      return renderBuildingAxon(
+        topology,
+        {
+          width: options.width || 800,
+          height: options.height || 600,
+          ...options
+        },
+        this.options.rough
+      );
+    }
+    
+    // Single-level topology: extrude its walls and cut its openings (as the headless renderer does)
+    const topo = topology || this.state.topology;
+    if (topo && Array.isArray(topo.walls) && topo.walls.length > 0) {
+      debug('Rendering axonometric view', { walls: topo.walls.length, options });
+      
+      if (!this.options.rough || typeof paper === 'undefined') {
+        throw new Error('Rough.js instance and Paper.js (global) are required for rendering');
+      }
+      
+      return renderAxon(
+        topo.walls,
+        {
+          width: options.width || 800,
+          height: options.height || 600,
+          useExtrusion: true,
+          openings: topo.openings || [],
+          ...options
+        },
+        this.options.rough
+      );
+    }
+
+    // HARD DEBUG MODE: No topology, use hardcoded 3D box vertices directly
     debug('Rendering axonometric view (HARD DEBUG MODE)', { options });
     
     if (!this.options.rough || typeof paper === 'undefined') {
@@ -1163,23 +1163,36 @@ export async function sandboxTopology(paths = null, options = {}) {
         return {
           walls: fallbackWalls,
           openings: [],
-          rooms: cleaned.rooms?.map(polygon => ({
-            boundary: polygon,
+          rooms: cleaned.rooms?.map(room => ({
+            id: room.id,
+            boundary: room.polygon,
+            area: room.area,
+            centroid: room.centroid,
+            adjacent: room.adjacent,
             type: 'room'
           })) || []
         };
       }
     }
     
-    // Convert rooms from polygon format to room format
-    const rooms = (cleaned.rooms || []).map(polygon => ({
-      boundary: polygon,
+    // Convert rooms from planar-graph faces to room format
+    const rooms = (cleaned.rooms || []).map(room => ({
+      id: room.id,
+      boundary: room.polygon,
+      area: room.area,
+      centroid: room.centroid,
+      adjacent: room.adjacent,
       type: 'room'
     }));
     
+    // Detect doors/windows from wall gaps, swing arcs and window marks
+    const { detectOpenings } = await import('./src/topology/opening-detection.js');
+    const detected = detectOpenings(walls, workingPaths);
+    console.log('🔍 Topology: Detected', detected.openings.length, 'openings');
+    
     return {
-      walls: walls,
-      openings: [], // Openings detection can be added later
+      walls: detected.walls,
+      openings: detected.openings,
       rooms: rooms  // Detected rooms from closed polygons
     };
   } catch (error) {
@@ -0,0 +1,378 @@
+/**
+ * Alert rules, sinks and cooldowns for scripts/check-alerts.js
+ *
+ * Rules look at the JSON aggregate from /metrics and return the alerts that fire:
+ * - success-rate: success rate below a threshold
+ * - p95-latency: p95 latency above a threshold
+ * - fallback-rate: share of requests answered by the deterministic fallback
+ * - token-spend: LLM tokens (in + out) spent in the window
+ * - error-spike: requests with an error outcome (invalid_input, invalid_output, error) per outcome
+ *
+ * Sinks deliver an alert somewhere: log (console), file, email, webhook, slack.
+ * Cooldowns keep the same alert from being sent on every cron run.
+ */
+
+import { appendFileSync, mkdirSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { execSync } from 'child_process';
+
+/**
+ * Supported sink names
+ */
+export const SINK_NAMES = ['log', 'file', 'email', 'webhook', 'slack'];
+
+/**
+ * Outcomes that count as errors for error-spike
+ */
+export const ERROR_OUTCOMES = ['invalid_input', 'invalid_output', 'error'];
+
+/**
+ * Default rule thresholds
+ */
+export const DEFAULT_RULES = {
+  minRequests: 10,
+  successRate: 0.90,
+  p95LatencyMs: 10000,
+  fallbackRate: 0.25,
+  tokenBudget: null,
+  errorSpikeCount: 10,
+  errorOutcomes: ERROR_OUTCOMES
+};
+
+/**
+ * Read alert rule thresholds from the environment
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} Rule config (see DEFAULT_RULES); a threshold of null disables its rule
+ */
+export function loadRuleConfig(env = process.env) {
+  const number = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (value === 'off') return null;
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    minRequests: number(env.ALERT_MIN_REQUESTS, DEFAULT_RULES.minRequests),
+    successRate: number(env.ALERT_SUCCESS_RATE_THRESHOLD, DEFAULT_RULES.successRate),
+    p95LatencyMs: number(env.ALERT_P95_LATENCY_MS ?? env.ALERT_LATENCY_THRESHOLD_MS, DEFAULT_RULES.p95LatencyMs),
+    fallbackRate: number(env.ALERT_FALLBACK_RATE_THRESHOLD, DEFAULT_RULES.fallbackRate),
+    tokenBudget: number(env.ALERT_TOKEN_BUDGET, DEFAULT_RULES.tokenBudget),
+    errorSpikeCount: number(env.ALERT_ERROR_SPIKE_COUNT, DEFAULT_RULES.errorSpikeCount),
+    errorOutcomes: env.ALERT_ERROR_OUTCOMES
+      ? env.ALERT_ERROR_OUTCOMES.split(',').map(outcome => outcome.trim()).filter(Boolean)
+      : DEFAULT_RULES.errorOutcomes
+  };
+}
+
+/**
+ * Evaluate the alert rules against aggregated metrics
+ * Rate and latency rules need at least minRequests requests in the window;
+ * token spend and error spikes are absolute and always checked.
+ * @param {Object} metrics - JSON aggregate from /metrics
+ * @param {Object} config - Rule config (see loadRuleConfig)
+ * @param {number} windowSeconds - Window the metrics cover
+ * @returns {Array<{key: string, rule: string, message: string, data: Object}>} Firing alerts
+ */
+export function evaluateRules(metrics, config = DEFAULT_RULES, windowSeconds = 300) {
+  const rules = { ...DEFAULT_RULES, ...config };
+  const alerts = [];
+  const totalRequests = metrics.totalRequests || 0;
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  if (totalRequests >= rules.minRequests) {
+    const successRate = metrics.successRate || 0;
+    if (rules.successRate !== null && successRate < rules.successRate) {
+      alerts.push({
+        key: 'success-rate',
+        rule: 'success-rate',
+        message: `Success rate ${percent(successRate)} is below threshold ${percent(rules.successRate)}`,
+        data: {
+          successRate,
+          threshold: rules.successRate,
+          totalRequests,
+          errors: metrics.errors || 0,
+          avgLatency: metrics.avgLatency || 0,
+          windowSeconds,
+          requestsByModel: metrics.requestsByModel || {}
+        }
+      });
+    }
+
+    const p95Latency = metrics.p95Latency || 0;
+    if (rules.p95LatencyMs !== null && p95Latency > rules.p95LatencyMs) {
+      alerts.push({
+        key: 'p95-latency',
+        rule: 'p95-latency',
+        message: `p95 latency ${p95Latency.toFixed(0)}ms exceeds threshold ${rules.p95LatencyMs}ms`,
+        data: { p95Latency, avgLatency: metrics.avgLatency || 0, threshold: rules.p95LatencyMs, totalRequests, windowSeconds }
+      });
+    }
+
+    const fallbackRate = metrics.fallbackRate || 0;
+    if (rules.fallbackRate !== null && fallbackRate > rules.fallbackRate) {
+      alerts.push({
+        key: 'fallback-rate',
+        rule: 'fallback-rate',
+        message: `Fallback rate ${percent(fallbackRate)} exceeds threshold ${percent(rules.fallbackRate)}`,
+        data: { fallbackRate, threshold: rules.fallbackRate, totalRequests, windowSeconds }
+      });
+    }
+  }
+
+  const tokens = (metrics.totalTokensIn || 0) + (metrics.totalTokensOut || 0);
+  if (rules.tokenBudget !== null && tokens > rules.tokenBudget) {
+    alerts.push({
+      key: 'token-spend',
+      rule: 'token-spend',
+      message: `LLM token spend ${tokens} in the last ${windowSeconds}s exceeds budget ${rules.tokenBudget}`,
+      data: {
+        tokens,
+        tokensIn: metrics.totalTokensIn || 0,
+        tokensOut: metrics.totalTokensOut || 0,
+        budget: rules.tokenBudget,
+        windowSeconds
+      }
+    });
+  }
+
+  if (rules.errorSpikeCount !== null) {
+    const byOutcome = metrics.requestsByOutcome || {};
+    rules.errorOutcomes.forEach(outcome => {
+      const count = byOutcome[outcome] || 0;
+      if (count >= rules.errorSpikeCount) {
+        alerts.push({
+          key: `error-spike:${outcome}`,
+          rule: 'error-spike',
+          message: `${count} ${outcome} responses in the last ${windowSeconds}s (threshold ${rules.errorSpikeCount})`,
+          data: { outcome, count, threshold: rules.errorSpikeCount, totalRequests, windowSeconds }
+        });
+      }
+    });
+  }
+
+  return alerts;
+}
+
+/**
+ * Human-readable alert text shared by the email and Slack sinks
+ * @param {Object} alert - Alert
+ * @returns {string} Text
+ */
+function formatAlertText(alert) {
+  return `Server-AI Alert\n\nTime: ${alert.timestamp}\nRule: ${alert.rule}\nMessage: ${alert.message}\n\nDetails:\n${JSON.stringify(alert.data, null, 2)}`;
+}
+
+/**
+ * POST a JSON body with a timeout
+ * @param {string} url - URL
+ * @param {Object} body - JSON body
+ * @param {number} timeoutMs - Timeout
+ */
+async function postJSON(url, body, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'server-ai-alert-checker/1.0'
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook returned status ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Create an alert sink
+ * A sink is {name, send(alert)}; send may be async and throws on delivery failure.
+ * @param {string} name - Sink name (see SINK_NAMES)
+ * @param {Object} options - Sink options
+ * @param {string} options.filePath - file: JSON-lines file (default: ALERT_LOG_FILE or /tmp/server-ai-alerts.log)
+ * @param {string} options.emailTo - email: recipient (default: ALERT_EMAIL_TO)
+ * @param {string} options.emailFrom - email: sender (default: ALERT_EMAIL_FROM)
+ * @param {string} options.webhookUrl - webhook: URL (default: ALERT_WEBHOOK_URL)
+ * @param {string} options.slackWebhookUrl - slack: incoming webhook URL (default: ALERT_SLACK_WEBHOOK_URL)
+ * @param {number} options.timeoutMs - webhook/slack request timeout (default: 5000)
+ * @returns {{name: string, send: Function}} Sink
+ */
+export function createSink(name, options = {}) {
+  const {
+    filePath = process.env.ALERT_LOG_FILE || '/tmp/server-ai-alerts.log',
+    emailTo = process.env.ALERT_EMAIL_TO || 'admin@example.com',
+    emailFrom = process.env.ALERT_EMAIL_FROM || 'server-ai@localhost',
+    webhookUrl = process.env.ALERT_WEBHOOK_URL,
+    slackWebhookUrl = process.env.ALERT_SLACK_WEBHOOK_URL,
+    timeoutMs = 5000
+  } = options;
+
+  switch (name) {
+    case 'log':
+      return {
+        name,
+        send(alert) {
+          console.error(`[ALERT] ${alert.timestamp}: ${alert.message}`, alert.data);
+        }
+      };
+
+    case 'file':
+      return {
+        name,
+        send(alert) {
+          const logDir = dirname(filePath);
+          if (!existsSync(logDir)) {
+            mkdirSync(logDir, { recursive: true });
+          }
+          appendFileSync(filePath, JSON.stringify({
+            timestamp: alert.timestamp,
+            level: 'ALERT',
+            rule: alert.rule,
+            message: alert.message,
+            data: alert.data
+          }) + '\n');
+        }
+      };
+
+    case 'email':
+      // Uses the system mail command (mailutils or similar must be installed)
+      return {
+        name,
+        send(alert) {
+          const subject = `[ALERT] Server-AI: ${alert.message}`.replace(/"/g, "'");
+          execSync(`mail -s "${subject}" -r "${emailFrom}" "${emailTo}"`, {
+            input: `${formatAlertText(alert)}\n\n---\nThis is an automated alert from server-ai monitoring.`,
+            stdio: ['pipe', 'ignore', 'ignore']
+          });
+        }
+      };
+
+    case 'webhook':
+      if (!webhookUrl) {
+        throw new Error('webhook sink requires ALERT_WEBHOOK_URL');
+      }
+      return {
+        name,
+        send: alert => postJSON(webhookUrl, {
+          source: 'server-ai',
+          key: alert.key,
+          rule: alert.rule,
+          message: alert.message,
+          data: alert.data,
+          timestamp: alert.timestamp
+        }, timeoutMs)
+      };
+
+    case 'slack':
+      if (!slackWebhookUrl) {
+        throw new Error('slack sink requires ALERT_SLACK_WEBHOOK_URL');
+      }
+      return {
+        name,
+        send: alert => postJSON(slackWebhookUrl, {
+          text: `:rotating_light: *Server-AI alert* (${alert.rule}): ${alert.message}`,
+          blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `:rotating_light: *Server-AI alert* (${alert.rule})\n${alert.message}` } },
+            { type: 'section', text: { type: 'mrkdwn', text: '```' + JSON.stringify(alert.data, null, 2) + '```' } }
+          ]
+        }, timeoutMs)
+      };
+
+    default:
+      throw new Error(`Unknown alert sink: ${name} (supported: ${SINK_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Parse a comma-separated sink list
+ * @param {string} value - e.g. 'log,file,slack'
+ * @returns {Array<string>} Sink names
+ */
+export function parseSinkList(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load cooldown state ({[alertKey]: {firstSeenAt, lastSentAt, suppressed}})
+ * @param {string} statePath - State file
+ * @returns {Object} State (empty if missing or unreadable)
+ */
+export function loadAlertState(statePath) {
+  try {
+    return JSON.parse(readFileSync(statePath, 'utf-8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save cooldown state
+ * @param {string} statePath - State file
+ * @param {Object} state - State
+ */
+export function saveAlertState(statePath, state) {
+  mkdirSync(dirname(statePath), { recursive: true });
+  writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Decide which firing alerts to send
+ * An alert is sent when it starts firing and again once per cooldown while it keeps
+ * firing; alerts that stopped firing are dropped from the state so they send at once
+ * if they come back.
+ * @param {Array<Object>} alerts - Firing alerts (from evaluateRules)
+ * @param {Object} state - Cooldown state (see loadAlertState)
+ * @param {Object} options - Options
+ * @param {number} options.cooldownMs - Minimum time between sends of the same alert
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {{send: Array<Object>, suppressed: Array<Object>, state: Object}} Alerts to send and to hold back, and the next state
+ */
+export function applyCooldown(alerts, state, options = {}) {
+  const { cooldownMs, now = Date.now() } = options;
+  const nextState = {};
+  const send = [];
+  const suppressed = [];
+
+  alerts.forEach(alert => {
+    const previous = state[alert.key];
+    if (previous && now - previous.lastSentAt < cooldownMs) {
+      suppressed.push(alert);
+      nextState[alert.key] = { ...previous, suppressed: (previous.suppressed || 0) + 1 };
+    } else {
+      // Report how many runs were held back since the last send
+      send.push(previous?.suppressed ? { ...alert, data: { ...alert.data, suppressedSinceLastSend: previous.suppressed } } : alert);
+      nextState[alert.key] = { firstSeenAt: previous?.firstSeenAt ?? now, lastSentAt: now, suppressed: 0 };
+    }
+  });
+
+  return { send, suppressed, state: nextState };
+}
+
+/**
+ * Send an alert to every sink
+ * A failing sink does not stop the others.
+ * @param {Object} alert - Alert
+ * @param {Array<Object>} sinks - Sinks (see createSink)
+ * @returns {Promise<Array<{sink: string, ok: boolean, error?: string}>>} Delivery result per sink
+ */
+export async function dispatchAlert(alert, sinks) {
+  const results = [];
+  for (const sink of sinks) {
+    try {
+      await sink.send(alert);
+      results.push({ sink: sink.name, ok: true });
+    } catch (error) {
+      results.push({ sink: sink.name, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
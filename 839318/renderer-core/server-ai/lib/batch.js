@@ -0,0 +1,324 @@
+/**
+ * Batch processing for multi-sheet topology cleaning
+ * Bounded-concurrency mapping plus job stores for polled batches: in-memory (per instance)
+ * or Redis (shared, so any instance can answer a poll)
+ */
+
+import { randomUUID } from 'crypto';
+import { createRedisClient } from './redis-client.js';
+
+/**
+ * Map items with at most `limit` calls in flight; results keep the input order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Create an in-memory store for batch jobs
+ * Finished jobs are kept for `ttlMs` so clients can poll for the results
+ * @param {Object} options - Options
+ * @param {number} options.ttlMs - Keep finished jobs this long in milliseconds (default: 1 hour)
+ * @param {number} options.maxJobs - Maximum stored jobs; the oldest finished jobs are dropped first (default: 1000)
+ * @returns {{create: Function, get: Function, recordSheet: Function, start: Function, finish: Function, size: Function, close: Function}} Job store
+ */
+export function createJobStore(options = {}) {
+  const {
+    ttlMs = 60 * 60 * 1000,
+    maxJobs = 1000
+  } = options;
+
+  const jobs = new Map();
+
+  const isExpired = (job, now) => job.finishedAt && now - new Date(job.finishedAt).getTime() > ttlMs;
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs.entries()) {
+      if (isExpired(job, now)) {
+        jobs.delete(id);
+      }
+    }
+    // Map iteration is insertion order, so this drops the oldest finished jobs
+    for (const [id, job] of jobs.entries()) {
+      if (jobs.size < maxJobs) break;
+      if (job.finishedAt) jobs.delete(id);
+    }
+  };
+
+  const timer = setInterval(prune, Math.min(ttlMs, 5 * 60 * 1000));
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+
+  return {
+    /**
+     * Create a queued job
+     * @param {Array<string>} sheetNames - Sheet names in submission order
+     * @param {Object} meta - Extra fields kept off the public view (e.g. {owner})
+     * @returns {Object} Job
+     */
+    create(sheetNames, meta = {}) {
+      prune();
+      const now = new Date().toISOString();
+      const job = {
+        jobId: randomUUID(),
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        total: sheetNames.length,
+        completed: 0,
+        failed: 0,
+        sheets: sheetNames.map(name => ({ name, status: 'pending' })),
+        meta
+      };
+      jobs.set(job.jobId, job);
+      return job;
+    },
+
+    /**
+     * Get a job by id
+     * @param {string} jobId - Job id
+     * @returns {Object|null} Job or null if unknown or expired
+     */
+    get(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || isExpired(job, Date.now())) {
+        return null;
+      }
+      return job;
+    },
+
+    /**
+     * Mark a job as running
+     * @param {string} jobId - Job id
+     */
+    start(jobId) {
+      const job = jobs.get(jobId);
+      if (job) {
+        job.status = 'running';
+        job.updatedAt = new Date().toISOString();
+      }
+    },
+
+    /**
+     * Store the result of one sheet
+     * @param {string} jobId - Job id
+     * @param {number} index - Sheet index
+     * @param {Object} sheet - Sheet result ({name, status: 'ok'|'error', ...})
+     */
+    recordSheet(jobId, index, sheet) {
+      const job = jobs.get(jobId);
+      if (!job) return;
+      job.sheets[index] = sheet;
+      job.completed++;
+      if (sheet.status === 'error') job.failed++;
+      job.updatedAt = new Date().toISOString();
+    },
+
+    /**
+     * Mark a job as finished
+     * @param {string} jobId - Job id
+     * @param {string} status - 'completed' | 'failed'
+     * @param {string} error - Error message for failed jobs (optional)
+     */
+    finish(jobId, status = 'completed', error = null) {
+      const job = jobs.get(jobId);
+      if (!job) return;
+      job.status = status;
+      if (error) job.error = error;
+      job.finishedAt = job.updatedAt = new Date().toISOString();
+    },
+
+    size() {
+      return jobs.size;
+    },
+
+    close() {
+      clearInterval(timer);
+      jobs.clear();
+    }
+  };
+}
+
+// Write job fields and refresh the expiry; updates to a job that has expired are dropped
+const UPDATE_JOB_SCRIPT = `
+if ARGV[2] == '0' and redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, 3))
+redis.call('PEXPIRE', KEYS[1], ARGV[1])
+return 1
+`;
+
+/**
+ * Create a Redis-backed store for batch jobs, shared by all server instances
+ * Same methods as createJobStore, returning promises. Each job is a hash with one field per
+ * recorded sheet, so sheets finishing concurrently never overwrite each other.
+ * @param {Object} options - Options
+ * @param {Object} options.client - Client with command(args) (default: createRedisClient({url}))
+ * @param {string} options.url - Redis URL (default: REDIS_URL)
+ * @param {string} options.prefix - Key prefix (default: 'server-ai:')
+ * @param {number} options.ttlMs - Keep finished jobs this long in milliseconds (default: 1 hour)
+ * @param {number} options.runningTtlMs - Drop unfinished jobs not updated for this long, e.g. after the
+ *   instance running them died (default: 24 hours)
+ * @returns {{create: Function, get: Function, recordSheet: Function, start: Function, finish: Function, close: Function}} Job store
+ */
+export function createRedisJobStore(options = {}) {
+  const {
+    url,
+    prefix = 'server-ai:',
+    ttlMs = 60 * 60 * 1000,
+    runningTtlMs = 24 * 60 * 60 * 1000
+  } = options;
+  const client = options.client || createRedisClient({ url });
+
+  const jobKey = jobId => `${prefix}batch-job:${jobId}`;
+
+  const update = async (jobId, fields, { create = false, expiresInMs = runningTtlMs } = {}) => {
+    const args = Object.entries(fields).flat().map(String);
+    await client.command(['EVAL', UPDATE_JOB_SCRIPT, 1, jobKey(jobId), expiresInMs, create ? 1 : 0, ...args]);
+  };
+
+  return {
+    name: 'redis',
+    client,
+
+    async create(sheetNames, meta = {}) {
+      const now = new Date().toISOString();
+      const jobId = randomUUID();
+      await update(jobId, {
+        job: JSON.stringify({ jobId, createdAt: now, sheetNames, meta }),
+        status: 'queued',
+        updatedAt: now
+      }, { create: true });
+      return {
+        jobId,
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        total: sheetNames.length,
+        completed: 0,
+        failed: 0,
+        sheets: sheetNames.map(name => ({ name, status: 'pending' })),
+        meta
+      };
+    },
+
+    async get(jobId) {
+      const reply = await client.command(['HGETALL', jobKey(jobId)]);
+      if (!Array.isArray(reply) || reply.length === 0) {
+        return null;
+      }
+      const fields = {};
+      for (let i = 0; i < reply.length; i += 2) {
+        fields[reply[i]] = reply[i + 1];
+      }
+      if (!fields.job) {
+        return null;
+      }
+
+      const { createdAt, sheetNames, meta } = JSON.parse(fields.job);
+      const sheets = sheetNames.map((name, index) => {
+        const sheet = fields[`sheet:${index}`];
+        return sheet ? JSON.parse(sheet) : { name, status: 'pending' };
+      });
+      const recorded = sheets.filter((sheet, index) => fields[`sheet:${index}`]);
+      const job = {
+        jobId,
+        status: fields.status,
+        createdAt,
+        updatedAt: fields.updatedAt,
+        finishedAt: fields.finishedAt || null,
+        total: sheetNames.length,
+        completed: recorded.length,
+        failed: recorded.filter(sheet => sheet.status === 'error').length,
+        sheets,
+        meta
+      };
+      if (fields.error) job.error = fields.error;
+      return job;
+    },
+
+    async start(jobId) {
+      await update(jobId, { status: 'running', updatedAt: new Date().toISOString() });
+    },
+
+    async recordSheet(jobId, index, sheet) {
+      await update(jobId, { [`sheet:${index}`]: JSON.stringify(sheet), updatedAt: new Date().toISOString() });
+    },
+
+    async finish(jobId, status = 'completed', error = null) {
+      const now = new Date().toISOString();
+      const fields = { status, updatedAt: now, finishedAt: now };
+      if (error) fields.error = error;
+      await update(jobId, fields, { expiresInMs: ttlMs });
+    },
+
+    async close() {
+      if (client.quit) {
+        await client.quit();
+      }
+    }
+  };
+}
+
+/**
+ * Create the batch job store selected by configuration
+ * @param {Object} options - Options
+ * @param {string} options.type - 'memory' | 'redis' (default: BATCH_JOB_STORE, else RATE_LIMIT_STORE, else 'memory')
+ * @returns {Object} Job store (createJobStore or createRedisJobStore)
+ * @throws {Error} If the store type is unknown
+ */
+export function createBatchJobStore(options = {}) {
+  const {
+    type = process.env.BATCH_JOB_STORE || process.env.RATE_LIMIT_STORE || 'memory',
+    ...storeOptions
+  } = options;
+
+  switch (type) {
+    case 'memory':
+      return createJobStore(storeOptions);
+    case 'redis':
+      return createRedisJobStore(storeOptions);
+    default:
+      throw new Error(`Unknown batch job store: ${type} (expected memory or redis)`);
+  }
+}
+
+/**
+ * Public view of a job (without internal meta)
+ * @param {Object} job - Job
+ * @returns {Object} Job fields safe to return to clients
+ */
+export function toJobView(job) {
+  const { meta, ...view } = job;
+  return view;
+}
+
+/**
+ * Summarize per-sheet results
+ * @param {Array<{status: string}>} sheets - Sheet results
+ * @returns {{total: number, succeeded: number, failed: number}} Summary
+ */
+export function summarizeSheets(sheets) {
+  const failed = sheets.filter(sheet => sheet.status === 'error').length;
+  return { total: sheets.length, succeeded: sheets.length - failed, failed };
+}
@@ -0,0 +1,195 @@
+/**
+ * Deterministic topology cleaner
+ * Geometric pipeline used when the LLM is off or fails. Built from renderer-core's
+ * topology modules: snap, merge parallel strokes, bridge gaps, extract walls,
+ * detect openings and rooms. Pure and offline: the same input always gives the same output
+ */
+
+import { snapOrthogonal } from '../../src/topology/snap-orthogonal.js';
+import { mergeParallel } from '../../src/topology/merge-parallel.js';
+import { bridgeGaps } from '../../src/topology/cleanup.js';
+import { extractWalls } from '../../src/topology/wall-detection.js';
+import { detectOpenings } from '../../src/topology/opening-detection.js';
+import { buildPlanarGraph, enumerateFaces, findRooms } from '../../src/topology/planar-graph.js';
+
+/**
+ * Default pixel-to-meter scale when metadata has no pxToMeters (1px = 0.01m)
+ */
+export const DEFAULT_SCALE = 0.01;
+
+/**
+ * Default pipeline options
+ * Distances are in drawing units (pixels) unless noted
+ */
+export const DEFAULT_CLEAN_OPTIONS = {
+  snapToleranceDeg: 5,    // Snap lines within this angle of horizontal/vertical
+  mergeDistance: 5,       // Merge parallel strokes closer than this (double-line walls)
+  maxGap: 5,              // Bridge collinear endpoints closer than this
+  minWallLength: 10,      // Drop shorter segments as noise
+  tolerance: 5,           // Junction snap distance for openings and rooms
+  minRoomArea: 100,       // Smallest room in drawing units²
+  wallThickness: 0.2      // Reported wall thickness in meters
+};
+
+/**
+ * Convert polylines ({points, closed}) to line segments
+ * @param {Array<{points: Array<[number, number]>, closed?: boolean}>} polylines - Input polylines
+ * @returns {Array<{start: [number, number], end: [number, number]}>} Non-degenerate segments
+ */
+function polylinesToLines(polylines) {
+  const lines = [];
+
+  (Array.isArray(polylines) ? polylines : []).forEach(polyline => {
+    const points = (polyline && Array.isArray(polyline.points) ? polyline.points : [])
+      .filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+    if (points.length < 2) return;
+
+    const ring = polyline.closed && points.length > 2 ? [...points, points[0]] : points;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[i + 1];
+      if (Math.hypot(x2 - x1, y2 - y1) > 1e-9) {
+        lines.push({ start: [x1, y1], end: [x2, y2] });
+      }
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Round a point to remove floating point noise left by snapping
+ * @param {[number, number]} point - Point
+ * @returns {[number, number]} Point rounded to 1e-6 drawing units
+ */
+function roundPoint(point) {
+  return point.map(v => Math.round(v * 1e6) / 1e6 + 0);
+}
+
+/**
+ * Bounding box of all input points
+ * @param {Array<{points: Array<[number, number]>}>} polylines - Input polylines
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Bounds (all 0 without points)
+ */
+function getBounds(polylines) {
+  const points = (Array.isArray(polylines) ? polylines : [])
+    .flatMap(polyline => (polyline && Array.isArray(polyline.points) ? polyline.points : []))
+    .filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+
+  if (points.length === 0) {
+    return { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+  }
+
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys)
+  };
+}
+
+/**
+ * Distance from a point to a segment
+ * @param {[number, number]} p - Point
+ * @param {[number, number]} a - Segment start
+ * @param {[number, number]} b - Segment end
+ * @returns {number} Distance
+ */
+function pointSegmentDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq))
+    : 0;
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+/**
+ * Classify walls as exterior (on the outer boundary of the wall graph) or interior
+ * @param {Array<{start: [number, number], end: [number, number]}>} walls - Wall centre lines
+ * @param {number} tolerance - Junction snap distance
+ * @returns {Array<'exterior'|'interior'>} Type per wall
+ */
+function classifyByBoundary(walls, tolerance) {
+  // Outer faces wind clockwise (negative area); there is one per connected wall group
+  const outerEdges = enumerateFaces(buildPlanarGraph(walls, { tolerance }))
+    .filter(face => face.signedArea < -1e-9)
+    .flatMap(face => face.polygon.map((p, i) => [p, face.polygon[(i + 1) % face.polygon.length]]));
+
+  return walls.map(wall => {
+    const mid = [(wall.start[0] + wall.end[0]) / 2, (wall.start[1] + wall.end[1]) / 2];
+    const onBoundary = outerEdges.some(([a, b]) => pointSegmentDistance(mid, a, b) <= tolerance);
+    return onBoundary ? 'exterior' : 'interior';
+  });
+}
+
+/**
+ * Clean sketch polylines into walls, rooms and openings without an LLM
+ * Output matches the outputSchema of schemas/topology.schema.json:
+ * coordinates stay in drawing units, thickness and room areas are in meters
+ * @param {Array<{points: Array<[number, number]>, closed?: boolean}>} polylines - Sketch polylines
+ * @param {Object} metadata - Request metadata ({imageSize, pxToMeters?})
+ * @param {Object} options - Pipeline options (see DEFAULT_CLEAN_OPTIONS)
+ * @returns {{walls: Array<Object>, rooms: Array<Object>, openings: Array<Object>, meta: {scale: number, bounds: Object}}} Topology
+ */
+export function deterministicClean(polylines, metadata = {}, options = {}) {
+  const opts = { ...DEFAULT_CLEAN_OPTIONS, ...options };
+  const scale = (metadata && metadata.pxToMeters) || DEFAULT_SCALE;
+  const meta = { scale, bounds: getBounds(polylines) };
+
+  // Step 1: Snap to orthogonal, merge double strokes, bridge small gaps
+  let lines = snapOrthogonal(polylinesToLines(polylines), opts.snapToleranceDeg);
+  if (lines.length > 1) {
+    lines = mergeParallel(lines, { distanceTolerance: opts.mergeDistance });
+  }
+  if (lines.length > 1) {
+    lines = bridgeGaps(lines, { maxGap: opts.maxGap });
+  }
+
+  // Step 2: Walls, drawn as thick as the reported thickness
+  const drawnThickness = opts.wallThickness / scale;
+  const extracted = extractWalls(lines.map(line => [line.start, line.end]), {
+    minWallLength: opts.minWallLength,
+    wallThickness: drawnThickness
+  });
+
+  if (extracted.length === 0) {
+    return { walls: [], rooms: [], openings: [], meta };
+  }
+
+  // Step 3: Openings; walls are merged across door/window gaps into host walls
+  const strokes = (Array.isArray(polylines) ? polylines : []).map(polyline => (polyline && polyline.points) || []);
+  const detected = detectOpenings(extracted, strokes, { tolerance: opts.tolerance });
+
+  // Renumber walls after merging so ids run wall-1..wall-n
+  const wallIds = new Map(detected.walls.map((wall, index) => [wall.id, `wall-${index + 1}`]));
+  const types = classifyByBoundary(detected.walls, opts.tolerance);
+  const walls = detected.walls.map((wall, index) => ({
+    id: wallIds.get(wall.id),
+    start: roundPoint(wall.start),
+    end: roundPoint(wall.end),
+    thickness: opts.wallThickness,
+    type: types[index]
+  }));
+
+  const openings = detected.openings.map(opening => ({
+    id: opening.id,
+    wallId: wallIds.get(opening.wallId),
+    type: opening.type,
+    position: Math.max(0, Math.min(1, opening.position)),
+    width: opening.width
+  }));
+
+  // Step 4: Rooms are the bounded faces of the host walls (closed across openings)
+  const rooms = findRooms(walls, { tolerance: opts.tolerance, minArea: opts.minRoomArea })
+    .map(room => ({
+      id: room.id,
+      polygon: room.polygon.map(roundPoint),
+      area_m2: Math.round(room.area * scale * scale * 100) / 100
+    }));
+
+  return { walls, rooms, openings, meta };
+}
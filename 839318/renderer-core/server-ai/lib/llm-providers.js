@@ -0,0 +1,344 @@
+import OpenAI from 'openai';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+
+/**
+ * LLM provider layer
+ *
+ * A provider runs one chat completion and returns {content, usage}:
+ *   provider.complete({messages, model?, responseSchema?, temperature?, maxTokens?})
+ *
+ * Adapters:
+ * - openai: OpenAI API (OPENAI_API_KEY)
+ * - openai-compatible: any OpenAI-compatible endpoint (LLM_BASE_URL, LLM_API_KEY)
+ * - fixture: replays recorded responses from disk, no network
+ *
+ * Any provider can be wrapped with createRecordingProvider() to save its
+ * responses as fixtures for offline development and regression tests.
+ */
+
+/**
+ * Supported provider names
+ */
+export const PROVIDER_NAMES = ['openai', 'openai-compatible', 'fixture'];
+
+/**
+ * Default model when neither options nor LLM_MODEL set one
+ */
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Default directory for recorded fixtures (relative to the working directory)
+ */
+export const DEFAULT_FIXTURE_DIR = 'fixtures/llm';
+
+/**
+ * Normalize OpenAI usage to {prompt_tokens, completion_tokens, total_tokens}
+ * @param {Object|null|undefined} usage - Usage from the API response
+ * @returns {Object|null} Normalized usage or null
+ */
+function normalizeUsage(usage) {
+  return usage ? {
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    total_tokens: usage.total_tokens
+  } : null;
+}
+
+/**
+ * Build the OpenAI response_format for a JSON schema response
+ * @param {Object|null} responseSchema - JSON schema the response must match
+ * @param {string} mode - 'json_schema' | 'json_object' | 'none'
+ * @returns {Object|undefined} response_format parameter
+ */
+function buildResponseFormat(responseSchema, mode) {
+  if (!responseSchema || mode === 'none') {
+    return undefined;
+  }
+
+  if (mode === 'json_object') {
+    return { type: 'json_object' };
+  }
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: (responseSchema.title || 'response').replace(/[^a-zA-Z0-9_-]/g, '_'),
+      schema: responseSchema,
+      strict: false
+    }
+  };
+}
+
+/**
+ * Create a provider for the OpenAI chat completions API (or a compatible endpoint)
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name reported in logs (default: 'openai')
+ * @param {string} options.apiKey - API key (default: OPENAI_API_KEY)
+ * @param {string} options.baseURL - API base URL (default: OpenAI)
+ * @param {string} options.model - Default model (default: LLM_MODEL or 'gpt-4o-mini')
+ * @param {string} options.responseFormat - 'json_schema' | 'json_object' | 'none' (default: LLM_RESPONSE_FORMAT or 'none';
+ *   json_schema needs a model with structured outputs)
+ * @param {number} options.timeout - SDK timeout in milliseconds (default: 30000)
+ * @param {Function} options.clientFactory - Creates the client ({apiKey, baseURL, timeout}) => client, for tests
+ * @returns {{name: string, model: string, isConfigured: Function, complete: Function}} Provider
+ */
+export function createOpenAIProvider(options = {}) {
+  const {
+    name = 'openai',
+    apiKey = process.env.OPENAI_API_KEY,
+    baseURL,
+    model = process.env.LLM_MODEL || DEFAULT_MODEL,
+    responseFormat = process.env.LLM_RESPONSE_FORMAT || 'none',
+    timeout = 30000,
+    clientFactory = clientOptions => new OpenAI({ ...clientOptions, maxRetries: 0 }) // We'll handle retries manually
+  } = options;
+
+  let client = null;
+
+  return {
+    name,
+    model,
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    async complete({ messages, model: requestModel, responseSchema = null, temperature = 0.7, maxTokens = 4000 }) {
+      if (!apiKey) {
+        throw new Error(name === 'openai'
+          ? 'OPENAI_API_KEY is not set in environment variables'
+          : `API key is not set for LLM provider '${name}' (LLM_API_KEY)`);
+      }
+
+      if (!client) {
+        client = clientFactory({ apiKey, baseURL, timeout });
+      }
+
+      const params = {
+        model: requestModel || model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      };
+      const format = buildResponseFormat(responseSchema, responseFormat);
+      if (format) {
+        params.response_format = format;
+      }
+
+      const response = await client.chat.completions.create(params);
+
+      // Extract text content from response
+      const content = response.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`No content in ${name} response`);
+      }
+
+      return { content, usage: normalizeUsage(response.usage) };
+    }
+  };
+}
+
+/**
+ * Create a provider for an OpenAI-compatible endpoint (vLLM, Ollama, Azure proxies, OpenRouter, ...)
+ * @param {Object} options - Provider options (see createOpenAIProvider)
+ * @param {string} options.baseURL - API base URL (default: LLM_BASE_URL, required)
+ * @param {string} options.apiKey - API key (default: LLM_API_KEY, or 'none' for keyless local servers)
+ * @param {string} options.responseFormat - Default: LLM_RESPONSE_FORMAT or 'json_object' (json_schema is not widely supported)
+ * @returns {{name: string, model: string, isConfigured: Function, complete: Function}} Provider
+ * @throws {Error} If no base URL is configured
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const baseURL = options.baseURL || process.env.LLM_BASE_URL;
+
+  if (!baseURL) {
+    throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+  }
+
+  return createOpenAIProvider({
+    name: 'openai-compatible',
+    apiKey: process.env.LLM_API_KEY || 'none',
+    responseFormat: process.env.LLM_RESPONSE_FORMAT || 'json_object',
+    ...options,
+    baseURL
+  });
+}
+
+/**
+ * Fixture key for a conversation: sha256 of the messages
+ * The model is not part of the key, so fixtures replay whichever model is configured
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string} Hex key (first 16 characters of the hash)
+ */
+export function fixtureKey(messages) {
+  const canonical = JSON.stringify(messages.map(({ role, content }) => ({ role, content })));
+  return createHash('sha256').update(canonical).digest('hex').substring(0, 16);
+}
+
+/**
+ * Create a provider that replays recorded responses from disk
+ *
+ * Each fixture is `<dir>/<fixtureKey(messages)>.json` containing {content, usage?}.
+ * With a fallback file, unmatched conversations get that response instead of an error,
+ * which makes the provider a simple stub for local development.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.dir - Fixture directory (default: LLM_FIXTURE_DIR or 'fixtures/llm')
+ * @param {string} options.fallback - Fixture file used when no recording matches (default: LLM_FIXTURE_FALLBACK)
+ * @param {string} options.model - Model reported for replayed responses (default: 'fixture')
+ * @returns {{name: string, model: string, isConfigured: Function, complete: Function}} Provider
+ */
+export function createFixtureProvider(options = {}) {
+  const {
+    dir = process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+    fallback = process.env.LLM_FIXTURE_FALLBACK || null,
+    model = 'fixture'
+  } = options;
+
+  const fixtureDir = resolve(dir);
+
+  const readFixture = file => {
+    const fixture = JSON.parse(readFileSync(file, 'utf-8'));
+    if (typeof fixture.content !== 'string') {
+      throw new Error(`Fixture ${file} has no string 'content'`);
+    }
+    return { content: fixture.content, usage: fixture.usage || null };
+  };
+
+  return {
+    name: 'fixture',
+    model,
+
+    isConfigured() {
+      return existsSync(fixtureDir);
+    },
+
+    async complete({ messages }) {
+      const key = fixtureKey(messages);
+      const file = join(fixtureDir, `${key}.json`);
+
+      if (existsSync(file)) {
+        return readFixture(file);
+      }
+
+      if (fallback) {
+        return readFixture(resolve(fixtureDir, fallback));
+      }
+
+      const error = new Error(`No LLM fixture for key ${key} in ${fixtureDir}`);
+      error.retryable = false;
+      throw error;
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every successful response is saved as a fixture
+ * @param {Object} provider - Provider to record
+ * @param {Object} options - Recording options
+ * @param {string} options.dir - Fixture directory (created if missing)
+ * @returns {Object} Provider with the same interface
+ */
+export function createRecordingProvider(provider, options = {}) {
+  const fixtureDir = resolve(options.dir || DEFAULT_FIXTURE_DIR);
+
+  return {
+    ...provider,
+
+    async complete(request) {
+      const response = await provider.complete(request);
+
+      mkdirSync(fixtureDir, { recursive: true });
+      const key = fixtureKey(request.messages);
+      writeFileSync(join(fixtureDir, `${key}.json`), JSON.stringify({
+        key,
+        provider: provider.name,
+        model: request.model || provider.model,
+        recordedAt: new Date().toISOString(),
+        messages: request.messages,
+        content: response.content,
+        usage: response.usage
+      }, null, 2));
+
+      return response;
+    }
+  };
+}
+
+/**
+ * Create the provider selected by configuration
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider name (default: LLM_PROVIDER or 'openai')
+ * @param {string} options.recordDir - Record responses to this directory (default: LLM_RECORD_DIR)
+ * @returns {Object} Provider
+ * @throws {Error} If the provider name is unknown
+ */
+export function createProvider(options = {}) {
+  const {
+    provider: name = process.env.LLM_PROVIDER || 'openai',
+    recordDir = process.env.LLM_RECORD_DIR,
+    ...providerOptions
+  } = options;
+
+  let provider;
+  switch (name) {
+    case 'openai':
+      provider = createOpenAIProvider(providerOptions);
+      break;
+    case 'openai-compatible':
+      provider = createOpenAICompatibleProvider(providerOptions);
+      break;
+    case 'fixture':
+      provider = createFixtureProvider(providerOptions);
+      break;
+    default:
+      throw new Error(`Unknown LLM provider: ${name} (expected ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  return recordDir && name !== 'fixture'
+    ? createRecordingProvider(provider, { dir: recordDir })
+    : provider;
+}
+
+/**
+ * Create the provider selected by configuration, without throwing on a configuration error
+ * An unknown provider name or a missing required setting is logged and gives a provider that reports
+ * itself as not configured, so the server starts and cleans topology deterministically.
+ * @param {Object} options - Options (see createProvider)
+ * @returns {Object} Provider; an unusable one also has `configError`
+ */
+export function createProviderOrFallback(options = {}) {
+  try {
+    return createProvider(options);
+  } catch (error) {
+    console.warn(`[LLM] Provider unavailable, using deterministic cleaning: ${error.message}`);
+    return {
+      name: options.provider || process.env.LLM_PROVIDER || 'openai',
+      model: options.model || process.env.LLM_MODEL || DEFAULT_MODEL,
+      configError: error.message,
+
+      isConfigured() {
+        return false;
+      },
+
+      async complete() {
+        throw error;
+      }
+    };
+  }
+}
+
+let defaultProvider = null;
+
+/**
+ * Get the process-wide provider configured from the environment
+ * Created on first use; a configuration error gives an unconfigured provider (see createProviderOrFallback)
+ * @returns {Object} Provider
+ */
+export function getDefaultProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProviderOrFallback();
+  }
+  return defaultProvider;
+}
@@ -1,27 +1,9 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { getDefaultProvider } from './llm-providers.js';
 
 // Load environment variables
 dotenv.config();
 
-/**
- * Create OpenAI client instance
- * @returns {OpenAI|null} OpenAI client or null if API key is missing
- */
-function createClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  
-  if (!apiKey) {
-    return null;
-  }
-  
-  return new OpenAI({
-    apiKey: apiKey,
-    timeout: 30000, // 30 seconds
-    maxRetries: 0 // We'll handle retries manually
-  });
-}
-
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -32,30 +14,35 @@ function sleep(ms) {
 }
 
 /**
- * Call OpenAI LLM with retries and error handling
+ * Call the configured LLM provider with retries and error handling
  * @param {string|Object} payload - The prompt string or messages array for chat completion
  * @param {Object} options - Options object
- * @param {string} options.model - Model to use (default: 'gpt-4o-mini')
+ * @param {Object} options.provider - LLM provider (default: from LLM_PROVIDER, see lib/llm-providers.js)
+ * @param {string} options.model - Model to use (default: the provider's model)
+ * @param {Object} options.responseSchema - JSON schema for the response, if the provider supports it
  * @param {number} options.maxRetries - Maximum number of retries (default: 2)
  * @param {number} options.timeout - Timeout in milliseconds (default: 30000)
  * @param {number} options.retryDelay - Delay between retries in milliseconds (default: 1000)
  * @returns {Promise<{content: string, usage: Object|null}>} Response with content and token usage
- * @throws {Error} If API key is missing or all retries fail
+ * @throws {Error} If the provider is not configured or all retries fail
  */
 export async function callLLM(payload, options = {}) {
   const {
-    model = 'gpt-4o-mini',
+    provider = getDefaultProvider(),
+    model = provider.model,
+    responseSchema = null,
     maxRetries = 2,
     timeout = 30000,
     retryDelay = 1000
   } = options;
 
-  const client = createClient();
-  
-  if (!client) {
-    const error = new Error('OPENAI_API_KEY is not set in environment variables');
+  if (!provider.isConfigured()) {
+    const error = new Error(provider.name === 'openai'
+      ? 'OPENAI_API_KEY is not set in environment variables'
+      : `LLM provider '${provider.name}' is not configured`);
     console.error('[LLM] Error:', {
       error: error.message,
+      provider: provider.name,
       timestamp: new Date().toISOString()
     });
     throw error;
@@ -74,41 +61,31 @@ export async function callLLM(payload, options = {}) {
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     try {
       // Create timeout promise
+      let timer;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
+        timer = setTimeout(() => {
           reject(new Error(`Request timeout after ${timeout}ms`));
         }, timeout);
       });
 
-      // Create API call promise
-      const apiCallPromise = client.chat.completions.create({
-        model: model,
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 4000
-      });
-
-      // Race between API call and timeout
-      const response = await Promise.race([apiCallPromise, timeoutPromise]);
-
-      // Extract text content from response
-      const content = response.choices[0]?.message?.content;
-      
-      if (!content) {
-        throw new Error('No content in OpenAI response');
+      // Race between provider call and timeout
+      let response;
+      try {
+        response = await Promise.race([
+          provider.complete({ messages, model, responseSchema }),
+          timeoutPromise
+        ]);
+      } finally {
+        clearTimeout(timer);
       }
 
-      // Extract usage information if available
-      const usage = response.usage ? {
-        prompt_tokens: response.usage.prompt_tokens,
-        completion_tokens: response.usage.completion_tokens,
-        total_tokens: response.usage.total_tokens
-      } : null;
+      const { content, usage } = response;
 
       // Log successful response
       if (attempt > 0) {
         console.log('[LLM] Success after retry', {
           attempt: attempt + 1,
+          provider: provider.name,
           model,
           timestamp: new Date().toISOString()
         });
@@ -123,6 +100,7 @@ export async function callLLM(payload, options = {}) {
       const errorInfo = {
         attempt: attempt + 1,
         maxAttempts,
+        provider: provider.name,
         model,
         error: error.message,
         errorType: error.constructor.name,
@@ -137,11 +115,11 @@ export async function callLLM(payload, options = {}) {
         errorInfo.errorCode = error.code;
       }
 
-      if (isLastAttempt) {
-        // Final attempt failed
+      if (isLastAttempt || error.retryable === false) {
+        // Final attempt failed (or retrying cannot help, e.g. a missing fixture)
         console.error('[LLM] All retries exhausted', errorInfo);
         throw new Error(
-          `OpenAI API call failed after ${maxAttempts} attempts: ${error.message}`
+          `LLM call (${provider.name}) failed after ${attempt + 1} attempts: ${error.message}`
         );
       } else {
         // Log retry attempt
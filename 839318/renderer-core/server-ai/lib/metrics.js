@@ -0,0 +1,293 @@
+/**
+ * Prometheus/OpenMetrics exposition
+ * Cumulative counters and histograms since process start, rendered as
+ * OpenMetrics text (or the Prometheus 0.0.4 text format) for scraping
+ */
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default latency buckets in seconds (LLM requests take 1-30s, heuristic ones milliseconds)
+ */
+export const DEFAULT_LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set
+ * @param {Array<string>} names - Label names
+ * @param {Array<*>} values - Label values
+ * @returns {string} {a="1",b="2"} or empty string
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Label values for a series, in label name order
+ * @param {Array<string>} labelNames - Label names
+ * @param {Object} labels - Label values by name (missing values become '')
+ * @returns {Array<string>} Values
+ */
+function labelValues(labelNames, labels) {
+  return labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+/**
+ * Create a metrics registry
+ * @returns {{counter: Function, histogram: Function, render: Function, reset: Function}} Registry
+ */
+export function createRegistry() {
+  const metrics = new Map();
+
+  return {
+    /**
+     * Register a counter (name without the _total suffix)
+     * @param {string} name - Metric family name
+     * @param {string} help - Help text
+     * @param {Array<string>} labelNames - Label names
+     * @returns {{inc: Function, get: Function}} Counter
+     */
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      const metric = { type: 'counter', name, help, labelNames, series };
+      metrics.set(name, metric);
+
+      return {
+        inc(labels = {}, value = 1) {
+          if (!(value >= 0)) {
+            throw new Error(`Counter ${name} can only increase`);
+          }
+          const values = labelValues(labelNames, labels);
+          const key = JSON.stringify(values);
+          const entry = series.get(key) || { values, value: 0 };
+          entry.value += value;
+          series.set(key, entry);
+        },
+
+        get(labels = {}) {
+          const entry = series.get(JSON.stringify(labelValues(labelNames, labels)));
+          return entry ? entry.value : 0;
+        }
+      };
+    },
+
+    /**
+     * Register a histogram
+     * @param {string} name - Metric family name
+     * @param {string} help - Help text
+     * @param {Array<string>} labelNames - Label names
+     * @param {Array<number>} buckets - Upper bounds, ascending (+Inf is added)
+     * @returns {{observe: Function, get: Function}} Histogram
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      const metric = { type: 'histogram', name, help, labelNames, series, bounds };
+      metrics.set(name, metric);
+
+      return {
+        observe(labels = {}, value) {
+          const values = labelValues(labelNames, labels);
+          const key = JSON.stringify(values);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = { values, counts: bounds.map(() => 0), count: 0, sum: 0 };
+            series.set(key, entry);
+          }
+          bounds.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+          });
+          entry.count++;
+          entry.sum += value;
+        },
+
+        get(labels = {}) {
+          const entry = series.get(JSON.stringify(labelValues(labelNames, labels)));
+          return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+        }
+      };
+    },
+
+    /**
+     * Render all metrics
+     * @param {Object} options - Options
+     * @param {string} options.format - 'openmetrics' | 'prometheus' (default: 'openmetrics')
+     * @returns {string} Exposition text
+     */
+    render(options = {}) {
+      const { format = 'openmetrics' } = options;
+      const openMetrics = format === 'openmetrics';
+      const lines = [];
+
+      for (const metric of metrics.values()) {
+        const { name, help, labelNames, series } = metric;
+
+        if (metric.type === 'counter') {
+          lines.push(`# TYPE ${openMetrics ? name : `${name}_total`} counter`);
+          lines.push(`# HELP ${openMetrics ? name : `${name}_total`} ${help}`);
+          for (const entry of series.values()) {
+            lines.push(`${name}_total${formatLabels(labelNames, entry.values)} ${formatValue(entry.value)}`);
+          }
+        } else {
+          lines.push(`# TYPE ${name} histogram`);
+          lines.push(`# HELP ${name} ${help}`);
+          const bucketLabels = [...labelNames, 'le'];
+          for (const entry of series.values()) {
+            metric.bounds.forEach((bound, i) => {
+              lines.push(`${name}_bucket${formatLabels(bucketLabels, [...entry.values, formatValue(bound)])} ${entry.counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(bucketLabels, [...entry.values, '+Inf'])} ${entry.count}`);
+            lines.push(`${name}_count${formatLabels(labelNames, entry.values)} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, entry.values)} ${formatValue(entry.sum)}`);
+          }
+        }
+      }
+
+      if (openMetrics) {
+        lines.push('# EOF');
+      }
+
+      return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Clear all samples (registered metrics stay)
+     */
+    reset() {
+      for (const metric of metrics.values()) {
+        metric.series.clear();
+      }
+    }
+  };
+}
+
+// Server-ai metrics
+const registry = createRegistry();
+
+const requestsTotal = registry.counter(
+  'server_ai_requests',
+  'Topology cleaning requests by route, model and outcome',
+  ['route', 'model', 'outcome']
+);
+const requestDuration = registry.histogram(
+  'server_ai_request_duration_seconds',
+  'Topology cleaning request latency in seconds',
+  ['route', 'model', 'outcome']
+);
+const llmTokensTotal = registry.counter(
+  'server_ai_llm_tokens',
+  'LLM tokens used by model and type (prompt or completion)',
+  ['route', 'model', 'type']
+);
+const fallbacksTotal = registry.counter(
+  'server_ai_llm_fallbacks',
+  'Requests that fell back from the LLM to the deterministic heuristic',
+  ['route', 'model']
+);
+const repairAttemptsTotal = registry.counter(
+  'server_ai_llm_repair_attempts',
+  'LLM repair prompts by reason (parse or schema) and outcome',
+  ['route', 'model', 'reason', 'outcome']
+);
+
+/**
+ * Record a finished request
+ * @param {Object} request - Request data
+ * @param {string} request.route - Route path
+ * @param {string} request.model - Model used (null for the heuristic)
+ * @param {string} request.outcome - 'success' | 'invalid_input' | 'error' | ...
+ * @param {number} request.latency - Latency in milliseconds
+ * @param {number} request.tokensIn - Prompt tokens (optional)
+ * @param {number} request.tokensOut - Completion tokens (optional)
+ */
+export function observeRequest({ route, model, outcome, latency, tokensIn, tokensOut }) {
+  const labels = { route, model: model || 'none', outcome };
+  requestsTotal.inc(labels);
+  requestDuration.observe(labels, (latency || 0) / 1000);
+
+  if (tokensIn) {
+    llmTokensTotal.inc({ route, model: labels.model, type: 'prompt' }, tokensIn);
+  }
+  if (tokensOut) {
+    llmTokensTotal.inc({ route, model: labels.model, type: 'completion' }, tokensOut);
+  }
+}
+
+/**
+ * Record a fallback from the LLM to the deterministic heuristic
+ * @param {Object} fallback - Fallback data
+ * @param {string} fallback.route - Route path
+ * @param {string} fallback.model - Model that failed
+ */
+export function observeFallback({ route, model }) {
+  fallbacksTotal.inc({ route, model: model || 'none' });
+}
+
+/**
+ * Record an LLM repair attempt
+ * @param {Object} attempt - Attempt data
+ * @param {string} attempt.route - Route path
+ * @param {string} attempt.model - Model
+ * @param {string} attempt.reason - 'parse' | 'schema'
+ * @param {string} attempt.outcome - 'success' | 'failure'
+ */
+export function observeRepairAttempt({ route, model, reason, outcome }) {
+  repairAttemptsTotal.inc({ route, model: model || 'none', reason, outcome });
+}
+
+/**
+ * Pick the exposition format from an Accept header
+ * Prometheus sends application/openmetrics-text and/or text/plain; anything else gets JSON
+ * @param {string} accept - Accept header
+ * @returns {'openmetrics'|'prometheus'|null} Format, or null for the JSON view
+ */
+export function negotiateFormat(accept = '') {
+  if (/application\/openmetrics-text/i.test(accept)) {
+    return 'openmetrics';
+  }
+  if (/text\/plain/i.test(accept)) {
+    return 'prometheus';
+  }
+  return null;
+}
+
+/**
+ * Render server-ai metrics
+ * @param {Object} options - Options
+ * @param {string} options.format - 'openmetrics' | 'prometheus' (default: 'openmetrics')
+ * @returns {string} Exposition text
+ */
+export function renderMetrics(options = {}) {
+  return registry.render(options);
+}
+
+/**
+ * Clear all server-ai metric samples (for tests)
+ */
+export function resetMetrics() {
+  registry.reset();
+}
@@ -0,0 +1,273 @@
+/**
+ * Storage for rate limit buckets and daily quotas
+ *
+ * Both stores implement:
+ *   consume(key, {capacity, refillPerSecond, cost}) -> {allowed, remaining, retryAfterMs}
+ *   consumeQuota(key, {limit, cost, ttlMs}) -> {allowed, used, remaining}
+ *   close()
+ *
+ * The memory store is per process; the Redis store shares limits across instances
+ */
+
+import { createRedisClient } from './redis-client.js';
+
+/**
+ * Token bucket implementation
+ * A request costing more than the capacity is allowed once the bucket is full and leaves it in debt,
+ * so a large batch drains the bucket over the following minutes instead of never fitting
+ */
+export class TokenBucket {
+  constructor(capacity, refillRate) {
+    this.capacity = capacity; // Maximum tokens
+    this.tokens = capacity; // Current tokens
+    this.refillRate = refillRate; // Tokens per second
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Try to consume tokens
+   * @param {number} cost - Tokens to consume (default: 1)
+   * @returns {boolean} True if tokens were consumed, false if rate limited
+   */
+  consume(cost = 1) {
+    this.refill();
+
+    if (this.tokens >= Math.min(cost, this.capacity)) {
+      this.tokens -= cost;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Refill tokens based on elapsed time
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000; // Convert to seconds
+    const tokensToAdd = elapsed * this.refillRate;
+
+    this.tokens = Math.min(this.capacity, this.tokens + tokensToAdd);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Get time until enough tokens are available (in milliseconds)
+   * @param {number} cost - Tokens needed (default: 1)
+   * @returns {number} Milliseconds until the tokens are available
+   */
+  getTimeUntilNextToken(cost = 1) {
+    this.refill();
+
+    if (this.tokens >= Math.min(cost, this.capacity)) {
+      return 0;
+    }
+
+    const tokensNeeded = Math.min(cost, this.capacity) - this.tokens;
+    return Math.ceil((tokensNeeded / this.refillRate) * 1000);
+  }
+}
+
+/**
+ * Create an in-memory store
+ * @param {Object} options - Options
+ * @param {number} options.bucketTTL - Drop buckets idle for this long in milliseconds (default: 10 minutes)
+ * @param {number} options.cleanupInterval - Cleanup period in milliseconds (default: 5 minutes)
+ * @returns {Object} Store
+ */
+export function createMemoryStore(options = {}) {
+  const {
+    bucketTTL = 10 * 60 * 1000,
+    cleanupInterval = 5 * 60 * 1000
+  } = options;
+
+  const buckets = new Map();
+  const quotas = new Map();
+
+  // Cleanup old buckets and expired quotas periodically
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets.entries()) {
+      // A bucket still in debt from a large batch is kept until it has refilled
+      if (now - bucket.lastRefill > bucketTTL && bucket.getTimeUntilNextToken(bucket.capacity) === 0) {
+        buckets.delete(key);
+      }
+    }
+    for (const [key, quota] of quotas.entries()) {
+      if (now >= quota.expiresAt) {
+        quotas.delete(key);
+      }
+    }
+  }, cleanupInterval);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+
+  return {
+    name: 'memory',
+    buckets,
+
+    async consume(key, { capacity, refillPerSecond, cost = 1 }) {
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = new TokenBucket(capacity, refillPerSecond);
+        buckets.set(key, bucket);
+      } else if (bucket.capacity !== capacity || bucket.refillRate !== refillPerSecond) {
+        // Limit changed for this key: keep the tokens, apply the new rate
+        bucket.refill();
+        bucket.capacity = capacity;
+        bucket.refillRate = refillPerSecond;
+        bucket.tokens = Math.min(capacity, bucket.tokens);
+      }
+
+      const allowed = bucket.consume(cost);
+      return {
+        allowed,
+        remaining: Math.max(0, Math.floor(bucket.tokens)),
+        retryAfterMs: allowed ? 0 : bucket.getTimeUntilNextToken(cost)
+      };
+    },
+
+    async consumeQuota(key, { limit, cost = 1, ttlMs }) {
+      const now = Date.now();
+      let quota = quotas.get(key);
+      if (!quota || now >= quota.expiresAt) {
+        quota = { used: 0, expiresAt: now + ttlMs };
+        quotas.set(key, quota);
+      }
+
+      if (quota.used + cost > limit) {
+        return { allowed: false, used: quota.used, remaining: Math.max(0, limit - quota.used) };
+      }
+
+      quota.used += cost;
+      return { allowed: true, used: quota.used, remaining: limit - quota.used };
+    },
+
+    async close() {
+      clearInterval(timer);
+      buckets.clear();
+      quotas.clear();
+    }
+  };
+}
+
+// Token bucket in one round trip; state is a hash {tokens, ts} that expires when idle and refilled.
+// Like TokenBucket, a cost above the capacity needs a full bucket and leaves it in debt.
+// Time comes from the Redis server, so instances with skewed clocks share one timeline
+// (replicate_commands allows writes after TIME on Redis before 5; later versions ignore it)
+const CONSUME_SCRIPT = `
+redis.replicate_commands()
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local ttl = tonumber(ARGV[4])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local required = math.min(cost, capacity)
+local allowed = 0
+local wait = 0
+if tokens >= required then
+  tokens = tokens - cost
+  allowed = 1
+else
+  wait = math.ceil((required - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.max(ttl, math.ceil((capacity - tokens) / rate)))
+return {allowed, tostring(tokens), wait}
+`;
+
+// Quota counter that only counts allowed requests; expires with its window
+const QUOTA_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local used = tonumber(redis.call('GET', KEYS[1]) or '0')
+if used + cost > limit then
+  return {0, used}
+end
+used = redis.call('INCRBY', KEYS[1], cost)
+if used == cost then
+  redis.call('PEXPIRE', KEYS[1], ARGV[3])
+end
+return {1, used}
+`;
+
+/**
+ * Create a Redis-backed store shared by all server instances
+ * @param {Object} options - Options
+ * @param {Object} options.client - Client with command(args) (default: createRedisClient({url}))
+ * @param {string} options.url - Redis URL (default: REDIS_URL)
+ * @param {string} options.prefix - Key prefix (default: 'server-ai:')
+ * @param {number} options.bucketTTL - Expire buckets idle for this long in milliseconds (default: 10 minutes)
+ * @returns {Object} Store
+ */
+export function createRedisStore(options = {}) {
+  const {
+    url,
+    prefix = 'server-ai:',
+    bucketTTL = 10 * 60 * 1000
+  } = options;
+  const client = options.client || createRedisClient({ url });
+
+  return {
+    name: 'redis',
+    client,
+
+    async consume(key, { capacity, refillPerSecond, cost = 1 }) {
+      const [allowed, tokens, wait] = await client.command([
+        'EVAL', CONSUME_SCRIPT, 1, `${prefix}bucket:${key}`,
+        capacity, refillPerSecond / 1000, cost, bucketTTL
+      ]);
+
+      return {
+        allowed: allowed === 1,
+        remaining: Math.max(0, Math.floor(parseFloat(tokens))),
+        retryAfterMs: wait
+      };
+    },
+
+    async consumeQuota(key, { limit, cost = 1, ttlMs }) {
+      const [allowed, used] = await client.command([
+        'EVAL', QUOTA_SCRIPT, 1, `${prefix}quota:${key}`,
+        limit, cost, ttlMs
+      ]);
+
+      return {
+        allowed: allowed === 1,
+        used,
+        remaining: Math.max(0, limit - used)
+      };
+    },
+
+    async close() {
+      if (client.quit) {
+        await client.quit();
+      }
+    }
+  };
+}
+
+/**
+ * Create the store selected by configuration
+ * @param {Object} options - Options
+ * @param {string} options.type - 'memory' | 'redis' (default: RATE_LIMIT_STORE or 'memory')
+ * @returns {Object} Store
+ * @throws {Error} If the store type is unknown
+ */
+export function createStore(options = {}) {
+  const { type = process.env.RATE_LIMIT_STORE || 'memory', ...storeOptions } = options;
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore(storeOptions);
+    case 'redis':
+      return createRedisStore(storeOptions);
+    default:
+      throw new Error(`Unknown rate limit store: ${type} (expected memory or redis)`);
+  }
+}
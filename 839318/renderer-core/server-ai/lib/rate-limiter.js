@@ -1,163 +1,189 @@
 /**
  * Rate limiter using token bucket algorithm
+ * Buckets and daily quotas live in a store (in-memory or Redis, see lib/rate-limit-store.js)
  */
 
+import { createHash } from 'crypto';
+import { createStore } from './rate-limit-store.js';
+
+// Configuration
+const MAX_REQUESTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_RPM || '10', 10);
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false'; // Default enabled
+const DAILY_QUOTA = parseInt(process.env.RATE_LIMIT_DAILY_QUOTA || '0', 10); // Per API key, 0 = unlimited
+
 /**
- * Token bucket implementation
+ * Parse per-API-key limits from RATE_LIMIT_KEYS
+ * Format: {"<api key>": {"rpm": 60, "dailyQuota": 5000}}
+ * @param {string|undefined} value - JSON string
+ * @returns {Object} Limits keyed by API key
  */
-class TokenBucket {
-  constructor(capacity, refillRate) {
-    this.capacity = capacity; // Maximum tokens
-    this.tokens = capacity; // Current tokens
-    this.refillRate = refillRate; // Tokens per second
-    this.lastRefill = Date.now();
+export function parseKeyLimits(value) {
+  if (!value) {
+    return {};
   }
 
-  /**
-   * Try to consume a token
-   * @returns {boolean} True if token was consumed, false if rate limited
-   */
-  consume() {
-    this.refill();
-    
-    if (this.tokens >= 1) {
-      this.tokens -= 1;
-      return true;
-    }
-    
-    return false;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error('[RateLimiter] Ignoring invalid RATE_LIMIT_KEYS:', error.message);
+    return {};
   }
+}
 
-  /**
-   * Refill tokens based on elapsed time
-   */
-  refill() {
-    const now = Date.now();
-    const elapsed = (now - this.lastRefill) / 1000; // Convert to seconds
-    const tokensToAdd = elapsed * this.refillRate;
-    
-    this.tokens = Math.min(this.capacity, this.tokens + tokensToAdd);
-    this.lastRefill = now;
-  }
+const KEY_LIMITS = parseKeyLimits(process.env.RATE_LIMIT_KEYS);
 
-  /**
-   * Get time until next token is available (in milliseconds)
-   * @returns {number} Milliseconds until next token
-   */
-  getTimeUntilNextToken() {
-    this.refill();
-    
-    if (this.tokens >= 1) {
-      return 0;
-    }
-    
-    const tokensNeeded = 1 - this.tokens;
-    return Math.ceil((tokensNeeded / this.refillRate) * 1000);
+// Shared store for limiters created without one (RATE_LIMIT_STORE: memory or redis)
+let defaultStore = null;
+
+/**
+ * Get the process-wide rate limit store
+ * @returns {Object} Store (see lib/rate-limit-store.js)
+ */
+export function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = createStore();
   }
+  return defaultStore;
 }
 
-// In-memory storage for buckets (keyed by identifier)
-const buckets = new Map();
-
-// Configuration
-const MAX_REQUESTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_RPM || '10', 10);
-const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false'; // Default enabled
+/**
+ * Milliseconds until the next UTC midnight, when daily quotas reset
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Milliseconds
+ */
+function msUntilUTCMidnight(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime() - now;
+}
 
-// Cleanup old buckets periodically (every 5 minutes)
-const CLEANUP_INTERVAL = 5 * 60 * 1000;
-const BUCKET_TTL = 10 * 60 * 1000; // Keep buckets for 10 minutes of inactivity
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, bucket] of buckets.entries()) {
-    // Remove buckets that haven't been used in a while
-    // (This is a simple cleanup - in production, you'd want more sophisticated tracking)
-    if (now - bucket.lastRefill > BUCKET_TTL) {
-      buckets.delete(key);
-    }
-  }
-}, CLEANUP_INTERVAL);
+/**
+ * Hash an API key for use in store keys, so keys never reach the store (or Redis) in plain text
+ * @param {string} apiKey - API key
+ * @returns {string} Hex SHA-256 of the key
+ */
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(String(apiKey)).digest('hex');
+}
 
 /**
- * Get identifier for rate limiting (IP or API key)
+ * Get identifier for rate limiting (IP or hashed API key)
  * @param {Object} request - Fastify request object
- * @returns {string} Identifier
+ * @returns {{key: string, apiKey: string|null}} Store key and the API key it was derived from
  */
 function getRateLimitKey(request) {
   // Prefer API key if available
   const apiKey = request.headers['x-api-key'] || request.query?.apiKey;
   if (apiKey) {
-    return `api-key:${apiKey}`;
+    return { key: `api-key:${hashApiKey(apiKey)}`, apiKey };
   }
   
   // Fall back to IP address
   const ip = request.ip || request.headers['x-forwarded-for'] || request.socket?.remoteAddress || 'unknown';
-  return `ip:${ip}`;
-}
-
-/**
- * Get or create token bucket for a key
- * @param {string} key - Rate limit key
- * @returns {TokenBucket} Token bucket
- */
-function getBucket(key) {
-  if (!buckets.has(key)) {
-    // Create bucket: capacity = max requests, refill rate = requests per second
-    const refillRate = MAX_REQUESTS_PER_MINUTE / 60; // Convert to per second
-    buckets.set(key, new TokenBucket(MAX_REQUESTS_PER_MINUTE, refillRate));
-  }
-  return buckets.get(key);
+  return { key: `ip:${ip}`, apiKey: null };
 }
 
 /**
  * Rate limiter middleware factory
  * @param {Object} options - Options
- * @param {number} options.maxRequestsPerMinute - Maximum requests per minute (default: 10)
+ * @param {number} options.maxRequestsPerMinute - Default maximum requests per minute (default: RATE_LIMIT_RPM or 10)
+ * @param {boolean} options.enabled - Enable rate limiting (default: RATE_LIMIT_ENABLED)
+ * @param {Object} options.store - Bucket and quota store (default: shared store from RATE_LIMIT_STORE)
+ * @param {Object} options.keyLimits - Per-API-key {rpm, dailyQuota} overrides (default: RATE_LIMIT_KEYS)
+ * @param {number} options.dailyQuota - Default daily quota per API key, 0 for none (default: RATE_LIMIT_DAILY_QUOTA)
+ * @param {number|Function} options.cost - Requests charged per call, or (request) => number (default: 1).
+ *   A call costing more than the per-minute limit is allowed once the bucket is full and blocks the key
+ *   until the bucket has refilled
  * @returns {Function} Fastify middleware function
  */
 export function createRateLimiter(options = {}) {
   const maxRPM = options.maxRequestsPerMinute || MAX_REQUESTS_PER_MINUTE;
   const enabled = options.enabled !== false && RATE_LIMIT_ENABLED;
+  const keyLimits = options.keyLimits || KEY_LIMITS;
+  const defaultQuota = options.dailyQuota ?? DAILY_QUOTA;
 
   return async (request, reply) => {
     if (!enabled) {
       return; // Rate limiting disabled
     }
 
-    const key = getRateLimitKey(request);
-    const bucket = getBucket(key);
+    const store = options.store || getDefaultStore();
+    const { key, apiKey } = getRateLimitKey(request);
+    const limits = (apiKey && keyLimits[apiKey]) || {};
+    const rpm = limits.rpm || maxRPM;
+    const dailyQuota = apiKey ? (limits.dailyQuota ?? defaultQuota) : 0;
+    const cost = Math.max(1, Math.ceil((typeof options.cost === 'function' ? options.cost(request) : options.cost) || 1));
+
+    let bucket;
+    let quota = null;
+    try {
+      // Create bucket: capacity = max requests, refill rate = requests per second
+      bucket = await store.consume(key, { capacity: rpm, refillPerSecond: rpm / 60, cost });
+
+      if (bucket.allowed && dailyQuota > 0) {
+        const now = Date.now();
+        const day = new Date(now).toISOString().split('T')[0];
+        quota = await store.consumeQuota(`${key}:${day}`, {
+          limit: dailyQuota,
+          cost,
+          ttlMs: msUntilUTCMidnight(now)
+        });
+      }
+    } catch (error) {
+      // Fail open: a store outage should not take the API down
+      request.log?.warn({ error: error.message, store: store.name }, 'Rate limit store unavailable, allowing request');
+      return;
+    }
 
     // Add rate limit headers (always add, even if rate limited)
-    reply.header('X-RateLimit-Limit', maxRPM);
-    
-    if (!bucket.consume()) {
-      const retryAfter = Math.ceil(bucket.getTimeUntilNextToken() / 1000);
-      
+    reply.header('X-RateLimit-Limit', rpm);
+    if (quota) {
+      reply.header('X-Quota-Limit', dailyQuota);
+      reply.header('X-Quota-Remaining', quota.remaining);
+    }
+
+    if (!bucket.allowed) {
+      const retryAfter = Math.ceil(bucket.retryAfterMs / 1000);
+
       reply.header('X-RateLimit-Remaining', 0);
       reply.header('Retry-After', retryAfter);
       reply.code(429).send({
         error: 'Rate limit exceeded',
-        message: `Maximum ${maxRPM} requests per minute allowed`,
+        message: `Maximum ${rpm} requests per minute allowed`,
         retryAfter: retryAfter
       });
-      
+
       return reply; // Stop request processing
     }
 
     // Add remaining tokens header
-    reply.header('X-RateLimit-Remaining', Math.floor(bucket.tokens));
-    
+    reply.header('X-RateLimit-Remaining', bucket.remaining);
+
+    if (quota && !quota.allowed) {
+      const retryAfter = Math.ceil(msUntilUTCMidnight(Date.now()) / 1000);
+
+      reply.header('Retry-After', retryAfter);
+      reply.code(429).send({
+        error: 'Quota exceeded',
+        message: `Daily quota of ${dailyQuota} requests used`,
+        retryAfter: retryAfter
+      });
+
+      return reply; // Stop request processing
+    }
+
     // Continue with request
   };
 }
 
 /**
- * Get rate limit status for a key (for debugging)
- * @param {string} key - Rate limit key
+ * Get rate limit status for a key (for debugging, in-memory store only)
+ * @param {string} key - Rate limit key: `ip:<address>` or `api-key:<hashApiKey(key)>`
  * @returns {Object} Status information
  */
 export function getRateLimitStatus(key) {
-  const bucket = buckets.get(key);
+  const bucket = getDefaultStore().buckets?.get(key);
   if (!bucket) {
     return { exists: false };
   }
@@ -170,4 +196,3 @@ export function getRateLimitStatus(key) {
     timeUntilNextToken: bucket.getTimeUntilNextToken()
   };
 }
-
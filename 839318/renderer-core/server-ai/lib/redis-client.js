@@ -0,0 +1,235 @@
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * Minimal Redis client (RESP2 over TCP)
+ * Enough for the shared rate limit store: pipelined commands, AUTH, SELECT and TLS (rediss://).
+ * Works with Redis and protocol-compatible servers (Valkey, KeyDB, Upstash over TCP, Dragonfly)
+ */
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command and arguments
+ * @returns {string} RESP request
+ */
+export function encodeCommand(args) {
+  return `*${args.length}\r\n` + args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('');
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Start offset
+ * @returns {{value: *, offset: number}|null} Reply and the offset after it, or null if incomplete
+ */
+export function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) {
+    return null;
+  }
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(line);
+      error.name = 'RedisError';
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type byte: ${type}`);
+  }
+}
+
+/**
+ * Create a Redis client
+ * Connects lazily on the first command and reconnects after the connection drops
+ * @param {Object} options - Options
+ * @param {string} options.url - redis[s]://[user:password@]host:port[/db] (default: REDIS_URL or redis://127.0.0.1:6379);
+ *   rediss:// connects over TLS and verifies the server certificate
+ * @param {number} options.connectTimeout - Connect timeout in milliseconds (default: 2000)
+ * @param {number} options.commandTimeout - Per-command timeout in milliseconds (default: 2000)
+ * @param {Object} options.tls - Extra tls.connect options for rediss:// (e.g. {ca} for a private CA)
+ * @returns {{command: Function, quit: Function}} Client
+ * @throws {Error} If the URL scheme is not redis: or rediss:
+ */
+export function createRedisClient(options = {}) {
+  const {
+    url = process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    connectTimeout = 2000,
+    commandTimeout = 2000,
+    tls: tlsOptions = {}
+  } = options;
+
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+    throw new Error(`Unsupported Redis URL scheme: ${parsed.protocol} (expected redis: or rediss:)`);
+  }
+  const useTls = parsed.protocol === 'rediss:';
+  const host = parsed.hostname || '127.0.0.1';
+  const port = parseInt(parsed.port || '6379', 10);
+  const username = decodeURIComponent(parsed.username || '');
+  const password = decodeURIComponent(parsed.password || '');
+  const db = parseInt(parsed.pathname.replace('/', '') || '0', 10);
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failPending = error => {
+    while (pending.length > 0) {
+      const { reject, timer } = pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  };
+
+  const onData = chunk => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer, 0))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject, timer } = pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  };
+
+  const send = (conn, args) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      // A missing reply leaves the stream out of step: drop the connection
+      conn.destroy(new Error(`Redis command timeout after ${commandTimeout}ms: ${args[0]}`));
+    }, commandTimeout);
+    timer.unref?.();
+    pending.push({ resolve, reject, timer });
+    conn.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (socket) {
+      return Promise.resolve(socket);
+    }
+    if (connecting) {
+      return connecting;
+    }
+
+    connecting = new Promise((resolve, reject) => {
+      const conn = useTls
+        ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...tlsOptions })
+        : net.createConnection({ host, port });
+      const timer = setTimeout(() => conn.destroy(new Error(`Redis connect timeout after ${connectTimeout}ms`)), connectTimeout);
+
+      conn.on('data', onData);
+      conn.on('error', error => {
+        clearTimeout(timer);
+        failPending(error);
+        reject(error);
+      });
+      conn.on('close', () => {
+        socket = null;
+        connecting = null;
+        buffer = Buffer.alloc(0);
+        failPending(new Error('Redis connection closed'));
+      });
+      // Commands (AUTH first) are only sent once the TLS handshake has verified the server
+      conn.on(useTls ? 'secureConnect' : 'connect', async () => {
+        clearTimeout(timer);
+        conn.setNoDelay(true);
+        try {
+          if (password) {
+            await send(conn, username ? ['AUTH', username, password] : ['AUTH', password]);
+          }
+          if (db) {
+            await send(conn, ['SELECT', db]);
+          }
+          socket = conn;
+          // Don't keep the process alive just for an idle connection
+          conn.unref();
+          resolve(conn);
+        } catch (error) {
+          conn.destroy();
+          reject(error);
+        }
+      });
+    });
+
+    connecting.catch(() => {
+      connecting = null;
+    });
+
+    return connecting;
+  };
+
+  return {
+    /**
+     * Send a command
+     * @param {Array<string|number>} args - Command and arguments, e.g. ['INCRBY', 'key', 1]
+     * @returns {Promise<*>} Reply (string, number, null or array)
+     */
+    async command(args) {
+      const conn = await connect();
+      return send(conn, args);
+    },
+
+    /**
+     * Close the connection
+     * @returns {Promise<void>}
+     */
+    async quit() {
+      if (!socket) {
+        return;
+      }
+      const conn = socket;
+      try {
+        await send(conn, ['QUIT']);
+      } finally {
+        conn.destroy();
+      }
+    }
+  };
+}
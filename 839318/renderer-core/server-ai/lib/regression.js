@@ -0,0 +1,281 @@
+/**
+ * Regression replay of captured requests
+ * Replays request logs (REQUEST_LOG_DIR) and diffs each result against an
+ * expected response with geometric tolerance
+ */
+
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { join, relative, dirname, basename } from 'path';
+
+/**
+ * Default tolerances: endpoints in drawing units, areas in square meters
+ */
+export const DEFAULT_TOLERANCE = {
+  epsilon: 0.01,
+  areaTolerance: 0.01
+};
+
+const EXPECTED_SUFFIX = '.expected.json';
+
+/**
+ * Calculate distance between two points
+ * @param {[number, number]} p1 - First point
+ * @param {[number, number]} p2 - Second point
+ * @returns {number} Distance
+ */
+function distance(p1, p2) {
+  return Math.hypot(p2[0] - p1[0], p2[1] - p1[1]);
+}
+
+/**
+ * Endpoint distance between two walls, in whichever direction matches better
+ * @param {Object} a - Wall
+ * @param {Object} b - Wall
+ * @returns {number} Largest endpoint distance
+ */
+function wallDistance(a, b) {
+  const forward = Math.max(distance(a.start, b.start), distance(a.end, b.end));
+  const reverse = Math.max(distance(a.start, b.end), distance(a.end, b.start));
+  return Math.min(forward, reverse);
+}
+
+/**
+ * Pair each expected item with the closest unused actual item
+ * @param {Array} expected - Expected items
+ * @param {Array} actual - Actual items
+ * @param {Function} measure - (expectedItem, actualItem) => distance
+ * @returns {Array<{index: number, match: number, distance: number}>} Best match per expected item (match -1 if none left)
+ */
+function matchGreedy(expected, actual, measure) {
+  const used = new Set();
+  return expected.map((item, index) => {
+    let best = { index, match: -1, distance: Infinity };
+    actual.forEach((candidate, candidateIndex) => {
+      if (used.has(candidateIndex)) return;
+      const d = measure(item, candidate);
+      if (d < best.distance) {
+        best = { index, match: candidateIndex, distance: d };
+      }
+    });
+    if (best.match >= 0) used.add(best.match);
+    return best;
+  });
+}
+
+/**
+ * Compare two topology results with geometric tolerance
+ * Walls match when both endpoints are within epsilon (in either direction),
+ * rooms when their areas are within areaTolerance. Ids and order are ignored.
+ * @param {Object} expected - Expected geometry {walls, rooms, openings}
+ * @param {Object} actual - Actual geometry
+ * @param {Object} tolerance - Tolerances (see DEFAULT_TOLERANCE)
+ * @returns {{match: boolean, differences: Array<{path: string, message: string, expected?: *, actual?: *}>}}
+ */
+export function diffGeometry(expected, actual, tolerance = {}) {
+  const { epsilon, areaTolerance } = { ...DEFAULT_TOLERANCE, ...tolerance };
+  const differences = [];
+
+  const expectedWalls = expected?.walls || [];
+  const actualWalls = actual?.walls || [];
+  if (expectedWalls.length !== actualWalls.length) {
+    differences.push({
+      path: 'walls.length',
+      message: 'Wall count changed',
+      expected: expectedWalls.length,
+      actual: actualWalls.length
+    });
+  }
+  matchGreedy(expectedWalls, actualWalls, wallDistance).forEach(({ index, match, distance: d }) => {
+    if (match >= 0 && d <= epsilon) return;
+    const wall = expectedWalls[index];
+    differences.push({
+      path: `walls[${index}]`,
+      message: match < 0
+        ? `Wall ${wall.id} has no counterpart`
+        : `Wall ${wall.id} moved by ${d.toFixed(4)} (epsilon ${epsilon})`,
+      expected: { start: wall.start, end: wall.end },
+      actual: match < 0 ? null : { start: actualWalls[match].start, end: actualWalls[match].end }
+    });
+  });
+
+  const expectedRooms = expected?.rooms || [];
+  const actualRooms = actual?.rooms || [];
+  if (expectedRooms.length !== actualRooms.length) {
+    differences.push({
+      path: 'rooms.length',
+      message: 'Room count changed',
+      expected: expectedRooms.length,
+      actual: actualRooms.length
+    });
+  }
+  const areaDistance = (a, b) => Math.abs((a.area_m2 || 0) - (b.area_m2 || 0));
+  matchGreedy(expectedRooms, actualRooms, areaDistance).forEach(({ index, match, distance: d }) => {
+    if (match >= 0 && d <= areaTolerance) return;
+    const room = expectedRooms[index];
+    differences.push({
+      path: `rooms[${index}].area_m2`,
+      message: match < 0
+        ? `Room ${room.id} has no counterpart`
+        : `Room ${room.id} area changed by ${d.toFixed(4)} m² (tolerance ${areaTolerance})`,
+      expected: room.area_m2,
+      actual: match < 0 ? null : actualRooms[match].area_m2
+    });
+  });
+
+  const expectedOpenings = expected?.openings || [];
+  const actualOpenings = actual?.openings || [];
+  if (expectedOpenings.length !== actualOpenings.length) {
+    differences.push({
+      path: 'openings.length',
+      message: 'Opening count changed',
+      expected: expectedOpenings.length,
+      actual: actualOpenings.length
+    });
+  }
+
+  return {
+    match: differences.length === 0,
+    differences
+  };
+}
+
+/**
+ * Find captured request files (request-*.json) under a directory
+ * @param {string} dir - Directory (searched recursively, e.g. REQUEST_LOG_DIR with one folder per day)
+ * @returns {Array<string>} Sorted file paths
+ */
+export function collectRequestFiles(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  for (const name of readdirSync(dir)) {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) {
+      files.push(...collectRequestFiles(path));
+    } else if (name.startsWith('request-') && name.endsWith('.json') && !name.endsWith(EXPECTED_SUFFIX)) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Path of the expected response for a request file
+ * @param {string} file - Request file
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Directory the request files were collected from
+ * @param {string} options.expectedDir - Keep expected responses here, mirroring rootDir (default: next to the request)
+ * @returns {string} Expected response path
+ */
+export function expectedPathFor(file, options = {}) {
+  const { rootDir, expectedDir } = options;
+  const name = basename(file, '.json') + EXPECTED_SUFFIX;
+  if (expectedDir && rootDir) {
+    return join(expectedDir, dirname(relative(rootDir, file)), name);
+  }
+  return join(dirname(file), name);
+}
+
+/**
+ * Load the expected response for a captured request
+ * An expected file wins; otherwise the logged response is used if it came from the deterministic cleaner.
+ * @param {Object} entry - Captured request (see REQUEST_LOG_DIR)
+ * @param {string} expectedPath - Expected response path
+ * @returns {{body: Object, source: 'expected'|'log'}|null} Expected response or null if there is no baseline
+ */
+export function loadExpected(entry, expectedPath) {
+  if (existsSync(expectedPath)) {
+    return { body: JSON.parse(readFileSync(expectedPath, 'utf-8')), source: 'expected' };
+  }
+  if (entry.response?.statusCode === 200 && entry.llmInfo && !entry.llmInfo.usedLLM) {
+    return { body: entry.response.body, source: 'log' };
+  }
+  return null;
+}
+
+/**
+ * Replay captured requests in deterministic mode and diff the results
+ * @param {Object} options - Options
+ * @param {Array<string>} options.files - Request files
+ * @param {string} options.rootDir - Directory the files were collected from
+ * @param {string} options.endpointUrl - AI clean endpoint
+ * @param {boolean} options.update - Write the results as the new expected responses instead of diffing
+ * @param {string} options.expectedDir - Expected response directory (see expectedPathFor)
+ * @param {Object} options.tolerance - Tolerances (see DEFAULT_TOLERANCE)
+ * @param {Object} options.headers - Extra request headers (e.g. X-API-Key)
+ * @param {Function} options.onResult - Called with each result as it finishes (optional)
+ * @returns {Promise<{results: Array<Object>, summary: Object}>} Per-file results and counts by status
+ */
+export async function runRegression(options) {
+  const {
+    files,
+    rootDir,
+    endpointUrl,
+    update = false,
+    expectedDir,
+    tolerance = {},
+    headers = {},
+    onResult = () => {}
+  } = options;
+
+  const results = [];
+
+  for (const file of files) {
+    const result = { file, requestId: null, status: 'passed', differences: [] };
+
+    try {
+      const entry = JSON.parse(readFileSync(file, 'utf-8'));
+      result.requestId = entry.requestId;
+      const expectedPath = expectedPathFor(file, { rootDir, expectedDir });
+
+      const startTime = Date.now();
+      const response = await fetch(endpointUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Use-LLM': 'false',
+          'X-Prefer-Deterministic': 'true',
+          // Ask for the version the request was captured with
+          ...(entry.schemaVersion ? { 'X-Schema-Version': entry.schemaVersion } : {}),
+          ...headers
+        },
+        body: JSON.stringify(entry.body)
+      });
+      result.latency = Date.now() - startTime;
+      const body = await response.json();
+
+      if (response.status !== 200) {
+        result.status = 'failed';
+        result.error = `HTTP ${response.status}: ${body.error || 'Unknown error'}`;
+      } else if (update) {
+        mkdirSync(dirname(expectedPath), { recursive: true });
+        writeFileSync(expectedPath, JSON.stringify(body, null, 2) + '\n');
+        result.status = 'updated';
+      } else {
+        const expected = loadExpected(entry, expectedPath);
+        if (!expected) {
+          result.status = 'skipped';
+          result.error = 'No expected response (run with --update to record one)';
+        } else {
+          const diff = diffGeometry(expected.body, body, tolerance);
+          result.baseline = expected.source;
+          result.differences = diff.differences;
+          result.status = diff.match ? 'passed' : 'drifted';
+        }
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+    }
+
+    results.push(result);
+    onResult(result);
+  }
+
+  const summary = { total: results.length, passed: 0, drifted: 0, failed: 0, skipped: 0, updated: 0 };
+  results.forEach(result => summary[result.status]++);
+
+  return { results, summary };
+}
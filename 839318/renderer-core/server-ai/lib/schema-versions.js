@@ -0,0 +1,132 @@
+/**
+ * Topology schema versions
+ * Clients pick an output version with the X-Schema-Version header or a
+ * schemaVersion request field; results are converted between versions so
+ * clients pinned to an older version keep working when fields are added.
+ *
+ * v1: walls, rooms, openings, meta (schemas/topology.schema.json)
+ * v2: adds levels, levelId on walls and rooms, opening sillHeight and height
+ *     (schemas/topology.v2.schema.json)
+ */
+
+export const SCHEMA_VERSIONS = ['v1', 'v2'];
+export const DEFAULT_SCHEMA_VERSION = 'v1';
+export const LATEST_SCHEMA_VERSION = 'v2';
+
+/**
+ * Level used when upgrading single-level v1 geometry
+ */
+export const DEFAULT_LEVEL = { id: 'level-1', name: 'Level 1', elevation: 0 };
+
+/**
+ * Typical opening sill heights and heights in meters, used when upgrading v1 openings
+ */
+export const DEFAULT_OPENING_HEIGHTS = {
+  door: { sillHeight: 0, height: 2.1 },
+  window: { sillHeight: 0.9, height: 1.2 },
+  opening: { sillHeight: 0, height: 2.1 }
+};
+
+/**
+ * Normalize a requested schema version
+ * @param {string|number} value - 'v2', 'V2', '2' or 2
+ * @returns {string|null|undefined} Version ('v1' | 'v2'), null if unsupported, undefined if not given
+ */
+export function parseSchemaVersion(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const match = /^v?(\d+)$/i.exec(String(value).trim());
+  const version = match ? `v${parseInt(match[1], 10)}` : null;
+  return SCHEMA_VERSIONS.includes(version) ? version : null;
+}
+
+/**
+ * Pick the schema version for a request
+ * @param {Object} request - Request parts
+ * @param {string} request.header - X-Schema-Version header (takes precedence)
+ * @param {string|number} request.field - schemaVersion body field
+ * @returns {{version: string}|{error: string}} Version, or an error for unsupported versions
+ */
+export function negotiateSchemaVersion({ header, field } = {}) {
+  const requested = header !== undefined && header !== '' ? header : field;
+  const version = parseSchemaVersion(requested);
+  if (version === null) {
+    return { error: `Unsupported schema version: ${requested} (supported: ${SCHEMA_VERSIONS.join(', ')})` };
+  }
+  return { version: version || DEFAULT_SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade v1 geometry to v2: everything goes on one level, openings get typical heights
+ * @param {Object} geometry - v1 geometry
+ * @returns {Object} v2 geometry
+ */
+function upgradeV1ToV2(geometry) {
+  const level = { ...DEFAULT_LEVEL };
+  return {
+    ...geometry,
+    schemaVersion: 'v2',
+    levels: [level],
+    walls: (geometry.walls || []).map(wall => ({ ...wall, levelId: wall.levelId || level.id })),
+    rooms: (geometry.rooms || []).map(room => ({ ...room, levelId: room.levelId || level.id })),
+    openings: (geometry.openings || []).map(opening => {
+      const defaults = DEFAULT_OPENING_HEIGHTS[opening.type] || DEFAULT_OPENING_HEIGHTS.opening;
+      return {
+        ...opening,
+        sillHeight: typeof opening.sillHeight === 'number' ? opening.sillHeight : defaults.sillHeight,
+        height: typeof opening.height === 'number' ? opening.height : defaults.height
+      };
+    })
+  };
+}
+
+/**
+ * Downgrade v2 geometry to v1: levels and heights are dropped, all levels share one plan
+ * @param {Object} geometry - v2 geometry
+ * @returns {Object} v1 geometry
+ */
+function downgradeV2ToV1(geometry) {
+  const { levels, ...rest } = geometry;
+  return {
+    ...rest,
+    schemaVersion: 'v1',
+    walls: (geometry.walls || []).map(({ levelId, ...wall }) => wall),
+    rooms: (geometry.rooms || []).map(({ levelId, ...room }) => room),
+    openings: (geometry.openings || []).map(({ sillHeight, height, ...opening }) => opening)
+  };
+}
+
+/**
+ * Converters between adjacent versions
+ */
+const CONVERTERS = {
+  'v1->v2': upgradeV1ToV2,
+  'v2->v1': downgradeV2ToV1
+};
+
+/**
+ * Convert geometry between schema versions and stamp schemaVersion
+ * @param {Object} geometry - Geometry in version `from`
+ * @param {string} from - Source version
+ * @param {string} to - Target version
+ * @returns {Object} Geometry in version `to`
+ */
+export function convertTopology(geometry, from, to) {
+  if (!SCHEMA_VERSIONS.includes(from) || !SCHEMA_VERSIONS.includes(to)) {
+    throw new Error(`Cannot convert topology from ${from} to ${to}`);
+  }
+
+  let result = geometry;
+  let index = SCHEMA_VERSIONS.indexOf(from);
+  const target = SCHEMA_VERSIONS.indexOf(to);
+
+  // Step one version at a time
+  while (index !== target) {
+    const next = index < target ? index + 1 : index - 1;
+    result = CONVERTERS[`${SCHEMA_VERSIONS[index]}->${SCHEMA_VERSIONS[next]}`](result);
+    index = next;
+  }
+
+  return result.schemaVersion === to ? result : { ...result, schemaVersion: to };
+}
@@ -0,0 +1,98 @@
+/**
+ * Server-Sent Events helpers
+ * Streams progress stages of long-running requests to the client
+ */
+
+export const SSE_CONTENT_TYPE = 'text/event-stream';
+
+/**
+ * Progress stages of a streamed topology cleaning request, in the order they can occur
+ */
+export const PROGRESS_STAGES = [
+  'validated',
+  'llm-request',
+  'llm-response',
+  'repair-attempt',
+  'validation',
+  'fallback',
+  'done'
+];
+
+/**
+ * Format one SSE event
+ * @param {string} event - Event name
+ * @param {*} data - Event data (JSON encoded)
+ * @param {number} id - Event id (optional)
+ * @returns {string} Event text, terminated by a blank line
+ */
+export function formatEvent(event, data, id) {
+  const lines = [];
+  if (id !== undefined && id !== null) {
+    lines.push(`id: ${id}`);
+  }
+  lines.push(`event: ${event}`);
+  // JSON.stringify escapes newlines, so the data always fits on one line
+  lines.push(`data: ${JSON.stringify(data === undefined ? {} : data)}`);
+  return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Take over a Fastify reply and open an event stream on it
+ * Headers already set on the reply (CORS, rate limit) are sent with the stream.
+ * @param {Object} reply - Fastify reply
+ * @param {Object} options - Options
+ * @param {number} options.heartbeatMs - Comment heartbeat interval to keep proxies from closing idle streams (default: 15000)
+ * @returns {{send: Function, close: Function, isClosed: Function}} Event stream
+ */
+export function openEventStream(reply, options = {}) {
+  const { heartbeatMs = 15000 } = options;
+  const raw = reply.raw;
+  let nextId = 1;
+  let closed = false;
+
+  reply.hijack();
+  raw.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': SSE_CONTENT_TYPE,
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Disable nginx response buffering
+    'X-Accel-Buffering': 'no'
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!closed) raw.write(': heartbeat\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    raw.end();
+  };
+
+  // Client went away; stop writing but let the request finish
+  raw.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    /**
+     * Send an event (ignored once the stream is closed)
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    send(event, data) {
+      if (closed) return;
+      raw.write(formatEvent(event, data, nextId++));
+    },
+
+    close,
+
+    isClosed() {
+      return closed;
+    }
+  };
+}
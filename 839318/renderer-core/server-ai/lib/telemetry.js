@@ -4,6 +4,7 @@
 
 import { writeFileSync, appendFileSync } from 'fs';
 import { join } from 'path';
+import { observeRequest } from './metrics.js';
 
 /**
  * Simple ring buffer implementation
@@ -67,6 +68,8 @@ function generateRequestId() {
  * @param {number} metric.inputSize - Input size in bytes
  * @param {string} metric.ip - Client IP address (optional)
  * @param {string} metric.apiKey - API key identifier (optional)
+ * @param {string} metric.route - Route path (optional, for Prometheus labels)
+ * @param {string} metric.outcome - Outcome label (optional, default: 'success' or 'error')
  */
 export function recordMetric(metric) {
   const entry = {
@@ -79,12 +82,24 @@ export function recordMetric(metric) {
     success: metric.success !== undefined ? metric.success : true,
     inputSize: metric.inputSize || 0,
     ip: metric.ip || null,
-    apiKey: metric.apiKey ? metric.apiKey.substring(0, 8) + '...' : null // Truncate for privacy
+    apiKey: metric.apiKey ? metric.apiKey.substring(0, 8) + '...' : null, // Truncate for privacy
+    route: metric.route || null,
+    outcome: metric.outcome || (metric.success === false ? 'error' : 'success')
   };
 
   // Add to ring buffer
   metricsBuffer.push(entry);
 
+  // Update cumulative Prometheus counters (the ring buffer only covers the last 1000 requests)
+  observeRequest({
+    route: entry.route || 'unknown',
+    model: entry.model,
+    outcome: entry.outcome,
+    latency: entry.latency,
+    tokensIn: entry.tokens_in,
+    tokensOut: entry.tokens_out
+  });
+
   // Optionally dump to file
   if (DUMP_TO_FILE) {
     try {
@@ -96,6 +111,21 @@ export function recordMetric(metric) {
   }
 }
 
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value (0 for an empty list)
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
 /**
  * Get aggregated metrics
  * @param {Object} options - Options
@@ -122,9 +152,12 @@ export function getAggregatedMetrics(options = {}) {
       totalRequests: 0,
       successRate: 0,
       avgLatency: 0,
+      p95Latency: 0,
       totalTokensIn: 0,
       totalTokensOut: 0,
       requestsByModel: {},
+      requestsByOutcome: {},
+      fallbackRate: 0,
       errors: 0
     };
   }
@@ -151,6 +184,12 @@ export function getAggregatedMetrics(options = {}) {
     requestsByModel[model].totalLatency += entry.latency || 0;
   });
 
+  // Group by outcome (success, fallback, invalid_input, invalid_output, error)
+  const requestsByOutcome = {};
+  entries.forEach(entry => {
+    requestsByOutcome[entry.outcome] = (requestsByOutcome[entry.outcome] || 0) + 1;
+  });
+
   // Calculate average latency per model
   Object.keys(requestsByModel).forEach(model => {
     const stats = requestsByModel[model];
@@ -162,9 +201,12 @@ export function getAggregatedMetrics(options = {}) {
     totalRequests: entries.length,
     successRate: entries.length > 0 ? successful.length / entries.length : 0,
     avgLatency: entries.length > 0 ? totalLatency / entries.length : 0,
+    p95Latency: percentile(entries.map(e => e.latency || 0), 95),
     totalTokensIn,
     totalTokensOut,
     requestsByModel,
+    requestsByOutcome,
+    fallbackRate: (requestsByOutcome.fallback || 0) / entries.length,
     errors: failed.length,
     windowMs: windowMs || null
   };
@@ -2,6 +2,16 @@
  * Geometry validator and repairer for topology extraction
  */
 
+/**
+ * Wall types accepted by the output schema
+ */
+const WALL_TYPES = ['exterior', 'interior', 'structural', 'partition'];
+
+/**
+ * Opening types accepted by the output schema
+ */
+const OPENING_TYPES = ['door', 'window', 'opening'];
+
 /**
  * Calculate distance between two points
  * @param {[number, number]} p1 - First point
@@ -304,16 +314,157 @@ function joinEndpoints(points, epsilon) {
   return result;
 }
 
+/**
+ * Project a point onto a segment
+ * @param {[number, number]} point - Point
+ * @param {[number, number]} a - Segment start
+ * @param {[number, number]} b - Segment end
+ * @returns {{t: number, distance: number}} Position along the segment (0-1) and distance to it
+ */
+function projectOntoSegment(point, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSq));
+  return { t, distance: distance(point, [a[0] + t * dx, a[1] + t * dy]) };
+}
+
+/**
+ * Intersection point of two segments, if they cross
+ * @param {[number, number]} p1 - First segment start
+ * @param {[number, number]} p2 - First segment end
+ * @param {[number, number]} p3 - Second segment start
+ * @param {[number, number]} p4 - Second segment end
+ * @returns {[number, number]|null} Intersection point or null
+ */
+function segmentIntersection(p1, p2, p3, p4) {
+  const d1x = p2[0] - p1[0];
+  const d1y = p2[1] - p1[1];
+  const d2x = p4[0] - p3[0];
+  const d2y = p4[1] - p3[1];
+  const denom = d1x * d2y - d1y * d2x;
+  if (denom === 0) return null; // Parallel or collinear
+
+  const t = ((p3[0] - p1[0]) * d2y - (p3[1] - p1[1]) * d2x) / denom;
+  const u = ((p3[0] - p1[0]) * d1y - (p3[1] - p1[1]) * d1x) / denom;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+  return [p1[0] + t * d1x, p1[1] + t * d1y];
+}
+
+/**
+ * Clip a segment to a bounding box (Liang-Barsky)
+ * @param {[number, number]} start - Segment start
+ * @param {[number, number]} end - Segment end
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} bounds - Clip box
+ * @returns {{start: [number, number], end: [number, number]}|null} Clipped segment or null if fully outside
+ */
+function clipSegment(start, end, bounds) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const checks = [
+    [-dx, start[0] - bounds.minX],
+    [dx, bounds.maxX - start[0]],
+    [-dy, start[1] - bounds.minY],
+    [dy, bounds.maxY - start[1]]
+  ];
+
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return null; // Parallel to and outside this edge
+      continue;
+    }
+    const r = q / p;
+    if (p < 0) {
+      if (r > t1) return null;
+      t0 = Math.max(t0, r);
+    } else {
+      if (r < t0) return null;
+      t1 = Math.min(t1, r);
+    }
+  }
+
+  return {
+    start: t0 === 0 ? start : [start[0] + t0 * dx, start[1] + t0 * dy],
+    end: t1 === 1 ? end : [start[0] + t1 * dx, start[1] + t1 * dy]
+  };
+}
+
+/**
+ * Split a self-intersecting ring at its crossings into simple rings
+ * @param {Array<[number, number]>} ring - Ring without a repeated closing point
+ * @param {number} epsilon - Distance threshold for crossings at shared vertices
+ * @param {number} depth - Remaining splits (guards against degenerate input)
+ * @returns {Array<Array<[number, number]>>} Simple rings (the input ring if it does not cross itself)
+ */
+function splitSelfIntersections(ring, epsilon, depth = ring.length) {
+  const n = ring.length;
+  if (n < 4 || depth <= 0) return [ring];
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      // First and last edges share a vertex
+      if (i === 0 && j === n - 1) continue;
+
+      const point = segmentIntersection(ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n]);
+      if (!point) continue;
+      // Touching at an existing vertex is not a crossing
+      const atVertex = [ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n]]
+        .some(vertex => distance(vertex, point) <= epsilon);
+      if (atVertex) continue;
+
+      const first = [point, ...ring.slice(i + 1, j + 1)];
+      const second = [point, ...ring.slice(j + 1), ...ring.slice(0, i + 1)];
+      return [
+        ...splitSelfIntersections(first, epsilon, depth - 1),
+        ...splitSelfIntersections(second, epsilon, depth - 1)
+      ];
+    }
+  }
+
+  return [ring];
+}
+
+/**
+ * Clip bounds covering an image, in geometry units
+ * @param {[number, number]} imageSize - Image [width, height] in pixels
+ * @param {number} scale - Geometry units per pixel (1 for pixel coordinates, pxToMeters for meters)
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}|null} Bounds or null without a usable size
+ */
+export function getImageBounds(imageSize, scale = 1) {
+  if (!Array.isArray(imageSize) || imageSize.length !== 2) return null;
+  const [width, height] = imageSize.map(Number);
+  if (!(width > 0) || !(height > 0) || !(scale > 0)) return null;
+  return { minX: 0, maxX: width * scale, minY: 0, maxY: height * scale };
+}
+
 /**
  * Repair geometry using heuristics
+ * Every change is reported in meta.repairs as {type, id, reason?, before, after}:
+ * - wall-clipped: wall clipped to options.clipBounds
+ * - wall-removed: invalid, outside-bounds, zero-length or duplicate (with duplicateOf) walls
+ * - room-closed: near-closed (snapped) or open (closing point added) polygons
+ * - room-split: self-intersecting polygons split into simple rooms
+ * - room-removed: rooms with zero area
+ * - opening-relinked: openings moved to the nearest wall after their wall was clipped or removed
+ * - opening-removed: openings without a wall to host them
  * @param {Object} geometry - Geometry object to repair
+ * @param {Object} options - Options
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} options.clipBounds - Clip walls to these bounds, e.g. getImageBounds() (optional)
  * @returns {Object} Repaired geometry
  */
-export function repairGeometry(geometry) {
+export function repairGeometry(geometry, options = {}) {
   if (!geometry || typeof geometry !== 'object') {
     return geometry;
   }
 
+  const { clipBounds = null } = options;
+  const repairs = [];
+
   const repaired = {
     walls: [],
     rooms: [],
@@ -331,49 +482,91 @@ export function repairGeometry(geometry) {
   // Minimum wall length threshold (5cm)
   const minWallLength = 0.05;
 
+  // Input walls with usable points, by id, to locate their openings later
+  const inputWalls = new Map();
+  // Ids of walls that were clipped or removed; their openings are re-linked
+  const changedWallIds = new Set();
+
   // Repair walls
   if (Array.isArray(geometry.walls)) {
-    const validWallIds = new Set();
-    
-    geometry.walls.forEach(wall => {
+    geometry.walls.forEach((wall, index) => {
       if (!wall || typeof wall !== 'object') return;
-      if (!wall.start || !wall.end) return;
-      
-      // Check if wall is long enough
-      const length = wallLength(wall);
-      if (length < minWallLength) {
-        return; // Drop short walls
-      }
+      const id = wall.id || `wall-${repaired.walls.length + 1}`;
 
       // Ensure points are valid
-      const start = Array.isArray(wall.start) && wall.start.length === 2
+      let start = Array.isArray(wall.start) && wall.start.length === 2
         ? [Number(wall.start[0]), Number(wall.start[1])]
         : null;
-      const end = Array.isArray(wall.end) && wall.end.length === 2
+      let end = Array.isArray(wall.end) && wall.end.length === 2
         ? [Number(wall.end[0]), Number(wall.end[1])]
         : null;
 
-      if (!start || !end) return;
-      if (!isFinite(start[0]) || !isFinite(start[1]) ||
+      if (!start || !end ||
+          !isFinite(start[0]) || !isFinite(start[1]) ||
           !isFinite(end[0]) || !isFinite(end[1])) {
+        repairs.push({
+          type: 'wall-removed',
+          id: wall.id || `walls[${index}]`,
+          reason: 'invalid',
+          before: { start: wall.start, end: wall.end },
+          after: null
+        });
+        return;
+      }
+
+      if (wall.id && !inputWalls.has(wall.id)) {
+        inputWalls.set(wall.id, { start, end });
+      }
+      const before = { start, end };
+
+      // Clip to the image
+      if (clipBounds) {
+        const clipped = clipSegment(start, end, clipBounds);
+        if (!clipped) {
+          repairs.push({ type: 'wall-removed', id, reason: 'outside-bounds', before, after: null });
+          changedWallIds.add(id);
+          return;
+        }
+        if (clipped.start !== start || clipped.end !== end) {
+          start = clipped.start;
+          end = clipped.end;
+          repairs.push({ type: 'wall-clipped', id, before, after: { start, end } });
+          changedWallIds.add(id);
+        }
+      }
+
+      // Check if wall is long enough
+      if (distance(start, end) < minWallLength) {
+        repairs.push({ type: 'wall-removed', id, reason: 'zero-length', before, after: null });
+        changedWallIds.add(id);
+        return; // Drop short walls
+      }
+
+      // Drop walls that repeat an existing wall (in either direction)
+      const duplicate = repaired.walls.find(other =>
+        (distance(other.start, start) <= epsilon && distance(other.end, end) <= epsilon) ||
+        (distance(other.start, end) <= epsilon && distance(other.end, start) <= epsilon));
+      if (duplicate) {
+        repairs.push({ type: 'wall-removed', id, reason: 'duplicate', duplicateOf: duplicate.id, before, after: null });
+        changedWallIds.add(id);
         return;
       }
 
       // Create repaired wall
       const repairedWall = {
-        id: wall.id || `wall-${repaired.walls.length + 1}`,
+        ...wall,
+        id,
         start,
         end,
         thickness: typeof wall.thickness === 'number' && wall.thickness > 0
           ? wall.thickness
           : 0.25, // Default thickness
-        type: ['exterior', 'interior', 'structural', 'partition'].includes(wall.type)
+        type: WALL_TYPES.includes(wall.type)
           ? wall.type
           : 'interior' // Default type
       };
 
       repaired.walls.push(repairedWall);
-      validWallIds.add(repairedWall.id);
     });
   }
 
@@ -382,59 +575,120 @@ export function repairGeometry(geometry) {
     geometry.rooms.forEach(room => {
       if (!room || typeof room !== 'object') return;
       if (!Array.isArray(room.polygon) || room.polygon.length < 3) return;
+      const id = room.id || `room-${repaired.rooms.length + 1}`;
 
       // Remove duplicate points
       let cleanedPolygon = removeDuplicatePoints(room.polygon, epsilon);
-      
-      // Join endpoints if close
-      cleanedPolygon = joinEndpoints(cleanedPolygon, epsilon);
-      
-      // Ensure polygon is closed
-      if (!isPolygonClosed(cleanedPolygon, epsilon)) {
-        // Close it by adding first point at the end if not already there
-        const first = cleanedPolygon[0];
-        const last = cleanedPolygon[cleanedPolygon.length - 1];
-        if (distance(first, last) > epsilon) {
-          cleanedPolygon.push([first[0], first[1]]);
-        }
+      const first = cleanedPolygon[0];
+      const last = cleanedPolygon[cleanedPolygon.length - 1];
+      const gap = distance(first, last);
+
+      // Join endpoints if close, otherwise close by adding the first point at the end
+      if (gap > 0 && cleanedPolygon.length > 2) {
+        cleanedPolygon = gap <= epsilon
+          ? joinEndpoints(cleanedPolygon, epsilon)
+          : [...cleanedPolygon, [first[0], first[1]]];
+        repairs.push({
+          type: 'room-closed',
+          id,
+          reason: gap <= epsilon ? 'near-closed' : 'open',
+          before: { gap, last },
+          after: { gap: 0, last: [first[0], first[1]] }
+        });
       }
 
-      // Calculate area
-      const area = polygonArea(cleanedPolygon);
-      if (area <= 0) {
-        return; // Drop rooms with zero area
+      // Split self-intersecting polygons (rings without the closing point)
+      const ring = cleanedPolygon.slice(0, -1);
+      const parts = ring.length >= 3
+        ? splitSelfIntersections(ring, epsilon).map(part => [...part, [part[0][0], part[0][1]]])
+        : [cleanedPolygon];
+
+      const rooms = parts.length === 1
+        ? [{ ...room, id, polygon: parts[0] }]
+        : parts.map((polygon, index) => ({ ...room, id: `${id}-${index + 1}`, polygon }));
+
+      if (parts.length > 1) {
+        repairs.push({
+          type: 'room-split',
+          id,
+          before: { polygon: cleanedPolygon },
+          after: rooms.map(part => ({ id: part.id, polygon: part.polygon }))
+        });
       }
 
-      // Create repaired room
-      const repairedRoom = {
-        id: room.id || `room-${repaired.rooms.length + 1}`,
-        polygon: cleanedPolygon,
-        area_m2: area
-      };
+      rooms.forEach(part => {
+        // Calculate area
+        const area = polygonArea(part.polygon);
+        if (area <= 0) {
+          repairs.push({
+            type: 'room-removed',
+            id: part.id,
+            reason: 'zero-area',
+            before: { polygon: part.polygon },
+            after: null
+          });
+          return; // Drop rooms with zero area
+        }
 
-      repaired.rooms.push(repairedRoom);
+        // Create repaired room
+        repaired.rooms.push({
+          ...part,
+          area_m2: area
+        });
+      });
     });
   }
 
-  // Repair openings (only keep those referencing valid walls)
+  // Repair openings: keep those on unchanged walls, re-link those whose wall was clipped or removed
   if (Array.isArray(geometry.openings)) {
     const validWallIds = new Set(repaired.walls.map(w => w.id));
-    
+
     geometry.openings.forEach(opening => {
       if (!opening || typeof opening !== 'object') return;
-      if (!opening.wallId || !validWallIds.has(opening.wallId)) {
-        return; // Drop openings with invalid wall references
-      }
+      const id = opening.id || `opening-${repaired.openings.length + 1}`;
 
       // Ensure position is valid (0-1)
-      const position = typeof opening.position === 'number'
+      let position = typeof opening.position === 'number'
         ? Math.max(0, Math.min(1, opening.position))
         : 0.5; // Default to middle
+      let wallId = opening.wallId;
+
+      if (!wallId || !validWallIds.has(wallId) || changedWallIds.has(wallId)) {
+        const before = { wallId: opening.wallId, position: opening.position };
+        const host = inputWalls.get(wallId);
+        if (!host) {
+          repairs.push({ type: 'opening-removed', id, reason: 'unknown-wall', before, after: null });
+          return; // Drop openings with invalid wall references
+        }
+
+        // Where the opening was on its original wall
+        const anchor = [
+          host.start[0] + position * (host.end[0] - host.start[0]),
+          host.start[1] + position * (host.end[1] - host.start[1])
+        ];
+        let nearest = null;
+        repaired.walls.forEach(wall => {
+          const projection = projectOntoSegment(anchor, wall.start, wall.end);
+          if (projection.distance <= epsilon && (!nearest || projection.distance < nearest.distance)) {
+            nearest = { wall, ...projection };
+          }
+        });
+
+        if (!nearest) {
+          repairs.push({ type: 'opening-removed', id, reason: 'no-host-wall', before, after: null });
+          return;
+        }
+
+        wallId = nearest.wall.id;
+        position = nearest.t;
+        repairs.push({ type: 'opening-relinked', id, before, after: { wallId, position } });
+      }
 
       const repairedOpening = {
-        id: opening.id || `opening-${repaired.openings.length + 1}`,
-        wallId: opening.wallId,
-        type: ['door', 'window', 'opening'].includes(opening.type)
+        ...opening,
+        id,
+        wallId,
+        type: OPENING_TYPES.includes(opening.type)
           ? opening.type
           : 'opening', // Default type
         position
@@ -450,8 +704,9 @@ export function repairGeometry(geometry) {
   }
 
   // Update bounds
+  delete repaired.meta.bounds;
   repaired.meta.bounds = getBounds(repaired);
+  repaired.meta.repairs = repairs;
 
   return repaired;
 }
-
@@ -1,172 +1,130 @@
 #!/usr/bin/env node
 /**
- * Alert script - checks success rate and sends alerts if below threshold
- * Usage: node scripts/check-alerts.js [endpoint-url] [threshold] [alert-method]
- * 
- * Can be run via cron:
- * */5 * * * * cd /path/to/server-ai && node scripts/check-alerts.js >> /var/log/server-ai-alerts.log 2>&1
+ * Alert script - checks /metrics against the alert rules and sends alerts to the configured sinks
+ * Usage: node scripts/check-alerts.js [endpoint-url] [success-rate-threshold] [alert-sinks]
+ *
+ * Rules: success rate, p95 latency, fallback rate, LLM token spend, error-outcome spikes (see lib/alerts.js)
+ * Sinks: log, file, email, webhook, slack (comma-separated, e.g. "file,slack")
+ * The same alert is sent again only after ALERT_COOLDOWN_SECONDS while it keeps firing.
+ * Exits with code 1 while any alert is firing.
  */
 
-import { appendFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
-import { dirname } from 'path';
-import { execSync } from 'child_process';
+// Can be run via cron (kept out of the block comment, where "*/" would end it):
+// */5 * * * * cd /path/to/server-ai && node scripts/check-alerts.js >> /var/log/server-ai-alerts.log 2>&1
+
+import {
+  loadRuleConfig,
+  evaluateRules,
+  createSink,
+  parseSinkList,
+  loadAlertState,
+  saveAlertState,
+  applyCooldown,
+  dispatchAlert
+} from '../lib/alerts.js';
 
 const endpointUrl = process.argv[2] || process.env.METRICS_ENDPOINT_URL || 'http://localhost:3001/metrics';
-const threshold = parseFloat(process.argv[3] || process.env.ALERT_SUCCESS_RATE_THRESHOLD || '0.90'); // 90%
-const alertMethod = process.argv[4] || process.env.ALERT_METHOD || 'log'; // 'log' or 'email'
-const alertLogFile = process.env.ALERT_LOG_FILE || '/tmp/server-ai-alerts.log';
 const windowSeconds = parseInt(process.env.ALERT_WINDOW_SECONDS || '300', 10); // 5 minutes
+const cooldownSeconds = parseInt(process.env.ALERT_COOLDOWN_SECONDS || '1800', 10); // 30 minutes
+const statePath = process.env.ALERT_STATE_FILE || '/tmp/server-ai-alert-state.json';
 
-/**
- * Send alert via logging (default)
- */
-function sendLogAlert(message, data) {
-  const timestamp = new Date().toISOString();
-  const logEntry = {
-    timestamp,
-    level: 'ALERT',
-    message,
-    data
-  };
-  
-  // Ensure log directory exists
-  const logDir = dirname(alertLogFile);
-  if (!existsSync(logDir)) {
-    mkdirSync(logDir, { recursive: true });
-  }
-  
-  // Append to log file
-  appendFileSync(alertLogFile, JSON.stringify(logEntry) + '\n', { flag: 'a' });
-  
-  // Also print to console
-  console.error(`[ALERT] ${timestamp}: ${message}`, data);
+// ALERT_SINKS wins over the older ALERT_METHOD; 'log' keeps its old meaning of console + file
+const sinkList = process.argv[4] || process.env.ALERT_SINKS || process.env.ALERT_METHOD || 'log';
+const sinkNames = parseSinkList(sinkList).flatMap(name => (name === 'log' ? ['log', 'file'] : [name]));
+
+const ruleConfig = loadRuleConfig(process.env);
+if (process.argv[3]) {
+  ruleConfig.successRate = parseFloat(process.argv[3]);
 }
 
+// Console and file are used when the configured sinks fail
+const fallbackSinks = [createSink('log'), createSink('file')];
+
 /**
- * Send alert via email (simple implementation using mail command)
+ * Fetch the JSON aggregate for the alert window
+ * @returns {Promise<Object>} Metrics
  */
-function sendEmailAlert(message, data) {
-  const emailTo = process.env.ALERT_EMAIL_TO || 'admin@example.com';
-  const emailFrom = process.env.ALERT_EMAIL_FROM || 'server-ai@localhost';
-  const subject = `[ALERT] Server-AI: ${message}`;
-  
-  const body = `
-Server-AI Alert
-
-Time: ${new Date().toISOString()}
-Message: ${message}
-
-Details:
-${JSON.stringify(data, null, 2)}
-
----
-This is an automated alert from server-ai monitoring.
-  `.trim();
-  
-  // Try to send email using system mail command
-  // Note: This requires mailutils or similar to be installed
-  try {
-    execSync(`echo "${body}" | mail -s "${subject}" -r "${emailFrom}" "${emailTo}"`, {
-      stdio: 'ignore'
-    });
-    console.log(`Alert email sent to ${emailTo}`);
-  } catch (error) {
-    console.error('Failed to send email alert, falling back to log:', error.message);
-    sendLogAlert(message, data);
-  }
-}
+async function fetchMetrics() {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
 
-async function checkAlerts() {
-  const timestamp = new Date().toISOString();
-  
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    // Get metrics for the last 5 minutes
-    const metricsUrl = `${endpointUrl}?window=${windowSeconds}`;
-    const response = await fetch(metricsUrl, {
+    const response = await fetch(`${endpointUrl}?window=${windowSeconds}&format=json`, {
       method: 'GET',
       signal: controller.signal,
       headers: {
+        'Accept': 'application/json',
         'User-Agent': 'server-ai-alert-checker/1.0'
       }
     });
-    
-    clearTimeout(timeoutId);
-    
+
     if (!response.ok) {
       throw new Error(`Metrics endpoint returned status ${response.status}`);
     }
-    
-    const metrics = await response.json();
-    
-    // Check success rate
-    const successRate = metrics.successRate || 0;
-    const totalRequests = metrics.totalRequests || 0;
-    const errors = metrics.errors || 0;
-    const avgLatency = metrics.avgLatency || 0;
-    
-    // Only alert if we have enough data (at least 10 requests in the window)
-    if (totalRequests < 10) {
-      console.log(`[${timestamp}] Insufficient data for alerting: ${totalRequests} requests`);
-      return;
-    }
-    
-    // Check if success rate is below threshold
-    if (successRate < threshold) {
-      const message = `Success rate ${(successRate * 100).toFixed(1)}% is below threshold ${(threshold * 100).toFixed(1)}%`;
-      const alertData = {
-        successRate,
-        threshold,
-        totalRequests,
-        errors,
-        avgLatency,
-        windowSeconds,
-        requestsByModel: metrics.requestsByModel || {}
-      };
-      
-      if (alertMethod === 'email') {
-        sendEmailAlert(message, alertData);
-      } else {
-        sendLogAlert(message, alertData);
-      }
-      
-      process.exit(1); // Exit with error code to trigger monitoring systems
-    } else {
-      console.log(`[${timestamp}] Success rate OK: ${(successRate * 100).toFixed(1)}% (${totalRequests} requests)`);
+
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function checkAlerts() {
+  const timestamp = new Date().toISOString();
+
+  let sinks;
+  try {
+    sinks = sinkNames.map(name => createSink(name));
+  } catch (error) {
+    console.error(`[${timestamp}] Invalid alert sink configuration: ${error.message}`);
+    process.exit(1);
+  }
+
+  let alerts;
+  try {
+    const metrics = await fetchMetrics();
+    alerts = evaluateRules(metrics, ruleConfig, windowSeconds);
+
+    if ((metrics.totalRequests || 0) < ruleConfig.minRequests) {
+      console.log(`[${timestamp}] Insufficient data for rate alerts: ${metrics.totalRequests || 0} requests`);
+    } else if (alerts.length === 0) {
+      console.log(`[${timestamp}] All checks OK: success rate ${((metrics.successRate || 0) * 100).toFixed(1)}%, p95 ${(metrics.p95Latency || 0).toFixed(0)}ms (${metrics.totalRequests} requests)`);
     }
-    
-    // Optional: Check for high latency
-    const highLatencyThreshold = parseFloat(process.env.ALERT_LATENCY_THRESHOLD_MS || '5000'); // 5 seconds
-    if (avgLatency > highLatencyThreshold && totalRequests > 0) {
-      const message = `Average latency ${avgLatency.toFixed(0)}ms exceeds threshold ${highLatencyThreshold}ms`;
-      const alertData = {
-        avgLatency,
-        threshold: highLatencyThreshold,
-        totalRequests,
-        successRate
-      };
-      
-      if (alertMethod === 'email') {
-        sendEmailAlert(message, alertData);
-      } else {
-        sendLogAlert(message, alertData);
-      }
+  } catch (error) {
+    alerts = [{
+      key: 'metrics-unavailable',
+      rule: 'metrics-unavailable',
+      message: `Failed to check metrics: ${error.message}`,
+      data: { error: error.message, errorType: error.name, endpointUrl }
+    }];
+  }
+
+  const { send, suppressed, state } = applyCooldown(alerts, loadAlertState(statePath), {
+    cooldownMs: cooldownSeconds * 1000
+  });
+
+  for (const alert of send) {
+    const results = await dispatchAlert({ ...alert, timestamp }, sinks);
+    results.filter(result => !result.ok).forEach(result => {
+      console.error(`Failed to send alert via ${result.sink}: ${result.error}`);
+    });
+    if (results.every(result => !result.ok)) {
+      await dispatchAlert({ ...alert, timestamp }, fallbackSinks);
     }
-    
+  }
+
+  suppressed.forEach(alert => {
+    console.log(`[${timestamp}] Still firing (cooldown): ${alert.message}`);
+  });
+
+  try {
+    saveAlertState(statePath, state);
   } catch (error) {
-    const message = `Failed to check metrics: ${error.message}`;
-    const alertData = {
-      error: error.message,
-      errorType: error.name,
-      endpointUrl
-    };
-    
-    sendLogAlert(message, alertData);
-    process.exit(1);
+    console.error(`Failed to save alert state to ${statePath}: ${error.message}`);
+  }
+
+  if (alerts.length > 0) {
+    process.exit(1); // Exit with error code to trigger monitoring systems
   }
 }
 
 checkAlerts();
-
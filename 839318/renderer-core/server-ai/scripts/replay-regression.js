@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Regression replay - replays captured requests in deterministic mode and diffs
+ * the results against expected responses; exits non-zero on drift
+ * Usage: node scripts/replay-regression.js [request-log-dir] [options]
+ *
+ * Options:
+ *   --endpoint <url>         Replay against a running server instead of starting a local one
+ *   --update                 Record the current results as the expected responses
+ *   --expected-dir <dir>     Keep expected responses here (default: next to each request file)
+ *   --epsilon <n>            Wall endpoint tolerance in drawing units (default: 0.01)
+ *   --area-tolerance <n>     Room area tolerance in m² (default: 0.01)
+ */
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative } from 'path';
+import { collectRequestFiles, runRegression, DEFAULT_TOLERANCE } from '../lib/regression.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const args = process.argv.slice(2);
+const VALUE_FLAGS = ['--endpoint', '--expected-dir', '--epsilon', '--area-tolerance'];
+
+/**
+ * Read a flag value (--name value)
+ */
+function getFlag(name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+// Arguments that are neither flags nor flag values
+const positional = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[index - 1]));
+const requestLogDir = positional[0] || process.env.REQUEST_LOG_DIR || '/tmp/ai-requests';
+const endpointArg = getFlag('endpoint') || process.env.ENDPOINT_URL;
+const update = args.includes('--update');
+const expectedDir = getFlag('expected-dir');
+const port = parseInt(process.env.REPLAY_PORT || '3099', 10);
+const tolerance = {
+  epsilon: parseFloat(getFlag('epsilon') || DEFAULT_TOLERANCE.epsilon),
+  areaTolerance: parseFloat(getFlag('area-tolerance') || DEFAULT_TOLERANCE.areaTolerance)
+};
+
+/**
+ * Start server.js on a local port in deterministic mode
+ * @returns {Promise<ChildProcess>} Server process, once /health answers
+ */
+async function startLocalServer() {
+  const child = spawn(process.execPath, [join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      USE_LLM: 'false',
+      RATE_LIMIT_ENABLED: 'false',
+      API_KEY_REQUIRED: 'false',
+      REQUEST_LOG_ENABLED: 'false',
+      SENTRY_DSN: ''
+    },
+    stdio: 'ignore'
+  });
+
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Local server exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`http://127.0.0.1:${port}/health`);
+      if (response.ok) return child;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  child.kill();
+  throw new Error(`Local server did not start on port ${port}`);
+}
+
+const files = collectRequestFiles(requestLogDir);
+if (files.length === 0) {
+  console.error(`No captured requests (request-*.json) in ${requestLogDir}`);
+  console.error('Capture some with REQUEST_LOG_ENABLED=true, or pass a directory.');
+  process.exit(1);
+}
+
+let server = null;
+let exitCode = 0;
+
+try {
+  if (!endpointArg) {
+    server = await startLocalServer();
+  }
+  const endpointUrl = endpointArg || `http://127.0.0.1:${port}/api/topology/ai-clean`;
+  const headers = process.env.REPLAY_API_KEY ? { 'X-API-Key': process.env.REPLAY_API_KEY } : {};
+
+  console.log(`Replaying ${files.length} request(s) from ${requestLogDir}`);
+  console.log(`Endpoint: ${endpointUrl}${server ? ' (local, deterministic)' : ''}`);
+  console.log(`Tolerance: epsilon ${tolerance.epsilon}, area ${tolerance.areaTolerance} m²\n`);
+
+  const { summary } = await runRegression({
+    files,
+    rootDir: requestLogDir,
+    endpointUrl,
+    update,
+    expectedDir,
+    tolerance,
+    headers,
+    onResult: result => {
+      const name = relative(requestLogDir, result.file);
+      if (result.status === 'passed' || result.status === 'updated') {
+        console.log(`✓ ${name} (${result.latency}ms${result.status === 'updated' ? ', expected response updated' : ''})`);
+      } else if (result.status === 'skipped') {
+        console.log(`- ${name}: ${result.error}`);
+      } else if (result.status === 'failed') {
+        console.log(`✗ ${name}: ${result.error}`);
+      } else {
+        console.log(`✗ ${name}: ${result.differences.length} difference(s)`);
+        result.differences.forEach(difference => {
+          console.log(`    ${difference.path}: ${difference.message}`);
+          if (difference.expected !== undefined) {
+            console.log(`      expected: ${JSON.stringify(difference.expected)}`);
+            console.log(`      actual:   ${JSON.stringify(difference.actual)}`);
+          }
+        });
+      }
+    }
+  });
+
+  console.log(`\n${summary.total} replayed: ${summary.passed} passed, ${summary.drifted} drifted, ${summary.failed} failed, ${summary.skipped} skipped${update ? `, ${summary.updated} updated` : ''}`);
+
+  if (summary.drifted > 0 || summary.failed > 0) {
+    exitCode = 1;
+  }
+} catch (error) {
+  console.error('Error running regression replay:', error.message);
+  exitCode = 1;
+} finally {
+  if (server) {
+    server.kill();
+  }
+}
+
+process.exit(exitCode);
@@ -7,8 +7,22 @@ import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { callLLM } from './lib/llm.js';
+import { getDefaultProvider } from './lib/llm-providers.js';
 import { recordMetric, getAggregatedMetrics } from './lib/telemetry.js';
-import { createRateLimiter } from './lib/rate-limiter.js';
+import {
+  observeFallback,
+  observeRepairAttempt,
+  negotiateFormat,
+  renderMetrics,
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE
+} from './lib/metrics.js';
+import { createRateLimiter, hashApiKey } from './lib/rate-limiter.js';
+import { deterministicClean } from './lib/deterministic-clean.js';
+import { repairGeometry, getImageBounds } from './lib/validator.js';
+import { mapWithConcurrency, createBatchJobStore, toJobView, summarizeSheets } from './lib/batch.js';
+import { openEventStream } from './lib/sse.js';
+import { negotiateSchemaVersion, convertTopology, SCHEMA_VERSIONS } from './lib/schema-versions.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,12 +55,26 @@ const __dirname = dirname(__filename);
 // Check if LLM should be used
 const USE_LLM = process.env.USE_LLM === 'true';
 
+// LLM provider (LLM_PROVIDER: openai, openai-compatible or fixture); a misconfigured provider is
+// reported as not configured and requests use the deterministic cleaner
+const llmProvider = getDefaultProvider();
+
 // API key authentication (optional)
 const API_KEYS = process.env.API_KEYS 
   ? process.env.API_KEYS.split(',').map(k => k.trim()).filter(Boolean)
   : [];
 const API_KEY_REQUIRED = process.env.API_KEY_REQUIRED === 'true';
 
+// Route paths, also used as the Prometheus route label
+const AI_CLEAN_ROUTE = '/api/topology/ai-clean';
+const BATCH_ROUTE = '/api/topology/ai-clean/batch';
+const STREAM_ROUTE = '/api/topology/ai-clean/stream';
+
+// Batch configuration
+const BATCH_MAX_SHEETS = parseInt(process.env.BATCH_MAX_SHEETS || '20', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+const BATCH_JOB_TTL_SECONDS = parseInt(process.env.BATCH_JOB_TTL_SECONDS || '3600', 10);
+
 // Request logging configuration
 const REQUEST_LOG_ENABLED = process.env.REQUEST_LOG_ENABLED === 'true';
 const REQUEST_LOG_DIR = process.env.REQUEST_LOG_DIR || '/tmp/ai-requests';
@@ -60,6 +88,12 @@ if (REQUEST_LOG_ENABLED && !existsSync(REQUEST_LOG_DIR)) {
 const schemaFile = readFileSync(join(__dirname, 'schemas', 'topology.schema.json'), 'utf-8');
 const schemas = JSON.parse(schemaFile);
 
+// Output schema v2 (levels, opening heights); requests always use inputSchema above
+const schemasV2 = JSON.parse(readFileSync(join(__dirname, 'schemas', 'topology.v2.schema.json'), 'utf-8'));
+
+// Schema version produced by the cleaners and the LLM prompt; responses are converted from it
+const PIPELINE_SCHEMA_VERSION = 'v1';
+
 // Load response schema for LLM output validation
 const responseSchemaFile = readFileSync(join(__dirname, 'prompts', 'topology.response.schema.json'), 'utf-8');
 const responseSchema = JSON.parse(responseSchemaFile);
@@ -76,32 +110,28 @@ const outputSchemaWithDefs = {
   definitions: schemas.definitions
 };
 
+// Batch envelope: each sheet is validated against inputSchema on its own
+const batchSchema = {
+  ...schemas.batchInputSchema,
+  properties: {
+    ...schemas.batchInputSchema.properties,
+    sheets: { ...schemas.batchInputSchema.properties.sheets, maxItems: BATCH_MAX_SHEETS }
+  }
+};
+
 // Compile validators
 const validateRequest = ajv.compile(inputSchemaWithDefs);
-const validateOutput = ajv.compile(outputSchemaWithDefs);
+const validateBatchRequest = ajv.compile(batchSchema);
+const outputValidators = {
+  v1: ajv.compile(outputSchemaWithDefs),
+  v2: ajv.compile({ ...schemasV2.outputSchema, definitions: schemasV2.definitions })
+};
 const validateLLMResponse = ajv.compile(responseSchema);
 
 // Load prompts
 const systemPrompt = readFileSync(join(__dirname, 'prompts', 'topology.system.txt'), 'utf-8');
 const userTemplate = readFileSync(join(__dirname, 'prompts', 'topology.user.template.txt'), 'utf-8');
 
-/**
- * Calculate polygon area using shoelace formula
- * @param {Array<[number, number]>} polygon - Array of [x, y] points
- * @returns {number} Area in square units
- */
-function calculatePolygonArea(polygon) {
-  if (polygon.length < 3) return 0;
-  
-  let area = 0;
-  for (let i = 0; i < polygon.length; i++) {
-    const j = (i + 1) % polygon.length;
-    area += polygon[i][0] * polygon[j][1];
-    area -= polygon[j][0] * polygon[i][1];
-  }
-  return Math.abs(area) / 2;
-}
-
 /**
  * Parse JSON from LLM response, handling markdown code blocks if present
  * @param {string} text - Raw text response from LLM
@@ -143,14 +173,38 @@ ${validationErrors.map(e => `- ${e.path}: ${e.message}`).join('\n')}
 Please output ONLY valid JSON matching the schema. Do not include any markdown, code blocks, or explanatory text.`;
 }
 
+/**
+ * Repair LLM geometry (clip to the image, drop duplicate walls, fix rooms, re-link openings)
+ * The fixes are listed in meta.repairs so clients can show what changed
+ * @param {Object} result - Parsed LLM response
+ * @param {Object} metadata - Request metadata ({imageSize, pxToMeters?})
+ * @param {Object} logContext - Fastify logger context
+ * @returns {Object} Repaired geometry
+ */
+function repairLLMResult(result, metadata, logContext) {
+  // LLM coordinates are in meters, so the image is scaled to meters too
+  const scale = result.meta?.scale || metadata.pxToMeters;
+  const repaired = repairGeometry(result, { clipBounds: getImageBounds(metadata.imageSize, scale) });
+
+  if (repaired.meta.repairs.length > 0) {
+    logContext.info('Repaired LLM geometry', {
+      repairCount: repaired.meta.repairs.length,
+      types: [...new Set(repaired.meta.repairs.map(repair => repair.type))]
+    });
+  }
+
+  return repaired;
+}
+
 /**
  * Call LLM to clean topology with retry logic
  * @param {Array<{points: Array<[number, number]>, closed: boolean}>} polylines - Array of polylines to clean
  * @param {Object} metadata - Metadata with imageSize and optional pxToMeters
  * @param {Object} logContext - Fastify logger context
+ * @param {Function} onProgress - Called with (stage, data) for each progress stage (optional)
  * @returns {Promise<{result: Object, usedLLM: boolean, model?: string, tokens?: Object, latency?: number}>}
  */
-async function cleanTopologyWithLLM(polylines, metadata, logContext) {
+async function cleanTopologyWithLLM(polylines, metadata, logContext, onProgress = () => {}) {
   const llmStartTime = Date.now();
   
   // Build user prompt
@@ -166,21 +220,26 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
     { role: 'user', content: userPrompt }
   ];
 
-  const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+  const model = llmProvider.model;
+  const llmOptions = { provider: llmProvider, model, responseSchema };
 
   try {
     // First attempt
-    logContext.info('Calling LLM for topology cleaning', { model });
-    const llmResponse = await callLLM(messages, { model });
+    logContext.info('Calling LLM for topology cleaning', { provider: llmProvider.name, model });
+    onProgress('llm-request', { provider: llmProvider.name, model, attempt: 1 });
+    const llmResponse = await callLLM(messages, llmOptions);
     const responseText = llmResponse.content;
-    const usage = llmResponse.usage;
+    // Fixtures and some compatible endpoints report no usage
+    const usage = llmResponse.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
     const llmLatency = Date.now() - llmStartTime;
+    onProgress('llm-response', { model, attempt: 1, latency: llmLatency, tokens: usage });
 
     // Parse JSON response
     let parsed = parseLLMResponse(responseText);
     
     if (!parsed) {
       logContext.warn('Failed to parse LLM response as JSON, attempting repair');
+      onProgress('repair-attempt', { reason: 'parse' });
       
       // Retry with repair prompt
       const repairPrompt = createRepairPrompt(
@@ -195,8 +254,11 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
         { role: 'user', content: repairPrompt }
       ];
       
-      const repairResponse = await callLLM(repairMessages, { model });
+      onProgress('llm-request', { provider: llmProvider.name, model, attempt: 2 });
+      const repairResponse = await callLLM(repairMessages, llmOptions);
+      onProgress('llm-response', { model, attempt: 2, latency: Date.now() - llmStartTime, tokens: repairResponse.usage || null });
       parsed = parseLLMResponse(repairResponse.content);
+      observeRepairAttempt({ route: AI_CLEAN_ROUTE, model, reason: 'parse', outcome: parsed ? 'success' : 'failure' });
       
       if (!parsed) {
         throw new Error('Failed to parse LLM response after repair attempt');
@@ -219,8 +281,10 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
         message: err.message,
         params: err.params
       }));
+      onProgress('validation', { target: 'llm-response', valid: false, errors: errors.length });
       
       logContext.warn('LLM response failed schema validation, attempting repair', { errors });
+      onProgress('repair-attempt', { reason: 'schema', errors: errors.length });
       
       // Retry with repair prompt including validation errors
       const repairPrompt = createRepairPrompt(responseText, errors);
@@ -231,10 +295,15 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
         { role: 'user', content: repairPrompt }
       ];
       
-      const repairResponse = await callLLM(repairMessages, { model });
+      onProgress('llm-request', { provider: llmProvider.name, model, attempt: 2 });
+      const repairResponse = await callLLM(repairMessages, llmOptions);
+      onProgress('llm-response', { model, attempt: 2, latency: Date.now() - llmStartTime, tokens: repairResponse.usage || null });
       const repairParsed = parseLLMResponse(repairResponse.content);
+      const repaired = Boolean(repairParsed && validateLLMResponse(repairParsed));
+      onProgress('validation', { target: 'llm-response', valid: repaired });
+      observeRepairAttempt({ route: AI_CLEAN_ROUTE, model, reason: 'schema', outcome: repaired ? 'success' : 'failure' });
       
-      if (repairParsed && validateLLMResponse(repairParsed)) {
+      if (repaired) {
         logContext.info('LLM repair attempt succeeded');
         
         // Update usage with repair attempt tokens
@@ -245,7 +314,7 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
         }
         
         return {
-          result: repairParsed,
+          result: repairLLMResult(repairParsed, metadata, logContext),
           usedLLM: true,
           model,
           latency: Date.now() - llmStartTime,
@@ -256,6 +325,8 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
       }
     }
 
+    onProgress('validation', { target: 'llm-response', valid: true });
+
     // Success!
     logContext.info('LLM topology cleaning succeeded', {
       model,
@@ -267,7 +338,7 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
     });
 
     return {
-      result: parsed,
+      result: repairLLMResult(parsed, metadata, logContext),
       usedLLM: true,
       model,
       latency: llmLatency,
@@ -298,9 +369,10 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
       });
     }
     
-    // Fall back to mockClean
+    // Fall back to the deterministic cleaner
+    onProgress('fallback', { reason: error.message });
     return {
-      result: mockClean(polylines, metadata),
+      result: deterministicClean(polylines, metadata),
       usedLLM: false,
       fallbackReason: error.message
     };
@@ -308,120 +380,132 @@ async function cleanTopologyWithLLM(polylines, metadata, logContext) {
 }
 
 /**
- * Mock AI cleaning function - returns deterministic mock response
- * @param {Array<{points: Array<[number, number]>, closed: boolean}>} polylines - Array of polylines to clean
- * @param {Object} metadata - Metadata with imageSize and optional pxToMeters
- * @returns {Object} Valid geometry JSON with walls, rooms, openings, meta
+ * Decide whether a request should use the LLM
+ * 1. Client can override with X-Use-LLM header (if set to 'false', force heuristic)
+ * 2. If X-Prefer-Deterministic is true, use heuristic
+ * 3. Otherwise, use server's USE_LLM setting
+ * @param {Object} request - Fastify request
+ * @returns {boolean} True if the LLM should be used
  */
-function mockClean(polylines, metadata = {}) {
-  // Extract points from all polylines
-  const allPoints = polylines.flatMap(p => p.points || []);
+function resolveUseLLM(request) {
+  // Check client headers for LLM preference
+  const clientUseLLM = request.headers['x-use-llm'];
+  const preferDeterministic = request.headers['x-prefer-deterministic'] === 'true';
+
+  const llmAvailable = llmProvider.isConfigured();
+  let shouldUseLLM = USE_LLM && llmAvailable;
   
-  if (allPoints.length === 0) {
-    const scale = metadata.pxToMeters || 0.01; // Default 1px = 0.01m
-    return {
-      walls: [],
-      rooms: [],
-      openings: [],
-      meta: {
-        scale,
-        bounds: {
-          minX: 0,
-          maxX: 0,
-          minY: 0,
-          maxY: 0
-        }
-      }
-    };
+  if (clientUseLLM !== undefined) {
+    shouldUseLLM = clientUseLLM === 'true' && llmAvailable;
+    fastify.log.info('Client requested LLM override', { 
+      requested: clientUseLLM === 'true',
+      available: llmAvailable,
+      willUse: shouldUseLLM 
+    });
+  }
+  
+  if (preferDeterministic) {
+    shouldUseLLM = false;
+    fastify.log.info('Client requested deterministic mode, using heuristic');
   }
 
-  // Find bounding box
-  const xs = allPoints.map(p => p[0]);
-  const ys = allPoints.map(p => p[1]);
-  const minX = Math.min(...xs);
-  const maxX = Math.max(...xs);
-  const minY = Math.min(...ys);
-  const maxY = Math.max(...ys);
-
-  // Calculate scale (pixels to meters)
-  const scale = metadata.pxToMeters || 0.01; // Default 1px = 0.01m
-
-  // Create mock walls from bounding box
-  const wallThickness = 0.2;
-  const walls = [
-    {
-      id: 'wall-1',
-      start: [minX, minY],
-      end: [maxX, minY],
-      thickness: wallThickness,
-      type: 'exterior'
-    },
-    {
-      id: 'wall-2',
-      start: [maxX, minY],
-      end: [maxX, maxY],
-      thickness: wallThickness,
-      type: 'exterior'
-    },
-    {
-      id: 'wall-3',
-      start: [maxX, maxY],
-      end: [minX, maxY],
-      thickness: wallThickness,
-      type: 'exterior'
-    },
-    {
-      id: 'wall-4',
-      start: [minX, maxY],
-      end: [minX, minY],
-      thickness: wallThickness,
-      type: 'exterior'
+  if (!shouldUseLLM) {
+    if (!USE_LLM) {
+      fastify.log.info('LLM disabled via USE_LLM=false, using heuristic');
+    } else if (!llmAvailable) {
+      fastify.log.info(`LLM provider '${llmProvider.name}' not configured, using heuristic fallback`);
+    } else if (preferDeterministic) {
+      fastify.log.info('Using deterministic heuristic as requested');
+    } else if (clientUseLLM === 'false') {
+      fastify.log.info('Client requested heuristic mode');
     }
-  ];
+  }
 
-  // Create mock room from bounding box
-  const roomPolygon = [
-    [minX, minY],
-    [maxX, minY],
-    [maxX, maxY],
-    [minX, maxY]
-  ];
-  const roomArea = calculatePolygonArea(roomPolygon) * (scale * scale); // Convert to m²
-  
-  const rooms = [
-    {
-      id: 'room-1',
-      polygon: roomPolygon,
-      area_m2: roomArea
-    }
-  ];
+  return shouldUseLLM;
+}
 
-  // Create mock opening (door) in the middle of first wall
-  const openings = [
-    {
-      id: 'opening-1',
-      wallId: 'wall-1',
-      type: 'door',
-      position: 0.5 // Middle of the wall
+/**
+ * Clean one polyline set with the LLM (falling back to the heuristic) or the heuristic
+ * @param {Array} polylines - Polylines
+ * @param {Object} metadata - Metadata
+ * @param {boolean} useLLM - Use the LLM (see resolveUseLLM)
+ * @param {string} route - Route label for metrics
+ * @param {Function} onProgress - Progress callback (stage, data), see cleanTopologyWithLLM (optional)
+ * @returns {Promise<{result: Object, llmInfo: Object}>} Topology and LLM info
+ */
+async function cleanTopology(polylines, metadata, useLLM, route, onProgress) {
+  // Use LLM if enabled and API key is available
+  if (useLLM) {
+    const llmResult = await cleanTopologyWithLLM(polylines, metadata, fastify.log, onProgress);
+
+    if (!llmResult.usedLLM) {
+      observeFallback({ route, model: llmProvider.model });
     }
-  ];
 
-  return {
-    walls,
-    rooms,
-    openings,
-    meta: {
-      scale,
-      bounds: {
-        minX,
-        maxX,
-        minY,
-        maxY
+    return {
+      result: llmResult.result,
+      llmInfo: {
+        usedLLM: llmResult.usedLLM,
+        model: llmResult.model,
+        latency: llmResult.latency,
+        tokens: llmResult.tokens,
+        fallbackReason: llmResult.fallbackReason
       }
-    }
+    };
+  }
+
+  // Use deterministic geometric cleaning
+  return {
+    result: deterministicClean(polylines, metadata),
+    llmInfo: { usedLLM: false }
   };
 }
 
+/**
+ * Pick the output schema version of a request (X-Schema-Version header, then schemaVersion field)
+ * Sets the X-Schema-Version response header for supported versions
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ * @returns {{version: string}|{error: string}} Version or error message
+ */
+function resolveSchemaVersion(request, reply) {
+  const negotiated = negotiateSchemaVersion({
+    header: request.headers['x-schema-version'],
+    field: request.body?.schemaVersion
+  });
+  if (negotiated.version) {
+    reply.header('X-Schema-Version', negotiated.version);
+  }
+  return negotiated;
+}
+
+/**
+ * Reply 400 for an unsupported schema version
+ * @param {Object} reply - Fastify reply
+ * @param {string} message - Error message from resolveSchemaVersion
+ * @returns {Object} Reply
+ */
+function sendUnsupportedSchemaVersion(reply, message) {
+  return reply.code(400).send({
+    error: 'Unsupported schema version',
+    message,
+    supported: SCHEMA_VERSIONS
+  });
+}
+
+/**
+ * Map Ajv errors to {path, message, params}
+ * @param {Array} errors - Ajv errors
+ * @returns {Array<{path: string, message: string, params: Object}>} Errors
+ */
+function formatValidationErrors(errors) {
+  return (errors || []).map(err => ({
+    path: err.instancePath || err.schemaPath,
+    message: err.message,
+    params: err.params
+  }));
+}
+
 // Create Fastify instance
 const fastify = Fastify({
   logger: true
@@ -459,7 +543,8 @@ fastify.setErrorHandler((error, request, reply) => {
 fastify.register(cors, {
   origin: process.env.CORS_ORIGIN || true, // Allow all origins by default, or set specific origin
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'X-Use-LLM', 'X-Prefer-Deterministic', 'X-API-Key'],
+  allowedHeaders: ['Content-Type', 'X-Use-LLM', 'X-Prefer-Deterministic', 'X-API-Key', 'X-Schema-Version'],
+  exposedHeaders: ['X-Schema-Version'],
   credentials: true
 });
 
@@ -506,8 +591,10 @@ fastify.get('/health', async (request, reply) => {
     version: process.env.npm_package_version || '1.0.0',
     llm: {
       enabled: USE_LLM,
-      apiKeySet: !!process.env.OPENAI_API_KEY,
-      model: process.env.LLM_MODEL || 'gpt-4o-mini'
+      provider: llmProvider.name,
+      configured: llmProvider.isConfigured(),
+      model: llmProvider.model,
+      configError: llmProvider.configError
     },
     telemetry: {
       requestsLast5Min: metrics.totalRequests,
@@ -519,7 +606,21 @@ fastify.get('/health', async (request, reply) => {
 });
 
 // Metrics endpoint
+// Prometheus scrapes get OpenMetrics text (by Accept header or ?format=openmetrics|prometheus),
+// everything else gets the JSON aggregate used by scripts/check-alerts.js
 fastify.get('/metrics', async (request, reply) => {
+  const format = request.query?.format === 'json'
+    ? null
+    : (['openmetrics', 'prometheus'].includes(request.query?.format)
+      ? request.query.format
+      : negotiateFormat(request.headers.accept));
+
+  if (format) {
+    return reply
+      .type(format === 'openmetrics' ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE)
+      .send(renderMetrics({ format }));
+  }
+
   const windowMs = request.query?.window 
     ? parseInt(request.query.window, 10) * 1000 // Convert seconds to ms
     : null;
@@ -533,10 +634,10 @@ fastify.get('/metrics', async (request, reply) => {
 });
 
 // AI topology cleaning endpoint with rate limiting and optional API key auth
-fastify.post('/api/topology/ai-clean', {
+fastify.post(AI_CLEAN_ROUTE, {
   preHandler: [
     authenticateAPIKey,
-    createRateLimiter({ maxRequestsPerMinute: 10 })
+    createRateLimiter()
   ]
 }, async (request, reply) => {
   const startTime = Date.now();
@@ -553,6 +654,12 @@ fastify.post('/api/topology/ai-clean', {
     bodySize: JSON.stringify(request.body).length
   });
 
+  const { version: schemaVersion, error: schemaVersionError } = resolveSchemaVersion(request, reply);
+  if (schemaVersionError) {
+    return sendUnsupportedSchemaVersion(reply, schemaVersionError);
+  }
+  const validateOutput = outputValidators[schemaVersion];
+
   // Validate input
   const valid = validateRequest(request.body);
   if (!valid) {
@@ -571,7 +678,9 @@ fastify.post('/api/topology/ai-clean', {
       success: false,
       inputSize,
       ip,
-      apiKey
+      apiKey,
+      route: AI_CLEAN_ROUTE,
+      outcome: 'invalid_input'
     });
     
     return reply.code(400).send({
@@ -582,58 +691,9 @@ fastify.post('/api/topology/ai-clean', {
 
   const { polylines, metadata = {} } = request.body;
 
-  // Check client headers for LLM preference
-  const clientUseLLM = request.headers['x-use-llm'];
-  const preferDeterministic = request.headers['x-prefer-deterministic'] === 'true';
-  
-  // Determine if LLM should be used:
-  // 1. Client can override with X-Use-LLM header (if set to 'false', force heuristic)
-  // 2. If X-Prefer-Deterministic is true, use heuristic
-  // 3. Otherwise, use server's USE_LLM setting
-  let shouldUseLLM = USE_LLM && process.env.OPENAI_API_KEY;
-  
-  if (clientUseLLM !== undefined) {
-    shouldUseLLM = clientUseLLM === 'true' && process.env.OPENAI_API_KEY;
-    fastify.log.info('Client requested LLM override', { 
-      requested: clientUseLLM === 'true',
-      available: !!process.env.OPENAI_API_KEY,
-      willUse: shouldUseLLM 
-    });
-  }
-  
-  if (preferDeterministic) {
-    shouldUseLLM = false;
-    fastify.log.info('Client requested deterministic mode, using heuristic');
-  }
-
-  let result;
-  let llmInfo = {};
-
-  // Use LLM if enabled and API key is available
-  if (shouldUseLLM) {
-    const llmResult = await cleanTopologyWithLLM(polylines, metadata, fastify.log);
-    result = llmResult.result;
-    llmInfo = {
-      usedLLM: llmResult.usedLLM,
-      model: llmResult.model,
-      latency: llmResult.latency,
-      tokens: llmResult.tokens,
-      fallbackReason: llmResult.fallbackReason
-    };
-  } else {
-    // Use mock/heuristic cleaning
-    if (!USE_LLM) {
-      fastify.log.info('LLM disabled via USE_LLM=false, using heuristic');
-    } else if (!process.env.OPENAI_API_KEY) {
-      fastify.log.info('OPENAI_API_KEY not set, using heuristic fallback');
-    } else if (preferDeterministic) {
-      fastify.log.info('Using deterministic heuristic as requested');
-    } else if (clientUseLLM === 'false') {
-      fastify.log.info('Client requested heuristic mode');
-    }
-    result = mockClean(polylines, metadata);
-    llmInfo = { usedLLM: false };
-  }
+  const cleaned = await cleanTopology(polylines, metadata, resolveUseLLM(request), AI_CLEAN_ROUTE);
+  const { llmInfo } = cleaned;
+  const result = convertTopology(cleaned.result, PIPELINE_SCHEMA_VERSION, schemaVersion);
 
   // Validate output before returning
   const outputValid = validateOutput(result);
@@ -671,7 +731,9 @@ fastify.post('/api/topology/ai-clean', {
       success: false,
       inputSize,
       ip,
-      apiKey
+      apiKey,
+      route: AI_CLEAN_ROUTE,
+      outcome: 'invalid_output'
     });
     
     return reply.code(500).send({
@@ -693,7 +755,9 @@ fastify.post('/api/topology/ai-clean', {
     success: true,
     inputSize,
     ip,
-    apiKey
+    apiKey,
+    route: AI_CLEAN_ROUTE,
+    outcome: llmInfo.fallbackReason ? 'fallback' : 'success'
   });
 
   // Log request for replay (if enabled)
@@ -711,6 +775,7 @@ fastify.post('/api/topology/ai-clean', {
         timestamp: new Date().toISOString(),
         method: 'POST',
         path: '/api/topology/ai-clean',
+        schemaVersion,
         body: request.body,
         response: {
           statusCode: 200,
@@ -744,6 +809,305 @@ fastify.post('/api/topology/ai-clean', {
   return reply.send(result);
 });
 
+// Streaming variant of the AI cleaning endpoint: progress stages as Server-Sent Events,
+// ending with a 'done' event carrying the geometry (or an 'error' event)
+fastify.post(STREAM_ROUTE, {
+  preHandler: [
+    authenticateAPIKey,
+    createRateLimiter()
+  ]
+}, async (request, reply) => {
+  const startTime = Date.now();
+  const requestId = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  const inputSize = JSON.stringify(request.body).length;
+  const ip = request.ip || request.headers['x-forwarded-for'] || request.socket?.remoteAddress || 'unknown';
+  const apiKey = request.headers['x-api-key'] || request.query?.apiKey || null;
+
+  const { version: schemaVersion, error: schemaVersionError } = resolveSchemaVersion(request, reply);
+  if (schemaVersionError) {
+    return sendUnsupportedSchemaVersion(reply, schemaVersionError);
+  }
+  const validateOutput = outputValidators[schemaVersion];
+
+  // Invalid input is a plain 400, before the stream is opened
+  if (!validateRequest(request.body)) {
+    const errors = formatValidationErrors(validateRequest.errors);
+    fastify.log.warn('Invalid request', { errors });
+    recordMetric({
+      requestId,
+      latency: Date.now() - startTime,
+      success: false,
+      inputSize,
+      ip,
+      apiKey,
+      route: STREAM_ROUTE,
+      outcome: 'invalid_input'
+    });
+    return reply.code(400).send({
+      error: 'Invalid input',
+      details: errors
+    });
+  }
+
+  const { polylines, metadata = {} } = request.body;
+  const stream = openEventStream(reply);
+  stream.send('validated', { requestId, polylineCount: polylines.length });
+
+  try {
+    const cleaned = await cleanTopology(
+      polylines,
+      metadata,
+      resolveUseLLM(request),
+      STREAM_ROUTE,
+      (stage, data) => stream.send(stage, data)
+    );
+    const { llmInfo } = cleaned;
+    const result = convertTopology(cleaned.result, PIPELINE_SCHEMA_VERSION, schemaVersion);
+
+    const outputValid = validateOutput(result);
+    stream.send('validation', { target: 'output', valid: outputValid });
+
+    recordMetric({
+      requestId,
+      model: llmInfo.model,
+      latency: Date.now() - startTime,
+      tokens_in: llmInfo.tokens?.prompt_tokens || null,
+      tokens_out: llmInfo.tokens?.completion_tokens || null,
+      success: outputValid,
+      inputSize,
+      ip,
+      apiKey,
+      route: STREAM_ROUTE,
+      outcome: !outputValid ? 'invalid_output' : llmInfo.fallbackReason ? 'fallback' : 'success'
+    });
+
+    if (!outputValid) {
+      const errors = formatValidationErrors(validateOutput.errors);
+      fastify.log.error('Invalid output generated', { errors, llmInfo });
+      stream.send('error', {
+        error: 'Internal server error: invalid output format',
+        details: errors
+      });
+    } else {
+      fastify.log.info('AI clean stream completed', {
+        requestId,
+        duration: `${Date.now() - startTime}ms`,
+        ...llmInfo
+      });
+      stream.send('done', result);
+    }
+  } catch (error) {
+    fastify.log.error('AI clean stream failed', { requestId, error: error.message });
+    if (process.env.SENTRY_DSN) {
+      Sentry.captureException(error, {
+        tags: {
+          component: 'ai-clean-stream'
+        },
+        extra: {
+          requestId
+        }
+      });
+    }
+    stream.send('error', { error: error.message || 'Internal Server Error' });
+  } finally {
+    stream.close();
+  }
+});
+
+// Batch jobs for polled (async) batches; in Redis when shared, so any instance can answer a poll
+const batchJobs = createBatchJobStore({ ttlMs: BATCH_JOB_TTL_SECONDS * 1000 });
+
+/**
+ * Clean one sheet of a batch
+ * @param {Object} sheet - Sheet ({name, polylines, metadata?})
+ * @param {boolean} useLLM - Use the LLM
+ * @param {Object} client - Client identifiers for telemetry ({ip, apiKey})
+ * @param {string} schemaVersion - Output schema version
+ * @returns {Promise<Object>} Sheet result ({name, status: 'ok', result, ...} or {name, status: 'error', error, details?})
+ */
+async function cleanSheet(sheet, useLLM, client, schemaVersion) {
+  const startTime = Date.now();
+  const requestId = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  const { name, polylines, metadata = {} } = sheet;
+  const telemetry = {
+    requestId,
+    inputSize: JSON.stringify(sheet).length,
+    ip: client.ip,
+    apiKey: client.apiKey,
+    route: BATCH_ROUTE
+  };
+
+  if (!validateRequest({ polylines, metadata })) {
+    const errors = formatValidationErrors(validateRequest.errors);
+    recordMetric({ ...telemetry, latency: Date.now() - startTime, success: false, outcome: 'invalid_input' });
+    return { name, status: 'error', error: 'Invalid input', details: errors };
+  }
+
+  try {
+    const cleaned = await cleanTopology(polylines, metadata, useLLM, BATCH_ROUTE);
+    const { llmInfo } = cleaned;
+    const result = convertTopology(cleaned.result, PIPELINE_SCHEMA_VERSION, schemaVersion);
+    const validateOutput = outputValidators[schemaVersion];
+    const metric = {
+      ...telemetry,
+      model: llmInfo.model,
+      latency: Date.now() - startTime,
+      tokens_in: llmInfo.tokens?.prompt_tokens || null,
+      tokens_out: llmInfo.tokens?.completion_tokens || null
+    };
+
+    if (!validateOutput(result)) {
+      const errors = formatValidationErrors(validateOutput.errors);
+      fastify.log.error('Invalid output generated for batch sheet', { sheet: name, errors, llmInfo });
+      recordMetric({ ...metric, success: false, outcome: 'invalid_output' });
+      return { name, status: 'error', error: 'Internal server error: invalid output format', details: errors };
+    }
+
+    recordMetric({ ...metric, success: true, outcome: llmInfo.fallbackReason ? 'fallback' : 'success' });
+    return {
+      name,
+      status: 'ok',
+      result,
+      usedLLM: llmInfo.usedLLM,
+      model: llmInfo.model,
+      fallbackReason: llmInfo.fallbackReason,
+      latency: Date.now() - startTime
+    };
+  } catch (error) {
+    fastify.log.error('Batch sheet failed', { sheet: name, error: error.message });
+    recordMetric({ ...telemetry, latency: Date.now() - startTime, success: false, outcome: 'error' });
+    return { name, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Get the API key of a request (header or query)
+ * @param {Object} request - Fastify request
+ * @returns {string|null} API key
+ */
+function getRequestAPIKey(request) {
+  return request.headers['x-api-key'] || request.query?.apiKey || null;
+}
+
+/**
+ * Reject a batch request with an unsupported schema version or an invalid envelope
+ * Runs before the rate limiter, so a rejected batch is not charged
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ */
+async function validateBatchInput(request, reply) {
+  const { error: schemaVersionError } = resolveSchemaVersion(request, reply);
+  if (schemaVersionError) {
+    return sendUnsupportedSchemaVersion(reply, schemaVersionError);
+  }
+
+  if (!validateBatchRequest(request.body)) {
+    const errors = formatValidationErrors(validateBatchRequest.errors);
+    fastify.log.warn('Invalid batch request', { errors });
+    return reply.code(400).send({
+      error: 'Invalid input',
+      details: errors
+    });
+  }
+
+  const names = request.body.sheets.map(sheet => sheet.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    return reply.code(400).send({
+      error: 'Invalid input',
+      details: [{ path: '/sheets', message: `Duplicate sheet names: ${[...new Set(duplicates)].join(', ')}` }]
+    });
+  }
+}
+
+// Batch topology cleaning: several named sheets per request, charged one rate limit request per sheet.
+// A batch with more sheets than the per-minute limit runs once the bucket is full and drains it.
+fastify.post(BATCH_ROUTE, {
+  preHandler: [
+    authenticateAPIKey,
+    validateBatchInput,
+    createRateLimiter({
+      cost: request => request.body.sheets.length
+    })
+  ]
+}, async (request, reply) => {
+  const startTime = Date.now();
+  const { version: schemaVersion } = resolveSchemaVersion(request, reply);
+  const { sheets, async: runAsync = false } = request.body;
+  const names = sheets.map(sheet => sheet.name);
+
+  const useLLM = resolveUseLLM(request);
+  const client = {
+    ip: request.ip || request.headers['x-forwarded-for'] || request.socket?.remoteAddress || 'unknown',
+    apiKey: getRequestAPIKey(request)
+  };
+
+  fastify.log.info('Batch clean request received', { sheetCount: sheets.length, async: runAsync, useLLM });
+
+  if (runAsync) {
+    // The owner is stored hashed, like rate limit keys, so API keys never reach Redis
+    const owner = client.apiKey ? hashApiKey(client.apiKey) : null;
+    const job = await batchJobs.create(names, { owner, schemaVersion });
+
+    // Run in the background; clients poll GET /api/topology/ai-clean/batch/:jobId
+    setImmediate(async () => {
+      try {
+        await batchJobs.start(job.jobId);
+        await mapWithConcurrency(sheets, BATCH_CONCURRENCY, async (sheet, index) => {
+          await batchJobs.recordSheet(job.jobId, index, await cleanSheet(sheet, useLLM, client, schemaVersion));
+        });
+        await batchJobs.finish(job.jobId, 'completed');
+        fastify.log.info('Batch job completed', { jobId: job.jobId, duration: `${Date.now() - startTime}ms` });
+      } catch (error) {
+        fastify.log.error('Batch job failed', { jobId: job.jobId, error: error.message });
+        try {
+          await batchJobs.finish(job.jobId, 'failed', error.message);
+        } catch (storeError) {
+          fastify.log.error('Could not mark batch job failed', { jobId: job.jobId, error: storeError.message });
+        }
+      }
+    });
+
+    return reply.code(202).send({
+      jobId: job.jobId,
+      status: job.status,
+      total: job.total,
+      schemaVersion,
+      statusUrl: `${BATCH_ROUTE}/${job.jobId}`
+    });
+  }
+
+  const results = await mapWithConcurrency(sheets, BATCH_CONCURRENCY, sheet => cleanSheet(sheet, useLLM, client, schemaVersion));
+  const summary = summarizeSheets(results);
+
+  fastify.log.info('Batch clean request completed', { duration: `${Date.now() - startTime}ms`, ...summary });
+
+  return reply.send({ schemaVersion, sheets: results, summary });
+});
+
+// Batch job status and results
+fastify.get(`${BATCH_ROUTE}/:jobId`, {
+  preHandler: [authenticateAPIKey]
+}, async (request, reply) => {
+  const job = await batchJobs.get(request.params.jobId);
+
+  // Jobs submitted with an API key are only visible to that key
+  const apiKey = getRequestAPIKey(request);
+  if (!job || (job.meta.owner && (!apiKey || job.meta.owner !== hashApiKey(apiKey)))) {
+    return reply.code(404).send({
+      error: 'Not found',
+      message: `Unknown or expired batch job: ${request.params.jobId}`
+    });
+  }
+
+  reply.header('X-Schema-Version', job.meta.schemaVersion);
+  return reply.send({
+    ...toJobView(job),
+    schemaVersion: job.meta.schemaVersion,
+    summary: job.status === 'completed' ? summarizeSheets(job.sheets) : undefined
+  });
+});
+
 // Start server
 const start = async () => {
   try {
@@ -753,11 +1117,13 @@ const start = async () => {
     await fastify.listen({ port, host });
     fastify.log.info(`Server listening on http://${host}:${port}`);
     fastify.log.info(`Health check: http://${host}:${port}/health`);
-    fastify.log.info(`AI clean endpoint: http://${host}:${port}/api/topology/ai-clean`);
+    fastify.log.info(`AI clean endpoint: http://${host}:${port}${AI_CLEAN_ROUTE}`);
+    fastify.log.info(`Batch endpoint: http://${host}:${port}${BATCH_ROUTE}`);
+    fastify.log.info(`Streaming endpoint: http://${host}:${port}${STREAM_ROUTE}`);
     fastify.log.info(`LLM mode: ${USE_LLM ? 'ENABLED' : 'DISABLED'} (set USE_LLM=true to enable)`);
     if (USE_LLM) {
-      fastify.log.info(`LLM model: ${process.env.LLM_MODEL || 'gpt-4o-mini'}`);
-      fastify.log.info(`OpenAI API key: ${process.env.OPENAI_API_KEY ? 'SET' : 'NOT SET'}`);
+      fastify.log.info(`LLM provider: ${llmProvider.name} (model: ${llmProvider.model})`);
+      fastify.log.info(`LLM provider configured: ${llmProvider.isConfigured() ? 'YES' : 'NO'}`);
     }
   } catch (err) {
     fastify.log.error(err);
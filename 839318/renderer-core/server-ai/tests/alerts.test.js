@@ -0,0 +1,194 @@
+import { createServer } from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_RULES,
+  loadRuleConfig,
+  evaluateRules,
+  createSink,
+  parseSinkList,
+  loadAlertState,
+  saveAlertState,
+  applyCooldown,
+  dispatchAlert
+} from '../lib/alerts.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+const healthy = {
+  totalRequests: 100,
+  successRate: 0.99,
+  avgLatency: 800,
+  p95Latency: 2000,
+  fallbackRate: 0.05,
+  totalTokensIn: 40000,
+  totalTokensOut: 10000,
+  requestsByOutcome: { success: 94, fallback: 5, invalid_input: 1 },
+  errors: 1
+};
+
+console.log('Running alert tests...\n');
+
+await test('loadRuleConfig reads thresholds and "off" disables a rule', async () => {
+  const config = loadRuleConfig({
+    ALERT_SUCCESS_RATE_THRESHOLD: '0.95',
+    ALERT_P95_LATENCY_MS: '3000',
+    ALERT_TOKEN_BUDGET: '100000',
+    ALERT_FALLBACK_RATE_THRESHOLD: 'off',
+    ALERT_ERROR_OUTCOMES: 'error, invalid_output'
+  });
+  assert(config.successRate === 0.95 && config.p95LatencyMs === 3000, 'Thresholds should be parsed');
+  assert(config.tokenBudget === 100000, 'Token budget should be parsed');
+  assert(config.fallbackRate === null, '"off" should disable the rule');
+  assert(config.errorOutcomes.join() === 'error,invalid_output', 'Outcomes should be split');
+  assert(loadRuleConfig({}).tokenBudget === null, 'Token spend is off without a budget');
+  assert(loadRuleConfig({ ALERT_LATENCY_THRESHOLD_MS: '4000' }).p95LatencyMs === 4000, 'Old latency variable still works');
+});
+
+await test('Healthy metrics fire no alerts', async () => {
+  assert(evaluateRules(healthy, { ...DEFAULT_RULES, tokenBudget: 100000 }).length === 0, 'Should not alert');
+});
+
+await test('Each rule fires on its own metric', async () => {
+  const alerts = evaluateRules({
+    ...healthy,
+    successRate: 0.8,
+    p95Latency: 15000,
+    fallbackRate: 0.4,
+    requestsByOutcome: { success: 50, invalid_output: 12, error: 3 }
+  }, { ...DEFAULT_RULES, tokenBudget: 20000 }, 300);
+  const keys = alerts.map(alert => alert.key).sort();
+  assert(keys.join() === 'error-spike:invalid_output,fallback-rate,p95-latency,success-rate,token-spend',
+    `Unexpected alerts ${keys.join()}`);
+  const tokens = alerts.find(alert => alert.rule === 'token-spend');
+  assert(tokens.data.tokens === 50000 && tokens.message.includes('300s'), 'Token spend should sum in and out');
+});
+
+await test('Rate rules wait for enough requests, absolute rules do not', async () => {
+  const alerts = evaluateRules({
+    totalRequests: 5,
+    successRate: 0,
+    p95Latency: 60000,
+    totalTokensIn: 500000,
+    requestsByOutcome: { error: 5 }
+  }, { ...DEFAULT_RULES, tokenBudget: 1000, errorSpikeCount: 5 });
+  const rules = alerts.map(alert => alert.rule).sort();
+  assert(rules.join() === 'error-spike,token-spend', `Unexpected rules ${rules.join()}`);
+});
+
+await test('Cooldown sends once, holds repeats and resets when resolved', async () => {
+  const alert = { key: 'p95-latency', rule: 'p95-latency', message: 'slow', data: {} };
+  const cooldownMs = 30 * 60 * 1000;
+
+  const first = applyCooldown([alert], {}, { cooldownMs, now: 0 });
+  assert(first.send.length === 1, 'New alert should be sent');
+
+  const second = applyCooldown([alert], first.state, { cooldownMs, now: 5 * 60 * 1000 });
+  assert(second.send.length === 0 && second.suppressed.length === 1, 'Repeat within cooldown should be held back');
+
+  const third = applyCooldown([alert], second.state, { cooldownMs, now: cooldownMs + 1 });
+  assert(third.send.length === 1, 'Should send again after the cooldown');
+  assert(third.send[0].data.suppressedSinceLastSend === 1, 'Should report held-back runs');
+  assert(third.state['p95-latency'].firstSeenAt === 0, 'Should keep when the alert started');
+
+  const resolved = applyCooldown([], third.state, { cooldownMs, now: cooldownMs + 2 });
+  assert(Object.keys(resolved.state).length === 0, 'Resolved alerts should leave the state');
+  assert(applyCooldown([alert], resolved.state, { cooldownMs, now: cooldownMs + 3 }).send.length === 1,
+    'An alert that comes back should send at once');
+});
+
+const dir = mkdtempSync(join(tmpdir(), 'alerts-'));
+
+// Local stand-in for webhook receivers
+const received = [];
+let webhookStatus = 200;
+const server = createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    received.push({ url: request.url, body: JSON.parse(body) });
+    response.writeHead(webhookStatus);
+    response.end();
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+const sample = {
+  key: 'fallback-rate',
+  rule: 'fallback-rate',
+  message: 'Fallback rate 40.0% exceeds threshold 25.0%',
+  data: { fallbackRate: 0.4 },
+  timestamp: '2024-01-01T00:00:00.000Z'
+};
+
+try {
+  await test('Alert state survives a save and load', async () => {
+    const statePath = join(dir, 'state', 'alerts.json');
+    assert(Object.keys(loadAlertState(statePath)).length === 0, 'Missing state file is empty');
+    saveAlertState(statePath, { a: { lastSentAt: 1 } });
+    assert(loadAlertState(statePath).a.lastSentAt === 1, 'State should round-trip');
+  });
+
+  await test('File sink appends JSON lines', async () => {
+    const filePath = join(dir, 'logs', 'alerts.log');
+    const sink = createSink('file', { filePath });
+    await sink.send(sample);
+    await sink.send(sample);
+    const lines = readFileSync(filePath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert(lines.length === 2 && lines[0].level === 'ALERT' && lines[0].rule === 'fallback-rate', 'Should log each alert');
+  });
+
+  await test('Webhook and Slack sinks POST JSON', async () => {
+    await createSink('webhook', { webhookUrl: `${baseUrl}/hook` }).send(sample);
+    await createSink('slack', { slackWebhookUrl: `${baseUrl}/slack` }).send(sample);
+
+    const hook = received.find(request => request.url === '/hook');
+    assert(hook.body.key === 'fallback-rate' && hook.body.data.fallbackRate === 0.4, 'Webhook gets the alert');
+    const slack = received.find(request => request.url === '/slack');
+    assert(slack.body.text.includes(sample.message) && Array.isArray(slack.body.blocks), 'Slack gets text and blocks');
+  });
+
+  await test('Sink configuration errors', async () => {
+    assert(parseSinkList(' file, slack ,').join() === 'file,slack', 'Should split sink lists');
+    let message = '';
+    try { createSink('pager'); } catch (error) { message = error.message; }
+    assert(message.includes('Unknown alert sink'), 'Unknown sinks should throw');
+    message = '';
+    try { createSink('webhook', { webhookUrl: '' }); } catch (error) { message = error.message; }
+    assert(message.includes('ALERT_WEBHOOK_URL'), 'Webhook needs a URL');
+  });
+
+  await test('dispatchAlert keeps going when a sink fails', async () => {
+    webhookStatus = 500;
+    const delivered = [];
+    const results = await dispatchAlert(sample, [
+      createSink('webhook', { webhookUrl: `${baseUrl}/hook` }),
+      { name: 'memory', send: alert => { delivered.push(alert); } }
+    ]);
+    assert(!results[0].ok && results[0].error.includes('500'), 'Failed webhook should be reported');
+    assert(results[1].ok && delivered.length === 1, 'Other sinks should still get the alert');
+  });
+} finally {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\nAll tests passed! ✓');
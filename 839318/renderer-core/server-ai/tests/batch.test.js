@@ -0,0 +1,171 @@
+import { mapWithConcurrency, createJobStore, createRedisJobStore, createBatchJobStore, toJobView, summarizeSheets } from '../lib/batch.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log('Running batch tests...\n');
+
+await test('mapWithConcurrency keeps input order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+    await sleep(ms);
+    return `${index}:${ms}`;
+  });
+  assert(results.join(',') === '0:30,1:10,2:20', `Results should follow input order, got ${results.join(',')}`);
+});
+
+await test('mapWithConcurrency bounds calls in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  await mapWithConcurrency(Array.from({ length: 8 }, (_, i) => i), 3, async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(5);
+    inFlight--;
+  });
+  assert(peak === 3, `Should run at most 3 at once, peaked at ${peak}`);
+  assert((await mapWithConcurrency([], 3, async () => 1)).length === 0, 'Empty input gives no results');
+  assert((await mapWithConcurrency([1, 2], 0, async x => x * 2)).join(',') === '2,4', 'Limit is at least 1');
+});
+
+await test('Job store tracks a job from queued to completed', async () => {
+  const store = createJobStore();
+  const job = store.create(['GF', 'L1'], { owner: 'key-1' });
+  assert(job.status === 'queued' && job.total === 2, 'New jobs are queued');
+  assert(job.sheets.every(sheet => sheet.status === 'pending'), 'Sheets start pending');
+
+  store.start(job.jobId);
+  assert(store.get(job.jobId).status === 'running', 'Started jobs are running');
+
+  store.recordSheet(job.jobId, 1, { name: 'L1', status: 'error', error: 'Invalid input' });
+  store.recordSheet(job.jobId, 0, { name: 'GF', status: 'ok', result: {} });
+  store.finish(job.jobId);
+
+  const done = store.get(job.jobId);
+  assert(done.status === 'completed' && done.finishedAt, 'Finished jobs are completed');
+  assert(done.completed === 2 && done.failed === 1, 'Progress should count sheets and failures');
+  assert(done.sheets[0].name === 'GF' && done.sheets[1].name === 'L1', 'Sheets keep submission order');
+  assert(!('meta' in toJobView(done)), 'Public view should hide meta');
+  assert(store.get('missing') === null, 'Unknown jobs should be null');
+  store.close();
+});
+
+await test('Job store expires finished jobs after the TTL', async () => {
+  const store = createJobStore({ ttlMs: 10 });
+  const running = store.create(['a']);
+  const finished = store.create(['b']);
+  store.finish(finished.jobId);
+  await sleep(20);
+  assert(store.get(finished.jobId) === null, 'Finished jobs should expire');
+  assert(store.get(running.jobId) !== null, 'Unfinished jobs should not expire');
+  store.close();
+});
+
+await test('Job store drops the oldest finished jobs when full', async () => {
+  const store = createJobStore({ maxJobs: 2 });
+  const first = store.create(['a']);
+  store.finish(first.jobId);
+  const second = store.create(['b']);
+  store.create(['c']);
+  assert(store.get(first.jobId) === null, 'Oldest finished job should be dropped');
+  assert(store.get(second.jobId) !== null, 'Running jobs should be kept');
+  store.close();
+});
+
+/**
+ * In-memory stand-in for the Redis commands the job store uses (the update script and HGETALL)
+ * @returns {{command: Function, hashes: Map, expiries: Map}} Client
+ */
+function createFakeRedis() {
+  const hashes = new Map();
+  const expiries = new Map();
+  return {
+    hashes,
+    expiries,
+    async command([name, ...args]) {
+      if (name === 'HGETALL') {
+        return [...(hashes.get(args[0]) || new Map())].flat();
+      }
+      const [, , key, ttl, create, ...pairs] = args;
+      if (String(create) === '0' && !hashes.has(key)) return 0;
+      const hash = hashes.get(key) || new Map();
+      for (let i = 0; i < pairs.length; i += 2) hash.set(pairs[i], pairs[i + 1]);
+      hashes.set(key, hash);
+      expiries.set(key, ttl);
+      return 1;
+    }
+  };
+}
+
+await test('Redis job store shares jobs between instances', async () => {
+  const client = createFakeRedis();
+  const instanceA = createRedisJobStore({ client, prefix: 'test:', ttlMs: 1000 });
+  const instanceB = createRedisJobStore({ client, prefix: 'test:', ttlMs: 1000 });
+
+  const job = await instanceA.create(['GF', 'L1', 'L2'], { owner: 'key-1', schemaVersion: 'v2' });
+  assert(client.hashes.has(`test:batch-job:${job.jobId}`), 'Jobs should live under the prefixed key');
+  const queued = await instanceB.get(job.jobId);
+  assert(queued.status === 'queued' && queued.total === 3 && queued.completed === 0, 'Other instances should see a queued job');
+  assert(queued.meta.owner === 'key-1' && queued.meta.schemaVersion === 'v2', 'Meta should be kept');
+
+  await instanceA.start(job.jobId);
+  await Promise.all([
+    instanceA.recordSheet(job.jobId, 2, { name: 'L2', status: 'ok', result: {} }),
+    instanceA.recordSheet(job.jobId, 0, { name: 'GF', status: 'error', error: 'Invalid input' })
+  ]);
+  const running = await instanceB.get(job.jobId);
+  assert(running.status === 'running' && running.completed === 2 && running.failed === 1, 'Progress should count recorded sheets');
+  assert(running.sheets[1].status === 'pending' && running.sheets[2].status === 'ok', 'Unrecorded sheets stay pending, in order');
+
+  await instanceA.finish(job.jobId, 'failed', 'boom');
+  const done = await instanceB.get(job.jobId);
+  assert(done.status === 'failed' && done.error === 'boom' && done.finishedAt, 'Finished jobs keep status and error');
+  assert(client.expiries.get(`test:batch-job:${job.jobId}`) === 1000, 'Finished jobs should expire after ttlMs');
+  assert(!('meta' in toJobView(done)), 'Public view should hide meta');
+});
+
+await test('Redis job store ignores unknown and expired jobs', async () => {
+  const client = createFakeRedis();
+  const store = createRedisJobStore({ client });
+  assert(await store.get('missing') === null, 'Unknown jobs should be null');
+  await store.recordSheet('missing', 0, { name: 'GF', status: 'ok' });
+  assert(client.hashes.size === 0, 'Updates to a missing job should not recreate it');
+});
+
+await test('createBatchJobStore selects the store type', async () => {
+  const memory = createBatchJobStore({ type: 'memory' });
+  assert(memory.get('missing') === null, 'Should create a memory store');
+  memory.close();
+  assert(createBatchJobStore({ type: 'redis', url: 'redis://127.0.0.1:1' }).name === 'redis', 'Should create a Redis store lazily');
+
+  let threw = false;
+  try {
+    createBatchJobStore({ type: 'etcd' });
+  } catch (error) {
+    threw = /Unknown batch job store/.test(error.message);
+  }
+  assert(threw, 'Unknown store types should throw');
+});
+
+await test('summarizeSheets counts successes and failures', async () => {
+  const summary = summarizeSheets([{ status: 'ok' }, { status: 'error' }, { status: 'ok' }]);
+  assert(summary.total === 3 && summary.succeeded === 2 && summary.failed === 1, 'Summary should count sheets');
+});
+
+console.log('\nAll tests passed! ✓');
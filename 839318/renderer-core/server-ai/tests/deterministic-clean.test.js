@@ -0,0 +1,102 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Ajv from 'ajv';
+import { deterministicClean, DEFAULT_SCALE } from '../lib/deterministic-clean.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load output schema
+const schemas = JSON.parse(readFileSync(join(__dirname, '..', 'schemas', 'topology.schema.json'), 'utf-8'));
+const ajv = new Ajv({ allErrors: true });
+const validateOutput = ajv.compile({ ...schemas.outputSchema, definitions: schemas.definitions });
+
+// Test helpers
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+function assertValid(result) {
+  assert(validateOutput(result), `Output should match schema: ${ajv.errorsText(validateOutput.errors)}`);
+}
+
+console.log('Running deterministic clean tests...\n');
+
+// Two rooms: a slightly skewed outline and a partition with a door gap
+const twoRooms = [
+  { points: [[100, 100], [700, 101], [699, 500], [100, 500]], closed: true },
+  { points: [[400, 100], [401, 260]], closed: false },
+  { points: [[400, 340], [400, 500]], closed: false }
+];
+const metadata = { imageSize: [800, 600], pxToMeters: 0.01 };
+
+test('Output matches topology schema', () => {
+  assertValid(deterministicClean(twoRooms, metadata));
+});
+
+test('Extracts snapped walls from the sketch', () => {
+  const { walls } = deterministicClean(twoRooms, metadata);
+  assert(walls.length === 5, `Expected 4 outline walls and 1 partition, got ${walls.length}`);
+  assert(walls.every(w => Math.abs(w.start[0] - w.end[0]) < 1e-6 || Math.abs(w.start[1] - w.end[1]) < 1e-6), 'Walls should be orthogonal');
+  assert(walls.map(w => w.id).join(',') === 'wall-1,wall-2,wall-3,wall-4,wall-5', 'Wall ids should be sequential');
+  assert(walls.every(w => w.thickness === 0.2), 'Thickness should be reported in meters');
+});
+
+test('Classifies outline walls as exterior', () => {
+  const { walls } = deterministicClean(twoRooms, metadata);
+  assert(walls.filter(w => w.type === 'exterior').length === 4, 'Outline walls should be exterior');
+  const partition = walls.find(w => w.type === 'interior');
+  assert(partition && Math.abs(partition.start[0] - 400) < 2, 'Partition should be interior');
+});
+
+test('Turns the partition gap into an opening on a host wall', () => {
+  const { walls, openings } = deterministicClean(twoRooms, metadata);
+  assert(openings.length === 1, `Expected 1 opening, got ${openings.length}`);
+  const host = walls.find(w => w.id === openings[0].wallId);
+  assert(host && host.type === 'interior', 'Opening should sit on the partition');
+  assert(Math.abs(openings[0].position - 0.5) < 0.01, 'Opening should be mid-wall');
+  assert(Math.abs(openings[0].width - 80) < 1, 'Opening width should span the gap');
+});
+
+test('Detects rooms closed across openings, with areas in m²', () => {
+  const { rooms } = deterministicClean(twoRooms, metadata);
+  assert(rooms.length === 2, `Expected 2 rooms, got ${rooms.length}`);
+  assert(rooms.every(r => Math.abs(r.area_m2 - 12) < 0.1), 'Each room should be 3m x 4m');
+});
+
+test('Uses the default scale without pxToMeters', () => {
+  const result = deterministicClean(twoRooms, { imageSize: [800, 600] });
+  assert(result.meta.scale === DEFAULT_SCALE, 'Default scale should apply');
+  assert(result.meta.bounds.minX === 100 && result.meta.bounds.maxY === 500, 'Bounds should cover the input');
+});
+
+test('Is deterministic', () => {
+  const a = JSON.stringify(deterministicClean(twoRooms, metadata));
+  const b = JSON.stringify(deterministicClean(twoRooms, metadata));
+  assert(a === b, 'Same input should give the same output');
+});
+
+test('Handles empty and degenerate input', () => {
+  const empty = deterministicClean([], { imageSize: [10, 10] });
+  assertValid(empty);
+  assert(empty.walls.length === 0 && empty.rooms.length === 0, 'Empty input gives no topology');
+  const noise = deterministicClean([{ points: [[0, 0], [3, 0]] }, { points: [[5, 5], [5, 5]] }], metadata);
+  assertValid(noise);
+  assert(noise.walls.length === 0, 'Short strokes are dropped as noise');
+});
+
+console.log('\nAll tests passed! ✓');
@@ -0,0 +1,199 @@
+import { mkdtempSync, writeFileSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createProvider,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createFixtureProvider,
+  createRecordingProvider,
+  createProviderOrFallback,
+  fixtureKey
+} from '../lib/llm-providers.js';
+import { callLLM } from '../lib/llm.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+async function assertRejects(fn, pattern, message) {
+  try {
+    await fn();
+  } catch (error) {
+    assert(pattern.test(error.message), `${message} (got: ${error.message})`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (no error thrown)`);
+}
+
+// Mock OpenAI client factory that records the request parameters
+function mockClientFactory(calls, content = '{"walls":[]}') {
+  return clientOptions => ({
+    chat: {
+      completions: {
+        create: async params => {
+          calls.push({ clientOptions, params });
+          return {
+            choices: [{ message: { content } }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+          };
+        }
+      }
+    }
+  });
+}
+
+const messages = [
+  { role: 'system', content: 'You clean topology' },
+  { role: 'user', content: 'Clean this' }
+];
+const responseSchema = { type: 'object', required: ['walls'] };
+
+const fixtureDir = mkdtempSync(join(tmpdir(), 'llm-fixtures-'));
+
+console.log('Running LLM provider tests...\n');
+
+try {
+  await asyncTest('OpenAI provider sends no response format by default', async () => {
+    const calls = [];
+    const provider = createOpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o-mini', clientFactory: mockClientFactory(calls) });
+    const response = await provider.complete({ messages, responseSchema });
+
+    assert(response.content === '{"walls":[]}', 'Should return the message content');
+    assert(response.usage.total_tokens === 15, 'Should normalize usage');
+    assert(calls[0].params.model === 'gpt-4o-mini', 'Should use the provider model');
+    assert(!('response_format' in calls[0].params), 'Should not request a response format');
+  });
+
+  await asyncTest('OpenAI provider sends a JSON schema response format when asked', async () => {
+    const calls = [];
+    const provider = createOpenAIProvider({ apiKey: 'test-key', responseFormat: 'json_schema', clientFactory: mockClientFactory(calls) });
+    await provider.complete({ messages, responseSchema });
+
+    assert(calls[0].params.response_format.type === 'json_schema', 'Should request a JSON schema response');
+    assert(calls[0].params.response_format.json_schema.schema === responseSchema, 'Should pass the schema through');
+  });
+
+  await asyncTest('OpenAI provider is not configured without an API key', async () => {
+    const provider = createOpenAIProvider({ apiKey: '' });
+    assert(!provider.isConfigured(), 'Should not be configured');
+    await assertRejects(() => provider.complete({ messages }), /OPENAI_API_KEY/, 'Should mention the API key');
+  });
+
+  await asyncTest('OpenAI-compatible provider uses the base URL and json_object by default', async () => {
+    const calls = [];
+    const provider = createOpenAICompatibleProvider({
+      baseURL: 'http://localhost:11434/v1',
+      model: 'llama3.1',
+      clientFactory: mockClientFactory(calls)
+    });
+    await provider.complete({ messages, responseSchema });
+
+    assert(provider.name === 'openai-compatible', 'Should report its name');
+    assert(provider.isConfigured(), 'Keyless local servers should count as configured');
+    assert(calls[0].clientOptions.baseURL === 'http://localhost:11434/v1', 'Should pass the base URL to the client');
+    assert(calls[0].params.response_format.type === 'json_object', 'Should request a JSON object');
+  });
+
+  await asyncTest('OpenAI-compatible provider requires a base URL', async () => {
+    const saved = process.env.LLM_BASE_URL;
+    delete process.env.LLM_BASE_URL;
+    try {
+      await assertRejects(async () => createOpenAICompatibleProvider(), /LLM_BASE_URL/, 'Should require LLM_BASE_URL');
+    } finally {
+      if (saved !== undefined) process.env.LLM_BASE_URL = saved;
+    }
+  });
+
+  await asyncTest('Recording provider saves fixtures that the fixture provider replays', async () => {
+    const calls = [];
+    const live = createOpenAIProvider({ apiKey: 'test-key', clientFactory: mockClientFactory(calls, '{"walls":[1]}') });
+    const recorder = createRecordingProvider(live, { dir: fixtureDir });
+    await recorder.complete({ messages });
+
+    const files = readdirSync(fixtureDir);
+    assert(files.length === 1 && files[0] === `${fixtureKey(messages)}.json`, 'Should write one fixture named by key');
+    const saved = JSON.parse(readFileSync(join(fixtureDir, files[0]), 'utf-8'));
+    assert(saved.provider === 'openai' && saved.messages.length === 2, 'Fixture should record provider and messages');
+
+    const replay = createFixtureProvider({ dir: fixtureDir });
+    const response = await replay.complete({ messages });
+    assert(response.content === '{"walls":[1]}', 'Should replay the recorded content');
+    assert(response.usage.total_tokens === 15, 'Should replay recorded usage');
+    assert(calls.length === 1, 'Replay should not call the live provider');
+  });
+
+  await asyncTest('Fixture keys ignore extra message fields but not content', async () => {
+    const withName = messages.map(m => ({ ...m, name: 'x' }));
+    assert(fixtureKey(withName) === fixtureKey(messages), 'Extra fields should not change the key');
+    const changed = [messages[0], { role: 'user', content: 'Clean that' }];
+    assert(fixtureKey(changed) !== fixtureKey(messages), 'Content should change the key');
+  });
+
+  await asyncTest('Fixture provider fails without a match, or uses the fallback', async () => {
+    const other = [{ role: 'user', content: 'Unrecorded' }];
+    await assertRejects(() => createFixtureProvider({ dir: fixtureDir }).complete({ messages: other }), /No LLM fixture/, 'Should fail without a fixture');
+
+    writeFileSync(join(fixtureDir, 'default.json'), JSON.stringify({ content: '{"stub":true}' }));
+    const stub = createFixtureProvider({ dir: fixtureDir, fallback: 'default.json' });
+    const response = await stub.complete({ messages: other });
+    assert(response.content === '{"stub":true}' && response.usage === null, 'Should return the fallback');
+  });
+
+  await asyncTest('callLLM uses the given provider and does not retry missing fixtures', async () => {
+    const replay = createFixtureProvider({ dir: fixtureDir });
+    const response = await callLLM(messages, { provider: replay });
+    assert(response.content === '{"walls":[1]}', 'Should return the provider response');
+
+    const start = Date.now();
+    await assertRejects(() => callLLM('Unrecorded prompt', { provider: replay, retryDelay: 500 }), /after 1 attempts/, 'Should fail on the first attempt');
+    assert(Date.now() - start < 500, 'Should not wait for retries');
+  });
+
+  await asyncTest('callLLM rejects unconfigured providers', async () => {
+    const provider = createFixtureProvider({ dir: join(fixtureDir, 'missing') });
+    await assertRejects(() => callLLM(messages, { provider }), /not configured/, 'Should report the provider as unconfigured');
+  });
+
+  await asyncTest('createProvider selects adapters by name', async () => {
+    assert(createProvider({ provider: 'fixture', dir: fixtureDir }).name === 'fixture', 'Should create the fixture provider');
+    assert(createProvider({ provider: 'openai', apiKey: 'k' }).name === 'openai', 'Should create the OpenAI provider');
+    await assertRejects(async () => createProvider({ provider: 'acme' }), /Unknown LLM provider/, 'Should reject unknown providers');
+  });
+
+  await asyncTest('createProviderOrFallback turns configuration errors into an unconfigured provider', async () => {
+    const unknown = createProviderOrFallback({ provider: 'acme' });
+    assert(unknown.name === 'acme' && !unknown.isConfigured(), 'Unknown providers should be unconfigured');
+    assert(/Unknown LLM provider/.test(unknown.configError), 'Should keep the configuration error');
+    await assertRejects(() => callLLM(messages, { provider: unknown }), /not configured/, 'callLLM should refuse it');
+
+    const saved = process.env.LLM_BASE_URL;
+    delete process.env.LLM_BASE_URL;
+    try {
+      const compatible = createProviderOrFallback({ provider: 'openai-compatible' });
+      assert(!compatible.isConfigured() && /LLM_BASE_URL/.test(compatible.configError), 'A missing base URL should be reported');
+    } finally {
+      if (saved !== undefined) process.env.LLM_BASE_URL = saved;
+    }
+
+    assert(!createProviderOrFallback({ provider: 'fixture', dir: fixtureDir }).configError, 'Valid settings should create the provider');
+  });
+} finally {
+  rmSync(fixtureDir, { recursive: true, force: true });
+}
+
+console.log('\nAll tests passed! ✓');
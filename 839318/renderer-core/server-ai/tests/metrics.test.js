@@ -0,0 +1,117 @@
+import {
+  createRegistry,
+  observeRequest,
+  observeFallback,
+  observeRepairAttempt,
+  negotiateFormat,
+  renderMetrics,
+  resetMetrics
+} from '../lib/metrics.js';
+import { recordMetric, clearMetrics, getAggregatedMetrics } from '../lib/telemetry.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+console.log('Running metrics exposition tests...\n');
+
+test('Counters render with _total samples and escaped labels', () => {
+  const registry = createRegistry();
+  const counter = registry.counter('demo_events', 'Demo events', ['kind']);
+  counter.inc({ kind: 'a"b\\c\nd' });
+  counter.inc({ kind: 'plain' }, 2.5);
+
+  const text = registry.render();
+  assert(text.includes('# TYPE demo_events counter\n# HELP demo_events Demo events'), 'OpenMetrics family has no _total suffix');
+  assert(text.includes('demo_events_total{kind="a\\"b\\\\c\\nd"} 1'), 'Label values should be escaped');
+  assert(text.includes('demo_events_total{kind="plain"} 2.5'), 'Counters should accumulate');
+  assert(text.endsWith('# EOF\n'), 'OpenMetrics text should end with # EOF');
+  assert(counter.get({ kind: 'plain' }) === 2.5, 'Counter values should be readable');
+
+  let threw = false;
+  try {
+    counter.inc({ kind: 'plain' }, -1);
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Counters should not decrease');
+});
+
+test('Prometheus text format names counters with _total and has no EOF', () => {
+  const registry = createRegistry();
+  registry.counter('demo_events', 'Demo events').inc();
+  const text = registry.render({ format: 'prometheus' });
+  assert(text.includes('# TYPE demo_events_total counter'), 'TYPE should use the sample name');
+  assert(!text.includes('# EOF'), 'Prometheus text has no EOF marker');
+});
+
+test('Histograms render cumulative buckets, count and sum', () => {
+  const registry = createRegistry();
+  const histogram = registry.histogram('demo_seconds', 'Demo latency', ['route'], [0.1, 1]);
+  histogram.observe({ route: '/x' }, 0.05);
+  histogram.observe({ route: '/x' }, 0.5);
+  histogram.observe({ route: '/x' }, 3);
+
+  const text = registry.render();
+  assert(text.includes('demo_seconds_bucket{route="/x",le="0.1"} 1'), 'First bucket');
+  assert(text.includes('demo_seconds_bucket{route="/x",le="1"} 2'), 'Buckets should be cumulative');
+  assert(text.includes('demo_seconds_bucket{route="/x",le="+Inf"} 3'), '+Inf bucket counts everything');
+  assert(text.includes('demo_seconds_count{route="/x"} 3'), 'Count');
+  assert(text.includes('demo_seconds_sum{route="/x"} 3.55'), 'Sum');
+});
+
+test('Server metrics cover requests, tokens, fallbacks and repairs', () => {
+  resetMetrics();
+  const route = '/api/topology/ai-clean';
+  observeRequest({ route, model: 'gpt-4o-mini', outcome: 'success', latency: 1500, tokensIn: 100, tokensOut: 40 });
+  observeRequest({ route, model: null, outcome: 'invalid_input', latency: 2 });
+  observeFallback({ route, model: 'gpt-4o-mini' });
+  observeRepairAttempt({ route, model: 'gpt-4o-mini', reason: 'schema', outcome: 'failure' });
+
+  const text = renderMetrics();
+  assert(text.includes(`server_ai_requests_total{route="${route}",model="gpt-4o-mini",outcome="success"} 1`), 'Request counter by route, model and outcome');
+  assert(text.includes(`server_ai_requests_total{route="${route}",model="none",outcome="invalid_input"} 1`), 'Requests without a model use model="none"');
+  assert(text.includes(`server_ai_request_duration_seconds_sum{route="${route}",model="gpt-4o-mini",outcome="success"} 1.5`), 'Latency in seconds');
+  assert(text.includes(`server_ai_llm_tokens_total{route="${route}",model="gpt-4o-mini",type="prompt"} 100`), 'Prompt tokens');
+  assert(text.includes(`server_ai_llm_tokens_total{route="${route}",model="gpt-4o-mini",type="completion"} 40`), 'Completion tokens');
+  assert(text.includes(`server_ai_llm_fallbacks_total{route="${route}",model="gpt-4o-mini"} 1`), 'Fallback counter');
+  assert(text.includes(`server_ai_llm_repair_attempts_total{route="${route}",model="gpt-4o-mini",reason="schema",outcome="failure"} 1`), 'Repair counter');
+});
+
+test('Telemetry records feed the Prometheus counters and keep the JSON view', () => {
+  resetMetrics();
+  clearMetrics();
+  recordMetric({ requestId: 'm-1', model: 'gpt-4o-mini', latency: 200, tokens_in: 10, tokens_out: 5, success: true, route: '/r' });
+  recordMetric({ requestId: 'm-2', latency: 5, success: false, route: '/r', outcome: 'invalid_input' });
+
+  const text = renderMetrics();
+  assert(text.includes('server_ai_requests_total{route="/r",model="gpt-4o-mini",outcome="success"} 1'), 'Success should be counted');
+  assert(text.includes('server_ai_requests_total{route="/r",model="none",outcome="invalid_input"} 1'), 'Explicit outcomes should be used');
+
+  const json = getAggregatedMetrics();
+  assert(json.totalRequests === 2 && json.errors === 1, 'JSON aggregate should still work');
+  clearMetrics();
+});
+
+test('Accept header negotiation', () => {
+  assert(negotiateFormat('application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5,*/*;q=0.1') === 'openmetrics', 'Prometheus scrapes get OpenMetrics');
+  assert(negotiateFormat('text/plain;version=0.0.4') === 'prometheus', 'Older scrapers get the text format');
+  assert(negotiateFormat('*/*') === null && negotiateFormat(undefined) === null, 'Other clients get JSON');
+  assert(negotiateFormat('application/json') === null, 'JSON clients get JSON');
+});
+
+console.log('\nAll tests passed! ✓');
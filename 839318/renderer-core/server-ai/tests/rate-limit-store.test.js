@@ -0,0 +1,225 @@
+import net from 'net';
+import { createMemoryStore, createRedisStore, createStore } from '../lib/rate-limit-store.js';
+import { createRedisClient, encodeCommand, parseReply } from '../lib/redis-client.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Start a fake Redis server that answers commands with canned RESP replies
+ * @param {Function} handler - (args) => RESP reply string
+ * @returns {Promise<{url: string, commands: Array, close: Function}>}
+ */
+function startFakeRedis(handler) {
+  const commands = [];
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      try {
+        while ((parsed = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(parsed.offset);
+          commands.push(parsed.value);
+          socket.write(handler(parsed.value));
+        }
+      } catch (error) {
+        // Not RESP (e.g. a TLS handshake)
+        socket.destroy();
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `redis://:secret@127.0.0.1:${server.address().port}/2`,
+        commands,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+console.log('Running rate limit store tests...\n');
+
+await test('Memory store consumes tokens and reports retry time', async () => {
+  const store = createMemoryStore();
+  const limits = { capacity: 2, refillPerSecond: 2 / 60 };
+
+  assert((await store.consume('a', limits)).allowed, 'First request should pass');
+  const second = await store.consume('a', limits);
+  assert(second.allowed && second.remaining === 0, 'Second request should use the last token');
+  const third = await store.consume('a', limits);
+  assert(!third.allowed && third.retryAfterMs > 29000, `Should wait about 30s, got ${third.retryAfterMs}`);
+  assert((await store.consume('b', limits)).allowed, 'Keys should be independent');
+  await store.close();
+});
+
+await test('Memory store charges cost and applies changed limits', async () => {
+  const store = createMemoryStore();
+  assert((await store.consume('c', { capacity: 5, refillPerSecond: 1, cost: 3 })).remaining === 2, 'Cost should be charged');
+  assert((await store.consume('c', { capacity: 1, refillPerSecond: 1 })).allowed, 'Tokens should carry over to a lower limit');
+  assert(store.buckets.get('c').capacity === 1, 'New capacity should apply');
+  await store.close();
+});
+
+await test('Memory store lets a cost above capacity drain a full bucket', async () => {
+  const store = createMemoryStore();
+  const limits = { capacity: 5, refillPerSecond: 1 };
+
+  const large = await store.consume('d', { ...limits, cost: 8 });
+  assert(large.allowed && large.remaining === 0, 'A full bucket should allow a cost above its capacity');
+  const next = await store.consume('d', limits);
+  assert(!next.allowed && next.retryAfterMs > 3900, `Should wait out the debt, got ${next.retryAfterMs}`);
+
+  await store.consume('e', { ...limits, cost: 1 });
+  const partial = await store.consume('e', { ...limits, cost: 8 });
+  assert(!partial.allowed && partial.retryAfterMs > 900, 'A cost above capacity should wait for a full bucket');
+  await store.close();
+});
+
+await test('Memory store quotas count only allowed requests and expire', async () => {
+  const store = createMemoryStore();
+  const quota = { limit: 3, ttlMs: 60000 };
+
+  assert((await store.consumeQuota('q', { ...quota, cost: 2 })).remaining === 1, 'Should count cost');
+  assert(!(await store.consumeQuota('q', { ...quota, cost: 2 })).allowed, 'Should reject over the limit');
+  assert((await store.consumeQuota('q', quota)).used === 3, 'Rejected requests should not count');
+
+  assert((await store.consumeQuota('short', { limit: 1, ttlMs: 1 })).allowed, 'First request should pass');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert((await store.consumeQuota('short', { limit: 1, ttlMs: 1 })).allowed, 'Quota should reset after its window');
+  await store.close();
+});
+
+await test('Redis store runs bucket and quota scripts atomically', async () => {
+  const calls = [];
+  const client = {
+    command: async args => {
+      calls.push(args);
+      return args[3].includes(':bucket:') ? [0, '0.4', 36000] : [1, 7];
+    }
+  };
+  const store = createRedisStore({ client, prefix: 'test:' });
+
+  const bucket = await store.consume('ip:1.2.3.4', { capacity: 10, refillPerSecond: 10 / 60 });
+  assert(calls[0][0] === 'EVAL' && calls[0][3] === 'test:bucket:ip:1.2.3.4', 'Should EVAL the bucket script on the prefixed key');
+  assert(calls[0][4] === 10 && Math.abs(calls[0][5] - 10 / 60000) < 1e-12, 'Should pass capacity and refill per millisecond');
+  assert(calls[0].length === 8 && calls[0][1].includes("redis.call('TIME')"), 'Should take the time from Redis, not the caller');
+  assert(!bucket.allowed && bucket.remaining === 0 && bucket.retryAfterMs === 36000, 'Should map the script reply');
+
+  const quota = await store.consumeQuota('api-key:k:2026-01-01', { limit: 10, ttlMs: 1000 });
+  assert(calls[1][3] === 'test:quota:api-key:k:2026-01-01', 'Should use the quota key');
+  assert(quota.allowed && quota.used === 7 && quota.remaining === 3, 'Should map the quota reply');
+});
+
+await test('createStore selects the store type', async () => {
+  const store = createStore({ type: 'memory' });
+  assert(store.name === 'memory', 'Should create a memory store');
+  await store.close();
+  assert(createStore({ type: 'redis', url: 'redis://127.0.0.1:1' }).name === 'redis', 'Should create a Redis store lazily');
+
+  let threw = false;
+  try {
+    createStore({ type: 'etcd' });
+  } catch (error) {
+    threw = /Unknown rate limit store/.test(error.message);
+  }
+  assert(threw, 'Unknown store types should throw');
+});
+
+await test('RESP commands are encoded and replies parsed', async () => {
+  assert(encodeCommand(['SET', 'k', 'é']) === '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\né\r\n', 'Should encode bulk strings by byte length');
+
+  const reply = Buffer.from('*3\r\n:1\r\n$3\r\n0.5\r\n$-1\r\n');
+  assert(JSON.stringify(parseReply(reply).value) === '[1,"0.5",null]', 'Should parse arrays');
+  assert(parseReply(Buffer.from('$5\r\nhel')) === null, 'Incomplete replies should wait for more data');
+  assert(parseReply(Buffer.from('-ERR wrong\r\n')).value instanceof Error, 'Errors should parse to Error');
+});
+
+await test('Redis client authenticates, selects the database and pipelines commands', async () => {
+  const server = await startFakeRedis(args => {
+    switch (args[0]) {
+      case 'AUTH':
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'INCRBY':
+        return `:${args[2]}\r\n`;
+      case 'QUIT':
+        return '+OK\r\n';
+      default:
+        return '-ERR unknown command\r\n';
+    }
+  });
+
+  const client = createRedisClient({ url: server.url });
+  try {
+    const [a, b] = await Promise.all([client.command(['INCRBY', 'x', 2]), client.command(['INCRBY', 'x', 5])]);
+    assert(a === 2 && b === 5, 'Pipelined replies should match their commands');
+    assert(server.commands[0].join(' ') === 'AUTH secret' && server.commands[1].join(' ') === 'SELECT 2', 'Should AUTH and SELECT first');
+
+    let message = '';
+    try {
+      await client.command(['NOPE']);
+    } catch (error) {
+      message = error.message;
+    }
+    assert(message === 'ERR unknown command', 'Error replies should reject');
+  } finally {
+    await client.quit();
+    await server.close();
+  }
+});
+
+await test('Redis client rejects when the server is unreachable', async () => {
+  const client = createRedisClient({ url: 'redis://127.0.0.1:1', connectTimeout: 500 });
+  let failed = false;
+  try {
+    await client.command(['PING']);
+  } catch (error) {
+    failed = true;
+  }
+  assert(failed, 'Should reject');
+});
+
+await test('Redis client speaks TLS for rediss:// and rejects other schemes', async () => {
+  // A plain TCP server cannot complete the TLS handshake, so nothing (not even AUTH) may reach it
+  const server = await startFakeRedis(() => '+OK\r\n');
+  const client = createRedisClient({ url: server.url.replace('redis://', 'rediss://'), connectTimeout: 1000 });
+  let failed = false;
+  try {
+    await client.command(['PING']);
+  } catch (error) {
+    failed = true;
+  } finally {
+    await server.close();
+  }
+  assert(failed, 'Should fail the handshake');
+  assert(server.commands.length === 0, 'Should not send commands in plain text');
+
+  let threw = false;
+  try {
+    createRedisClient({ url: 'http://127.0.0.1:6379' });
+  } catch (error) {
+    threw = /Unsupported Redis URL scheme/.test(error.message);
+  }
+  assert(threw, 'Unknown schemes should throw');
+});
+
+console.log('\nAll tests passed! ✓');
@@ -1,4 +1,5 @@
-import { createRateLimiter, getRateLimitStatus } from '../lib/rate-limiter.js';
+import { createRateLimiter, getRateLimitStatus, parseKeyLimits, hashApiKey } from '../lib/rate-limiter.js';
+import { createMemoryStore } from '../lib/rate-limit-store.js';
 
 // Test helper functions
 function assert(condition, message) {
@@ -7,9 +8,9 @@ function assert(condition, message) {
   }
 }
 
-function test(name, fn) {
+async function test(name, fn) {
   try {
-    fn();
+    await fn();
     console.log(`✓ ${name}`);
   } catch (error) {
     console.error(`✗ ${name}`);
@@ -54,7 +55,7 @@ function createMockReply() {
 
 console.log('Running rate limiter tests...\n');
 
-test('Rate limiter allows requests within limit', async () => {
+await test('Rate limiter allows requests within limit', async () => {
   const limiter = createRateLimiter({ maxRequestsPerMinute: 10 });
   const request = createMockRequest();
   const reply = createMockReply();
@@ -66,7 +67,7 @@ test('Rate limiter allows requests within limit', async () => {
   }
 });
 
-test('Rate limiter blocks requests over limit', async () => {
+await test('Rate limiter blocks requests over limit', async () => {
   const limiter = createRateLimiter({ maxRequestsPerMinute: 5 });
   const request = createMockRequest();
   
@@ -84,7 +85,7 @@ test('Rate limiter blocks requests over limit', async () => {
   assert(blocked, 'Should block requests over limit');
 });
 
-test('Rate limiter uses IP address as key', async () => {
+await test('Rate limiter uses IP address as key', async () => {
   const limiter = createRateLimiter({ maxRequestsPerMinute: 2 });
   
   const request1 = createMockRequest('192.168.1.1');
@@ -101,7 +102,7 @@ test('Rate limiter uses IP address as key', async () => {
   assert(!reply2.wasSent(), 'IP2 request should be allowed');
 });
 
-test('Rate limiter prefers API key over IP', async () => {
+await test('Rate limiter prefers API key over IP', async () => {
   // Test that API key is used for rate limiting key, not IP
   // We'll verify this by checking that different IPs with same API key share limits
   const limiter = createRateLimiter({ maxRequestsPerMinute: 10 });
@@ -128,9 +129,12 @@ test('Rate limiter prefers API key over IP', async () => {
   const reply3 = createMockReply();
   await limiter(request3, reply3);
   assert(!reply3.wasSent(), 'Request without API key should use IP and have separate limit');
+
+  assert(getRateLimitStatus(`api-key:${hashApiKey('key-123')}`).exists, 'API key buckets should be keyed by the hashed key');
+  assert(!getRateLimitStatus('api-key:key-123').exists, 'Raw API keys should not appear in bucket keys');
 });
 
-test('Rate limiter adds rate limit headers', async () => {
+await test('Rate limiter adds rate limit headers', async () => {
   const limiter = createRateLimiter({ maxRequestsPerMinute: 10 });
   const request = createMockRequest();
   const reply = createMockReply();
@@ -146,7 +150,7 @@ test('Rate limiter adds rate limit headers', async () => {
     `Should include remaining header, got: ${JSON.stringify(headers)}`);
 });
 
-test('Rate limiter can be disabled', async () => {
+await test('Rate limiter can be disabled', async () => {
   const limiter = createRateLimiter({ enabled: false, maxRequestsPerMinute: 1 });
   const request = createMockRequest();
   
@@ -164,5 +168,145 @@ test('Rate limiter can be disabled', async () => {
   assert(allPassed, 'Should allow all requests when disabled');
 });
 
+await test('Rate limiter applies per-key RPM overrides', async () => {
+  const store = createMemoryStore();
+  const limiter = createRateLimiter({
+    maxRequestsPerMinute: 2,
+    store,
+    keyLimits: { 'key-premium': { rpm: 5 } }
+  });
+
+  let premiumAllowed = 0;
+  let defaultAllowed = 0;
+  for (let i = 0; i < 6; i++) {
+    const premiumReply = createMockReply();
+    await limiter(createMockRequest('10.0.0.1', 'key-premium'), premiumReply);
+    if (!premiumReply.wasSent()) premiumAllowed++;
+
+    const defaultReply = createMockReply();
+    await limiter(createMockRequest('10.0.0.1', 'key-basic'), defaultReply);
+    if (!defaultReply.wasSent()) defaultAllowed++;
+  }
+
+  assert(premiumAllowed === 5, `Premium key should get 5 RPM, got ${premiumAllowed}`);
+  assert(defaultAllowed === 2, `Other keys should get the default RPM, got ${defaultAllowed}`);
+  await store.close();
+});
+
+await test('Rate limiter enforces daily quotas per API key', async () => {
+  const store = createMemoryStore();
+  const limiter = createRateLimiter({
+    maxRequestsPerMinute: 100,
+    store,
+    dailyQuota: 3,
+    keyLimits: { 'key-big': { dailyQuota: 10 } }
+  });
+
+  const replies = [];
+  for (let i = 0; i < 4; i++) {
+    const reply = createMockReply();
+    await limiter(createMockRequest('10.0.0.2', 'key-small'), reply);
+    replies.push(reply);
+  }
+
+  assert(replies.slice(0, 3).every(r => !r.wasSent()), 'Requests within the quota should pass');
+  assert(replies[3].getStatus() === 429, 'Requests over the quota should be rejected');
+  assert(replies[2].getHeaders()['X-Quota-Remaining'] === 0, 'Quota headers should count down');
+  assert(replies[3].getHeaders()['Retry-After'] > 0, 'Should retry after the quota resets');
+
+  const bigReply = createMockReply();
+  await limiter(createMockRequest('10.0.0.2', 'key-big'), bigReply);
+  assert(bigReply.getHeaders()['X-Quota-Limit'] === 10, 'Per-key quota should override the default');
+
+  const ipReply = createMockReply();
+  await limiter(createMockRequest('10.0.0.2'), ipReply);
+  assert(ipReply.getHeaders()['X-Quota-Limit'] === undefined, 'Quotas only apply to API keys');
+  await store.close();
+});
+
+await test('Rate limiter instances share limits through the store', async () => {
+  const store = createMemoryStore();
+  const instanceA = createRateLimiter({ maxRequestsPerMinute: 2, store });
+  const instanceB = createRateLimiter({ maxRequestsPerMinute: 2, store });
+  const request = createMockRequest('10.0.0.3');
+
+  await instanceA(request, createMockReply());
+  await instanceB(request, createMockReply());
+  const reply = createMockReply();
+  await instanceA(request, reply);
+  assert(reply.getStatus() === 429, 'Third request across instances should be limited');
+  await store.close();
+});
+
+await test('Rate limiter fails open when the store is unavailable', async () => {
+  const store = {
+    name: 'broken',
+    consume: async () => { throw new Error('connection refused'); },
+    consumeQuota: async () => { throw new Error('connection refused'); }
+  };
+  const limiter = createRateLimiter({ maxRequestsPerMinute: 1, store });
+  const reply = createMockReply();
+  await limiter(createMockRequest('10.0.0.4'), reply);
+  assert(!reply.wasSent(), 'Request should be allowed');
+});
+
+await test('Rate limiter charges a cost per request', async () => {
+  const store = createMemoryStore();
+  const limiter = createRateLimiter({
+    maxRequestsPerMinute: 10,
+    store,
+    cost: request => request.body.sheets.length
+  });
+  const batch = sheets => ({ ...createMockRequest('10.0.0.5'), body: { sheets: new Array(sheets).fill({}) } });
+
+  const first = createMockReply();
+  await limiter(batch(6), first);
+  assert(!first.wasSent() && first.getHeaders()['X-RateLimit-Remaining'] === 4, 'A 6-sheet batch should use 6 requests');
+
+  const second = createMockReply();
+  await limiter(batch(6), second);
+  assert(second.getStatus() === 429, 'The next 6-sheet batch should be limited');
+
+  await store.close();
+});
+
+await test('Rate limiter lets a batch above the limit drain the bucket', async () => {
+  const store = createMemoryStore();
+  const limiter = createRateLimiter({
+    maxRequestsPerMinute: 10,
+    store,
+    cost: request => request.body.sheets.length
+  });
+  const batch = sheets => ({ ...createMockRequest('10.0.0.6'), body: { sheets: new Array(sheets).fill({}) } });
+
+  const large = createMockReply();
+  await limiter(batch(16), large);
+  assert(!large.wasSent() && large.getHeaders()['X-RateLimit-Remaining'] === 0, 'A full bucket should allow a 16-sheet batch');
+
+  const next = createMockReply();
+  await limiter(batch(1), next);
+  assert(next.getStatus() === 429, 'The key should be limited while the bucket is in debt');
+  // 6 requests of debt plus one token, at 10 per minute
+  assert(next.getHeaders()['Retry-After'] === 42, `Retry-After should cover the debt, got ${next.getHeaders()['Retry-After']}`);
+
+  const partial = createMockReply();
+  await limiter({ ...createMockRequest('10.0.0.7'), body: { sheets: new Array(4).fill({}) } }, createMockReply());
+  await limiter({ ...createMockRequest('10.0.0.7'), body: { sheets: new Array(16).fill({}) } }, partial);
+  assert(partial.getStatus() === 429, 'A batch above the limit should wait for a full bucket');
+  await store.close();
+});
+
+await test('Parses per-key limits from JSON', async () => {
+  assert(parseKeyLimits('{"k":{"rpm":60}}').k.rpm === 60, 'Should parse limits');
+  assert(Object.keys(parseKeyLimits('not json')).length === 0, 'Invalid JSON should be ignored');
+  assert(Object.keys(parseKeyLimits(undefined)).length === 0, 'Missing config gives no overrides');
+});
+
+await test('Reports status for in-memory buckets', async () => {
+  const status = getRateLimitStatus('ip:127.0.0.1');
+  assert(status.exists && status.capacity > 0, 'Default store buckets should be visible');
+  assert(!getRateLimitStatus('ip:0.0.0.0').exists, 'Unknown keys should not exist');
+});
+
 console.log('\nAll tests passed! ✓');
 
@@ -0,0 +1,159 @@
+import { createServer } from 'http';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  diffGeometry,
+  collectRequestFiles,
+  expectedPathFor,
+  loadExpected,
+  runRegression
+} from '../lib/regression.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+const baseline = {
+  walls: [
+    { id: 'wall-1', start: [0, 0], end: [100, 0], thickness: 0.2, type: 'exterior' },
+    { id: 'wall-2', start: [100, 0], end: [100, 100], thickness: 0.2, type: 'exterior' }
+  ],
+  rooms: [{ id: 'room-1', polygon: [[0, 0], [100, 0], [100, 100]], area_m2: 0.5 }],
+  openings: [],
+  meta: { scale: 0.01, bounds: { minX: 0, maxX: 100, minY: 0, maxY: 100 } }
+};
+
+console.log('Running regression replay tests...\n');
+
+await test('diffGeometry ignores ids, order, direction and small noise', async () => {
+  const actual = {
+    ...baseline,
+    walls: [
+      { id: 'w-a', start: [100, 100.005], end: [100, 0] },
+      { id: 'w-b', start: [0, 0], end: [100, 0] }
+    ],
+    rooms: [{ id: 'r-a', area_m2: 0.505 }]
+  };
+  const diff = diffGeometry(baseline, actual);
+  assert(diff.match, `Should match, got ${JSON.stringify(diff.differences)}`);
+});
+
+await test('diffGeometry reports moved walls, count changes and room areas', async () => {
+  const actual = {
+    walls: [{ id: 'wall-1', start: [0, 0], end: [100.5, 0] }],
+    rooms: [{ id: 'room-1', area_m2: 0.7 }],
+    openings: [{ id: 'door-1' }]
+  };
+  const diff = diffGeometry(baseline, actual);
+  const paths = diff.differences.map(difference => difference.path);
+  assert(!diff.match, 'Should drift');
+  assert(paths.includes('walls.length'), 'Wall count change should be reported');
+  assert(paths.includes('walls[0]') && paths.includes('walls[1]'), 'Moved and missing walls should be reported');
+  assert(paths.includes('rooms[0].area_m2'), 'Room area change should be reported');
+  assert(paths.includes('openings.length'), 'Opening count change should be reported');
+
+  assert(diffGeometry(baseline, actual, { epsilon: 1, areaTolerance: 0.5 }).differences.length === 3,
+    'Looser tolerances should only leave the count changes and the missing wall');
+});
+
+const dir = mkdtempSync(join(tmpdir(), 'replay-regression-'));
+mkdirSync(join(dir, '2024-01-01'));
+const body = { polylines: [{ points: [[0, 0], [100, 0]] }], metadata: { imageSize: [200, 200] } };
+writeFileSync(join(dir, '2024-01-01', 'request-a.json'), JSON.stringify({
+  requestId: 'a',
+  body,
+  response: { statusCode: 200, body: baseline },
+  llmInfo: { usedLLM: false }
+}));
+writeFileSync(join(dir, '2024-01-01', 'request-b.json'), JSON.stringify({
+  requestId: 'b',
+  body,
+  response: { statusCode: 200, body: {} },
+  llmInfo: { usedLLM: true }
+}));
+writeFileSync(join(dir, 'notes.json'), '{}');
+
+await test('collectRequestFiles finds request logs in day folders', async () => {
+  const files = collectRequestFiles(dir);
+  assert(files.length === 2, `Should find 2 request files, got ${files.length}`);
+  assert(files[0].endsWith('request-a.json'), 'Files should be sorted');
+  assert(collectRequestFiles(join(dir, 'missing')).length === 0, 'Missing directory gives no files');
+});
+
+await test('Expected responses come from files, then deterministic logs', async () => {
+  const file = join(dir, '2024-01-01', 'request-a.json');
+  assert(expectedPathFor(file) === join(dir, '2024-01-01', 'request-a.expected.json'), 'Default is next to the request');
+  assert(expectedPathFor(file, { rootDir: dir, expectedDir: '/baselines' }) === join('/baselines', '2024-01-01', 'request-a.expected.json'),
+    'Expected dir mirrors the log layout');
+
+  const fromLog = loadExpected({ response: { statusCode: 200, body: baseline }, llmInfo: { usedLLM: false } }, '/nonexistent');
+  assert(fromLog.source === 'log', 'Deterministic logs are a baseline');
+  assert(loadExpected({ response: { statusCode: 200, body: {} }, llmInfo: { usedLLM: true } }, '/nonexistent') === null,
+    'LLM responses are not a deterministic baseline');
+});
+
+// Local stand-in for the AI clean endpoint
+let serverResponse = baseline;
+const seenHeaders = [];
+const server = createServer((request, response) => {
+  seenHeaders.push(request.headers);
+  request.resume();
+  request.on('end', () => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(serverResponse));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const endpointUrl = `http://127.0.0.1:${server.address().port}/api/topology/ai-clean`;
+
+try {
+  await test('runRegression replays in deterministic mode and skips requests without a baseline', async () => {
+    const { results, summary } = await runRegression({ files: collectRequestFiles(dir), rootDir: dir, endpointUrl });
+    assert(summary.passed === 1 && summary.skipped === 1, `Unexpected summary ${JSON.stringify(summary)}`);
+    assert(results[0].baseline === 'log', 'Request a is compared against its log');
+    assert(seenHeaders[0]['x-prefer-deterministic'] === 'true' && seenHeaders[0]['x-use-llm'] === 'false',
+      'Replays should ask for the deterministic cleaner');
+  });
+
+  await test('runRegression --update records expected responses, then detects drift', async () => {
+    const files = collectRequestFiles(dir);
+    const updated = await runRegression({ files, rootDir: dir, endpointUrl, update: true });
+    assert(updated.summary.updated === 2, 'Both requests should be recorded');
+    assert(existsSync(join(dir, '2024-01-01', 'request-b.expected.json')), 'Expected file should be written');
+    assert(collectRequestFiles(dir).length === 2, 'Expected files are not replayed as requests');
+
+    serverResponse = { ...baseline, walls: baseline.walls.slice(1) };
+    const drifted = await runRegression({ files, rootDir: dir, endpointUrl });
+    assert(drifted.summary.drifted === 2, `Both requests should drift, got ${JSON.stringify(drifted.summary)}`);
+    assert(drifted.results[0].differences.some(difference => difference.path === 'walls.length'), 'Drift should list the differences');
+  });
+
+  await test('runRegression reports failed requests', async () => {
+    const { summary, results } = await runRegression({
+      files: collectRequestFiles(dir),
+      rootDir: dir,
+      endpointUrl: 'http://127.0.0.1:1/api/topology/ai-clean'
+    });
+    assert(summary.failed === 2 && results[0].error, 'Unreachable server should fail every request');
+  });
+} finally {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\nAll tests passed! ✓');
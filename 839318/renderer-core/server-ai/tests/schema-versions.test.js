@@ -0,0 +1,133 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Ajv from 'ajv';
+import {
+  SCHEMA_VERSIONS,
+  DEFAULT_LEVEL,
+  parseSchemaVersion,
+  negotiateSchemaVersion,
+  convertTopology
+} from '../lib/schema-versions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load schemas
+const loadSchemas = name => JSON.parse(readFileSync(join(__dirname, '..', 'schemas', name), 'utf-8'));
+const schemasV1 = loadSchemas('topology.schema.json');
+const schemasV2 = loadSchemas('topology.v2.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateV1 = ajv.compile({ ...schemasV1.outputSchema, definitions: schemasV1.definitions });
+const validateV2 = ajv.compile({ ...schemasV2.outputSchema, definitions: schemasV2.definitions });
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+console.log('Running schema version tests...\n');
+
+const v1Geometry = {
+  walls: [
+    { id: 'wall-1', start: [0, 0], end: [100, 0], thickness: 0.2, type: 'exterior' },
+    { id: 'wall-2', start: [100, 0], end: [100, 100], thickness: 0.2, type: 'exterior' }
+  ],
+  rooms: [{ id: 'room-1', polygon: [[0, 0], [100, 0], [100, 100]], area_m2: 0.5 }],
+  openings: [
+    { id: 'door-1', type: 'door', wallId: 'wall-1', position: 0.5, width: 0.9 },
+    { id: 'window-1', type: 'window', wallId: 'wall-2', position: 0.5, width: 1.2 }
+  ],
+  meta: { scale: 0.01, bounds: { minX: 0, maxX: 100, minY: 0, maxY: 100 } }
+};
+
+test('parseSchemaVersion accepts v-prefixed, bare and numeric versions', () => {
+  assert(parseSchemaVersion('v2') === 'v2', 'v2');
+  assert(parseSchemaVersion('V1') === 'v1', 'V1');
+  assert(parseSchemaVersion('2') === 'v2', '"2"');
+  assert(parseSchemaVersion(1) === 'v1', '1');
+  assert(parseSchemaVersion('v9') === null, 'Unknown versions are unsupported');
+  assert(parseSchemaVersion('latest') === null, 'Non-versions are unsupported');
+  assert(parseSchemaVersion(undefined) === undefined && parseSchemaVersion('') === undefined, 'Absent is undefined');
+});
+
+test('negotiateSchemaVersion prefers the header and defaults to v1', () => {
+  assert(negotiateSchemaVersion().version === 'v1', 'Default should be v1');
+  assert(negotiateSchemaVersion({ field: 'v2' }).version === 'v2', 'Field is used without a header');
+  assert(negotiateSchemaVersion({ header: 'v1', field: 'v2' }).version === 'v1', 'Header wins over field');
+  assert(negotiateSchemaVersion({ header: '', field: 2 }).version === 'v2', 'Empty header falls back to field');
+
+  const unsupported = negotiateSchemaVersion({ header: 'v3' });
+  assert(unsupported.error && unsupported.error.includes(SCHEMA_VERSIONS.join(', ')), 'Error should list supported versions');
+});
+
+test('v1 -> v2 puts everything on one level and fills opening heights', () => {
+  const v2 = convertTopology(v1Geometry, 'v1', 'v2');
+  assert(v2.schemaVersion === 'v2', 'Should stamp v2');
+  assert(v2.levels.length === 1 && v2.levels[0].id === DEFAULT_LEVEL.id, 'Should add the default level');
+  assert(v2.walls.every(wall => wall.levelId === DEFAULT_LEVEL.id), 'Walls should get the level');
+  assert(v2.rooms.every(room => room.levelId === DEFAULT_LEVEL.id), 'Rooms should get the level');
+  assert(v2.openings[0].sillHeight === 0 && v2.openings[0].height === 2.1, 'Door heights');
+  assert(v2.openings[1].sillHeight === 0.9 && v2.openings[1].height === 1.2, 'Window heights');
+  assert(!('levels' in v1Geometry) && !('levelId' in v1Geometry.walls[0]), 'Input should not be mutated');
+  assert(validateV2(v2), `Should match the v2 schema: ${JSON.stringify(validateV2.errors)}`);
+});
+
+test('v2 -> v1 drops v2 fields and round-trips', () => {
+  const v2 = convertTopology(v1Geometry, 'v1', 'v2');
+  const v1 = convertTopology(v2, 'v2', 'v1');
+  assert(v1.schemaVersion === 'v1', 'Should stamp v1');
+  assert(!('levels' in v1), 'Levels should be dropped');
+  assert(v1.walls.every(wall => !('levelId' in wall)), 'Wall levelId should be dropped');
+  assert(v1.openings.every(opening => !('sillHeight' in opening) && !('height' in opening)), 'Opening heights should be dropped');
+  assert(JSON.stringify({ ...v1, schemaVersion: undefined }) === JSON.stringify(v1Geometry), 'Round trip should restore v1 geometry');
+  assert(validateV1(v1), `Should match the v1 schema: ${JSON.stringify(validateV1.errors)}`);
+});
+
+test('Existing v2 values survive the upgrade', () => {
+  const v2 = convertTopology({
+    ...v1Geometry,
+    walls: [{ ...v1Geometry.walls[0], levelId: 'level-2' }],
+    openings: [{ ...v1Geometry.openings[1], sillHeight: 1.1 }]
+  }, 'v1', 'v2');
+  assert(v2.walls[0].levelId === 'level-2', 'Wall levelId kept');
+  assert(v2.openings[0].sillHeight === 1.1 && v2.openings[0].height === 1.2, 'Sill height kept, height filled');
+});
+
+test('Same-version conversion only stamps the version', () => {
+  const v1 = convertTopology(v1Geometry, 'v1', 'v1');
+  assert(v1.schemaVersion === 'v1' && v1.walls === v1Geometry.walls, 'Should not copy the geometry');
+});
+
+test('convertTopology rejects unknown versions', () => {
+  let threw = false;
+  try {
+    convertTopology(v1Geometry, 'v1', 'v3');
+  } catch (error) {
+    threw = error.message.includes('v3');
+  }
+  assert(threw, 'Should throw for v3');
+});
+
+test('v2 schema requires levels and level ids', () => {
+  const v2 = convertTopology(v1Geometry, 'v1', 'v2');
+  assert(!validateV2({ ...v2, levels: [] }), 'Empty levels should be invalid');
+  assert(!validateV2({ ...v2, walls: [{ ...v1Geometry.walls[0] }] }), 'Walls without levelId should be invalid');
+  assert(!validateV2({ ...v2, schemaVersion: 'v1' }), 'v1 stamp should be invalid');
+});
+
+console.log('\nAll tests passed! ✓');
@@ -0,0 +1,94 @@
+import { EventEmitter } from 'events';
+import { formatEvent, openEventStream, SSE_CONTENT_TYPE, PROGRESS_STAGES } from '../lib/sse.js';
+
+// Test helper functions
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Minimal stand-in for a Fastify reply over a Node response
+ */
+function createFakeReply(headers = {}) {
+  const raw = new EventEmitter();
+  raw.chunks = [];
+  raw.ended = false;
+  raw.writeHead = (status, head) => {
+    raw.status = status;
+    raw.head = head;
+  };
+  raw.write = chunk => raw.chunks.push(chunk);
+  raw.end = () => {
+    raw.ended = true;
+  };
+
+  return {
+    raw,
+    hijacked: false,
+    hijack() {
+      this.hijacked = true;
+    },
+    getHeaders() {
+      return headers;
+    }
+  };
+}
+
+console.log('Running SSE tests...\n');
+
+test('formatEvent writes id, event and one-line JSON data', () => {
+  const text = formatEvent('llm-response', { note: 'a\nb' }, 3);
+  assert(text === 'id: 3\nevent: llm-response\ndata: {"note":"a\\nb"}\n\n', `Unexpected event text: ${JSON.stringify(text)}`);
+  assert(formatEvent('done') === 'event: done\ndata: {}\n\n', 'Events without data or id');
+});
+
+test('Progress stages are listed in order and end with done', () => {
+  assert(PROGRESS_STAGES[0] === 'validated', 'First stage is validated');
+  assert(PROGRESS_STAGES[PROGRESS_STAGES.length - 1] === 'done', 'Last stage is done');
+});
+
+test('openEventStream hijacks the reply and keeps existing headers', () => {
+  const reply = createFakeReply({ 'access-control-allow-origin': '*', 'x-ratelimit-remaining': '9' });
+  const stream = openEventStream(reply);
+
+  assert(reply.hijacked, 'Reply should be hijacked');
+  assert(reply.raw.status === 200, 'Stream opens with 200');
+  assert(reply.raw.head['Content-Type'] === SSE_CONTENT_TYPE, 'Content type is text/event-stream');
+  assert(reply.raw.head['access-control-allow-origin'] === '*', 'CORS headers are kept');
+  assert(reply.raw.head['x-ratelimit-remaining'] === '9', 'Rate limit headers are kept');
+
+  stream.send('validated', { ok: true });
+  stream.send('done', { walls: [] });
+  assert(reply.raw.chunks[0].startsWith('id: 1\nevent: validated'), 'Ids start at 1');
+  assert(reply.raw.chunks[1].startsWith('id: 2\nevent: done'), 'Ids increase');
+
+  stream.close();
+  stream.close();
+  assert(reply.raw.ended && stream.isClosed(), 'Close ends the response once');
+  stream.send('late', {});
+  assert(reply.raw.chunks.length === 2, 'Events after close are dropped');
+});
+
+test('Events are dropped after the client disconnects', () => {
+  const reply = createFakeReply();
+  const stream = openEventStream(reply);
+  reply.raw.emit('close');
+  stream.send('llm-request', {});
+  assert(reply.raw.chunks.length === 0, 'Nothing is written to a closed connection');
+  assert(stream.isClosed(), 'Stream reports closed');
+});
+
+console.log('\nAll tests passed! ✓');
@@ -109,5 +109,24 @@ test('Handle missing optional fields', () => {
   assert(metrics.totalTokensIn === 0, 'Should handle missing tokens');
 });
 
+test('p95 latency and outcome counts', () => {
+  clearMetrics();
+
+  for (let i = 1; i <= 20; i++) {
+    recordMetric({ latency: i * 10, success: true, outcome: i <= 5 ? 'fallback' : 'success' });
+  }
+  recordMetric({ latency: 1000, success: false, outcome: 'invalid_output' });
+
+  const metrics = getAggregatedMetrics();
+  assert(metrics.p95Latency === 200, `Should use the nearest-rank p95, got ${metrics.p95Latency}`);
+  assert(metrics.requestsByOutcome.fallback === 5, 'Should count fallbacks');
+  assert(metrics.requestsByOutcome.invalid_output === 1, 'Should count errors by outcome');
+  assert(metrics.fallbackRate === 5 / 21, 'Should calculate the fallback rate');
+
+  clearMetrics();
+  const empty = getAggregatedMetrics();
+  assert(empty.p95Latency === 0 && empty.fallbackRate === 0, 'Empty window should report zeros');
+});
+
 console.log('\nAll tests passed! ✓');
 
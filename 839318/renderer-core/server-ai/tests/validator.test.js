@@ -1,4 +1,4 @@
-import { validateGeometry, repairGeometry } from '../lib/validator.js';
+import { validateGeometry, repairGeometry, getImageBounds } from '../lib/validator.js';
 
 // Test helper functions
 function assert(condition, message) {
@@ -474,5 +474,141 @@ test('Repair recalculates room area', () => {
   assert(Math.abs(repaired.rooms[0].area_m2 - 80) < 0.1, 'Should recalculate area');
 });
 
+// Repair report tests
+console.log('\nRepair Report Tests:');
+
+const reportMeta = { scale: 0.01 };
+
+function findRepair(repaired, type, id) {
+  return repaired.meta.repairs.find(entry => entry.type === type && entry.id === id);
+}
+
+test('Repair report is empty for clean geometry', () => {
+  const repaired = repairGeometry({
+    walls: [{ id: 'wall-1', start: [0, 0], end: [10, 0], thickness: 0.2, type: 'exterior' }],
+    rooms: [{ id: 'room-1', polygon: [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], area_m2: 100 }],
+    openings: [],
+    meta: reportMeta
+  });
+  assert(Array.isArray(repaired.meta.repairs), 'meta.repairs should be an array');
+  assert(repaired.meta.repairs.length === 0, `Nothing to repair, got ${JSON.stringify(repaired.meta.repairs)}`);
+});
+
+test('Repair reports closing near-closed and open polygons', () => {
+  const repaired = repairGeometry({
+    walls: [],
+    rooms: [
+      { id: 'room-1', polygon: [[0, 0], [10, 0], [10, 10], [0, 10], [0.05, 0.05]], area_m2: 100 },
+      { id: 'room-2', polygon: [[20, 0], [30, 0], [30, 10], [20, 10]], area_m2: 100 }
+    ],
+    openings: [],
+    meta: reportMeta
+  });
+  const nearClosed = findRepair(repaired, 'room-closed', 'room-1');
+  assert(nearClosed && nearClosed.reason === 'near-closed', 'Near-closed polygon should be reported');
+  assert(nearClosed.before.gap > 0 && nearClosed.after.gap === 0, 'Report should include the gap before and after');
+  const closedRoom = repaired.rooms.find(room => room.id === 'room-1');
+  assert(closedRoom.polygon[closedRoom.polygon.length - 1][0] === 0, 'Last point should be snapped to the first');
+
+  const open = findRepair(repaired, 'room-closed', 'room-2');
+  assert(open && open.reason === 'open', 'Open polygon should be reported');
+  assert(repaired.rooms.find(room => room.id === 'room-2').polygon.length === 5, 'Closing point should be added');
+});
+
+test('Repair splits self-intersecting polygons', () => {
+  // Bow tie crossing at (5, 5)
+  const repaired = repairGeometry({
+    walls: [],
+    rooms: [{ id: 'room-1', polygon: [[0, 0], [10, 10], [10, 0], [0, 10], [0, 0]], area_m2: 50 }],
+    openings: [],
+    meta: reportMeta
+  });
+  assert(repaired.rooms.length === 2, `Should split into 2 rooms, got ${repaired.rooms.length}`);
+  assert(repaired.rooms[0].id === 'room-1-1' && repaired.rooms[1].id === 'room-1-2', 'Parts should get derived ids');
+  repaired.rooms.forEach(room => {
+    assert(Math.abs(room.area_m2 - 25) < 1e-9, `Each triangle should have area 25, got ${room.area_m2}`);
+    const first = room.polygon[0];
+    const last = room.polygon[room.polygon.length - 1];
+    assert(first[0] === last[0] && first[1] === last[1], 'Parts should be closed');
+  });
+
+  const split = findRepair(repaired, 'room-split', 'room-1');
+  assert(split && split.after.length === 2, 'Split should be reported with the new rooms');
+  assert(split.before.polygon.length === 5, 'Report should include the original polygon');
+  assert(validateGeometry(repaired).valid, 'Split geometry should validate');
+});
+
+test('Repair clips walls to the image bounds', () => {
+  const repaired = repairGeometry({
+    walls: [
+      { id: 'wall-1', start: [-2, 5], end: [8, 5], thickness: 0.2, type: 'interior' },
+      { id: 'wall-2', start: [20, 20], end: [30, 20], thickness: 0.2, type: 'interior' }
+    ],
+    rooms: [],
+    openings: [],
+    meta: reportMeta
+  }, { clipBounds: getImageBounds([1000, 1000], 0.01) });
+
+  assert(repaired.walls.length === 1, 'Wall outside the image should be removed');
+  assert(repaired.walls[0].start[0] === 0 && repaired.walls[0].end[0] === 8, 'Wall should be clipped at x = 0');
+
+  const clipped = findRepair(repaired, 'wall-clipped', 'wall-1');
+  assert(clipped.before.start[0] === -2 && clipped.after.start[0] === 0, 'Clip report should have before/after points');
+  const removed = findRepair(repaired, 'wall-removed', 'wall-2');
+  assert(removed && removed.reason === 'outside-bounds', 'Removed wall should be reported');
+});
+
+test('Repair removes zero-length and duplicate walls', () => {
+  const repaired = repairGeometry({
+    walls: [
+      { id: 'wall-1', start: [0, 0], end: [10, 0], thickness: 0.2, type: 'exterior' },
+      { id: 'wall-2', start: [10, 0], end: [0, 0], thickness: 0.2, type: 'exterior' },
+      { id: 'wall-3', start: [5, 5], end: [5, 5], thickness: 0.2, type: 'interior' }
+    ],
+    rooms: [],
+    openings: [],
+    meta: reportMeta
+  });
+  assert(repaired.walls.length === 1 && repaired.walls[0].id === 'wall-1', 'Only the first wall should remain');
+  const duplicate = findRepair(repaired, 'wall-removed', 'wall-2');
+  assert(duplicate.reason === 'duplicate' && duplicate.duplicateOf === 'wall-1', 'Duplicate should name the kept wall');
+  assert(findRepair(repaired, 'wall-removed', 'wall-3').reason === 'zero-length', 'Zero-length wall should be reported');
+});
+
+test('Repair re-links openings to the nearest host wall', () => {
+  const repaired = repairGeometry({
+    walls: [
+      { id: 'wall-1', start: [0, 0], end: [10, 0], thickness: 0.2, type: 'exterior' },
+      { id: 'wall-2', start: [10, 0], end: [0, 0], thickness: 0.2, type: 'exterior' },
+      { id: 'wall-3', start: [-10, 10], end: [10, 10], thickness: 0.2, type: 'exterior' }
+    ],
+    rooms: [],
+    openings: [
+      { id: 'door-1', wallId: 'wall-2', type: 'door', position: 0.25 },
+      { id: 'window-1', wallId: 'wall-3', type: 'window', position: 0.75 },
+      { id: 'window-2', wallId: 'wall-3', type: 'window', position: 0.1 }
+    ],
+    meta: reportMeta
+  }, { clipBounds: { minX: 0, maxX: 100, minY: 0, maxY: 100 } });
+
+  const door = repaired.openings.find(opening => opening.id === 'door-1');
+  assert(door.wallId === 'wall-1', 'Door on the removed duplicate should move to the kept wall');
+  assert(Math.abs(door.position - 0.75) < 1e-9, `Position should follow the kept wall direction, got ${door.position}`);
+  const relinked = findRepair(repaired, 'opening-relinked', 'door-1');
+  assert(relinked.before.wallId === 'wall-2' && relinked.after.wallId === 'wall-1', 'Re-link should be reported');
+
+  const window = repaired.openings.find(opening => opening.id === 'window-1');
+  assert(window.wallId === 'wall-3' && Math.abs(window.position - 0.5) < 1e-9, 'Position should be recomputed on the clipped wall');
+
+  assert(!repaired.openings.some(opening => opening.id === 'window-2'), 'Opening on the clipped-off part should be removed');
+  assert(findRepair(repaired, 'opening-removed', 'window-2').reason === 'no-host-wall', 'Removed opening should be reported');
+});
+
+test('getImageBounds converts the image size to geometry units', () => {
+  const bounds = getImageBounds([800, 600], 0.01);
+  assert(bounds.minX === 0 && bounds.maxX === 8 && bounds.maxY === 6, 'Bounds should be scaled');
+  assert(getImageBounds(undefined) === null && getImageBounds([0, 600]) === null, 'Unusable sizes give null');
+});
+
 console.log('\nAll tests passed! ✓');
 
@@ -4,6 +4,8 @@
  * All functions return new Mat objects - caller is responsible for cleanup
  */
 
+import { autoCorrectPerspective, correctPerspective as correctPerspectiveWithCorners } from './opencv-transform.js';
+
 /**
  * Load an image into an OpenCV Mat
  * Supports ImageData, HTMLImageElement, HTMLCanvasElement, or OffscreenCanvas
@@ -306,6 +308,7 @@ export function deskewUsingHough(srcMat, options = {}) {
  * Complete preprocessing pipeline
  * @param {ImageData|HTMLImageElement|HTMLCanvasElement} source - Image source
  * @param {Object} options - Processing options
+ * @param {boolean|Array} options.correctPerspective - Rectify the sheet: true to auto-detect, or four corners (default: false)
  * @returns {cv.Mat} Processed binary Mat
  */
 export function preprocessImage(source, options = {}) {
@@ -314,6 +317,8 @@ export function preprocessImage(source, options = {}) {
     shadowKernelSize = 21,
     adaptiveThreshold: adaptiveThresholdOpt = true,
     adaptiveOptions = {},
+    correctPerspective = false,
+    perspectiveOptions = {},
     deskew = false,
     deskewOptions = {}
   } = options;
@@ -327,6 +332,16 @@ export function preprocessImage(source, options = {}) {
     if (mat !== gray) mat.delete();
     mat = gray;
     
+    // Correct keystone before anything that depends on straight lines
+    // true = detect the sheet automatically, array = known corners
+    if (correctPerspective) {
+      const corrected = Array.isArray(correctPerspective)
+        ? correctPerspectiveWithCorners(mat, correctPerspective, perspectiveOptions)
+        : autoCorrectPerspective(mat, perspectiveOptions).mat;
+      mat.delete();
+      mat = corrected;
+    }
+    
     // Remove shadows if requested
     if (removeShadowsOpt) {
       const noShadow = removeShadows(mat, { kernelSize: shadowKernelSize });
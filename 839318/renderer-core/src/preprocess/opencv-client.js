@@ -11,7 +11,7 @@
  * 
    * const result = await preprocessor.preprocess(imageData, options);
    * // result.imageData - processed ImageData (cleanedBitmap)
-   * // result.metadata - { deskewAngle, bbox: {x, y, width, height}, scale }
+   * // result.metadata - { perspectiveCorners, deskewAngle, bbox: {x, y, width, height}, scale }
  * ```
  */
 
@@ -194,6 +194,59 @@ export class OpenCVPreprocessor {
       }, [imageDataCopy.data.buffer]);
     });
   }
+  /**
+   * Apply a geometric transform in the worker (perspective correction, rotation, scaling)
+   * @param {ImageData} imageData - Input image
+   * @param {Object} transform - { corners: Array|'auto', angle: number, scale: number }
+   * @returns {Promise<ImageData>} Transformed image
+   */
+  async transform(imageData, transform = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.ready) {
+      throw new Error('Worker not ready');
+    }
+
+    if (!imageData || !(imageData instanceof ImageData)) {
+      throw new Error('Invalid ImageData provided');
+    }
+
+    const requestId = ++this.requestIdCounter;
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Transform timeout after ${this.timeout}ms`));
+      }, this.timeout);
+
+      this.pendingRequests.set(requestId, {
+        resolve: (result) => {
+          clearTimeout(timeout);
+          resolve(result.imageData);
+        },
+        reject: (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        }
+      });
+
+      const imageDataCopy = new ImageData(
+        new Uint8ClampedArray(imageData.data),
+        imageData.width,
+        imageData.height
+      );
+
+      this.worker.postMessage({
+        type: 'transform',
+        requestId,
+        imageData: imageDataCopy,
+        options: transform
+      }, [imageDataCopy.data.buffer]);
+    });
+  }
+
 
   /**
    * Check if worker is ready
@@ -1,25 +1,413 @@
 /**
  * OpenCV geometric transformations
  * Handles image rotation, scaling, perspective correction
+ * Worker-safe: uses the global cv from OpenCV.js, no DOM access
+ * Functions accept a cv.Mat or ImageData and return a new object of the same kind - caller is responsible for cleanup
  */
 
-export function transformImage(imageData, transform) {
-  // TODO: Implement transformation logic
-  return imageData;
+import { loadImageToMat, matToImageData } from './opencv-clean.js';
+
+/**
+ * Run a Mat operation on a Mat or ImageData source, returning the same kind
+ * @private
+ */
+function withMat(source, fn) {
+  if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+    const mat = loadImageToMat(source);
+    try {
+      const result = fn(mat);
+      const imageData = matToImageData(result);
+      result.delete();
+      return imageData;
+    } finally {
+      mat.delete();
+    }
+  }
+  return fn(source);
 }
 
-export function rotate(imageData, angle) {
-  // TODO: Implement rotation
-  return imageData;
+/**
+ * White fill for the uncovered border, matching the channel count
+ * @private
+ */
+function borderValue(mat) {
+  return mat.channels() === 1
+    ? new cv.Scalar(255)
+    : new cv.Scalar(255, 255, 255, 255);
 }
 
-export function scale(imageData, factor) {
-  // TODO: Implement scaling
-  return imageData;
+/**
+ * Order four corner points as top-left, top-right, bottom-right, bottom-left
+ * @param {Array<[number, number]|{x: number, y: number}>} corners - Four corner points in any order
+ * @returns {Array<[number, number]>} Ordered corners
+ */
+export function orderCorners(corners) {
+  if (!Array.isArray(corners) || corners.length !== 4) {
+    throw new Error('Exactly four corners are required');
+  }
+  const points = corners.map(p => (Array.isArray(p) ? [p[0], p[1]] : [p.x, p.y]));
+
+  // Sort around the centroid by angle, starting from the top-left-most point
+  const cx = points.reduce((sum, p) => sum + p[0], 0) / 4;
+  const cy = points.reduce((sum, p) => sum + p[1], 0) / 4;
+  const sorted = points
+    .slice()
+    .sort((a, b) => Math.atan2(a[1] - cy, a[0] - cx) - Math.atan2(b[1] - cy, b[0] - cx));
+
+  // Image coordinates (y down): increasing angle is clockwise, so sorted runs TL -> TR -> BR -> BL once rotated
+  let start = 0;
+  let best = Infinity;
+  sorted.forEach((p, index) => {
+    if (p[0] + p[1] < best) {
+      best = p[0] + p[1];
+      start = index;
+    }
+  });
+  return [0, 1, 2, 3].map(k => sorted[(start + k) % 4]);
+}
+
+/**
+ * Output size for a rectified quad (longest opposing edges)
+ * @param {Array<[number, number]>} corners - Ordered corners (TL, TR, BR, BL)
+ * @returns {{width: number, height: number}} Output size in pixels
+ */
+export function getRectifiedSize(corners) {
+  const [tl, tr, br, bl] = corners;
+  const length = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+  return {
+    width: Math.max(1, Math.round(Math.max(length(tl, tr), length(bl, br)))),
+    height: Math.max(1, Math.round(Math.max(length(tl, bl), length(tr, br))))
+  };
+}
+
+/**
+ * Compute the 3x3 homography mapping four source points onto four destination points
+ * Pure JS (Gauss-Jordan elimination), equivalent to cv.getPerspectiveTransform
+ * @param {Array<[number, number]>} src - Four source points
+ * @param {Array<[number, number]>} dst - Four destination points
+ * @returns {number[]} Row-major 3x3 matrix (9 elements, h33 = 1)
+ */
+export function computeHomography(src, dst) {
+  if (src.length !== 4 || dst.length !== 4) {
+    throw new Error('Homography requires four point pairs');
+  }
+
+  // Build 8x9 augmented system A * h = b
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = src[i];
+    const [u, v] = dst[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  for (let col = 0; col < 8; col++) {
+    // Partial pivoting
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) {
+        pivot = r;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) {
+      throw new Error('Degenerate corners: points must not be collinear');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let r = 0; r < 8; r++) {
+      if (r !== col) {
+        const factor = rows[r][col] / rows[col][col];
+        for (let c = col; c < 9; c++) {
+          rows[r][c] -= factor * rows[col][c];
+        }
+      }
+    }
+  }
+
+  const h = rows.map((row, index) => row[8] / row[index]);
+  return [...h, 1];
 }
 
-export function correctPerspective(imageData, corners) {
-  // TODO: Implement perspective correction
-  return imageData;
+/**
+ * Apply a 3x3 homography to a point
+ * @param {number[]} matrix - Row-major 3x3 matrix
+ * @param {[number, number]} point - Point to transform
+ * @returns {[number, number]} Transformed point
+ */
+export function applyHomography(matrix, point) {
+  const [x, y] = point;
+  const w = matrix[6] * x + matrix[7] * y + matrix[8];
+  return [
+    (matrix[0] * x + matrix[1] * y + matrix[2]) / w,
+    (matrix[3] * x + matrix[4] * y + matrix[5]) / w
+  ];
+}
+
+/**
+ * Check that four ordered corners form a convex quad
+ * @private
+ */
+function isConvexQuad(corners) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    const c = corners[(i + 2) % 4];
+    const cross = (b[0] - a[0]) * (c[1] - b[1]) - (b[1] - a[1]) * (c[0] - b[0]);
+    if (Math.abs(cross) < 1e-9) {
+      return false;
+    }
+    if (sign === 0) {
+      sign = Math.sign(cross);
+    } else if (Math.sign(cross) !== sign) {
+      return false;
+    }
+  }
+  return true;
 }
 
+/**
+ * Detect the paper/sheet outline in a photo
+ * Finds the largest convex four-sided contour on an edge map
+ * @param {cv.Mat} srcMat - Source Mat (grayscale, RGB or RGBA)
+ * @param {Object} options - Options object
+ * @param {number} options.minAreaRatio - Minimum quad area as a fraction of the image (default: 0.2)
+ * @param {number} options.epsilonRatio - approxPolyDP epsilon as a fraction of contour perimeter (default: 0.02)
+ * @param {number} options.blurSize - Gaussian blur kernel size before Canny (default: 5)
+ * @returns {Array<[number, number]>|null} Ordered corners (TL, TR, BR, BL), or null if no sheet was found
+ */
+export function detectDocumentQuad(srcMat, options = {}) {
+  const {
+    minAreaRatio = 0.2,
+    epsilonRatio = 0.02,
+    blurSize = 5
+  } = options;
+
+  const gray = new cv.Mat();
+  if (srcMat.channels() === 1) {
+    srcMat.copyTo(gray);
+  } else {
+    cv.cvtColor(srcMat, gray, srcMat.channels() === 4 ? cv.COLOR_RGBA2GRAY : cv.COLOR_RGB2GRAY);
+  }
+
+  const ksize = blurSize % 2 === 0 ? blurSize + 1 : blurSize;
+  const blurred = new cv.Mat();
+  cv.GaussianBlur(gray, blurred, new cv.Size(ksize, ksize), 0);
+
+  // Close small gaps in the sheet edge so it forms a single contour
+  const edges = new cv.Mat();
+  cv.Canny(blurred, edges, 50, 150);
+  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+  cv.dilate(edges, edges, kernel);
+
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  cv.findContours(edges, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+  const minArea = srcMat.cols * srcMat.rows * minAreaRatio;
+  let bestCorners = null;
+  let bestArea = 0;
+
+  for (let i = 0; i < contours.size(); i++) {
+    const contour = contours.get(i);
+    const area = cv.contourArea(contour);
+    if (area >= minArea && area > bestArea) {
+      const approx = new cv.Mat();
+      cv.approxPolyDP(contour, approx, epsilonRatio * cv.arcLength(contour, true), true);
+      if (approx.rows === 4) {
+        const points = [];
+        for (let k = 0; k < 4; k++) {
+          points.push([approx.data32S[k * 2], approx.data32S[k * 2 + 1]]);
+        }
+        const ordered = orderCorners(points);
+        if (isConvexQuad(ordered)) {
+          bestCorners = ordered;
+          bestArea = area;
+        }
+      }
+      approx.delete();
+    }
+    contour.delete();
+  }
+
+  // Cleanup
+  gray.delete();
+  blurred.delete();
+  edges.delete();
+  kernel.delete();
+  contours.delete();
+  hierarchy.delete();
+
+  return bestCorners;
+}
+
+/**
+ * Correct perspective (keystone) distortion using a four-point homography
+ * @param {cv.Mat|ImageData} imageData - Source image
+ * @param {Array<[number, number]|{x: number, y: number}>} corners - Four sheet corners in any order
+ * @param {Object} options - Options object
+ * @param {number} options.width - Output width (default: longest horizontal edge)
+ * @param {number} options.height - Output height (default: longest vertical edge)
+ * @returns {cv.Mat|ImageData} Rectified image
+ */
+export function correctPerspective(imageData, corners, options = {}) {
+  const ordered = orderCorners(corners);
+  if (!isConvexQuad(ordered)) {
+    throw new Error('Corners must form a convex quadrilateral');
+  }
+
+  const size = getRectifiedSize(ordered);
+  const width = options.width || size.width;
+  const height = options.height || size.height;
+
+  return withMat(imageData, (mat) => {
+    const homography = computeHomography(ordered, [
+      [0, 0],
+      [width - 1, 0],
+      [width - 1, height - 1],
+      [0, height - 1]
+    ]);
+    const M = cv.matFromArray(3, 3, cv.CV_64F, homography);
+    const result = new cv.Mat();
+    cv.warpPerspective(
+      mat,
+      result,
+      M,
+      new cv.Size(width, height),
+      cv.INTER_LINEAR,
+      cv.BORDER_CONSTANT,
+      borderValue(mat)
+    );
+
+    M.delete();
+    return result;
+  });
+}
+
+/**
+ * Detect the sheet and correct its perspective in one step
+ * Returns a copy of the input when no sheet is found
+ * @param {cv.Mat} srcMat - Source Mat
+ * @param {Object} options - Options passed to detectDocumentQuad and correctPerspective
+ * @returns {Object} Object with { mat: cv.Mat, corners: Array|null } - corrected Mat and detected corners
+ */
+export function autoCorrectPerspective(srcMat, options = {}) {
+  const corners = detectDocumentQuad(srcMat, options);
+  if (!corners) {
+    const copy = new cv.Mat();
+    srcMat.copyTo(copy);
+    return { mat: copy, corners: null };
+  }
+  return {
+    mat: correctPerspective(srcMat, corners, options),
+    corners
+  };
+}
+
+/**
+ * Rotate image about its centre
+ * @param {cv.Mat|ImageData} imageData - Source image
+ * @param {number} angle - Rotation in degrees (positive is counter-clockwise, as cv.getRotationMatrix2D)
+ * @param {Object} options - Options object
+ * @param {boolean} options.expand - Grow the canvas to fit the rotated image (default: true)
+ * @returns {cv.Mat|ImageData} Rotated image
+ */
+export function rotate(imageData, angle, options = {}) {
+  const { expand = true } = options;
+
+  return withMat(imageData, (mat) => {
+    const result = new cv.Mat();
+    if (!angle || Math.abs(angle % 360) < 1e-9) {
+      mat.copyTo(result);
+      return result;
+    }
+
+    const center = { x: mat.cols / 2, y: mat.rows / 2 };
+    const M = cv.getRotationMatrix2D(center, angle, 1.0);
+    let width = mat.cols;
+    let height = mat.rows;
+
+    if (expand) {
+      const rad = (angle * Math.PI) / 180;
+      const cos = Math.abs(Math.cos(rad));
+      const sin = Math.abs(Math.sin(rad));
+      width = Math.round(mat.rows * sin + mat.cols * cos);
+      height = Math.round(mat.rows * cos + mat.cols * sin);
+      // Shift so the rotated image is centred on the enlarged canvas
+      M.data64F[2] += width / 2 - center.x;
+      M.data64F[5] += height / 2 - center.y;
+    }
+
+    cv.warpAffine(mat, result, M, new cv.Size(width, height), cv.INTER_LINEAR, cv.BORDER_CONSTANT, borderValue(mat));
+    M.delete();
+    return result;
+  });
+}
+
+/**
+ * Scale image by a uniform factor
+ * @param {cv.Mat|ImageData} imageData - Source image
+ * @param {number} factor - Scale factor (> 0)
+ * @returns {cv.Mat|ImageData} Scaled image
+ */
+export function scale(imageData, factor) {
+  if (!(factor > 0)) {
+    throw new Error('Scale factor must be greater than 0');
+  }
+
+  return withMat(imageData, (mat) => {
+    const result = new cv.Mat();
+    if (factor === 1) {
+      mat.copyTo(result);
+      return result;
+    }
+    const width = Math.max(1, Math.round(mat.cols * factor));
+    const height = Math.max(1, Math.round(mat.rows * factor));
+    // INTER_AREA avoids moire when shrinking line drawings
+    const interpolation = factor < 1 ? cv.INTER_AREA : cv.INTER_LINEAR;
+    cv.resize(mat, result, new cv.Size(width, height), 0, 0, interpolation);
+    return result;
+  });
+}
+
+/**
+ * Apply a combined transformation: perspective correction, then rotation, then scaling
+ * @param {cv.Mat|ImageData} imageData - Source image
+ * @param {Object} transform - Transformation description
+ * @param {Array|'auto'} transform.corners - Sheet corners for perspective correction, or 'auto' to detect
+ * @param {number} transform.angle - Rotation in degrees
+ * @param {number} transform.scale - Uniform scale factor
+ * @returns {cv.Mat|ImageData} Transformed image
+ */
+export function transformImage(imageData, transform = {}) {
+  const { corners = null, angle = 0, scale: factor = 1 } = transform;
+
+  return withMat(imageData, (mat) => {
+    let current = mat;
+    const replace = (next) => {
+      if (current !== mat) {
+        current.delete();
+      }
+      current = next;
+    };
+
+    if (corners === 'auto') {
+      replace(autoCorrectPerspective(current, transform).mat);
+    } else if (corners) {
+      replace(correctPerspective(current, corners, transform));
+    }
+    if (angle) {
+      replace(rotate(current, angle, transform));
+    }
+    if (factor !== 1) {
+      replace(scale(current, factor));
+    }
+
+    if (current === mat) {
+      const copy = new cv.Mat();
+      mat.copyTo(copy);
+      return copy;
+    }
+    return current;
+  });
+}
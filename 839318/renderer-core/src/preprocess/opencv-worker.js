@@ -6,17 +6,18 @@
  * 
  * Message format:
  * {
- *   type: 'preprocess' | 'load-opencv',
- *   imageData: ImageData (for preprocess),
+ *   type: 'preprocess' | 'transform' | 'load-opencv',
+ *   imageData: ImageData (for preprocess/transform),
  *   opencvUrl: string (for load-opencv),
- *   options: { ... }
+ *   options: { ... } (for transform: { corners, angle, scale })
  * }
  * 
  * Response format:
  * {
- *   type: 'preprocess-result' | 'ready' | 'error',
+ *   type: 'preprocess-result' | 'transform-result' | 'ready' | 'error',
  *   imageData: ImageData,
  *   metadata: {
+ *     perspectiveCorners: Array<[number, number]> | null,
  *     deskewAngle: number,
  *     bbox: { x, y, width, height }
  *   }
@@ -190,6 +191,8 @@ async function preprocessImageData(imageData, options = {}) {
     doCannyEdge = false,
     cannyThreshold1 = 50,
     cannyThreshold2 = 150,
+    correctPerspective = false,
+    perspectiveOptions = {},
     deskew = true,
     deskewOptions = {}
   } = options;
@@ -214,6 +217,11 @@ async function preprocessImageData(imageData, options = {}) {
     adaptiveThreshold,
     deskewUsingHough
   } = await import('./opencv-clean.js');
+  const {
+    autoCorrectPerspective,
+    correctPerspective: correctPerspectiveWithCorners,
+    orderCorners
+  } = await import('./opencv-transform.js');
 
   // Load image to Mat
   let srcMat = loadImageToMat(imageData);
@@ -226,6 +234,23 @@ async function preprocessImageData(imageData, options = {}) {
     }
     srcMat = grayMat;
 
+    // 1b. Correct perspective (keystone) before thresholding
+    // true = detect the sheet automatically, array = known corners
+    let perspectiveCorners = null;
+    if (correctPerspective) {
+      let correctedMat;
+      if (Array.isArray(correctPerspective)) {
+        perspectiveCorners = orderCorners(correctPerspective);
+        correctedMat = correctPerspectiveWithCorners(srcMat, perspectiveCorners, perspectiveOptions);
+      } else {
+        const perspectiveResult = autoCorrectPerspective(srcMat, perspectiveOptions);
+        perspectiveCorners = perspectiveResult.corners;
+        correctedMat = perspectiveResult.mat;
+      }
+      srcMat.delete();
+      srcMat = correctedMat;
+    }
+
     // 2. Remove shadows using morphological closing
     if (doRemoveShadows) {
       const noShadowMat = removeShadows(srcMat, { kernelSize: shadowKernelSize });
@@ -368,6 +393,7 @@ async function preprocessImageData(imageData, options = {}) {
     return {
       imageData: resultImageData,
       metadata: {
+        perspectiveCorners: perspectiveCorners,
         deskewAngle: deskewAngle,
         bbox: bbox,
         scale: scale
@@ -413,6 +439,28 @@ self.addEventListener('message', async (event) => {
         imageData: result.imageData,
         metadata: result.metadata
       }, [result.imageData.data.buffer]);
+    } else if (type === 'transform') {
+      if (!imageData || !(imageData instanceof ImageData)) {
+        throw new Error('Invalid ImageData provided');
+      }
+
+      // Ensure OpenCV is loaded
+      if (!opencvLoaded) {
+        await waitForOpenCV();
+        opencvLoaded = true;
+      }
+      if (typeof globalThis.cv === 'undefined' && typeof cv !== 'undefined') {
+        globalThis.cv = cv;
+      }
+
+      const { transformImage } = await import('./opencv-transform.js');
+      const resultImageData = transformImage(imageData, options || {});
+
+      self.postMessage({
+        type: 'transform-result',
+        requestId,
+        imageData: resultImageData
+      }, [resultImageData.data.buffer]);
     } else if (type === 'ping') {
       // Health check
       self.postMessage({ type: 'pong', requestId });
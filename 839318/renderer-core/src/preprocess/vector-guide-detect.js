@@ -1,20 +1,697 @@
 /**
  * Vector guide detection
  * Detects grid lines, guides, and reference vectors in images
+ * Works on binary masks (ink dark on light paper) as ImageData - pure JS, worker-safe, no OpenCV required
  */
 
-export function detectVectorGuides(imageData) {
-  // TODO: Implement vector guide detection
-  return [];
+/**
+ * Default detection options
+ */
+const DEFAULT_OPTIONS = {
+  maxAngle: 5,            // Search grid orientation within ±maxAngle degrees
+  angleStep: 0.5,         // Orientation search step in degrees
+  minPitch: 6,            // Minimum grid pitch in pixels
+  maxPitch: 200,          // Maximum grid pitch in pixels
+  minLines: 10,           // Minimum detected lines per axis
+  minLineCoverage: 0.3,   // Fraction of a line's length that must be inked to count as present
+  minLineSpan: 0.9,       // Median fraction of the sheet a line's ink must span, first to last inked pixel
+  minStrokeRatio: 2,      // Other strokes must be at least this many times thicker than the grid lines
+  minCorrelation: 0.2,    // Minimum normalized autocorrelation for a periodic profile
+  minConfidence: 0.5,     // Grids below this confidence are not reported
+  inkThreshold: 128       // Luminance below this is ink
+};
+
+/**
+ * Build an ink mask (1 = ink) from ImageData
+ * @private
+ */
+function toInkMask(imageData, inkThreshold) {
+  const { width, height, data } = imageData;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const idx = i * 4;
+    const luminance = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+    mask[i] = luminance < inkThreshold ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Collect ink pixel coordinates
+ * @private
+ */
+function inkPixels(mask, width, height) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  return { xs, ys };
+}
+
+/**
+ * Projection frame for a grid rotated by angle (degrees)
+ * u runs along the grid's x axis, v along its y axis
+ * @private
+ */
+function makeFrame(angle, width, height) {
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const toU = (x, y) => x * cos + y * sin;
+  const toV = (x, y) => -x * sin + y * cos;
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]];
+  const us = corners.map(([x, y]) => toU(x, y));
+  const vs = corners.map(([x, y]) => toV(x, y));
+  return {
+    angle,
+    cos,
+    sin,
+    toU,
+    toV,
+    toXY: (u, v) => [u * cos - v * sin, u * sin + v * cos],
+    uMin: Math.min(...us),
+    vMin: Math.min(...vs),
+    uBins: Math.ceil(Math.max(...us) - Math.min(...us)) + 1,
+    vBins: Math.ceil(Math.max(...vs) - Math.min(...vs)) + 1
+  };
+}
+
+/**
+ * Project ink pixels onto both grid axes
+ * @private
+ */
+function projectProfiles(pixels, frame) {
+  const uProfile = new Float64Array(frame.uBins);
+  const vProfile = new Float64Array(frame.vBins);
+  for (let i = 0; i < pixels.xs.length; i++) {
+    const x = pixels.xs[i];
+    const y = pixels.ys[i];
+    uProfile[Math.floor(frame.toU(x, y) - frame.uMin)]++;
+    vProfile[Math.floor(frame.toV(x, y) - frame.vMin)]++;
+  }
+  return { uProfile, vProfile };
+}
+
+/**
+ * Extent of ink along each projection bin: last minus first inked position on the line
+ * @private
+ */
+function inkExtents(pixels, frame) {
+  const uLo = new Float64Array(frame.uBins).fill(Infinity);
+  const uHi = new Float64Array(frame.uBins).fill(-Infinity);
+  const vLo = new Float64Array(frame.vBins).fill(Infinity);
+  const vHi = new Float64Array(frame.vBins).fill(-Infinity);
+  for (let i = 0; i < pixels.xs.length; i++) {
+    const u = frame.toU(pixels.xs[i], pixels.ys[i]);
+    const v = frame.toV(pixels.xs[i], pixels.ys[i]);
+    const ub = Math.floor(u - frame.uMin);
+    const vb = Math.floor(v - frame.vMin);
+    uLo[ub] = Math.min(uLo[ub], v);
+    uHi[ub] = Math.max(uHi[ub], v);
+    vLo[vb] = Math.min(vLo[vb], u);
+    vHi[vb] = Math.max(vHi[vb], u);
+  }
+  const extent = (lo, hi) => Float64Array.from(lo, (value, i) => (hi[i] >= value ? hi[i] - value + 1 : 0));
+  return { uExtent: extent(uLo, uHi), vExtent: extent(vLo, vHi) };
+}
+
+/**
+ * Median fraction of the sheet spanned by the ink of each found line
+ * @private
+ */
+function medianLineSpan(positions, extent, span) {
+  const fractions = positions
+    .map(position => {
+      const bin = Math.round(position);
+      // A bin is one pixel wide, so its pixel count is the line's length within the image
+      return span[bin] > 0 ? Math.min(1, extent[bin] / span[bin]) : 0;
+    })
+    .sort((a, b) => a - b);
+  return fractions.length ? fractions[Math.floor(fractions.length / 2)] : 0;
+}
+
+/**
+ * Median stroke width of ink off the grid lines (the shortest run across the stroke
+ * in the grid's axis and diagonal directions), or null if there is too little of it
+ * @private
+ */
+function offGridStrokeWidth(mask, pixels, frame, grid, maxRun) {
+  const { width, height } = grid;
+  const offsetFrom = (value, origin, pitch) => {
+    const d = value - origin;
+    return Math.abs(d - Math.round(d / pitch) * pitch);
+  };
+  const band = grid.lineWidth / 2 + 2;
+  const directions = [
+    [frame.cos, frame.sin],
+    [-frame.sin, frame.cos],
+    [(frame.cos - frame.sin) * Math.SQRT1_2, (frame.sin + frame.cos) * Math.SQRT1_2],
+    [(frame.cos + frame.sin) * Math.SQRT1_2, (frame.sin - frame.cos) * Math.SQRT1_2]
+  ];
+  // Subsample large drawings; a few thousand pixels give a stable median
+  const stride = Math.max(1, Math.floor(pixels.xs.length / 4000));
+  const widths = [];
+  for (let i = 0; i < pixels.xs.length; i += stride) {
+    const x = pixels.xs[i];
+    const y = pixels.ys[i];
+    if (offsetFrom(frame.toU(x, y), grid.originU, grid.pitchX) <= band ||
+      offsetFrom(frame.toV(x, y), grid.originV, grid.pitchY) <= band) {
+      continue;
+    }
+    widths.push(Math.min(...directions.map(([dx, dy]) => runLength(mask, width, height, x, y, dx, dy, maxRun))));
+  }
+  if (widths.length < 20) {
+    return null;
+  }
+  widths.sort((a, b) => a - b);
+  return widths[Math.floor(widths.length / 2)];
+}
+
+/**
+ * Profile sharpness: sum of squares is maximal when lines align with bins
+ * @private
+ */
+function sharpness(profile) {
+  let sum = 0;
+  for (let i = 0; i < profile.length; i++) {
+    sum += profile[i] * profile[i];
+  }
+  return sum;
+}
+
+/**
+ * Number of image pixels falling in each projection bin (line length per bin)
+ * @private
+ */
+function binSpans(frame, width, height) {
+  const uSpan = new Float64Array(frame.uBins);
+  const vSpan = new Float64Array(frame.vBins);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      uSpan[Math.floor(frame.toU(x, y) - frame.uMin)]++;
+      vSpan[Math.floor(frame.toV(x, y) - frame.vMin)]++;
+    }
+  }
+  return { uSpan, vSpan };
+}
+
+/**
+ * Estimate the period of a profile by normalized autocorrelation
+ * Picks the shortest lag whose correlation is close to the strongest peak, so multiples of the pitch are ignored
+ * @private
+ */
+function estimatePitch(profile, minPitch, maxPitch, minCorrelation) {
+  const n = profile.length;
+  const mean = profile.reduce((sum, value) => sum + value, 0) / n;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    variance += (profile[i] - mean) ** 2;
+  }
+  if (variance === 0) {
+    return null;
+  }
+
+  const maxLag = Math.min(maxPitch, Math.floor(n / 3));
+  const corr = new Float64Array(maxLag + 2);
+  for (let lag = minPitch - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) {
+      sum += (profile[i] - mean) * (profile[i + lag] - mean);
+    }
+    corr[lag] = sum / variance;
+  }
+
+  const peaks = [];
+  for (let lag = minPitch; lag <= maxLag; lag++) {
+    if (corr[lag] >= corr[lag - 1] && corr[lag] >= corr[lag + 1] && corr[lag] >= minCorrelation) {
+      peaks.push({ lag, value: corr[lag] });
+    }
+  }
+  if (peaks.length === 0) {
+    return null;
+  }
+
+  const best = Math.max(...peaks.map(p => p.value));
+  const first = peaks.find(p => p.value >= best * 0.7);
+  return { pitch: first.lag, correlation: first.value };
+}
+
+/**
+ * Locate grid lines along one axis and refine pitch/origin by least squares
+ * @private
+ */
+function fitAxis(profile, span, pitch, minLineCoverage) {
+  const n = profile.length;
+  const density = (i) => (span[i] > 0 ? profile[i] / span[i] : 0);
+
+  // Phase with the most ink at pitch spacing
+  let phase = 0;
+  let bestScore = -1;
+  for (let p = 0; p < pitch; p++) {
+    let score = 0;
+    for (let i = p; i < n; i += pitch) {
+      score += profile[i];
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      phase = p;
+    }
+  }
+
+  // Find the actual peak near each expected line position
+  const window = Math.max(1, Math.floor(pitch / 4));
+  const fullSpan = Math.max(...span);
+  const found = [];
+  let expected = 0;
+  for (let k = 0, center = phase; center < n; k++, center = phase + k * pitch) {
+    // Ignore short lines clipped by the image corners
+    if (span[center] < fullSpan * 0.5) {
+      continue;
+    }
+    expected++;
+    let peak = center;
+    for (let i = Math.max(0, center - window); i <= Math.min(n - 1, center + window); i++) {
+      if (profile[i] > profile[peak]) {
+        peak = i;
+      }
+    }
+    if (density(peak) < minLineCoverage) {
+      continue;
+    }
+    // Sub-bin position by centroid of the peak and its neighbours
+    let weight = 0;
+    let weighted = 0;
+    for (let i = Math.max(0, peak - 1); i <= Math.min(n - 1, peak + 1); i++) {
+      weight += profile[i];
+      weighted += profile[i] * i;
+    }
+    found.push({ k, position: weighted / weight });
+  }
+
+  if (found.length < 2) {
+    return null;
+  }
+
+  // Least squares: position = origin + k * pitch
+  const count = found.length;
+  const meanK = found.reduce((sum, f) => sum + f.k, 0) / count;
+  const meanP = found.reduce((sum, f) => sum + f.position, 0) / count;
+  let sxy = 0;
+  let sxx = 0;
+  found.forEach(f => {
+    sxy += (f.k - meanK) * (f.position - meanP);
+    sxx += (f.k - meanK) ** 2;
+  });
+  const fittedPitch = sxx > 0 ? sxy / sxx : pitch;
+  const origin = meanP - fittedPitch * meanK;
+
+  return {
+    pitch: fittedPitch,
+    origin,
+    positions: found.map(f => f.position),
+    presentFraction: expected > 0 ? count / expected : 0
+  };
+}
+
+/**
+ * Clip the grid line u = const (or v = const) to the image rectangle
+ * @private
+ */
+function clipLine(frame, axis, value, width, height) {
+  // Parametrise along the other axis and intersect with the image box
+  const dir = axis === 'vertical' ? [-frame.sin, frame.cos] : [frame.cos, frame.sin];
+  const base = axis === 'vertical' ? frame.toXY(value, 0) : frame.toXY(0, value);
+  let tMin = -Infinity;
+  let tMax = Infinity;
+  [[0, width - 1], [0, height - 1]].forEach(([lo, hi], dim) => {
+    if (Math.abs(dir[dim]) < 1e-12) {
+      if (base[dim] < lo || base[dim] > hi) {
+        tMin = Infinity;
+      }
+      return;
+    }
+    const t1 = (lo - base[dim]) / dir[dim];
+    const t2 = (hi - base[dim]) / dir[dim];
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+  });
+  if (!(tMin < tMax)) {
+    return null;
+  }
+  return {
+    start: [base[0] + dir[0] * tMin, base[1] + dir[1] * tMin],
+    end: [base[0] + dir[0] * tMax, base[1] + dir[1] * tMax]
+  };
+}
+
+/**
+ * Measure ink run length across a line through (x, y) along direction (dx, dy)
+ * @private
+ */
+function runLength(mask, width, height, x, y, dx, dy, maxRun) {
+  const inkAt = (px, py) => {
+    const ix = Math.round(px);
+    const iy = Math.round(py);
+    return ix >= 0 && iy >= 0 && ix < width && iy < height && mask[iy * width + ix] === 1;
+  };
+  // Start from the nearest ink pixel within one step of the line
+  let start = null;
+  for (const s of [0, -1, 1]) {
+    if (inkAt(x + dx * s, y + dy * s)) {
+      start = s;
+      break;
+    }
+  }
+  if (start === null) {
+    return 0;
+  }
+  let run = 1;
+  for (let s = start + 1; s - start < maxRun && inkAt(x + dx * s, y + dy * s); s++) {
+    run++;
+  }
+  for (let s = start - 1; start - s < maxRun && inkAt(x + dx * s, y + dy * s); s--) {
+    run++;
+  }
+  return run;
+}
+
+/**
+ * Detect a regular (squared/graph paper) grid
+ * @param {ImageData} imageData - Binary mask (ink dark on light paper)
+ * @param {Object} options - Detection options (see DEFAULT_OPTIONS)
+ * @returns {Object|null} Grid { angle, pitch, pitchX, pitchY, origin, lineWidth, lines, confidence }, or null if no grid was found
+ */
+export function detectGrid(imageData, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { width, height } = imageData;
+  if (!width || !height || !imageData.data) {
+    throw new Error('ImageData with width, height and data is required');
+  }
+
+  const mask = toInkMask(imageData, opts.inkThreshold);
+  const pixels = inkPixels(mask, width, height);
+  if (pixels.xs.length === 0) {
+    return null;
+  }
+
+  // 1. Orientation: the angle where projected grid lines are sharpest
+  let bestFrame = null;
+  let bestProfiles = null;
+  let bestSharpness = -1;
+  for (let angle = -opts.maxAngle; angle <= opts.maxAngle + 1e-9; angle += opts.angleStep) {
+    const frame = makeFrame(Math.round(angle * 1000) / 1000, width, height);
+    const profiles = projectProfiles(pixels, frame);
+    const score = sharpness(profiles.uProfile) + sharpness(profiles.vProfile);
+    if (score > bestSharpness) {
+      bestSharpness = score;
+      bestFrame = frame;
+      bestProfiles = profiles;
+    }
+  }
+
+  // 2. Pitch per axis
+  const uPitch = estimatePitch(bestProfiles.uProfile, opts.minPitch, opts.maxPitch, opts.minCorrelation);
+  const vPitch = estimatePitch(bestProfiles.vProfile, opts.minPitch, opts.maxPitch, opts.minCorrelation);
+  if (!uPitch || !vPitch) {
+    return null;
+  }
+
+  // 3. Line positions, refined pitch and origin
+  const { uSpan, vSpan } = binSpans(bestFrame, width, height);
+  const uFit = fitAxis(bestProfiles.uProfile, uSpan, uPitch.pitch, opts.minLineCoverage);
+  const vFit = fitAxis(bestProfiles.vProfile, vSpan, vPitch.pitch, opts.minLineCoverage);
+  if (!uFit || !vFit || uFit.positions.length < opts.minLines || vFit.positions.length < opts.minLines) {
+    return null;
+  }
+
+  // Grid lines run across the whole sheet; a drawing's regularly spaced walls stop at the building
+  const { uExtent, vExtent } = inkExtents(pixels, bestFrame);
+  if (medianLineSpan(uFit.positions, uExtent, uSpan) < opts.minLineSpan ||
+    medianLineSpan(vFit.positions, vExtent, vSpan) < opts.minLineSpan) {
+    return null;
+  }
+
+  const pitchX = uFit.pitch;
+  const pitchY = vFit.pitch;
+  // Origin: the grid intersection nearest the image's top-left in grid space
+  const originU = ((uFit.origin % pitchX) + pitchX) % pitchX + bestFrame.uMin;
+  const originV = ((vFit.origin % pitchY) + pitchY) % pitchY + bestFrame.vMin;
+  const alignedU = originU + Math.ceil((bestFrame.uMin - originU) / pitchX) * pitchX;
+  const alignedV = originV + Math.ceil((bestFrame.vMin - originV) / pitchY) * pitchY;
+
+  // 4. Line segments in image space
+  const lines = [];
+  uFit.positions.forEach((position, index) => {
+    const segment = clipLine(bestFrame, 'vertical', position + bestFrame.uMin, width, height);
+    if (segment) {
+      lines.push({ axis: 'vertical', index, offset: position + bestFrame.uMin, ...segment });
+    }
+  });
+  vFit.positions.forEach((position, index) => {
+    const segment = clipLine(bestFrame, 'horizontal', position + bestFrame.vMin, width, height);
+    if (segment) {
+      lines.push({ axis: 'horizontal', index, offset: position + bestFrame.vMin, ...segment });
+    }
+  });
+
+  // 5. Line width and ink coverage, sampled midway between crossings
+  const runs = [];
+  let samples = 0;
+  const maxRun = Math.max(2, Math.floor(Math.min(pitchX, pitchY) / 3));
+  uFit.positions.forEach(position => {
+    const u = position + bestFrame.uMin;
+    for (let v = alignedV + pitchY / 2; v < bestFrame.vMin + bestFrame.vBins; v += pitchY) {
+      const [x, y] = bestFrame.toXY(u, v);
+      if (x < 0 || y < 0 || x >= width || y >= height) continue;
+      samples++;
+      const run = runLength(mask, width, height, x, y, bestFrame.cos, bestFrame.sin, maxRun);
+      if (run > 0 && run < maxRun) runs.push(run);
+    }
+  });
+  vFit.positions.forEach(position => {
+    const v = position + bestFrame.vMin;
+    for (let u = alignedU + pitchX / 2; u < bestFrame.uMin + bestFrame.uBins; u += pitchX) {
+      const [x, y] = bestFrame.toXY(u, v);
+      if (x < 0 || y < 0 || x >= width || y >= height) continue;
+      samples++;
+      const run = runLength(mask, width, height, x, y, -bestFrame.sin, bestFrame.cos, maxRun);
+      if (run > 0 && run < maxRun) runs.push(run);
+    }
+  });
+  runs.sort((a, b) => a - b);
+  const lineWidth = runs.length ? runs[Math.floor(runs.length / 2)] : 1;
+  const sampleCoverage = samples > 0 ? runs.length / samples : 0;
+
+  // Grid lines are printed finer than the pen: ink off the lines drawn as thin as the lines themselves
+  // means the "grid" is the drawing (e.g. a thin-line plan with regular bays)
+  const strokeWidth = offGridStrokeWidth(mask, pixels, bestFrame, {
+    width,
+    height,
+    lineWidth,
+    pitchX,
+    pitchY,
+    originU: alignedU,
+    originV: alignedV
+  }, maxRun);
+  if (strokeWidth !== null && strokeWidth < lineWidth * opts.minStrokeRatio) {
+    return null;
+  }
+
+  const confidence = Math.min(1,
+    0.5 * Math.min(uFit.presentFraction, vFit.presentFraction) + 0.5 * sampleCoverage
+  );
+  if (confidence < opts.minConfidence) {
+    return null;
+  }
+
+  return {
+    angle: bestFrame.angle,
+    pitch: (pitchX + pitchY) / 2,
+    pitchX,
+    pitchY,
+    origin: bestFrame.toXY(alignedU, alignedV),
+    lineWidth,
+    lines,
+    confidence
+  };
+}
+
+/**
+ * Detect grid lines
+ * @param {ImageData} imageData - Binary mask (ink dark on light paper)
+ * @param {Object} options - Detection options
+ * @returns {Array<{axis: string, index: number, offset: number, start: [number, number], end: [number, number]}>} Grid line segments
+ */
+export function detectGridLines(imageData, options = {}) {
+  const grid = detectGrid(imageData, options);
+  return grid ? grid.lines : [];
 }
 
-export function detectGridLines(imageData) {
-  // TODO: Implement grid line detection
-  return [];
+/**
+ * Detect reference points: inked grid intersections
+ * Usable as calibration references with known spacing
+ * @param {ImageData} imageData - Binary mask (ink dark on light paper)
+ * @param {Object} options - Detection options; options.grid reuses an existing detection
+ * @returns {Array<{x: number, y: number, i: number, j: number}>} Intersections with grid indices
+ */
+export function detectReferencePoints(imageData, options = {}) {
+  const grid = options.grid || detectGrid(imageData, options);
+  if (!grid) {
+    return [];
+  }
+  const { width, height } = imageData;
+  const mask = toInkMask(imageData, options.inkThreshold || DEFAULT_OPTIONS.inkThreshold);
+  const vertical = grid.lines.filter(line => line.axis === 'vertical');
+  const horizontal = grid.lines.filter(line => line.axis === 'horizontal');
+  const frame = makeFrame(grid.angle, width, height);
+  const points = [];
+
+  vertical.forEach((vLine, i) => {
+    horizontal.forEach((hLine, j) => {
+      const [x, y] = frame.toXY(vLine.offset, hLine.offset);
+      const ix = Math.round(x);
+      const iy = Math.round(y);
+      if (ix >= 0 && iy >= 0 && ix < width && iy < height && mask[iy * width + ix] === 1) {
+        points.push({ x, y, i, j });
+      }
+    });
+  });
+
+  return points;
+}
+
+/**
+ * Detect all vector guides (currently squared/graph paper grids)
+ * @param {ImageData} imageData - Binary mask (ink dark on light paper)
+ * @param {Object} options - Detection options
+ * @returns {Array<Object>} Guides, each { type: 'grid', ...grid }
+ */
+export function detectVectorGuides(imageData, options = {}) {
+  const grid = detectGrid(imageData, options);
+  return grid ? [{ type: 'grid', ...grid }] : [];
+}
+
+/**
+ * Remove grid lines from a binary mask before vectorization
+ * Ink that continues beyond a grid line (walls crossing or running along it) is kept
+ * @param {ImageData} imageData - Binary mask (ink dark on light paper)
+ * @param {Object} grid - Result of detectGrid()
+ * @param {Object} options - Options
+ * @param {number} options.tolerance - Extra band width around each line in pixels (default: 1)
+ * @returns {ImageData} New mask with grid pixels set to white
+ */
+export function removeGridLines(imageData, grid, options = {}) {
+  const { tolerance = 1, inkThreshold = DEFAULT_OPTIONS.inkThreshold } = options;
+  const { width, height, data } = imageData;
+  const output = new Uint8ClampedArray(data);
+  if (!grid) {
+    return createImageData(output, width, height);
+  }
+
+  const mask = toInkMask(imageData, inkThreshold);
+  const frame = makeFrame(grid.angle, width, height);
+  const originU = frame.toU(grid.origin[0], grid.origin[1]);
+  const originV = frame.toV(grid.origin[0], grid.origin[1]);
+  const halfBand = grid.lineWidth / 2 + tolerance;
+  const probe = Math.ceil(halfBand) + 1;
+
+  const inkAt = (x, y) => {
+    const ix = Math.round(x);
+    const iy = Math.round(y);
+    return ix >= 0 && iy >= 0 && ix < width && iy < height && mask[iy * width + ix] === 1;
+  };
+  // Ink must be unbroken from the pixel out past the band, so nearby parallel walls don't shield the line
+  const continuous = (x, y, dx, dy) => {
+    for (let step = 1; step <= probe; step++) {
+      if (!inkAt(x + dx * step, y + dy * step)) {
+        return false;
+      }
+    }
+    return true;
+  };
+  const offsetFrom = (value, origin, pitch) => {
+    const d = value - origin;
+    return d - Math.round(d / pitch) * pitch;
+  };
+
+  // Unit directions across vertical lines (u), across horizontal lines (v), and diagonals
+  const ux = frame.cos;
+  const uy = frame.sin;
+  const vx = -frame.sin;
+  const vy = frame.cos;
+  const diagonals = [[1, 1], [1, -1], [-1, 1], [-1, -1]].map(([a, b]) => [
+    a * ux + b * vx,
+    a * uy + b * vy
+  ]);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) {
+        continue;
+      }
+      const nearU = Math.abs(offsetFrom(frame.toU(x, y), originU, grid.pitchX)) <= halfBand;
+      const nearV = Math.abs(offsetFrom(frame.toV(x, y), originV, grid.pitchY)) <= halfBand;
+      if (!nearU && !nearV) {
+        continue;
+      }
+
+      const acrossU = continuous(x, y, ux, uy) || continuous(x, y, -ux, -uy);
+      const acrossV = continuous(x, y, vx, vy) || continuous(x, y, -vx, -vy);
+      let keep;
+      if (nearU && nearV) {
+        // Crossing: both lines explain the straight runs, so also require ink off both bands (diagonally)
+        keep = acrossU && acrossV && diagonals.some(([dx, dy]) => continuous(x, y, dx, dy));
+      } else {
+        keep = nearU ? acrossU : acrossV;
+      }
+
+      if (!keep) {
+        const idx = (y * width + x) * 4;
+        output[idx] = 255;
+        output[idx + 1] = 255;
+        output[idx + 2] = 255;
+      }
+    }
+  }
+
+  return createImageData(output, width, height);
 }
 
-export function detectReferencePoints(imageData) {
-  // TODO: Implement reference point detection
-  return [];
+/**
+ * Pixel-to-real-world calibration from a detected grid
+ * @param {Object} grid - Result of detectGrid()
+ * @param {Object} options - Calibration options
+ * @param {number} options.squareSizeMm - Printed grid square size on paper (default: 5)
+ * @param {number} options.drawingScale - Drawing scale denominator, e.g. 100 for 1:100 (default: 100)
+ * @returns {{mmPerPixel: number, pxToMeters: number, squareSizeMm: number, drawingScale: number}|null} Calibration
+ */
+export function calibrateFromGrid(grid, options = {}) {
+  const { squareSizeMm = 5, drawingScale = 100 } = options;
+  if (!grid || !(grid.pitch > 0)) {
+    return null;
+  }
+  const mmPerPixel = (squareSizeMm * drawingScale) / grid.pitch;
+  return {
+    mmPerPixel,
+    pxToMeters: mmPerPixel / 1000,
+    squareSizeMm,
+    drawingScale
+  };
 }
 
+/**
+ * Create ImageData in browsers/workers, or a plain equivalent in Node
+ * @private
+ */
+function createImageData(data, width, height) {
+  if (typeof ImageData !== 'undefined') {
+    return new ImageData(data, width, height);
+  }
+  return { data, width, height };
+}
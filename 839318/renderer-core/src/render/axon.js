@@ -8,7 +8,9 @@ import { transformPoint } from '../utils/matrix.js';
 import { lineLength } from '../utils/geom.js';
 import { getStylePreset, getRoughOptions, getPaperStyle, AXON_CONFIG } from './style.js';
 import { renderDebugLayers } from './debug-layers.js';
-import { extrudeWalls, projectAndSortFaces, projectAndSortEdges, project3DToAxon } from './wall-extrusion.js';
+import { extrudeWalls, extrudeSlab, projectAndSortFaces, projectAndSortEdges, project3DToAxon } from './wall-extrusion.js';
+import { stackLevels } from '../topology/building-model.js';
+import { generateRoof } from './roof.js';
 
 /**
  * Check if geometry meets quality thresholds
@@ -295,6 +297,10 @@ function project3DGeometryTo2D(geometry3D, axonMatrix = null, scale = 1.0) {
  * @param {boolean} options.debug.showPlanOverlay - Show 2D plan overlay (red, dashed) - non-optional debug mode
  * @param {boolean} options.debug.showAxonOverlay - Show axon overlay (black) - non-optional debug mode
  * @param {Object} options.debugData - Debug geometry data (rawPolylines, simplifiedPolylines, topologyWalls, aiWalls, planWalls, axonWalls)
+ * @param {boolean} options.useExtrusion - Extrude walls to 3D edges (default: false)
+ * @param {Array<{wallId: string, type: string, position: number, width?: number, sillHeight?: number, headHeight?: number}>} options.openings - Doors and windows cut as voids when extruding (default: [])
+ * @param {Array<{polygon: [number, number][], bottom: number, top: number}>} options.slabs - Floor slabs extruded alongside the walls (default: [])
+ * @param {{edges: Array<Object>, faces: Array<Object>}} options.roof - Roof geometry from generateRoof() (default: null)
  * @param {Object} rough - Rough.js instance
  * @returns {Object} Object with { svg: string, bounds: Object, project: Object, matrix: number[] }
  */
@@ -319,6 +325,9 @@ export function renderAxon(walls, options = {}, rough) {
     useExtrusion = false,
     wallHeight = AXON_CONFIG.wallHeight,          // Use shared config (2700)
     defaultWallThickness = AXON_CONFIG.defaultWallThickness, // Use shared config (300)
+    openings = [],                                // Doors/windows cut from extruded walls (by wallId)
+    slabs = [],                                   // Floor slabs {polygon, bottom, top} drawn with extruded walls
+    roof = null,                                  // Roof from generateRoof() drawn with extruded walls
     hardcodedVertices = null                      // HARD DEBUG MODE: 8 vertices [A0, B0, C0, D0, A1, B1, C1, D1]
   } = options;
   
@@ -528,7 +537,14 @@ export function renderAxon(walls, options = {}, rough) {
     // Each wall produces exactly 4 edges: 2 horizontal + 2 vertical
     // Floor vertices: z = 0
     // Roof vertices: z = wallHeight (e.g. 2700)
-    sweptVolumes = extrudeWalls(actualWalls, wallHeight);
+    // Openings split floor/roof edges and add void outlines (sill, head, jambs)
+    sweptVolumes = extrudeWalls(actualWalls, wallHeight, { openings, defaultThickness: defaultWallThickness });
+    
+    // Slabs are prisms between their bottom and top elevations (walls on upper storeys carry baseZ)
+    sweptVolumes.push(...slabs.map(extrudeSlab).filter(volume => volume !== null));
+    if (roof && Array.isArray(roof.edges)) {
+      sweptVolumes.push(roof);
+    }
     
     // Project all edges to 2D using proper 30° isometric projection
     // Z uses FULL scale (not reduced) - ensures vertical edges have visible length
@@ -1171,4 +1187,37 @@ export function generateAxonView(geometry, projection = 'isometric', options = {
   const config = projectionConfigs[projection] || projectionConfigs.isometric;
   
   return renderAxon(geometry, { ...config, ...options }, rough);
-}
\ No newline at end of file
+}
+
+/**
+ * Render a multi-level building as an axonometric view
+ * Levels are stacked at their elevations with their floor slabs and the roof; a non-zero
+ * explode spacing pulls the levels apart vertically to show each floor
+ * Requires Paper.js to be loaded globally
+ * @param {{levels: Array<Object>}} building - Building from createBuilding()
+ * @param {Object} options - Rendering options (see renderAxon)
+ * @param {number} options.explode - Extra vertical gap between levels (default: 0)
+ * @param {boolean} options.showSlabs - Draw floor slabs (default: true)
+ * @param {string|Object} options.roof - Roof type or generateRoof() options (default: building.roof)
+ * @param {Object} rough - Rough.js instance
+ * @returns {Object} Object with { svg: string, bounds: Object, project: Object, matrix: number[] }
+ */
+export function renderBuildingAxon(building, options = {}, rough) {
+  const {
+    explode = 0,
+    showSlabs = true,
+    roof,
+    ...axonOptions
+  } = options;
+  
+  const roofOptions = typeof roof === 'string' ? { type: roof } : roof;
+  const stacked = stackLevels(roofOptions ? { ...building, roof: roofOptions } : building, { explode });
+  
+  return renderAxon(stacked.walls, {
+    ...axonOptions,
+    useExtrusion: true,
+    openings: stacked.openings,
+    slabs: showSlabs ? stacked.slabs : [],
+    roof: stacked.roof ? generateRoof(stacked.roof.footprint, stacked.roof) : null
+  }, rough);
+}
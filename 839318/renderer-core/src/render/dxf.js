@@ -0,0 +1,504 @@
+/**
+ * DXF writer
+ * Serialises normalized walls, openings, rooms and annotations to ASCII DXF (R12 / AC1009)
+ * Pure string generation - no browser APIs, runs in Node and in workers
+ *
+ * Scale: one drawing unit is one millimetre, centimetre or metre, per the `units` option. R12 has no
+ * header variable for that, so the header sets $LUNITS (decimal) and also $INSUNITS and $MEASUREMENT
+ * (metric), which R2000+ readers use to scale on insert and R12 readers ignore.
+ */
+
+/**
+ * Default layer names and ACI colours for each element group
+ */
+export const DXF_LAYERS = {
+  walls: { name: 'A-WALL', color: 7 },
+  openings: { name: 'A-OPEN', color: 4 },
+  rooms: { name: 'A-AREA', color: 3 },
+  annotations: { name: 'A-ANNO', color: 2 }
+};
+
+/**
+ * $INSUNITS codes for supported drawing units
+ */
+const INSUNITS = {
+  mm: 4,
+  cm: 5,
+  m: 6
+};
+
+/**
+ * Default opening width per unit when an opening only carries a wall position
+ */
+const DEFAULT_OPENING_WIDTH = {
+  mm: 900,
+  cm: 90,
+  m: 0.9
+};
+
+/**
+ * Default text height per unit
+ */
+const DEFAULT_TEXT_HEIGHT = {
+  mm: 250,
+  cm: 25,
+  m: 0.25
+};
+
+/**
+ * Format a number for DXF output
+ * Fixed precision keeps output byte-stable for golden-file comparisons
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  const rounded = Number(Number(value).toFixed(6));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Infer drawing units from wall thickness metadata
+ * Normalized renderer walls are in millimetres (300mm thick), server-ai walls are in metres (0.2m thick)
+ * @param {Array<{thickness?: number}>} walls - Wall geometry
+ * @returns {'mm'|'m'} Inferred units
+ */
+export function inferUnits(walls) {
+  const thicknesses = (walls || [])
+    .map(wall => wall && wall.thickness)
+    .filter(t => typeof t === 'number' && t > 0)
+    .sort((a, b) => a - b);
+
+  if (thicknesses.length === 0) {
+    return 'mm';
+  }
+
+  const median = thicknesses[Math.floor(thicknesses.length / 2)];
+  return median >= 10 ? 'mm' : 'm';
+}
+
+/**
+ * Get room polygon points from either a bare polygon or a room object
+ * @param {Array<[number, number]>|{polygon: Array<[number, number]>}} room - Room
+ * @returns {Array<[number, number]>} Polygon points
+ */
+function getRoomPolygon(room) {
+  if (Array.isArray(room)) {
+    return room;
+  }
+  return room && Array.isArray(room.polygon) ? room.polygon : [];
+}
+
+/**
+ * Drop a repeated closing point so closed polylines are not written twice
+ * @param {Array<[number, number]>} points - Polygon points
+ * @returns {Array<[number, number]>} Open ring
+ */
+function openRing(points) {
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) {
+      return points.slice(0, -1);
+    }
+  }
+  return points;
+}
+
+/**
+ * Calculate polygon area and centroid
+ * @param {Array<[number, number]>} points - Polygon points (open ring)
+ * @returns {{area: number, centroid: [number, number]}} Absolute area and centroid
+ */
+function polygonAreaCentroid(points) {
+  let area2 = 0;
+  let cx = 0;
+  let cy = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    area2 += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+
+  if (Math.abs(area2) < 1e-12) {
+    const n = points.length || 1;
+    return {
+      area: 0,
+      centroid: [
+        points.reduce((sum, p) => sum + p[0], 0) / n,
+        points.reduce((sum, p) => sum + p[1], 0) / n
+      ]
+    };
+  }
+
+  return {
+    area: Math.abs(area2) / 2,
+    centroid: [cx / (3 * area2), cy / (3 * area2)]
+  };
+}
+
+/**
+ * Build the four corners of a wall outline from its centerline and thickness
+ * @param {{start: [number, number], end: [number, number], thickness?: number}} wall - Wall segment
+ * @returns {Array<[number, number]>|null} Outline corners or null for zero-length walls
+ */
+function wallOutline(wall) {
+  const [x1, y1] = wall.start;
+  const [x2, y2] = wall.end;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length = Math.sqrt(dx * dx + dy * dy);
+
+  if (length < 1e-9) {
+    return null;
+  }
+
+  const half = (wall.thickness || 0) / 2;
+  const ox = (-dy / length) * half;
+  const oy = (dx / length) * half;
+
+  return [
+    [x1 + ox, y1 + oy],
+    [x2 + ox, y2 + oy],
+    [x2 - ox, y2 - oy],
+    [x1 - ox, y1 - oy]
+  ];
+}
+
+/**
+ * Resolve an opening to a segment along its host wall
+ * Accepts renderer annotations ({start, end, type}) and topology openings ({wallId, position, width})
+ * @param {Object} opening - Opening
+ * @param {Map<string, Object>} wallsById - Walls indexed by id
+ * @param {number} defaultWidth - Width in plan units used when the opening has none
+ * @param {number} coordScale - Plan-to-drawing scale (opening widths are given in drawing units)
+ * @returns {{start: [number, number], end: [number, number], type: string, wall: Object|null}|null} Resolved opening
+ */
+function resolveOpening(opening, wallsById, defaultWidth, coordScale) {
+  if (!opening) {
+    return null;
+  }
+
+  const type = (opening.type || 'door').toLowerCase();
+
+  if (Array.isArray(opening.start) && Array.isArray(opening.end)) {
+    return {
+      start: opening.start,
+      end: opening.end,
+      type,
+      wall: opening.wallId ? wallsById.get(opening.wallId) || null : null
+    };
+  }
+
+  const wall = opening.wallId ? wallsById.get(opening.wallId) : null;
+  if (!wall) {
+    return null;
+  }
+
+  const [x1, y1] = wall.start;
+  const [x2, y2] = wall.end;
+  const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+  if (length < 1e-9) {
+    return null;
+  }
+
+  const position = typeof opening.position === 'number' ? opening.position : 0.5;
+  const width = Math.min(opening.width ? opening.width / coordScale : defaultWidth, length);
+  const ux = (x2 - x1) / length;
+  const uy = (y2 - y1) / length;
+  const center = Math.max(width / 2, Math.min(length - width / 2, position * length));
+
+  return {
+    start: [x1 + ux * (center - width / 2), y1 + uy * (center - width / 2)],
+    end: [x1 + ux * (center + width / 2), y1 + uy * (center + width / 2)],
+    type,
+    wall
+  };
+}
+
+/**
+ * Accumulates DXF group code/value pairs
+ */
+class DXFWriter {
+  constructor() {
+    this.lines = [];
+  }
+
+  /**
+   * Write a group code/value pair
+   * @param {number} code - DXF group code
+   * @param {string|number} value - Group value
+   */
+  group(code, value) {
+    this.lines.push(String(code).padStart(3, ' '));
+    this.lines.push(typeof value === 'number' ? formatNumber(value) : String(value));
+  }
+
+  /**
+   * Write a 2D point as group codes 10/20/30 (offset by index for 11/21/31 etc.)
+   * @param {[number, number]} point - Point
+   * @param {number} offset - Group code offset (default: 0)
+   */
+  point(point, offset = 0) {
+    this.group(10 + offset, point[0]);
+    this.group(20 + offset, point[1]);
+    this.group(30 + offset, 0);
+  }
+
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Build an ASCII DXF (R12) document from plan geometry
+ * Walls are written as closed outlines with their height as DXF thickness (so CAD extrudes them),
+ * openings as jamb lines plus door swings or window glazing lines, rooms as closed outlines
+ * with name/area labels, and free annotations as text
+ * @param {Object} geometry - Plan geometry
+ * @param {Array<{id?: string, start: [number, number], end: [number, number], thickness?: number, height?: number}>} geometry.walls - Walls (thickness/height in drawing units)
+ * @param {Array<Object>} geometry.openings - Openings ({start, end, type} or {wallId, position, width, type})
+ * @param {Array<Array<[number, number]>|{polygon: Array<[number, number]>, name?: string, area?: number}>} geometry.rooms - Rooms
+ * @param {Object} geometry.annotations - Annotations ({openings, labels}) as used by renderPlan
+ * @param {Object} geometry.meta - Optional topology metadata ({scale} converts pixels to metres)
+ * @param {Object} options - Export options
+ * @param {'mm'|'cm'|'m'} options.units - Drawing units (default: metres when meta.scale is set, else inferred from wall thickness)
+ * @param {number} options.scale - Coordinate scale factor (default: meta.scale or 1)
+ * @param {boolean} options.flipY - Flip Y so image-space plans read the right way up in CAD (default: true)
+ * @param {number} options.textHeight - Text height in drawing units (default: per-unit preset)
+ * @param {Object} options.layers - Layer overrides keyed by walls/openings/rooms/annotations
+ * @returns {string} DXF document
+ */
+export function buildDXF(geometry, options = {}) {
+  if (!geometry || !Array.isArray(geometry.walls)) {
+    throw new Error('Geometry must have walls array');
+  }
+
+  const meta = geometry.meta || {};
+  const units = options.units || (typeof meta.scale === 'number' ? 'm' : inferUnits(geometry.walls));
+  if (!INSUNITS[units]) {
+    throw new Error(`Unsupported DXF units: ${units}`);
+  }
+
+  const coordScale = options.scale !== undefined
+    ? options.scale
+    : (typeof meta.scale === 'number' ? meta.scale : 1);
+  const flipY = options.flipY !== false;
+  const textHeight = options.textHeight || DEFAULT_TEXT_HEIGHT[units];
+  const layers = {
+    walls: { ...DXF_LAYERS.walls, ...(options.layers?.walls || {}) },
+    openings: { ...DXF_LAYERS.openings, ...(options.layers?.openings || {}) },
+    rooms: { ...DXF_LAYERS.rooms, ...(options.layers?.rooms || {}) },
+    annotations: { ...DXF_LAYERS.annotations, ...(options.layers?.annotations || {}) }
+  };
+
+  // Transform plan coordinates into drawing space
+  const tx = (p) => [p[0] * coordScale, (flipY ? -p[1] : p[1]) * coordScale];
+
+  const walls = geometry.walls.filter(wall =>
+    wall && Array.isArray(wall.start) && Array.isArray(wall.end)
+  );
+  const wallsById = new Map(walls.filter(w => w.id).map(w => [w.id, w]));
+
+  const rawOpenings = [
+    ...(Array.isArray(geometry.openings) ? geometry.openings : []),
+    ...(Array.isArray(geometry.annotations?.openings) ? geometry.annotations.openings : [])
+  ];
+  const openingWidth = DEFAULT_OPENING_WIDTH[units] / coordScale;
+  const openings = rawOpenings
+    .map(opening => resolveOpening(opening, wallsById, openingWidth, coordScale))
+    .filter(Boolean);
+
+  const rooms = (Array.isArray(geometry.rooms) ? geometry.rooms : [])
+    .map(room => ({ room, polygon: openRing(getRoomPolygon(room)) }))
+    .filter(({ polygon }) => polygon.length >= 3);
+
+  const labels = Array.isArray(geometry.annotations?.labels) ? geometry.annotations.labels : [];
+
+  const entities = new DXFWriter();
+  const extents = [];
+  const track = (p) => {
+    extents.push(p);
+    return p;
+  };
+
+  const writePolyline = (layer, points, extra = {}) => {
+    entities.group(0, 'POLYLINE');
+    entities.group(8, layer);
+    entities.group(66, 1);
+    entities.point([0, 0]);
+    if (extra.thickness) {
+      entities.group(39, extra.thickness);
+    }
+    entities.group(70, extra.closed ? 1 : 0);
+    points.forEach(p => {
+      entities.group(0, 'VERTEX');
+      entities.group(8, layer);
+      entities.point(track(p));
+    });
+    entities.group(0, 'SEQEND');
+    entities.group(8, layer);
+  };
+
+  const writeLine = (layer, a, b) => {
+    entities.group(0, 'LINE');
+    entities.group(8, layer);
+    entities.point(track(a));
+    entities.point(track(b), 1);
+  };
+
+  const writeArc = (layer, center, radius, startDeg, endDeg) => {
+    entities.group(0, 'ARC');
+    entities.group(8, layer);
+    entities.point(center);
+    entities.group(40, radius);
+    entities.group(50, startDeg);
+    entities.group(51, endDeg);
+  };
+
+  const writeText = (layer, position, text, height) => {
+    entities.group(0, 'TEXT');
+    entities.group(8, layer);
+    entities.point(track(position));
+    entities.group(40, height);
+    entities.group(1, String(text).replace(/[\r\n]+/g, ' '));
+    entities.group(72, 1); // Centre-aligned
+    entities.point(position, 1);
+  };
+
+  // Walls: closed outlines extruded to wall height
+  // Thickness and height are real-world values, so offset after transforming the centerline
+  walls.forEach(wall => {
+    const outline = wallOutline({ start: tx(wall.start), end: tx(wall.end), thickness: wall.thickness });
+    if (!outline) {
+      return;
+    }
+    writePolyline(layers.walls.name, outline, {
+      closed: true,
+      thickness: wall.height || 0
+    });
+  });
+
+  // Openings: jamb lines, then door leaf + swing or window glazing lines
+  openings.forEach(opening => {
+    const a = tx(opening.start);
+    const b = tx(opening.end);
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const width = Math.sqrt(dx * dx + dy * dy);
+    if (width < 1e-9) {
+      return;
+    }
+
+    const ux = dx / width;
+    const uy = dy / width;
+    const nx = -uy;
+    const ny = ux;
+    const half = (opening.wall?.thickness || 0) / 2;
+    const layer = layers.openings.name;
+
+    // Jambs across the wall thickness
+    if (half > 0) {
+      writeLine(layer, [a[0] - nx * half, a[1] - ny * half], [a[0] + nx * half, a[1] + ny * half]);
+      writeLine(layer, [b[0] - nx * half, b[1] - ny * half], [b[0] + nx * half, b[1] + ny * half]);
+    }
+
+    if (opening.type === 'window') {
+      const glaze = half > 0 ? half / 3 : width * 0.05;
+      writeLine(layer, [a[0] + nx * glaze, a[1] + ny * glaze], [b[0] + nx * glaze, b[1] + ny * glaze]);
+      writeLine(layer, [a[0] - nx * glaze, a[1] - ny * glaze], [b[0] - nx * glaze, b[1] - ny * glaze]);
+    } else if (opening.type === 'door') {
+      // Leaf hinged at start, opened 90° to the left of the opening direction
+      const leafEnd = [a[0] + nx * width, a[1] + ny * width];
+      writeLine(layer, a, leafEnd);
+      const startDeg = (Math.atan2(uy, ux) * 180) / Math.PI;
+      writeArc(layer, a, width, (startDeg + 360) % 360, (startDeg + 90 + 360) % 360);
+      track([a[0] + ux * width, a[1] + uy * width]);
+      track(leafEnd);
+    } else {
+      writeLine(layer, a, b);
+    }
+  });
+
+  // Rooms: closed outlines plus name/area label at centroid
+  rooms.forEach(({ room, polygon }, index) => {
+    const points = polygon.map(tx);
+    writePolyline(layers.rooms.name, points, { closed: true });
+
+    const { area, centroid } = polygonAreaCentroid(points);
+    const name = (!Array.isArray(room) && (room.name || room.label || room.id)) || `Room ${index + 1}`;
+    const areaText = units === 'm'
+      ? `${area.toFixed(1)} m2`
+      : `${(area / (units === 'mm' ? 1e6 : 1e4)).toFixed(1)} m2`;
+    writeText(layers.annotations.name, centroid, name, textHeight);
+    writeText(layers.annotations.name, [centroid[0], centroid[1] - textHeight * 1.5], areaText, textHeight * 0.8);
+  });
+
+  // Free annotations
+  labels.forEach(label => {
+    if (!label || !Array.isArray(label.position) || !label.text) {
+      return;
+    }
+    writeText(layers.annotations.name, tx(label.position), label.text, textHeight);
+  });
+
+  // Assemble document
+  const doc = new DXFWriter();
+  const xs = extents.map(p => p[0]);
+  const ys = extents.map(p => p[1]);
+  const extMin = extents.length ? [Math.min(...xs), Math.min(...ys)] : [0, 0];
+  const extMax = extents.length ? [Math.max(...xs), Math.max(...ys)] : [0, 0];
+
+  doc.group(0, 'SECTION');
+  doc.group(2, 'HEADER');
+  doc.group(9, '$ACADVER');
+  doc.group(1, 'AC1009');
+  doc.group(9, '$LUNITS');
+  doc.group(70, 2);
+  doc.group(9, '$INSUNITS');
+  doc.group(70, INSUNITS[units]);
+  doc.group(9, '$MEASUREMENT');
+  doc.group(70, 1);
+  doc.group(9, '$EXTMIN');
+  doc.point(extMin);
+  doc.group(9, '$EXTMAX');
+  doc.point(extMax);
+  doc.group(0, 'ENDSEC');
+
+  doc.group(0, 'SECTION');
+  doc.group(2, 'TABLES');
+  doc.group(0, 'TABLE');
+  doc.group(2, 'LTYPE');
+  doc.group(70, 1);
+  doc.group(0, 'LTYPE');
+  doc.group(2, 'CONTINUOUS');
+  doc.group(70, 0);
+  doc.group(3, 'Solid line');
+  doc.group(72, 65);
+  doc.group(73, 0);
+  doc.group(40, 0);
+  doc.group(0, 'ENDTAB');
+  doc.group(0, 'TABLE');
+  doc.group(2, 'LAYER');
+  doc.group(70, 4);
+  ['walls', 'openings', 'rooms', 'annotations'].forEach(key => {
+    doc.group(0, 'LAYER');
+    doc.group(2, layers[key].name);
+    doc.group(70, 0);
+    doc.group(62, layers[key].color);
+    doc.group(6, 'CONTINUOUS');
+  });
+  doc.group(0, 'ENDTAB');
+  doc.group(0, 'ENDSEC');
+
+  doc.group(0, 'SECTION');
+  doc.group(2, 'ENTITIES');
+  doc.lines.push(...entities.lines);
+  doc.group(0, 'ENDSEC');
+  doc.group(0, 'EOF');
+
+  return doc.toString();
+}
@@ -1,9 +1,12 @@
 /**
  * Export functionality
- * Exports rendered views to various formats (SVG, PNG, etc.)
+ * Exports rendered views to various formats (SVG, PNG, PDF, DXF)
  * Worker-safe exports
  */
 
+import { buildDXF } from './dxf.js';
+import { buildPDF } from './pdf.js';
+
 /**
  * Convert canvas to PNG blob
  * Works with HTMLCanvasElement or OffscreenCanvas
@@ -227,26 +230,74 @@ export function exportSVG(svgString, filename = 'export.svg') {
 }
 
 /**
- * Export PDF (placeholder - would require PDF library)
- * @param {Object} renderedView - Rendered view object
- * @param {string} path - Output path (not used in browser)
- * @param {Object} options - PDF options
- * @returns {Promise<void>}
+ * Export rendered views to a multi-page vector PDF
+ * In Node the document is written to `path`; in the browser it is offered as a download named `path`
+ * @param {Object} views - Render result ({plan, section, axon}) or a single rendered view ({svg, bounds})
+ * @param {string} path - Output path (Node) or download filename (browser); optional
+ * @param {Object} options - PDF options (see buildPDF)
+ * @returns {Promise<string>} PDF document
  */
-export async function exportPDF(renderedView, path, options = {}) {
-  // TODO: Implement PDF export using a PDF library
-  throw new Error('PDF export not yet implemented');
+export async function exportPDF(views, path, options = {}) {
+  const pdf = buildPDF(views, options);
+  
+  if (!path) {
+    return pdf;
+  }
+  
+  if (typeof process !== 'undefined' && process.versions?.node && typeof document === 'undefined') {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(path, pdf, 'latin1');
+  } else if (typeof document !== 'undefined') {
+    const bytes = Uint8Array.from(pdf, c => c.charCodeAt(0));
+    const blob = new Blob([bytes], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = path.split('/').pop() || 'export.pdf';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  return pdf;
 }
 
 /**
- * Export DXF (placeholder - would require DXF library)
- * @param {Object} geometry - Geometry to export
- * @param {string} path - Output path (not used in browser)
- * @returns {Promise<void>}
+ * Export DXF (ASCII R12) from plan geometry
+ * In Node the document is written to `path`; in the browser it is offered as a download named `path`
+ * @param {Object} geometry - Geometry with walls, openings, rooms and annotations (see buildDXF)
+ * @param {string} path - Output path (Node) or download filename (browser); optional
+ * @param {Object} options - DXF options (see buildDXF)
+ * @returns {Promise<string>} DXF document
  */
-export async function exportDXF(geometry, path) {
-  // TODO: Implement DXF export using a DXF library
-  throw new Error('DXF export not yet implemented');
+export async function exportDXF(geometry, path, options = {}) {
+  const dxf = buildDXF(geometry, options);
+  
+  if (!path) {
+    return dxf;
+  }
+  
+  if (typeof process !== 'undefined' && process.versions?.node && typeof document === 'undefined') {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(path, dxf, 'utf-8');
+  } else if (typeof document !== 'undefined') {
+    const blob = new Blob([dxf], { type: 'application/dxf' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = path.split('/').pop() || 'export.dxf';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  return dxf;
 }
 
 /**
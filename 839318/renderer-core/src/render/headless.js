@@ -0,0 +1,220 @@
+/**
+ * Headless rendering
+ * Runs the Paper.js/Rough.js plan, section and axon renderers in Node.js
+ * Paper.js draws on jsdom with node-canvas; Rough.js strokes come from its DOM-free generator
+ * Node-only: requires the optional 'paper', 'jsdom' and 'canvas' packages
+ */
+
+import rough from 'roughjs';
+import { renderPlan } from './plan.js';
+import { renderSection, renderBuildingSection } from './section.js';
+import { renderAxon, renderBuildingAxon } from './axon.js';
+import { getLevel } from '../topology/building-model.js';
+
+/**
+ * Views that can be rendered headlessly
+ */
+export const HEADLESS_VIEWS = ['plan', 'section', 'axon'];
+
+/**
+ * Default Rough.js seed, so repeated renders of the same input give identical output
+ */
+export const DEFAULT_ROUGH_SEED = 1;
+
+// Paper.js item constructors the renderers reach through their project (new project.Path(...))
+const PROJECT_ITEM_CLASSES = ['Path', 'CompoundPath', 'Group', 'Layer', 'Shape', 'PointText', 'Raster'];
+
+let headlessPaper = null;
+
+/**
+ * Create a Rough.js instance for Node.js
+ * Shapes are generated with rough.generator() and returned as path elements
+ * ({getAttribute('d')}), which is how the renderers read Rough.js strokes
+ * @param {Object} options - Rough.js options applied to every shape
+ * @param {number} options.seed - Random seed (default: 1, never random)
+ * @returns {{generator: Object, line: Function, rectangle: Function, polygon: Function, linearPath: Function, path: Function}} Rough.js instance
+ */
+export function createHeadlessRough(options = {}) {
+  const generator = rough.generator({ options: { seed: DEFAULT_ROUGH_SEED, ...options } });
+
+  const toPathElement = drawable => {
+    const d = generator.toPaths(drawable).map(path => path.d).join(' ');
+    return {
+      tagName: 'path',
+      getAttribute: name => (name === 'd' ? d : null)
+    };
+  };
+
+  return {
+    generator,
+    line: (x1, y1, x2, y2, shapeOptions) => toPathElement(generator.line(x1, y1, x2, y2, shapeOptions)),
+    rectangle: (x, y, width, height, shapeOptions) => toPathElement(generator.rectangle(x, y, width, height, shapeOptions)),
+    polygon: (points, shapeOptions) => toPathElement(generator.polygon(points, shapeOptions)),
+    linearPath: (points, shapeOptions) => toPathElement(generator.linearPath(points, shapeOptions)),
+    path: (d, shapeOptions) => toPathElement(generator.path(d, shapeOptions))
+  };
+}
+
+/**
+ * Load Paper.js on jsdom/node-canvas and install it as the global `paper`
+ * Safe to call repeatedly: Paper.js is only loaded once
+ * @returns {Promise<Object>} Paper.js scope
+ * @throws {Error} If paper, jsdom or canvas cannot be loaded
+ */
+export async function setupHeadless() {
+  if (headlessPaper) {
+    globalThis.paper = headlessPaper;
+    return headlessPaper;
+  }
+
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    throw new Error('Headless rendering requires Node.js');
+  }
+
+  let paperModule;
+  try {
+    paperModule = await import('paper');
+  } catch (err) {
+    throw new Error(`Headless rendering requires the 'paper', 'jsdom' and 'canvas' packages: ${err.message}`);
+  }
+
+  const scope = paperModule.default || paperModule;
+  if (!scope.Project || !scope.Project.prototype) {
+    throw new Error('Headless rendering requires Paper.js with a working node-canvas');
+  }
+
+  // The renderers create items through their project (new project.Path(...)),
+  // so expose the scope's item classes there
+  PROJECT_ITEM_CLASSES.forEach(name => {
+    if (!(name in scope.Project.prototype)) {
+      Object.defineProperty(scope.Project.prototype, name, { value: scope[name], configurable: true });
+    }
+  });
+
+  headlessPaper = scope;
+  globalThis.paper = scope;
+  return scope;
+}
+
+/**
+ * Check whether headless rendering can run here (Node.js with paper, jsdom and canvas)
+ * @returns {Promise<boolean>} True if setupHeadless() succeeds
+ */
+export async function isHeadlessAvailable() {
+  try {
+    await setupHeadless();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Render one view of a topology or building in Node.js
+ *
+ * Uses the same renderers as the browser. A building (see createBuilding) is
+ * drawn as one level in plan, all levels in section and stacked in axon.
+ *
+ * @param {string} view - 'plan' | 'section' | 'axon'
+ * @param {Object} topology - Topology ({walls, openings?, rooms?, labels?}) or building ({levels, roof?})
+ * @param {Object} options - Rendering options (passed through to the view renderer)
+ * @param {number} options.width - Image width (default: 800)
+ * @param {number} options.height - Image height (default: 600)
+ * @param {Array<string>} options.formats - Outputs to produce: 'svg' and/or 'png' (default: both)
+ * @param {{start: [number, number], end: [number, number]}} options.cutPlane - Cut plane (required for section)
+ * @param {number|string} options.level - Plan level index, id or name for buildings (default: 0)
+ * @param {number} options.seed - Rough.js seed (default: 1)
+ * @returns {Promise<{view: string, svg?: string, png?: Buffer, bounds: Object, width: number, height: number}>} Rendered view
+ * @throws {Error} If the view is unknown, the input has no walls or headless rendering is unavailable
+ */
+export async function renderHeadless(view, topology, options = {}) {
+  const {
+    width = 800,
+    height = 600,
+    formats = ['svg', 'png'],
+    cutPlane = null,
+    level = 0,
+    seed = DEFAULT_ROUGH_SEED,
+    ...renderOptions
+  } = options;
+
+  if (!HEADLESS_VIEWS.includes(view)) {
+    throw new Error(`Unknown view: ${view} (expected ${HEADLESS_VIEWS.join(', ')})`);
+  }
+
+  const isBuilding = Boolean(topology && Array.isArray(topology.levels));
+  if (!topology || (!isBuilding && !Array.isArray(topology.walls))) {
+    throw new Error('Topology with walls (or a building with levels) is required');
+  }
+
+  if (view === 'section' && !cutPlane) {
+    throw new Error('Cut plane is required for section view');
+  }
+
+  await setupHeadless();
+  const roughInstance = createHeadlessRough({ seed });
+  const viewOptions = { width, height, ...renderOptions };
+
+  let result;
+  if (view === 'plan') {
+    const topo = isBuilding ? getLevel(topology, level) : topology;
+    result = renderPlan(
+      topo.walls,
+      {
+        openings: topo.openings || [],
+        labels: topo.labels || [],
+        rooms: topo.rooms || []
+      },
+      { useRough: true, ...viewOptions },
+      roughInstance
+    );
+  } else if (view === 'section') {
+    result = isBuilding
+      ? renderBuildingSection(topology, cutPlane, viewOptions, roughInstance)
+      : renderSection(topology.walls, cutPlane, viewOptions, roughInstance);
+  } else {
+    result = isBuilding
+      ? renderBuildingAxon(topology, viewOptions, roughInstance)
+      : renderAxon(topology.walls, { useExtrusion: true, openings: topology.openings || [], ...viewOptions }, roughInstance);
+  }
+
+  const { project } = result;
+  const output = { view, bounds: result.bounds, width, height };
+
+  try {
+    if (formats.includes('svg')) {
+      output.svg = result.svg;
+    }
+
+    if (formats.includes('png')) {
+      // Draw the project onto its node-canvas and encode it
+      project.view.update();
+      output.png = project.view.element.toBuffer('image/png');
+    }
+  } finally {
+    project.remove();
+  }
+
+  return output;
+}
+
+/**
+ * Render several views of one topology or building in Node.js
+ * @param {Object} topology - Topology or building (see renderHeadless)
+ * @param {Object} options - Rendering options (see renderHeadless)
+ * @param {Array<string>} options.views - Views to render (default: plan and axon, plus section when a cut plane is given)
+ * @returns {Promise<Object>} Rendered views keyed by view name ({plan, section?, axon})
+ */
+export async function renderAllHeadless(topology, options = {}) {
+  const {
+    views = options.cutPlane ? HEADLESS_VIEWS : ['plan', 'axon'],
+    ...renderOptions
+  } = options;
+
+  const results = {};
+  for (const view of views) {
+    results[view] = await renderHeadless(view, topology, renderOptions);
+  }
+
+  return results;
+}
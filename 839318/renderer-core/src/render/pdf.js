@@ -0,0 +1,924 @@
+/**
+ * PDF export
+ * Builds a multi-page vector PDF from rendered SVG views
+ * SVG geometry is translated into PDF path operators (no rasterisation, no PDF library)
+ * Worker-safe: pure string generation, no DOM required
+ */
+
+/**
+ * Page sizes in PDF points (1/72 inch), landscape
+ */
+export const PDF_PAGE_SIZES = {
+  A4: [841.89, 595.28],
+  A3: [1190.55, 841.89],
+  A2: [1683.78, 1190.55],
+  A1: [2383.94, 1683.78]
+};
+
+/**
+ * Default view order and titles for a render result
+ */
+const VIEW_TITLES = {
+  plan: 'Plan',
+  section: 'Section',
+  axon: 'Axonometric'
+};
+
+const PAGE_MARGIN = 28;
+const TITLE_BLOCK_WIDTH = 300;
+const TITLE_BLOCK_ROW = 18;
+
+// Cubic bezier approximation constant for quarter circles
+const KAPPA = 0.5522847498;
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [1, 1, 1],
+  red: [1, 0, 0],
+  green: [0, 0.5, 0],
+  blue: [0, 0, 1],
+  gray: [0.5, 0.5, 0.5],
+  grey: [0.5, 0.5, 0.5],
+  lightgray: [0.827, 0.827, 0.827],
+  lightgrey: [0.827, 0.827, 0.827],
+  darkgray: [0.663, 0.663, 0.663],
+  darkgrey: [0.663, 0.663, 0.663],
+  yellow: [1, 1, 0],
+  orange: [1, 0.647, 0],
+  cyan: [0, 1, 1],
+  magenta: [1, 0, 1]
+};
+
+/**
+ * Format number for PDF content streams
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * WinAnsiEncoding bytes 0x80-0x9F that differ from Latin-1, by code point
+ * (0xA0-0xFF match Latin-1 and map directly)
+ */
+const WIN_ANSI_HIGH = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e, 0x2018: 0x91,
+  0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98,
+  0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+};
+
+/**
+ * Escape a PDF literal string for the WinAnsi-encoded fonts
+ * Non-ASCII characters become octal byte escapes (m² -> m\262), so the content stream stays ASCII;
+ * characters WinAnsi cannot encode are replaced with '?'
+ */
+function escapeText(text) {
+  return Array.from(String(text), char => {
+    const code = char.codePointAt(0);
+    if (code >= 0x20 && code <= 0x7e) {
+      return /[\\()]/.test(char) ? `\\${char}` : char;
+    }
+    const byte = code >= 0xa0 && code <= 0xff ? code : WIN_ANSI_HIGH[code];
+    return byte ? `\\${byte.toString(8)}` : '?';
+  }).join('');
+}
+
+/**
+ * Decode the handful of XML entities Paper.js emits
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse SVG color into { rgb: [r, g, b], alpha } (0-1), or null for none
+ */
+function parseColor(value) {
+  if (!value) {
+    return undefined;
+  }
+  const color = value.trim().toLowerCase();
+  if (color === 'none' || color === 'transparent') {
+    return null;
+  }
+  if (color.startsWith('#')) {
+    let hex = color.slice(1);
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (/^[0-9a-f]{6}$/.test(hex)) {
+      return {
+        rgb: [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255),
+        alpha: 1
+      };
+    }
+    return undefined;
+  }
+  const fn = color.match(/^rgba?\(([^)]*)\)$/);
+  if (fn) {
+    const parts = fn[1].split(/[\s,\/]+/).filter(Boolean);
+    const rgb = parts.slice(0, 3).map(p => (
+      p.endsWith('%') ? parseFloat(p) / 100 : parseFloat(p) / 255
+    ));
+    const alpha = parts[3] !== undefined
+      ? (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]))
+      : 1;
+    return { rgb, alpha };
+  }
+  if (NAMED_COLORS[color]) {
+    return { rgb: NAMED_COLORS[color], alpha: 1 };
+  }
+  return undefined;
+}
+
+/**
+ * Parse SVG transform attribute into a PDF matrix [a, b, c, d, e, f]
+ */
+function parseTransform(value) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  if (!value) {
+    return matrix;
+  }
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(value)) !== null) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    let m;
+    switch (match[1]) {
+      case 'matrix':
+        m = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        m = [args[0], 0, 0, args[1] !== undefined ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const rad = (args[0] * Math.PI) / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const cx = args[1] || 0;
+        const cy = args[2] || 0;
+        m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case 'skewX':
+        m = [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        m = [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        m = [1, 0, 0, 1, 0, 0];
+    }
+    matrix = multiplyMatrix(matrix, m);
+  }
+  return matrix;
+}
+
+/**
+ * Multiply affine matrices (apply m2 first, then m1)
+ */
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+/**
+ * Parse element attributes (style declarations override presentation attributes)
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = re.exec(source)) !== null) {
+    attrs[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  if (attrs.style) {
+    attrs.style.split(';').forEach(decl => {
+      const index = decl.indexOf(':');
+      if (index > 0) {
+        attrs[decl.slice(0, index).trim()] = decl.slice(index + 1).trim();
+      }
+    });
+  }
+  return attrs;
+}
+
+/**
+ * Parse SVG markup into a lightweight element tree
+ * @param {string} svg - SVG markup
+ * @returns {{name: string, attrs: Object, children: Array, text: string}} Root <svg> element
+ */
+function parseSVG(svg) {
+  const root = { name: '#root', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = re.exec(svg)) !== null) {
+    const [, cdata, closing, name, attrSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+    if (cdata !== undefined || text !== undefined) {
+      parent.text += decodeEntities(cdata !== undefined ? cdata : text);
+    } else if (name) {
+      if (closing) {
+        if (stack.length > 1) {
+          const open = stack.pop();
+          // Text nested in <tspan> belongs to the enclosing <text>
+          if (open.name === 'tspan') {
+            stack[stack.length - 1].text += open.text;
+          }
+        }
+      } else {
+        const element = { name: name.replace(/^svg:/, ''), attrs: parseAttributes(attrSource), children: [], text: '' };
+        parent.children.push(element);
+        if (!selfClosing) {
+          stack.push(element);
+        }
+      }
+    }
+  }
+  return root.children.find(child => child.name === 'svg') || null;
+}
+
+/**
+ * Parse SVG path data into absolute PDF path operators
+ * Handles M/L/H/V/C/S/Q/T/A/Z in absolute and relative form
+ */
+function pathDataToOps(d) {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const ops = [];
+  let i = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  let lastCommand = null;
+
+  const isCommand = (token) => /^[a-zA-Z]$/.test(token);
+  const next = () => parseFloat(tokens[i++]);
+  const moveTo = (px, py) => ops.push(`${formatNumber(px)} ${formatNumber(py)} m`);
+  const lineTo = (px, py) => ops.push(`${formatNumber(px)} ${formatNumber(py)} l`);
+  const curveTo = (x1, y1, x2, y2, px, py) => ops.push(
+    `${[x1, y1, x2, y2, px, py].map(formatNumber).join(' ')} c`
+  );
+
+  while (i < tokens.length) {
+    if (isCommand(tokens[i])) {
+      command = tokens[i++];
+    } else if (command === null) {
+      break;
+    }
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        x = ox + next();
+        y = oy + next();
+        startX = x;
+        startY = y;
+        moveTo(x, y);
+        // Subsequent coordinate pairs are implicit lineTo
+        command = relative ? 'l' : 'L';
+        lastControl = null;
+        break;
+      }
+      case 'L':
+        x = ox + next();
+        y = oy + next();
+        lineTo(x, y);
+        lastControl = null;
+        break;
+      case 'H':
+        x = ox + next();
+        lineTo(x, y);
+        lastControl = null;
+        break;
+      case 'V':
+        y = oy + next();
+        lineTo(x, y);
+        lastControl = null;
+        break;
+      case 'C': {
+        const x1 = ox + next();
+        const y1 = oy + next();
+        const x2 = ox + next();
+        const y2 = oy + next();
+        x = ox + next();
+        y = oy + next();
+        curveTo(x1, y1, x2, y2, x, y);
+        lastControl = [x2, y2];
+        break;
+      }
+      case 'S': {
+        const reflect = lastControl && /[CS]/i.test(lastCommand);
+        const x1 = reflect ? 2 * x - lastControl[0] : x;
+        const y1 = reflect ? 2 * y - lastControl[1] : y;
+        const x2 = ox + next();
+        const y2 = oy + next();
+        x = ox + next();
+        y = oy + next();
+        curveTo(x1, y1, x2, y2, x, y);
+        lastControl = [x2, y2];
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let qx;
+        let qy;
+        if (command.toUpperCase() === 'Q') {
+          qx = ox + next();
+          qy = oy + next();
+        } else {
+          const reflect = lastControl && /[QT]/i.test(lastCommand);
+          qx = reflect ? 2 * x - lastControl[0] : x;
+          qy = reflect ? 2 * y - lastControl[1] : y;
+        }
+        const px = ox + next();
+        const py = oy + next();
+        // Elevate quadratic to cubic
+        curveTo(
+          x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y),
+          px + (2 / 3) * (qx - px), py + (2 / 3) * (qy - py),
+          px, py
+        );
+        x = px;
+        y = py;
+        lastControl = [qx, qy];
+        break;
+      }
+      case 'A': {
+        const rx = next();
+        const ry = next();
+        const rotation = next();
+        const largeArc = next() !== 0;
+        const sweep = next() !== 0;
+        const px = ox + next();
+        const py = oy + next();
+        arcToCurves(x, y, rx, ry, rotation, largeArc, sweep, px, py)
+          .forEach(curve => curveTo(...curve));
+        x = px;
+        y = py;
+        lastControl = null;
+        break;
+      }
+      case 'Z':
+        ops.push('h');
+        x = startX;
+        y = startY;
+        lastControl = null;
+        break;
+      default:
+        // Unknown command: stop parsing rather than emit garbage
+        return ops;
+    }
+    lastCommand = command;
+
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      break;
+    }
+  }
+
+  return ops.filter(op => !op.includes('NaN'));
+}
+
+/**
+ * Convert an SVG elliptical arc to cubic bezier segments (SVG spec F.6)
+ * @returns {Array<number[]>} Curves as [x1, y1, x2, y2, x, y]
+ */
+function arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) {
+    return [[x1, y1, x2, y2, x2, y2]];
+  }
+  if (x1 === x2 && y1 === y2) {
+    return [];
+  }
+
+  const phi = (rotation * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  let rxAbs = Math.abs(rx);
+  let ryAbs = Math.abs(ry);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  // Scale radii up if they cannot span the endpoints
+  const lambda = (x1p * x1p) / (rxAbs * rxAbs) + (y1p * y1p) / (ryAbs * ryAbs);
+  if (lambda > 1) {
+    rxAbs *= Math.sqrt(lambda);
+    ryAbs *= Math.sqrt(lambda);
+  }
+
+  const num = rxAbs * rxAbs * ryAbs * ryAbs - rxAbs * rxAbs * y1p * y1p - ryAbs * ryAbs * x1p * x1p;
+  const den = rxAbs * rxAbs * y1p * y1p + ryAbs * ryAbs * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = coef * ((rxAbs * y1p) / ryAbs);
+  const cyp = coef * (-(ryAbs * x1p) / rxAbs);
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => {
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+    return sign * Math.acos(Math.min(1, Math.max(-1, dot)));
+  };
+
+  const theta1 = angle(1, 0, (x1p - cxp) / rxAbs, (y1p - cyp) / ryAbs);
+  let delta = angle(
+    (x1p - cxp) / rxAbs, (y1p - cyp) / ryAbs,
+    (-x1p - cxp) / rxAbs, (-y1p - cyp) / ryAbs
+  );
+  if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  } else if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  }
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const t = (4 / 3) * Math.tan(step / 4);
+  const point = (theta) => {
+    const ex = rxAbs * Math.cos(theta);
+    const ey = ryAbs * Math.sin(theta);
+    return [cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy];
+  };
+  const derivative = (theta) => {
+    const ex = -rxAbs * Math.sin(theta);
+    const ey = ryAbs * Math.cos(theta);
+    return [cosPhi * ex - sinPhi * ey, sinPhi * ex + cosPhi * ey];
+  };
+
+  const curves = [];
+  for (let s = 0; s < segments; s++) {
+    const a = theta1 + s * step;
+    const b = a + step;
+    const p0 = point(a);
+    const p3 = point(b);
+    const d0 = derivative(a);
+    const d3 = derivative(b);
+    curves.push([
+      p0[0] + t * d0[0], p0[1] + t * d0[1],
+      p3[0] - t * d3[0], p3[1] - t * d3[1],
+      p3[0], p3[1]
+    ]);
+  }
+  return curves;
+}
+
+/**
+ * Ellipse as PDF path operators (four cubic segments)
+ */
+function ellipseOps(cx, cy, rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  const f = formatNumber;
+  return [
+    `${f(cx + rx)} ${f(cy)} m`,
+    `${f(cx + rx)} ${f(cy + ky)} ${f(cx + kx)} ${f(cy + ry)} ${f(cx)} ${f(cy + ry)} c`,
+    `${f(cx - kx)} ${f(cy + ry)} ${f(cx - rx)} ${f(cy + ky)} ${f(cx - rx)} ${f(cy)} c`,
+    `${f(cx - rx)} ${f(cy - ky)} ${f(cx - kx)} ${f(cy - ry)} ${f(cx)} ${f(cy - ry)} c`,
+    `${f(cx + kx)} ${f(cy - ry)} ${f(cx + rx)} ${f(cy - ky)} ${f(cx + rx)} ${f(cy)} c`,
+    'h'
+  ];
+}
+
+/**
+ * Geometry of a shape element as PDF path operators
+ */
+function shapeOps(element) {
+  const a = element.attrs;
+  const num = (key, fallback = 0) => {
+    const value = parseFloat(a[key]);
+    return Number.isFinite(value) ? value : fallback;
+  };
+  const f = formatNumber;
+
+  switch (element.name) {
+    case 'path':
+      return a.d ? pathDataToOps(a.d) : [];
+    case 'line':
+      return [`${f(num('x1'))} ${f(num('y1'))} m`, `${f(num('x2'))} ${f(num('y2'))} l`];
+    case 'polyline':
+    case 'polygon': {
+      const values = (a.points || '').split(/[\s,]+/).filter(Boolean).map(Number);
+      const ops = [];
+      for (let k = 0; k + 1 < values.length; k += 2) {
+        ops.push(`${f(values[k])} ${f(values[k + 1])} ${k === 0 ? 'm' : 'l'}`);
+      }
+      if (element.name === 'polygon' && ops.length) {
+        ops.push('h');
+      }
+      return ops;
+    }
+    case 'rect': {
+      const width = num('width');
+      const height = num('height');
+      if (width <= 0 || height <= 0) {
+        return [];
+      }
+      return [`${f(num('x'))} ${f(num('y'))} ${f(width)} ${f(height)} re`];
+    }
+    case 'circle': {
+      const r = num('r');
+      return r > 0 ? ellipseOps(num('cx'), num('cy'), r, r) : [];
+    }
+    case 'ellipse': {
+      const rx = num('rx');
+      const ry = num('ry');
+      return rx > 0 && ry > 0 ? ellipseOps(num('cx'), num('cy'), rx, ry) : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Resolve inherited presentation style for an element
+ */
+function resolveStyle(parent, attrs) {
+  const style = { ...parent };
+  ['fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray',
+    'fill-rule', 'font-size', 'font-weight', 'text-anchor', 'visibility'].forEach(key => {
+    if (attrs[key] !== undefined && attrs[key] !== 'inherit') {
+      style[key] = attrs[key];
+    }
+  });
+  ['fill-opacity', 'stroke-opacity'].forEach(key => {
+    if (attrs[key] !== undefined) {
+      style[key] = parseFloat(attrs[key]);
+    }
+  });
+  // Group opacity is approximated by multiplying it into children
+  if (attrs.opacity !== undefined) {
+    style.opacity = (parent.opacity ?? 1) * parseFloat(attrs.opacity);
+  }
+  return style;
+}
+
+const ROOT_STYLE = {
+  fill: 'black',
+  stroke: 'none',
+  'stroke-width': '1',
+  'fill-opacity': 1,
+  'stroke-opacity': 1,
+  opacity: 1,
+  'font-size': '16',
+  'text-anchor': 'start'
+};
+
+/**
+ * Translate a parsed SVG tree into PDF content stream operators
+ */
+class ContentBuilder {
+  constructor(resources) {
+    this.ops = [];
+    this.resources = resources;
+  }
+
+  /**
+   * Graphics state name for a fill/stroke alpha pair
+   */
+  alphaState(fillAlpha, strokeAlpha) {
+    const key = `${formatNumber(fillAlpha)}/${formatNumber(strokeAlpha)}`;
+    if (!this.resources.alpha.has(key)) {
+      this.resources.alpha.set(key, {
+        name: `GS${this.resources.alpha.size}`,
+        fill: fillAlpha,
+        stroke: strokeAlpha
+      });
+    }
+    return this.resources.alpha.get(key).name;
+  }
+
+  /**
+   * Emit colour, line and alpha state; returns paint flags
+   */
+  applyPaint(style) {
+    const fill = parseColor(style.fill);
+    const stroke = parseColor(style.stroke);
+    const doFill = Boolean(fill);
+    const doStroke = Boolean(stroke) && parseFloat(style['stroke-width']) !== 0;
+
+    if (doFill) {
+      this.ops.push(`${fill.rgb.map(formatNumber).join(' ')} rg`);
+    }
+    if (doStroke) {
+      this.ops.push(`${stroke.rgb.map(formatNumber).join(' ')} RG`);
+      this.ops.push(`${formatNumber(parseFloat(style['stroke-width']) || 1)} w`);
+      const cap = { butt: 0, round: 1, square: 2 }[style['stroke-linecap']];
+      if (cap !== undefined) {
+        this.ops.push(`${cap} J`);
+      }
+      const join = { miter: 0, round: 1, bevel: 2 }[style['stroke-linejoin']];
+      if (join !== undefined) {
+        this.ops.push(`${join} j`);
+      }
+      if (style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none') {
+        const dashes = style['stroke-dasharray'].split(/[\s,]+/).map(Number).filter(n => n >= 0);
+        if (dashes.length) {
+          this.ops.push(`[${dashes.map(formatNumber).join(' ')}] 0 d`);
+        }
+      }
+    }
+
+    const opacity = style.opacity ?? 1;
+    const fillAlpha = doFill ? fill.alpha * style['fill-opacity'] * opacity : 1;
+    const strokeAlpha = doStroke ? stroke.alpha * style['stroke-opacity'] * opacity : 1;
+    if (fillAlpha < 1 || strokeAlpha < 1) {
+      this.ops.push(`/${this.alphaState(fillAlpha, strokeAlpha)} gs`);
+    }
+
+    return { doFill, doStroke, fill };
+  }
+
+  /**
+   * Walk an element and its children
+   */
+  element(element, parentStyle) {
+    const style = resolveStyle(parentStyle, element.attrs);
+    if (style.visibility === 'hidden' || element.attrs.display === 'none') {
+      return;
+    }
+    if (['defs', 'clipPath', 'mask', 'symbol', 'title', 'desc', 'metadata', 'style'].includes(element.name)) {
+      return;
+    }
+
+    const transform = parseTransform(element.attrs.transform);
+    const hasTransform = transform.some((v, k) => v !== [1, 0, 0, 1, 0, 0][k]);
+
+    this.ops.push('q');
+    if (hasTransform) {
+      this.ops.push(`${transform.map(formatNumber).join(' ')} cm`);
+    }
+
+    if (element.name === 'g' || element.name === 'svg' || element.name === 'a') {
+      element.children.forEach(child => this.element(child, style));
+    } else if (element.name === 'text') {
+      this.text(element, style);
+    } else {
+      const geometry = shapeOps(element);
+      if (geometry.length) {
+        const { doFill, doStroke } = this.applyPaint(style);
+        const evenOdd = style['fill-rule'] === 'evenodd';
+        let paint = 'n';
+        if (doFill && doStroke) {
+          paint = evenOdd ? 'B*' : 'B';
+        } else if (doFill) {
+          paint = evenOdd ? 'f*' : 'f';
+        } else if (doStroke) {
+          paint = 'S';
+        }
+        this.ops.push(...geometry, paint);
+      }
+    }
+
+    this.ops.push('Q');
+  }
+
+  /**
+   * Emit an SVG <text> element in Helvetica
+   * The page flips Y, so the text matrix flips it back to read upright
+   */
+  text(element, style) {
+    const content = (element.text || '').replace(/\s+/g, ' ').trim();
+    const { doFill } = this.applyPaint({ ...style, stroke: 'none' });
+    if (!content || !doFill) {
+      return;
+    }
+    const size = parseFloat(style['font-size']) || 16;
+    const bold = style['font-weight'] === 'bold' || parseInt(style['font-weight'], 10) >= 600;
+    const x = parseFloat(element.attrs.x) || 0;
+    const y = parseFloat(element.attrs.y) || 0;
+    const width = estimateTextWidth(content, size);
+    const offset = style['text-anchor'] === 'middle' ? width / 2 : style['text-anchor'] === 'end' ? width : 0;
+    this.ops.push(
+      'BT',
+      `/${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf`,
+      `1 0 0 -1 ${formatNumber(x - offset)} ${formatNumber(y)} Tm`,
+      `(${escapeText(content)}) Tj`,
+      'ET'
+    );
+  }
+}
+
+/**
+ * Approximate Helvetica text width (average glyph advance)
+ */
+function estimateTextWidth(text, size) {
+  return String(text).length * size * 0.52;
+}
+
+/**
+ * Drawing frame of an SVG view in user units
+ * Prefers viewBox, then width/height, then the renderer-reported bounds
+ */
+function getViewFrame(svgRoot, bounds) {
+  const viewBox = (svgRoot.attrs.viewBox || '').split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  }
+  const width = parseFloat(svgRoot.attrs.width);
+  const height = parseFloat(svgRoot.attrs.height);
+  if (width > 0 && height > 0) {
+    return { x: 0, y: 0, width, height };
+  }
+  if (bounds && bounds.width > 0 && bounds.height > 0) {
+    return { x: bounds.x || 0, y: bounds.y || 0, width: bounds.width, height: bounds.height };
+  }
+  return { x: 0, y: 0, width: 800, height: 600 };
+}
+
+/**
+ * Title block operators (bottom-right of the page, PDF coordinates)
+ */
+function titleBlockOps(pageWidth, rows) {
+  const f = formatNumber;
+  const x = pageWidth - PAGE_MARGIN - TITLE_BLOCK_WIDTH;
+  const y = PAGE_MARGIN;
+  const height = rows.length * TITLE_BLOCK_ROW;
+  const labelWidth = 80;
+  const ops = ['q', '0 0 0 RG', '0.75 w', `${f(x)} ${f(y)} ${f(TITLE_BLOCK_WIDTH)} ${f(height)} re`, 'S'];
+
+  rows.forEach((row, index) => {
+    const rowY = y + height - (index + 1) * TITLE_BLOCK_ROW;
+    if (index > 0) {
+      ops.push(`${f(x)} ${f(rowY + TITLE_BLOCK_ROW)} m`, `${f(x + TITLE_BLOCK_WIDTH)} ${f(rowY + TITLE_BLOCK_ROW)} l`, 'S');
+    }
+    ops.push(
+      '0 0 0 rg',
+      'BT',
+      `/F1 7 Tf`,
+      `${f(x + 4)} ${f(rowY + 6)} Td`,
+      `(${escapeText(row.label.toUpperCase())}) Tj`,
+      'ET',
+      'BT',
+      `/${index === 0 ? 'F2' : 'F1'} 9 Tf`,
+      `${f(x + labelWidth)} ${f(rowY + 5.5)} Td`,
+      `(${escapeText(row.value)}) Tj`,
+      'ET'
+    );
+  });
+  ops.push(`${f(x + labelWidth - 4)} ${f(y)} m`, `${f(x + labelWidth - 4)} ${f(y + height)} l`, 'S', 'Q');
+  return { ops, height };
+}
+
+/**
+ * Normalise input into an ordered list of { key, title, view }
+ */
+function collectViews(views) {
+  if (!views) {
+    return [];
+  }
+  if (typeof views.svg === 'string') {
+    return [{ key: 'view', title: 'View', view: views }];
+  }
+  return Object.keys(VIEW_TITLES)
+    .filter(key => views[key] && typeof views[key].svg === 'string')
+    .map(key => ({ key, title: VIEW_TITLES[key], view: views[key] }));
+}
+
+/**
+ * Build a multi-page vector PDF from rendered views
+ * One page per view (plan, section, axon), each with a title block
+ * @param {Object} views - Render result ({plan, section, axon}) or a single rendered view ({svg, bounds})
+ * @param {Object} options - PDF options
+ * @param {string} options.projectName - Project name for the title block (default: 'Untitled')
+ * @param {string|Object} options.scale - Drawing scale label, or labels keyed by view (default: 'NTS')
+ * @param {string|Date} options.date - Issue date (default: today)
+ * @param {string} options.version - Prompt/pipeline version for the title block
+ * @param {string} options.pageSize - Page size key from PDF_PAGE_SIZES (default: 'A3')
+ * @param {Object} options.titles - Page title overrides keyed by view
+ * @returns {string} PDF document (7-bit ASCII, one char per byte)
+ */
+export function buildPDF(views, options = {}) {
+  const pages = collectViews(views);
+  if (pages.length === 0) {
+    throw new Error('At least one rendered view with svg is required');
+  }
+
+  const pageSize = PDF_PAGE_SIZES[options.pageSize || 'A3'];
+  if (!pageSize) {
+    throw new Error(`Unsupported PDF page size: ${options.pageSize}`);
+  }
+  const [pageWidth, pageHeight] = pageSize;
+
+  const date = options.date instanceof Date
+    ? options.date.toISOString().slice(0, 10)
+    : (options.date || new Date().toISOString().slice(0, 10));
+  const scaleFor = (key) => (
+    options.scale && typeof options.scale === 'object'
+      ? options.scale[key] || 'NTS'
+      : options.scale || 'NTS'
+  );
+
+  const resources = { alpha: new Map() };
+  const contents = pages.map(({ key, title, view }, index) => {
+    const svgRoot = parseSVG(view.svg);
+    if (!svgRoot) {
+      throw new Error(`Failed to parse ${key} view SVG`);
+    }
+
+    const rows = [
+      { label: 'Project', value: options.projectName || 'Untitled' },
+      { label: 'Drawing', value: options.titles?.[key] || title },
+      { label: 'Scale', value: scaleFor(key) },
+      { label: 'Date', value: date },
+      { label: 'Version', value: options.version || '-' },
+      { label: 'Sheet', value: `${index + 1} of ${pages.length}` }
+    ];
+    const titleBlock = titleBlockOps(pageWidth, rows);
+
+    // Fit the view into the area above the title block, preserving aspect ratio
+    const frame = getViewFrame(svgRoot, view.bounds);
+    const areaX = PAGE_MARGIN;
+    const areaY = PAGE_MARGIN + titleBlock.height + PAGE_MARGIN / 2;
+    const areaWidth = pageWidth - 2 * PAGE_MARGIN;
+    const areaHeight = pageHeight - areaY - PAGE_MARGIN;
+    const fit = Math.min(areaWidth / frame.width, areaHeight / frame.height);
+    const offsetX = areaX + (areaWidth - frame.width * fit) / 2;
+    const offsetY = areaY + (areaHeight - frame.height * fit) / 2;
+    const f = formatNumber;
+
+    const builder = new ContentBuilder(resources);
+    builder.ops.push(
+      'q',
+      // Clip to the drawing area, then map SVG (y down) to PDF (y up)
+      `${f(offsetX)} ${f(offsetY)} ${f(frame.width * fit)} ${f(frame.height * fit)} re W n`,
+      `${f(fit)} 0 0 ${f(-fit)} ${f(offsetX - frame.x * fit)} ${f(offsetY + (frame.y + frame.height) * fit)} cm`
+    );
+    svgRoot.children.forEach(child => builder.element(child, resolveStyle(ROOT_STYLE, svgRoot.attrs)));
+    builder.ops.push('Q');
+
+    // Sheet border
+    builder.ops.push(
+      'q', '0 0 0 RG', '1 w',
+      `${f(PAGE_MARGIN / 2)} ${f(PAGE_MARGIN / 2)} ${f(pageWidth - PAGE_MARGIN)} ${f(pageHeight - PAGE_MARGIN)} re`,
+      'S', 'Q',
+      ...titleBlock.ops
+    );
+
+    return builder.ops.join('\n');
+  });
+
+  // Object layout: 1 catalog, 2 pages, 3 Helvetica, 4 Helvetica-Bold, then alpha states, then page/content pairs
+  const objects = [];
+  const alphaStates = [...resources.alpha.values()];
+  const firstAlpha = 5;
+  const firstPage = firstAlpha + alphaStates.length;
+  const pageRefs = pages.map((_, index) => firstPage + index * 2);
+
+  const extGState = alphaStates.length
+    ? ` /ExtGState << ${alphaStates.map((state, k) => `/${state.name} ${firstAlpha + k} 0 R`).join(' ')} >>`
+    : '';
+  const resourceDict = `<< /Font << /F1 3 0 R /F2 4 0 R >>${extGState} >>`;
+
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  alphaStates.forEach(state => {
+    objects.push(`<< /Type /ExtGState /ca ${formatNumber(state.fill)} /CA ${formatNumber(state.stroke)} >>`);
+  });
+  contents.forEach((content, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(pageWidth)} ${formatNumber(pageHeight)}] ` +
+      `/Resources ${resourceDict} /Contents ${pageRefs[index] + 1} 0 R >>`
+    );
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+
+  // Serialize with byte offsets for the cross-reference table
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return pdf;
+}
@@ -5,6 +5,7 @@
  */
 
 import { lineLength } from '../utils/geom.js';
+import { getOpeningInterval } from '../topology/opening-detection.js';
 
 /**
  * Classify wall as primary or secondary based on geometry rules
@@ -37,6 +38,50 @@ function classifyWall(wall, options = {}) {
   return 'secondary';
 }
 
+/**
+ * Split a wall into the solid pieces left between its openings
+ * Only openings whose wallId matches the wall id are applied
+ * @param {{id?: string, start: [number, number], end: [number, number]}} wall - Wall geometry
+ * @param {Array<Object>} openings - Openings (see getOpeningInterval)
+ * @returns {Array<[[number, number], [number, number]]>} Solid pieces as [start, end] pairs
+ */
+function splitWallAtOpenings(wall, openings) {
+  const hosted = wall.id && Array.isArray(openings)
+    ? openings.filter(opening => opening && opening.wallId === wall.id)
+    : [];
+  if (hosted.length === 0) {
+    return [[wall.start, wall.end]];
+  }
+
+  const intervals = hosted
+    .map(opening => getOpeningInterval(opening, wall))
+    .filter(Boolean)
+    .sort((a, b) => a.t0 - b.t0);
+  if (intervals.length === 0) {
+    return [[wall.start, wall.end]];
+  }
+
+  const length = intervals[0].length;
+  const at = t => [
+    wall.start[0] + (wall.end[0] - wall.start[0]) * (t / length),
+    wall.start[1] + (wall.end[1] - wall.start[1]) * (t / length)
+  ];
+
+  const pieces = [];
+  let cursor = 0;
+  intervals.forEach(({ t0, t1 }) => {
+    if (t0 > cursor) {
+      pieces.push([at(cursor), at(t0)]);
+    }
+    cursor = Math.max(cursor, t1);
+  });
+  if (cursor < length) {
+    pieces.push([at(cursor), at(length)]);
+  }
+
+  return pieces;
+}
+
 /**
  * Draw walls in plan view with thickness and primary/secondary stroke rules
  * Renders walls as filled rectangles with appropriate stroke weights
@@ -50,6 +95,7 @@ function classifyWall(wall, options = {}) {
  * @param {number} options.secondaryStrokeWidth - Secondary wall stroke width (default: 1.5)
  * @param {number} options.primaryThicknessThreshold - Thickness threshold for primary classification (default: 6)
  * @param {number} options.primaryLengthThreshold - Length threshold for primary classification (default: 100)
+ * @param {Array<{wallId: string, position?: number, width?: number, start?: [number, number], end?: [number, number]}>} options.openings - Openings to leave out of their host walls (default: [])
  * @param {boolean} options.useRough - Use Rough.js for hand-drawn style (default: false)
  * @param {Object} options.roughOptions - Rough.js options (default: {})
  * @param {Object} rough - Rough.js instance (required if useRough=true)
@@ -76,6 +122,7 @@ export function drawWalls(project, walls, options = {}, rough = null) {
     secondaryStrokeWidth = 1.5,
     primaryThicknessThreshold = 6,
     primaryLengthThreshold = 100,
+    openings = [],
     useRough = false,
     roughOptions = {}
   } = options;
@@ -95,8 +142,6 @@ export function drawWalls(project, walls, options = {}, rough = null) {
       return;
     }
     
-    const [x1, y1] = wall.start;
-    const [x2, y2] = wall.end;
     const thickness = wall.thickness || 2;
 
     // Classify wall as primary or secondary
@@ -109,60 +154,78 @@ export function drawWalls(project, walls, options = {}, rough = null) {
     const strokeColor = isPrimary ? primaryColor : secondaryColor;
     const strokeWidth = isPrimary ? primaryStrokeWidth : secondaryStrokeWidth;
 
-    // Draw wall thickness (filled rectangle) - render behind the stroke
-    if (thickness > 0.5) {
-      const angleRad = Math.atan2(y2 - y1, x2 - x1);
-      const perpAngle = angleRad + Math.PI / 2;
-      const halfThickness = Math.max(thickness / 2, 0.5);
+    // Draw each solid piece of the wall; openings cut gaps into it
+    splitWallAtOpenings(wall, openings).forEach(([pieceStart, pieceEnd]) => {
+      const [x1, y1] = pieceStart;
+      const [x2, y2] = pieceEnd;
+
+      // Draw wall thickness (filled rectangle) - render behind the stroke
+      if (thickness > 0.5) {
+        const angleRad = Math.atan2(y2 - y1, x2 - x1);
+        const perpAngle = angleRad + Math.PI / 2;
+        const halfThickness = Math.max(thickness / 2, 0.5);
       
-      const offsetX = Math.cos(perpAngle) * halfThickness;
-      const offsetY = Math.sin(perpAngle) * halfThickness;
+        const offsetX = Math.cos(perpAngle) * halfThickness;
+        const offsetY = Math.sin(perpAngle) * halfThickness;
       
-      const rectPath = new project.Path([
-        new paper.Point(x1 - offsetX, y1 - offsetY),
-        new paper.Point(x2 - offsetX, y2 - offsetY),
-        new paper.Point(x2 + offsetX, y2 + offsetY),
-        new paper.Point(x1 + offsetX, y1 + offsetY)
-      ]);
-      rectPath.closePath();
-      rectPath.fillColor = new paper.Color(wallFillColor);
-      rectPath.strokeColor = new paper.Color(strokeColor);
-      rectPath.strokeWidth = strokeWidth * 0.3; // Subtle outline
-      rectPath.opacity = 1.0;
-
-      fillGroup.addChild(rectPath);
-    }
+        const rectPath = new project.Path([
+          new paper.Point(x1 - offsetX, y1 - offsetY),
+          new paper.Point(x2 - offsetX, y2 - offsetY),
+          new paper.Point(x2 + offsetX, y2 + offsetY),
+          new paper.Point(x1 + offsetX, y1 + offsetY)
+        ]);
+        rectPath.closePath();
+        rectPath.fillColor = new paper.Color(wallFillColor);
+        rectPath.strokeColor = new paper.Color(strokeColor);
+        rectPath.strokeWidth = strokeWidth * 0.3; // Subtle outline
+        rectPath.opacity = 1.0;
+
+        fillGroup.addChild(rectPath);
+      }
 
-    // Draw wall outline/centerline
-    if (useRough && rough) {
-      // Use Rough.js for hand-drawn style
-      try {
-        const wallRoughOptions = {
-          stroke: strokeColor,
-          strokeWidth: strokeWidth,
-          ...defaultRoughOptions
-        };
+      // Draw wall outline/centerline
+      if (useRough && rough) {
+        // Use Rough.js for hand-drawn style
+        try {
+          const wallRoughOptions = {
+            stroke: strokeColor,
+            strokeWidth: strokeWidth,
+            ...defaultRoughOptions
+          };
 
-        const roughPath = rough.line(x1, y1, x2, y2, wallRoughOptions);
+          const roughPath = rough.line(x1, y1, x2, y2, wallRoughOptions);
         
-        // Extract SVG path data from Rough.js
-        let svgPathData = null;
-        if (roughPath instanceof SVGPathElement) {
-          svgPathData = roughPath.getAttribute('d');
-        } else if (typeof roughPath === 'string') {
-          svgPathData = roughPath;
-        } else if (roughPath && roughPath.getAttribute) {
-          svgPathData = roughPath.getAttribute('d');
-        }
+          // Extract SVG path data from Rough.js
+          let svgPathData = null;
+          if (typeof SVGPathElement !== 'undefined' && roughPath instanceof SVGPathElement) {
+            svgPathData = roughPath.getAttribute('d');
+          } else if (typeof roughPath === 'string') {
+            svgPathData = roughPath;
+          } else if (roughPath && roughPath.getAttribute) {
+            svgPathData = roughPath.getAttribute('d');
+          }
 
-        if (svgPathData) {
-          const path = new project.Path(svgPathData);
-          path.strokeColor = new paper.Color(strokeColor);
-          path.strokeWidth = strokeWidth;
-          path.strokeCap = 'round';
-          path.strokeJoin = 'round';
-          strokeGroup.addChild(path);
-        } else {
+          if (svgPathData) {
+            const path = new project.Path(svgPathData);
+            path.strokeColor = new paper.Color(strokeColor);
+            path.strokeWidth = strokeWidth;
+            path.strokeCap = 'round';
+            path.strokeJoin = 'round';
+            strokeGroup.addChild(path);
+          } else {
+            // Fallback: draw simple line
+            const path = new project.Path.Line({
+              from: new paper.Point(x1, y1),
+              to: new paper.Point(x2, y2),
+              strokeColor: new paper.Color(strokeColor),
+              strokeWidth: strokeWidth,
+              strokeCap: 'round',
+              strokeJoin: 'round'
+            });
+            strokeGroup.addChild(path);
+          }
+        } catch (err) {
+          console.warn('Rough.js rendering failed, using simple line:', err);
           // Fallback: draw simple line
           const path = new project.Path.Line({
             from: new paper.Point(x1, y1),
@@ -174,9 +237,8 @@ export function drawWalls(project, walls, options = {}, rough = null) {
           });
           strokeGroup.addChild(path);
         }
-      } catch (err) {
-        console.warn('Rough.js rendering failed, using simple line:', err);
-        // Fallback: draw simple line
+      } else {
+        // Simple line rendering (no Rough.js)
         const path = new project.Path.Line({
           from: new paper.Point(x1, y1),
           to: new paper.Point(x2, y2),
@@ -187,18 +249,7 @@ export function drawWalls(project, walls, options = {}, rough = null) {
         });
         strokeGroup.addChild(path);
       }
-    } else {
-      // Simple line rendering (no Rough.js)
-      const path = new project.Path.Line({
-        from: new paper.Point(x1, y1),
-        to: new paper.Point(x2, y2),
-        strokeColor: new paper.Color(strokeColor),
-        strokeWidth: strokeWidth,
-        strokeCap: 'round',
-        strokeJoin: 'round'
-      });
-      strokeGroup.addChild(path);
-    }
+    });
   });
 
   // Add groups in correct order (fills first, then strokes)
@@ -208,19 +259,57 @@ export function drawWalls(project, walls, options = {}, rough = null) {
   return wallGroup;
 }
 
+/**
+ * Build the label for a room: name (or "Room N") and area when known
+ * @param {Object|Array<[number, number]>} room - Room object or bare polygon
+ * @param {number} index - Room index, used for the fallback name
+ * @param {number|null} areaScale - Multiplier from drawing units² to m²
+ * @returns {{position: [number, number], text: string}|null} Label or null if the room has no usable outline
+ */
+function getRoomLabel(room, index, areaScale) {
+  const polygon = Array.isArray(room) ? room : (room?.polygon || room?.boundary);
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    return null;
+  }
+  
+  let position = Array.isArray(room.centroid) ? room.centroid : null;
+  if (!position) {
+    const points = polygon.filter(p => Array.isArray(p));
+    position = [
+      points.reduce((sum, p) => sum + p[0], 0) / points.length,
+      points.reduce((sum, p) => sum + p[1], 0) / points.length
+    ];
+  }
+  
+  const name = room.name || room.label || `Room ${index + 1}`;
+  let areaM2 = typeof room.area_m2 === 'number' ? room.area_m2 : null;
+  if (areaM2 === null && areaScale && typeof room.area === 'number') {
+    areaM2 = room.area * areaScale;
+  }
+  
+  return {
+    position,
+    text: areaM2 !== null ? `${name}\n${areaM2.toFixed(1)} m²` : name
+  };
+}
+
 /**
  * Draw annotations (doors, windows, labels, etc.)
  * Renders annotations with appropriate styles
  * Requires Paper.js to be loaded globally
  * @param {Object} project - Paper.js project instance (requires global 'paper')
  * @param {Object} annotations - Annotations to draw
- * @param {Array<{start: [number, number], end: [number, number], type?: string}>} annotations.openings - Doors/windows
+ * @param {Array<{start: [number, number], end: [number, number], type?: string, swing?: {hinge: [number, number], side: number}}>} annotations.openings - Doors/windows ('opening' type draws no symbol)
  * @param {Array<{position: [number, number], text: string}>} annotations.labels - Text labels
+ * @param {Array<{polygon?: Array<[number, number]>, boundary?: Array<[number, number]>, centroid?: [number, number], name?: string, area?: number, area_m2?: number}>} annotations.rooms - Rooms labelled at their centroid
  * @param {Object} options - Rendering options
  * @param {string} options.doorColor - Door color (default: '#0066cc')
  * @param {string} options.windowColor - Window color (default: '#00ccff')
  * @param {number} options.doorWidth - Door line width (default: 1.5)
  * @param {number} options.windowWidth - Window line width (default: 1.5)
+ * @param {string} options.roomLabelColor - Room label color (default: '#555555')
+ * @param {number} options.roomLabelSize - Room label font size (default: 11)
+ * @param {number} options.areaScale - Multiplier from drawing units² to m² for rooms without area_m2 (optional)
  * @param {boolean} options.useRough - Use Rough.js for hand-drawn style (default: false)
  * @param {Object} options.roughOptions - Rough.js options (default: {})
  * @param {Object} rough - Rough.js instance (required if useRough=true)
@@ -236,6 +325,9 @@ export function drawAnnotations(project, annotations = {}, options = {}, rough =
     windowColor = '#00ccff',
     doorWidth = 1.5,
     windowWidth = 1.5,
+    roomLabelColor = '#555555',
+    roomLabelSize = 11,
+    areaScale = null,
     useRough = false,
     roughOptions = {}
   } = options;
@@ -255,8 +347,13 @@ export function drawAnnotations(project, annotations = {}, options = {}, rough =
       
       const [x1, y1] = opening.start;
       const [x2, y2] = opening.end;
-      const type = opening.type || 'door';
-      const isWindow = type.toLowerCase() === 'window';
+      const type = (opening.type || 'door').toLowerCase();
+      const isWindow = type === 'window';
+      
+      // Plain openings are just the gap left in the wall
+      if (type === 'opening') {
+        return;
+      }
       
       const color = isWindow ? windowColor : doorColor;
       const width = isWindow ? windowWidth : doorWidth;
@@ -303,18 +400,39 @@ export function drawAnnotations(project, annotations = {}, options = {}, rough =
       
       // Draw door arc if it's a door
       if (!isWindow) {
-        // Calculate arc center and angle
-        const midX = (x1 + x2) / 2;
-        const midY = (y1 + y2) / 2;
+        // Hinge at the swing hinge (or opening start), leaf swung a quarter turn off the wall
         const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-        const angle = Math.atan2(y2 - y1, x2 - x1);
+        if (length < 1e-9) {
+          return;
+        }
+        const hinge = opening.swing?.hinge;
+        const hingeAtEnd = Array.isArray(hinge) &&
+          Math.hypot(hinge[0] - x2, hinge[1] - y2) < Math.hypot(hinge[0] - x1, hinge[1] - y1);
+        const [hx, hy] = hingeAtEnd ? [x2, y2] : [x1, y1];
+        const [cx, cy] = hingeAtEnd ? [x1, y1] : [x2, y2];
+        const side = opening.swing?.side || 1;
+        const ux = (x2 - x1) / length;
+        const uy = (y2 - y1) / length;
+        const tipX = hx - uy * side * length;
+        const tipY = hy + ux * side * length;
         
-        // Draw door swing arc (quarter circle)
-        const arcStart = angle - Math.PI / 2;
+        // Door leaf in the open position
+        const leaf = new project.Path.Line({
+          from: new paper.Point(hx, hy),
+          to: new paper.Point(tipX, tipY),
+          strokeColor: new paper.Color(color),
+          strokeWidth: width
+        });
+        annotationGroup.addChild(leaf);
+        
+        // Draw door swing arc (quarter circle) from the closed position to the leaf
+        const bisX = (cx - hx) + (tipX - hx);
+        const bisY = (cy - hy) + (tipY - hy);
+        const bisLength = Math.sqrt(bisX ** 2 + bisY ** 2);
         const arc = new project.Path.Arc({
-          from: new paper.Point(x1, y1),
-          through: new paper.Point(midX, midY),
-          to: new paper.Point(x2, y2)
+          from: new paper.Point(cx, cy),
+          through: new paper.Point(hx + (bisX / bisLength) * length, hy + (bisY / bisLength) * length),
+          to: new paper.Point(tipX, tipY)
         });
         arc.strokeColor = new paper.Color(color);
         arc.strokeWidth = width * 0.5;
@@ -348,6 +466,24 @@ export function drawAnnotations(project, annotations = {}, options = {}, rough =
     });
   }
   
+  // Draw room labels (name and area at the room centroid)
+  if (Array.isArray(annotations.rooms)) {
+    annotations.rooms.forEach((room, index) => {
+      const label = getRoomLabel(room, index, areaScale);
+      if (!label) {
+        return;
+      }
+      
+      const text = new project.PointText(new paper.Point(label.position[0], label.position[1]));
+      text.content = label.text;
+      text.justification = 'center';
+      text.fillColor = new paper.Color(roomLabelColor);
+      text.fontSize = roomLabelSize;
+      
+      annotationGroup.addChild(text);
+    });
+  }
+  
   // Draw labels
   if (Array.isArray(annotations.labels)) {
     annotations.labels.forEach(label => {
@@ -372,7 +508,7 @@ export function drawAnnotations(project, annotations = {}, options = {}, rough =
  * Render complete plan view with proper centering and scaling
  * Requires Paper.js to be loaded globally
  * @param {Array<{start: [number, number], end: [number, number], thickness: number}>} walls - Wall geometry
- * @param {Object} annotations - Annotations (openings, labels)
+ * @param {Object} annotations - Annotations (openings, labels, rooms)
  * @param {Object} options - Rendering options
  * @param {number} options.width - Canvas width (default: 800)
  * @param {number} options.height - Canvas height (default: 600)
@@ -443,6 +579,7 @@ export function renderPlan(walls, annotations = {}, options = {}, rough = null)
   // Draw walls with thickness and primary/secondary strokes
   const wallGroup = drawWalls(project, walls, {
     useRough,
+    openings: annotations.openings || [],
     ...renderOptions
   }, rough);
   
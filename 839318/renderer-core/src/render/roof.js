@@ -0,0 +1,589 @@
+/**
+ * Roof generation for axonometric and section views
+ * Builds roof faces over a footprint polygon: hipped roofs from the straight
+ * skeleton, gables along the long axis, mono-pitch and flat roofs with a parapet
+ * All functions are pure and deterministic
+ */
+
+import { buildPlanarGraph, enumerateFaces } from '../topology/planar-graph.js';
+import { intersectLines, lineLength } from '../utils/geom.js';
+
+/**
+ * Supported roof types
+ */
+export const ROOF_TYPES = ['flat', 'mono', 'gable', 'hip'];
+
+/**
+ * Brief roof values mapped to a roof type
+ * `ConceptSeed.roof` uses flat | pitched | mixed and `ExistingBaseline.roofAssumption`
+ * uses Pitched | Flat | Mixed | Unknown; mixed roofs are drawn as a mono-pitch
+ */
+const ROOF_TYPE_ALIASES = {
+  flat: 'flat',
+  pitched: 'gable',
+  mixed: 'mono',
+  unknown: 'flat',
+  'mono-pitch': 'mono',
+  monopitch: 'mono',
+  hipped: 'hip',
+  gabled: 'gable'
+};
+
+/**
+ * Default roof options (lengths in the same units as the footprint, mm)
+ */
+export const DEFAULT_ROOF_OPTIONS = {
+  pitch: 35,
+  eaveHeight: 0,
+  parapetHeight: 600,
+  parapetThickness: 200
+};
+
+const EPSILON = 1e-9;
+
+/**
+ * Resolve a roof type from a roof type or brief value
+ * @param {string} type - Roof type or brief value (e.g. 'Pitched', 'flat', 'hipped')
+ * @returns {string} One of ROOF_TYPES
+ * @throws {Error} If the value is not a known roof type
+ */
+export function normalizeRoofType(type) {
+  const key = String(type || 'flat').toLowerCase();
+  if (ROOF_TYPES.includes(key)) {
+    return key;
+  }
+  if (ROOF_TYPE_ALIASES[key]) {
+    return ROOF_TYPE_ALIASES[key];
+  }
+  throw new Error(`Unknown roof type: ${type} (expected one of ${ROOF_TYPES.join(', ')})`);
+}
+
+/**
+ * Signed polygon area (positive for counter-clockwise rings)
+ * @param {Array<[number, number]>} ring - Polygon ring (open)
+ * @returns {number} Signed area
+ */
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+/**
+ * Unit normal of a 3D polygon (Newell's method)
+ * @param {Array<[number, number, number]>} polygon3D - Polygon points
+ * @returns {[number, number, number]} Unit normal ([0, 0, 1] for degenerate polygons)
+ */
+function polygonNormal(polygon3D) {
+  let nx = 0;
+  let ny = 0;
+  let nz = 0;
+  for (let i = 0; i < polygon3D.length; i++) {
+    const [x1, y1, z1] = polygon3D[i];
+    const [x2, y2, z2] = polygon3D[(i + 1) % polygon3D.length];
+    nx += (y1 - y2) * (z1 + z2);
+    ny += (z1 - z2) * (x1 + x2);
+    nz += (x1 - x2) * (y1 + y2);
+  }
+  const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  return length < EPSILON ? [0, 0, 1] : [nx / length, ny / length, nz / length];
+}
+
+/**
+ * Build a roof face entry
+ * @param {string} face - Face name
+ * @param {Array<[number, number, number]>} polygon3D - Face polygon
+ * @returns {{face: string, polygon3D: Array<[number, number, number]>, normal: [number, number, number], zDepth: number}} Face
+ */
+function makeFace(face, polygon3D) {
+  return {
+    face,
+    polygon3D,
+    normal: polygonNormal(polygon3D),
+    zDepth: polygon3D.reduce((sum, p) => sum + p[2], 0) / polygon3D.length
+  };
+}
+
+/**
+ * Clean a footprint into a counter-clockwise ring without repeated points
+ * @param {Array<[number, number]>} footprint - Footprint polygon
+ * @returns {Array<[number, number]>} Counter-clockwise ring (empty when degenerate)
+ */
+function toCounterClockwise(footprint) {
+  const ring = [];
+  (Array.isArray(footprint) ? footprint : []).forEach(p => {
+    const last = ring[ring.length - 1];
+    if (Array.isArray(p) && (!last || lineLength(last, p) > EPSILON)) {
+      ring.push([p[0], p[1]]);
+    }
+  });
+  if (ring.length > 1 && lineLength(ring[0], ring[ring.length - 1]) <= EPSILON) {
+    ring.pop();
+  }
+  if (ring.length < 3 || Math.abs(signedArea(ring)) < EPSILON) {
+    return [];
+  }
+  return signedArea(ring) > 0 ? ring : ring.reverse();
+}
+
+/**
+ * Direction of the longest footprint edge (the ridge direction for gables)
+ * @param {Array<[number, number]>} ring - Footprint ring
+ * @returns {[number, number]} Unit direction
+ */
+function longAxis(ring) {
+  let best = [1, 0];
+  let bestLength = -1;
+  ring.forEach((p, i) => {
+    const q = ring[(i + 1) % ring.length];
+    const length = lineLength(p, q);
+    if (length > bestLength + EPSILON) {
+      bestLength = length;
+      best = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+    }
+  });
+  // Canonical sign so the axis does not depend on ring orientation
+  return best[0] < -EPSILON || (Math.abs(best[0]) <= EPSILON && best[1] < 0) ? [-best[0], -best[1]] : best;
+}
+
+/**
+ * Compute the straight skeleton of a simple counter-clockwise polygon
+ *
+ * Simulates the wavefront: every edge moves inwards at unit speed and every
+ * vertex moves along its bisector. Edge events (an edge shrinks to nothing)
+ * merge two vertices; split events (a reflex vertex hits an opposite edge)
+ * split the wavefront in two. Each skeleton node records the time it was
+ * reached, which is its horizontal distance from the eaves.
+ *
+ * @param {Array<[number, number]>} ring - Counter-clockwise polygon ring
+ * @returns {{arcs: Array<[[number, number], [number, number]]>, nodes: Array<{point: [number, number], time: number}>}} Skeleton arcs and nodes
+ */
+export function straightSkeleton(ring) {
+  const edges = ring.map((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    const length = lineLength(a, b);
+    const d = [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+    const n = [-d[1], d[0]];
+    return { a, d, n, c: n[0] * a[0] + n[1] * a[1] };
+  });
+
+  const nodes = ring.map(point => ({ point, time: 0 }));
+  const arcs = [];
+  const scale = Math.max(...ring.map(p => Math.max(Math.abs(p[0]), Math.abs(p[1]))), 1);
+  const tolerance = scale * 1e-9;
+
+  // Velocity that keeps a vertex on both moving edge lines (null for antiparallel edges)
+  const velocity = (inEdge, outEdge) => {
+    const n1 = edges[inEdge].n;
+    const n2 = edges[outEdge].n;
+    const det = n1[0] * n2[1] - n1[1] * n2[0];
+    if (Math.abs(det) < 1e-12) {
+      return n1[0] * n2[0] + n1[1] * n2[1] > 0 ? [n1[0], n1[1]] : null;
+    }
+    return [(n2[1] - n1[1]) / det, (n1[0] - n2[0]) / det];
+  };
+  const makeVertex = (point, time, inEdge, outEdge) => ({
+    point,
+    time,
+    inEdge,
+    outEdge,
+    velocity: velocity(inEdge, outEdge)
+  });
+  const positionAt = (vertex, t) => [
+    vertex.point[0] + (vertex.velocity ? vertex.velocity[0] : 0) * (t - vertex.time),
+    vertex.point[1] + (vertex.velocity ? vertex.velocity[1] : 0) * (t - vertex.time)
+  ];
+  const addArc = (from, to) => {
+    if (lineLength(from, to) > tolerance) arcs.push([from, to]);
+  };
+  const addNode = (point, time) => nodes.push({ point, time });
+
+  let wavefronts = [ring.map((p, i) => makeVertex(p, 0, (i - 1 + ring.length) % ring.length, i))];
+  let now = 0;
+
+  // A wavefront that has lost its area finishes as ridge lines at the current time
+  const collapse = (lav, t) => {
+    const points = lav.map(vertex => positionAt(vertex, t));
+    lav.forEach((vertex, i) => {
+      addArc(vertex.point, points[i]);
+      addNode(points[i], t);
+    });
+    points.forEach((p, i) => {
+      if (lav.length > 1) addArc(p, points[(i + 1) % points.length]);
+    });
+  };
+  const isDegenerate = (lav, t) => lav.length < 3 ||
+    lav.some(vertex => vertex.velocity === null) ||
+    Math.abs(signedArea(lav.map(vertex => positionAt(vertex, t)))) < tolerance * scale;
+
+  // Bounded: every event removes at least one vertex or splits a wavefront
+  for (let guard = 0; guard < ring.length * ring.length * 4 + 16 && wavefronts.length > 0; guard++) {
+    let best = null;
+
+    wavefronts.forEach((lav, li) => {
+      lav.forEach((vertex, vi) => {
+        const next = lav[(vi + 1) % lav.length];
+        const d = edges[vertex.outEdge].d;
+        const a = positionAt(vertex, now);
+        const b = positionAt(next, now);
+        const gap = (b[0] - a[0]) * d[0] + (b[1] - a[1]) * d[1];
+        const rate = ((next.velocity[0] - vertex.velocity[0]) * d[0] + (next.velocity[1] - vertex.velocity[1]) * d[1]);
+        if (gap <= tolerance || rate < -EPSILON) {
+          const t = gap <= tolerance ? now : now - gap / rate;
+          if (!best || t < best.t - tolerance) best = { kind: 'edge', t, li, vi };
+        }
+
+        // Split events only come from reflex vertices
+        const dIn = edges[vertex.inEdge].d;
+        const dOut = edges[vertex.outEdge].d;
+        if (dIn[0] * dOut[1] - dIn[1] * dOut[0] >= -EPSILON) {
+          return;
+        }
+        lav.forEach((x, xi) => {
+          const y = lav[(xi + 1) % lav.length];
+          if (x === vertex || y === vertex) return;
+          const edge = edges[x.outEdge];
+          const approach = edge.n[0] * vertex.velocity[0] + edge.n[1] * vertex.velocity[1] - 1;
+          if (approach >= -EPSILON) return;
+          const t = now + (edge.c + now - (edge.n[0] * a[0] + edge.n[1] * a[1])) / approach;
+          if (t < now - tolerance) return;
+          const hit = positionAt(vertex, t);
+          const xs = positionAt(x, t);
+          const ys = positionAt(y, t);
+          const along = (hit[0] - xs[0]) * edge.d[0] + (hit[1] - xs[1]) * edge.d[1];
+          const span = (ys[0] - xs[0]) * edge.d[0] + (ys[1] - xs[1]) * edge.d[1];
+          if (along < -tolerance * 1e3 || along > span + tolerance * 1e3) return;
+          if (!best || t < best.t - tolerance) best = { kind: 'split', t, li, vi, xi };
+        });
+      });
+    });
+
+    if (!best) {
+      break;
+    }
+
+    now = Math.max(now, best.t);
+    const lav = wavefronts[best.li];
+    const vertex = lav[best.vi];
+    const remaining = wavefronts.filter((_, i) => i !== best.li);
+    let produced = [];
+
+    if (best.kind === 'edge') {
+      const next = lav[(best.vi + 1) % lav.length];
+      const p = positionAt(vertex, now);
+      const q = positionAt(next, now);
+      const meet = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+      addArc(vertex.point, meet);
+      addArc(next.point, meet);
+      addNode(meet, now);
+
+      if (lav.length <= 3) {
+        lav.filter(v => v !== vertex && v !== next).forEach(v => addArc(v.point, meet));
+      } else {
+        const merged = makeVertex(meet, now, vertex.inEdge, next.outEdge);
+        const rest = lav.filter(v => v !== vertex && v !== next);
+        const insertAt = best.vi < lav.indexOf(next) ? best.vi : rest.length;
+        rest.splice(insertAt, 0, merged);
+        produced = [rest];
+      }
+    } else {
+      const x = lav[best.xi];
+      const y = lav[(best.xi + 1) % lav.length];
+      const hit = positionAt(vertex, now);
+      addArc(vertex.point, hit);
+      addNode(hit, now);
+
+      // Walk the wavefront from the split vertex round to each side of the hit edge
+      const walk = (from, to) => {
+        const out = [];
+        for (let i = lav.indexOf(from); ; i = (i + 1) % lav.length) {
+          out.push(lav[i]);
+          if (lav[i] === to) break;
+        }
+        return out;
+      };
+      const prev = lav[(best.vi - 1 + lav.length) % lav.length];
+      const next = lav[(best.vi + 1) % lav.length];
+      const first = [makeVertex(hit, now, vertex.inEdge, x.outEdge), ...walk(y, prev)];
+      const second = [makeVertex(hit, now, x.outEdge, vertex.outEdge), ...walk(next, x)];
+      produced = [first, second];
+    }
+
+    // Close up strips between antiparallel edges, then retire wavefronts with no area left
+    produced = produced.flatMap(front => {
+      let changed = true;
+      while (changed && front.length >= 3) {
+        changed = false;
+        const i = front.findIndex(v => v.velocity === null);
+        if (i === -1) break;
+        const prev = front[(i - 1 + front.length) % front.length];
+        const next = front[(i + 1) % front.length];
+        const p = positionAt(prev, now);
+        const q = positionAt(next, now);
+        if (prev === next || lineLength(p, q) > tolerance * 1e3) break;
+
+        const meet = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+        addArc(front[i].point, meet);
+        addArc(prev.point, meet);
+        addArc(next.point, meet);
+        addNode(meet, now);
+        const merged = makeVertex(meet, now, prev.inEdge, next.outEdge);
+        const kept = front.filter(v => v !== prev && v !== next && v !== front[i]);
+        const at = front.indexOf(prev) < front.indexOf(next) ? Math.min(front.indexOf(prev), kept.length) : kept.length;
+        kept.splice(at, 0, merged);
+        front = kept;
+        changed = true;
+      }
+
+      if (isDegenerate(front, now)) {
+        collapse(front, now);
+        return [];
+      }
+      return [front];
+    });
+
+    wavefronts = [...remaining, ...produced];
+  }
+
+  return { arcs, nodes };
+}
+
+/**
+ * Hipped roof faces from the straight skeleton
+ * Every footprint edge gets one roof plane rising from it at the roof pitch
+ * @param {Array<[number, number]>} ring - Counter-clockwise footprint ring
+ * @param {number} eaveHeight - Eave elevation
+ * @param {number} slope - Rise per unit run (tan of the pitch)
+ * @returns {Array<{face: string, polygon3D: Array<[number, number, number]>, base: number}>} Roof faces with the footprint edge they rise from
+ */
+function hipFaces(ring, eaveHeight, slope) {
+  const { arcs, nodes } = straightSkeleton(ring);
+  const scale = Math.max(...ring.map(p => Math.max(Math.abs(p[0]), Math.abs(p[1]))), 1);
+  const tolerance = scale * 1e-6;
+
+  const lines = [
+    ...ring.map((p, i) => ({ start: p, end: ring[(i + 1) % ring.length] })),
+    ...arcs.map(([start, end]) => ({ start, end }))
+  ];
+  const graph = buildPlanarGraph(lines, { tolerance });
+
+  // Height of a graph vertex from the time its skeleton node was reached
+  const timeAt = point => {
+    let best = null;
+    let bestDistance = Infinity;
+    nodes.forEach(node => {
+      const d = lineLength(node.point, point);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = node;
+      }
+    });
+    return best && bestDistance <= tolerance * 10 ? best.time : 0;
+  };
+
+  const onEdge = (p, i) => {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    const length = lineLength(a, b);
+    const cross = ((b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0])) / length;
+    return Math.abs(cross) <= tolerance * 10;
+  };
+
+  return enumerateFaces(graph)
+    .filter(face => face.signedArea > tolerance * tolerance)
+    .map(face => {
+      const polygon3D = face.polygon.map(p => [p[0], p[1], eaveHeight + timeAt(p) * slope]);
+      // The footprint edge this face rises from holds at least two of its eave vertices
+      const base = ring.findIndex((_, i) => face.polygon.filter((p, k) => polygon3D[k][2] === eaveHeight && onEdge(p, i)).length >= 2);
+      return { face: 'roof', polygon3D, base };
+    });
+}
+
+/**
+ * Turn the hip faces at the short ends into vertical gables
+ * Ridge points above a gable end are pushed along the ridge axis onto the end
+ * wall plane, which extends the long roof slopes to meet it
+ * @param {Array<[number, number]>} ring - Counter-clockwise footprint ring
+ * @param {Array<Object>} faces - Faces from hipFaces()
+ * @param {[number, number]} axis - Ridge direction
+ * @param {number} eaveHeight - Eave elevation
+ * @returns {Array<{face: string, polygon3D: Array<[number, number, number]>}>} Roof and gable faces
+ */
+function gableFaces(ring, faces, axis, eaveHeight) {
+  const key = p => `${p[0].toFixed(6)},${p[1].toFixed(6)}`;
+  const isGable = face => {
+    if (face.base < 0) return false;
+    const a = ring[face.base];
+    const b = ring[(face.base + 1) % ring.length];
+    const length = lineLength(a, b);
+    return Math.abs(((b[0] - a[0]) * axis[0] + (b[1] - a[1]) * axis[1]) / length) < Math.SQRT1_2;
+  };
+
+  // Raised points shared by more than one gable end (e.g. the apex of a square) stay put
+  const owners = new Map();
+  faces.filter(isGable).forEach(face => {
+    face.polygon3D.filter(p => p[2] > eaveHeight).forEach(p => {
+      owners.set(key(p), (owners.get(key(p)) || 0) + 1);
+    });
+  });
+
+  const moved = new Map();
+  faces.filter(isGable).forEach(face => {
+    const a = ring[face.base];
+    const b = ring[(face.base + 1) % ring.length];
+    const length = lineLength(a, b);
+    const n = [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+    const towards = n[0] * axis[0] + n[1] * axis[1];
+    face.polygon3D.filter(p => p[2] > eaveHeight && owners.get(key(p)) === 1).forEach(p => {
+      const s = -(n[0] * (p[0] - a[0]) + n[1] * (p[1] - a[1])) / towards;
+      moved.set(key(p), [p[0] + s * axis[0], p[1] + s * axis[1], p[2]]);
+    });
+  });
+
+  return faces.map(face => ({
+    face: isGable(face) && face.polygon3D.some(p => moved.has(key(p))) ? 'gable' : 'roof',
+    polygon3D: face.polygon3D.map(p => moved.get(key(p)) || p)
+  }));
+}
+
+/**
+ * Mono-pitch roof: one plane rising across the short axis, with infill walls below it
+ * @param {Array<[number, number]>} ring - Counter-clockwise footprint ring
+ * @param {number} eaveHeight - Eave elevation (low side)
+ * @param {number} slope - Rise per unit run
+ * @param {[number, number]} uphill - Unit direction the roof rises towards
+ * @returns {Array<{face: string, polygon3D: Array<[number, number, number]>}>} Roof and gable faces
+ */
+function monoFaces(ring, eaveHeight, slope, uphill) {
+  const along = p => p[0] * uphill[0] + p[1] * uphill[1];
+  const low = Math.min(...ring.map(along));
+  const lifted = ring.map(p => [p[0], p[1], eaveHeight + (along(p) - low) * slope]);
+
+  const faces = [{ face: 'roof', polygon3D: lifted }];
+  ring.forEach((p, i) => {
+    const q = ring[(i + 1) % ring.length];
+    const top = [lifted[(i + 1) % ring.length], lifted[i]].filter(v => v[2] > eaveHeight + EPSILON);
+    if (top.length > 0) {
+      faces.push({ face: 'gable', polygon3D: [[p[0], p[1], eaveHeight], [q[0], q[1], eaveHeight], ...top] });
+    }
+  });
+  return faces;
+}
+
+/**
+ * Flat roof: deck inside a parapet upstand around the footprint
+ * @param {Array<[number, number]>} ring - Counter-clockwise footprint ring
+ * @param {number} eaveHeight - Deck elevation
+ * @param {number} parapetHeight - Parapet height above the deck (0 for none)
+ * @param {number} parapetThickness - Parapet wall thickness
+ * @returns {Array<{face: string, polygon3D: Array<[number, number, number]>}>} Deck and parapet faces
+ */
+function flatFaces(ring, eaveHeight, parapetHeight, parapetThickness) {
+  if (!(parapetHeight > 0) || !(parapetThickness > 0)) {
+    return [{ face: 'roof', polygon3D: ring.map(p => [p[0], p[1], eaveHeight]) }];
+  }
+
+  // Inner ring: each edge line moved inwards by the parapet thickness, mitred at corners
+  const offsetEdge = i => {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    const length = lineLength(a, b);
+    const n = [-(b[1] - a[1]) / length * parapetThickness, (b[0] - a[0]) / length * parapetThickness];
+    return [[a[0] + n[0], a[1] + n[1]], [b[0] + n[0], b[1] + n[1]]];
+  };
+  const inner = ring.map((p, i) => {
+    const [a1, b1] = offsetEdge((i - 1 + ring.length) % ring.length);
+    const [a2, b2] = offsetEdge(i);
+    return intersectLines(a1, b1, a2, b2) || a2;
+  });
+
+  const top = eaveHeight + parapetHeight;
+  const faces = [{ face: 'roof', polygon3D: inner.map(p => [p[0], p[1], eaveHeight]) }];
+  ring.forEach((p, i) => {
+    const j = (i + 1) % ring.length;
+    const [q, ip, iq] = [ring[j], inner[i], inner[j]];
+    faces.push({ face: 'parapet', polygon3D: [[p[0], p[1], eaveHeight], [q[0], q[1], eaveHeight], [q[0], q[1], top], [p[0], p[1], top]] });
+    faces.push({ face: 'parapet', polygon3D: [[iq[0], iq[1], eaveHeight], [ip[0], ip[1], eaveHeight], [ip[0], ip[1], top], [iq[0], iq[1], top]] });
+    faces.push({ face: 'parapet-top', polygon3D: [[p[0], p[1], top], [q[0], q[1], top], [iq[0], iq[1], top], [ip[0], ip[1], top]] });
+  });
+  return faces;
+}
+
+/**
+ * Generate a roof over a footprint polygon
+ *
+ * - hip: every eave rises at the pitch; faces come from the straight skeleton
+ * - gable: hip roof with the ends along the long axis made vertical
+ * - mono: a single plane rising across the long axis
+ * - flat: a deck at eave height inside a parapet
+ *
+ * The result has the same volume shape as extrudeWalls()/extrudeSlab()
+ * (edges plus faces with outward normals) so it renders with the walls.
+ *
+ * @param {Array<[number, number]>} footprint - Footprint polygon (either orientation, open ring)
+ * @param {Object} options - Roof options
+ * @param {string} options.type - Roof type or brief value ('flat' | 'mono' | 'gable' | 'hip', 'Pitched', 'Mixed', ...) (default: 'flat')
+ * @param {number} options.pitch - Roof pitch in degrees (default: 35)
+ * @param {number} options.eaveHeight - Eave / deck elevation (default: 0)
+ * @param {number} options.parapetHeight - Flat roof parapet height (default: 600)
+ * @param {number} options.parapetThickness - Flat roof parapet thickness (default: 200)
+ * @param {[number, number]} options.axis - Ridge direction for gable roofs, across-slope for mono roofs (default: longest footprint edge)
+ * @returns {{type: string, faces: Array<{face: string, polygon3D: Array<[number, number, number]>, normal: [number, number, number], zDepth: number}>, edges: Array<Object>, height: number}} Roof geometry; height is the top elevation
+ */
+export function generateRoof(footprint, options = {}) {
+  const {
+    pitch = DEFAULT_ROOF_OPTIONS.pitch,
+    eaveHeight = DEFAULT_ROOF_OPTIONS.eaveHeight,
+    parapetHeight = DEFAULT_ROOF_OPTIONS.parapetHeight,
+    parapetThickness = DEFAULT_ROOF_OPTIONS.parapetThickness
+  } = options;
+
+  const type = normalizeRoofType(options.type);
+  const ring = toCounterClockwise(footprint);
+  if (ring.length === 0) {
+    return { type, faces: [], edges: [], height: eaveHeight };
+  }
+
+  const slope = Math.tan((Math.max(0, Math.min(pitch, 75)) * Math.PI) / 180);
+  const axisLength = Array.isArray(options.axis) ? Math.hypot(options.axis[0], options.axis[1]) : 0;
+  const axis = axisLength > EPSILON ? [options.axis[0] / axisLength, options.axis[1] / axisLength] : longAxis(ring);
+
+  let faces;
+  if (type === 'hip') {
+    faces = hipFaces(ring, eaveHeight, slope);
+  } else if (type === 'gable') {
+    faces = gableFaces(ring, hipFaces(ring, eaveHeight, slope), axis, eaveHeight);
+  } else if (type === 'mono') {
+    faces = monoFaces(ring, eaveHeight, slope, [-axis[1], axis[0]]);
+  } else {
+    faces = flatFaces(ring, eaveHeight, parapetHeight, parapetThickness);
+  }
+
+  const built = faces.map(({ face, polygon3D }) => makeFace(face, polygon3D));
+
+  // Outline edges, each shared edge once
+  const seen = new Set();
+  const edges = [];
+  const pointKey = p => p.map(v => v.toFixed(6)).join(',');
+  built.forEach(face => {
+    face.polygon3D.forEach((p, i) => {
+      const q = face.polygon3D[(i + 1) % face.polygon3D.length];
+      const [k1, k2] = [pointKey(p), pointKey(q)];
+      const k = k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
+      if (k1 === k2 || seen.has(k)) return;
+      seen.add(k);
+      edges.push({ start: [p[0], p[1], p[2]], end: [q[0], q[1], q[2]], type: 'roof', isVertical: Math.abs(p[0] - q[0]) < EPSILON && Math.abs(p[1] - q[1]) < EPSILON });
+    });
+  });
+
+  return {
+    type,
+    faces: built,
+    edges,
+    height: Math.max(eaveHeight, ...built.flatMap(face => face.polygon3D.map(p => p[2])))
+  };
+}
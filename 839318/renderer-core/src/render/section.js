@@ -5,6 +5,10 @@
  */
 
 import { intersectSegments, distance } from '../utils/geom.js';
+import { stackLevels } from '../topology/building-model.js';
+import { resolveWallOpenings } from './wall-extrusion.js';
+import { generateRoof } from './roof.js';
+import { getStylePreset } from './style.js';
 
 /**
  * Calculate intersection of wall with cut plane
@@ -190,4 +194,296 @@ export function renderSection(walls, cutPlane, options = {}, rough) {
     },
     project: project
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Check if a point lies inside a polygon (even-odd rule)
+ * @param {[number, number]} point - Point [x, y]
+ * @param {Array<[number, number]>} polygon - Polygon ring (open)
+ * @returns {boolean} True if inside
+ */
+function pointInPolygon(point, polygon) {
+  const [px, py] = point;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Cut 3D faces with a vertical section plane
+ * @param {Array<{face: string, polygon3D: [number, number, number][]}>} faces - Faces to cut
+ * @param {{start: [number, number], end: [number, number]}} cutPlane - Cut plane line
+ * @returns {Array<{face: string, points: [[number, number], [number, number]]}>} Cut segments in section coordinates (x along the cut line, z)
+ */
+function cutFaces(faces, cutPlane) {
+  const length = distance(cutPlane.start, cutPlane.end);
+  if (length < 1e-10) {
+    return [];
+  }
+  
+  const [sx, sy] = cutPlane.start;
+  const [cx, cy] = [(cutPlane.end[0] - sx) / length, (cutPlane.end[1] - sy) / length];
+  const side = p => cx * (p[1] - sy) - cy * (p[0] - sx);
+  const toSection = p => [(p[0] - sx) * cx + (p[1] - sy) * cy, p[2]];
+  const segments = [];
+  
+  faces.forEach(face => {
+    const points = [];
+    face.polygon3D.forEach((p, i) => {
+      const q = face.polygon3D[(i + 1) % face.polygon3D.length];
+      const [dp, dq] = [side(p), side(q)];
+      if (Math.abs(dp) < 1e-9) {
+        points.push(toSection(p));
+      } else if (dp * dq < 0) {
+        const t = dp / (dp - dq);
+        points.push(toSection([p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t, p[2] + (q[2] - p[2]) * t]));
+      }
+    });
+    
+    // Pair crossings along the cut; faces lying in the plane only touch it
+    points.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+    for (let i = 0; i + 1 < points.length; i += 2) {
+      const [a, b] = [points[i], points[i + 1]];
+      if (Math.hypot(b[0] - a[0], b[1] - a[1]) < 1e-9) continue;
+      if (Math.max(a[0], b[0]) < 0 || Math.min(a[0], b[0]) > length) continue;
+      segments.push({ face: face.face, points: [a, b] });
+    }
+  });
+  
+  return segments;
+}
+
+/**
+ * Cut a multi-level building with a vertical section plane
+ * Returns the cut solids in section coordinates: x is the distance along the
+ * cut line from its start, z is the elevation. Walls are cut at their true
+ * width along the section and keep door/window voids they are cut through;
+ * slabs are cut wherever the section line runs inside their outline and the
+ * roof (when the building has one) is cut into profile segments
+ * @param {{levels: Array<Object>}} building - Building from createBuilding()
+ * @param {{start: [number, number], end: [number, number]}} cutPlane - Cut plane line
+ * @param {Object} options - Cut options
+ * @param {number} options.defaultThickness - Thickness for walls without one (default: 200)
+ * @returns {{length: number, levels: Array<{id: string, name: string, elevation: number}>, elements: Array<{kind: string, id: string, levelId: string, x0: number, x1: number, z0: number, z1: number}>, roof: Array<{face: string, points: [[number, number], [number, number]]}>}} Section cut
+ */
+export function cutBuilding(building, cutPlane, options = {}) {
+  const { defaultThickness = 200 } = options;
+  
+  if (!cutPlane || !Array.isArray(cutPlane.start) || !Array.isArray(cutPlane.end)) {
+    throw new Error('Cut plane must have start and end points');
+  }
+  
+  const length = distance(cutPlane.start, cutPlane.end);
+  const [cx, cy] = [(cutPlane.end[0] - cutPlane.start[0]) / (length || 1), (cutPlane.end[1] - cutPlane.start[1]) / (length || 1)];
+  const stacked = stackLevels(building);
+  const elements = [];
+  
+  stacked.walls.forEach(wall => {
+    const hit = wallCutIntersection(wall, cutPlane);
+    const wallLength = distance(wall.start, wall.end);
+    if (!hit || wallLength < 1e-10) {
+      return;
+    }
+    
+    // Width of the wall measured along the section line grows as the cut gets oblique
+    const [wx, wy] = [(wall.end[0] - wall.start[0]) / wallLength, (wall.end[1] - wall.start[1]) / wallLength];
+    const sine = Math.max(Math.abs(wx * cy - wy * cx), 0.1);
+    const halfWidth = (wall.thickness || defaultThickness) / sine / 2;
+    const x = distance(cutPlane.start, hit);
+    
+    const height = wall.height;
+    const t = distance(wall.start, hit);
+    const opening = resolveWallOpenings(wall, stacked.openings, height).find(o => t > o.t0 && t < o.t1);
+    const spans = opening
+      ? [[0, opening.sill], [opening.head, height]].filter(([z0, z1]) => z1 - z0 > 1e-9)
+      : [[0, height]];
+    
+    spans.forEach(([z0, z1]) => {
+      elements.push({
+        kind: 'wall',
+        id: wall.id,
+        levelId: wall.levelId,
+        x0: x - halfWidth,
+        x1: x + halfWidth,
+        z0: wall.baseZ + z0,
+        z1: wall.baseZ + z1
+      });
+    });
+  });
+  
+  stacked.slabs.forEach(slab => {
+    // Section line parameters where it crosses the slab outline
+    const stops = [0, length];
+    slab.polygon.forEach((p, i) => {
+      const hit = intersectSegments(p, slab.polygon[(i + 1) % slab.polygon.length], cutPlane.start, cutPlane.end);
+      if (hit) stops.push(distance(cutPlane.start, hit));
+    });
+    stops.sort((a, b) => a - b);
+    
+    for (let i = 0; i < stops.length - 1; i++) {
+      const [x0, x1] = [stops[i], stops[i + 1]];
+      const mid = (x0 + x1) / 2;
+      if (x1 - x0 < 1e-9 || !pointInPolygon([cutPlane.start[0] + cx * mid, cutPlane.start[1] + cy * mid], slab.polygon)) {
+        continue;
+      }
+      
+      // Merge with the previous interval when the line only grazed a vertex
+      const previous = elements[elements.length - 1];
+      if (previous && previous.id === slab.id && Math.abs(previous.x1 - x0) < 1e-9) {
+        previous.x1 = x1;
+      } else {
+        elements.push({ kind: 'slab', id: slab.id, levelId: slab.levelId, x0, x1, z0: slab.bottom, z1: slab.top });
+      }
+    }
+  });
+  
+  const roof = stacked.roof ? cutFaces(generateRoof(stacked.roof.footprint, stacked.roof).faces, cutPlane) : [];
+  
+  return {
+    length,
+    levels: ((building && building.levels) || []).map(level => ({ id: level.id, name: level.name, elevation: level.elevation })),
+    elements,
+    roof
+  };
+}
+
+/**
+ * Render a section through every level of a building
+ * Draws cut walls and slabs as filled solids, the roof profile and level datum lines
+ * Requires Paper.js to be loaded globally
+ * @param {{levels: Array<Object>}} building - Building from createBuilding()
+ * @param {{start: [number, number], end: [number, number]}} cutPlane - Cut plane line
+ * @param {Object} options - Rendering options
+ * @param {number} options.width - Canvas width (default: 800)
+ * @param {number} options.height - Canvas height (default: 600)
+ * @param {number} options.margin - Margin around the section (default: 40)
+ * @param {number} options.scale - Model units to pixels (default: fit to canvas)
+ * @param {string} options.stylePreset - Style preset name (default: 'default')
+ * @param {string} options.cutColor - Stroke color for cut solids and the roof (default: preset section.cutColor)
+ * @param {string} options.cutFill - Fill for cut solids (default: preset section.fillColor)
+ * @param {number} options.cutWidth - Stroke width for the roof profile (default: preset section.cutWidth)
+ * @param {string} options.levelColor - Color for level datum lines (default: '#999999')
+ * @param {Object} options.roughOptions - Rough.js options (default: {})
+ * @param {Object} rough - Rough.js instance
+ * @returns {Object} Object with { svg: string, bounds: Object, project: Object, section: Object }
+ */
+export function renderBuildingSection(building, cutPlane, options = {}, rough) {
+  if (typeof paper === 'undefined' || !rough) {
+    throw new Error('Paper.js (global) and Rough.js instance are required');
+  }
+  
+  const style = getStylePreset(options.stylePreset);
+  const {
+    width = 800,
+    height = 600,
+    margin = 40,
+    cutColor = style.section.cutColor,
+    cutFill = style.section.fillColor,
+    cutWidth = style.section.cutWidth,
+    levelColor = '#999999',
+    roughOptions = {}
+  } = options;
+  
+  const section = cutBuilding(building, cutPlane, options);
+  const zs = section.elements.flatMap(e => [e.z0, e.z1])
+    .concat(section.levels.map(l => l.elevation))
+    .concat(section.roof.flatMap(segment => segment.points.map(p => p[1])));
+  const minZ = zs.length > 0 ? Math.min(...zs) : 0;
+  const maxZ = zs.length > 0 ? Math.max(...zs) : 0;
+  const scale = options.scale ?? Math.min(
+    (width - 2 * margin) / (section.length || 1),
+    (height - 2 * margin) / ((maxZ - minZ) || 1)
+  );
+  const toScreen = (x, z) => [margin + x * scale, height - margin - (z - minZ) * scale];
+  
+  // Create Paper.js project
+  const project = new paper.Project();
+  project.view.viewSize = new paper.Size(width, height);
+  const allGroups = new project.Group();
+  
+  // Level datum lines
+  section.levels.forEach(level => {
+    const [x0, y] = toScreen(0, level.elevation);
+    const [x1] = toScreen(section.length, level.elevation);
+    const datum = new project.Path([new paper.Point(x0, y), new paper.Point(x1, y)]);
+    datum.strokeColor = new paper.Color(levelColor);
+    datum.strokeWidth = 0.5;
+    datum.dashArray = [6, 4];
+    allGroups.addChild(datum);
+    
+    const label = new paper.PointText(new paper.Point(x1 + 4, y - 3));
+    label.content = level.name;
+    label.fillColor = new paper.Color(levelColor);
+    label.fontSize = 10;
+    allGroups.addChild(label);
+  });
+  
+  // Cut solids
+  section.elements.forEach(element => {
+    const [x0, y0] = toScreen(element.x0, element.z0);
+    const [x1, y1] = toScreen(element.x1, element.z1);
+    const solid = new project.Path.Rectangle(new paper.Point(x0, y1), new paper.Point(x1, y0));
+    solid.fillColor = new paper.Color(cutFill);
+    allGroups.addChild(solid);
+    
+    // Sketchy outline over the solid fill
+    const lineWidth = element.kind === 'slab' ? 1.5 : 2;
+    [[x0, y0, x1, y0], [x1, y0, x1, y1], [x1, y1, x0, y1], [x0, y1, x0, y0]].forEach(([ax, ay, bx, by]) => {
+      const roughPath = rough.line(ax, ay, bx, by, {
+        stroke: cutColor,
+        strokeWidth: lineWidth,
+        roughness: 0.8,
+        ...roughOptions
+      });
+      const svgPath = roughPath.getAttribute ? roughPath.getAttribute('d') : roughPath;
+      if (svgPath) {
+        const path = new project.Path(svgPath);
+        path.strokeColor = new paper.Color(cutColor);
+        path.strokeWidth = lineWidth;
+        allGroups.addChild(path);
+      }
+    });
+  });
+  
+  // Roof profile
+  section.roof.forEach(segment => {
+    const [[ax, ay], [bx, by]] = segment.points.map(([x, z]) => toScreen(x, z));
+    const roughPath = rough.line(ax, ay, bx, by, {
+      stroke: cutColor,
+      strokeWidth: cutWidth,
+      roughness: 0.8,
+      ...roughOptions
+    });
+    const svgPath = roughPath.getAttribute ? roughPath.getAttribute('d') : roughPath;
+    if (svgPath) {
+      const path = new project.Path(svgPath);
+      path.strokeColor = new paper.Color(cutColor);
+      path.strokeWidth = cutWidth;
+      allGroups.addChild(path);
+    }
+  });
+  
+  // Calculate bounds
+  const bounds = allGroups.bounds;
+  
+  // Export to SVG
+  const svg = project.exportSVG({ asString: true });
+  
+  return {
+    svg: svg,
+    bounds: {
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height
+    },
+    project: project,
+    section: section
+  };
+}
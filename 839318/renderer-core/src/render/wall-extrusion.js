@@ -5,6 +5,23 @@
  */
 
 import { lineLength, distance, intersectLines } from '../utils/geom.js';
+import { getOpeningInterval } from '../topology/opening-detection.js';
+
+/**
+ * Default sill and head heights per opening type (same units as wall height, mm)
+ * Openings can override these with their own sillHeight / headHeight
+ */
+export const DEFAULT_OPENING_HEIGHTS = {
+  door: { sill: 0, head: 2100 },
+  window: { sill: 900, head: 2100 },
+  opening: { sill: 0, head: 2100 }
+};
+
+/**
+ * View direction of the 30° isometric projection used by project3DToAxon
+ * Points with a larger dot product are closer to the viewer
+ */
+const VIEW_DIRECTION = [1, 1, 1];
 
 /**
  * Project a 3D point to 2D axonometric space using proper 30° isometric projection
@@ -78,6 +95,11 @@ export function project3DToAxon(point3D, axonMatrix = null, scale = 1.0, heightS
     }
   }
   
+  // Debug tracking below uses window globals; skip it outside the browser (workers, Node)
+  if (typeof window === 'undefined') {
+    return [screenX, screenY];
+  }
+  
   // TEMPORARY TEST: Verify Z contributes at full scale
   // Test with floor (z=0) and roof (z=2700) vertices from actual wall geometry
   // Track first floor and first roof point to verify screenY difference
@@ -354,21 +376,205 @@ function calculateAxonDepth(polygon3D) {
   return avgY * 2 + avgZ * 0.5;
 }
 
+/**
+ * Calculate view depth of a face for the isometric projection
+ * Distance of the face centroid along the view direction (higher = closer to viewer)
+ * @param {[number, number, number][]} polygon3D - 3D polygon points [x, y, z]
+ * @returns {number} View depth
+ */
+function calculateViewDepth(polygon3D) {
+  if (!polygon3D || polygon3D.length === 0) {
+    return 0;
+  }
+  
+  const [vx, vy, vz] = VIEW_DIRECTION;
+  return polygon3D.reduce((sum, p) => sum + p[0] * vx + p[1] * vy + (p[2] || 0) * vz, 0) / polygon3D.length;
+}
+
+/**
+ * Resolve the openings hosted by a wall to distances along it with sill and head heights
+ * Openings are matched by wallId (or taken from wall.openings), overlapping openings are dropped
+ * @param {{id?: string, start: [number, number], end: [number, number], openings?: Array<Object>}} wall - Host wall
+ * @param {Array<{wallId: string, type?: string, position?: number, width?: number, start?: [number, number], end?: [number, number], sillHeight?: number, headHeight?: number}>} openings - Topology openings
+ * @param {number} height - Wall height (sill/head are clamped to it)
+ * @param {Object} options - Resolve options
+ * @param {number} options.defaultOpeningWidth - Width for openings without one (default: 900)
+ * @param {Object} options.openingHeights - Sill/head defaults per type (default: DEFAULT_OPENING_HEIGHTS)
+ * @returns {Array<{id?: string, type: string, t0: number, t1: number, sill: number, head: number}>} Openings sorted along the wall
+ */
+export function resolveWallOpenings(wall, openings = [], height = 2700, options = {}) {
+  const {
+    defaultOpeningWidth = 900,
+    openingHeights = DEFAULT_OPENING_HEIGHTS
+  } = options;
+  
+  if (!wall || !Array.isArray(wall.start) || !Array.isArray(wall.end)) {
+    return [];
+  }
+  
+  const hosted = [
+    ...(Array.isArray(wall.openings) ? wall.openings : []),
+    ...(wall.id && Array.isArray(openings) ? openings.filter(o => o && o.wallId === wall.id) : [])
+  ];
+  
+  const resolved = [];
+  hosted.forEach(opening => {
+    const interval = getOpeningInterval(opening, wall, defaultOpeningWidth);
+    if (!interval) {
+      return;
+    }
+    
+    const type = (opening.type || 'opening').toLowerCase();
+    const defaults = openingHeights[type] || openingHeights.opening || DEFAULT_OPENING_HEIGHTS.opening;
+    const sill = Math.max(0, Math.min(height, opening.sillHeight ?? defaults.sill));
+    const head = Math.max(sill, Math.min(height, opening.headHeight ?? defaults.head));
+    if (head - sill < 1e-9) {
+      return;
+    }
+    
+    resolved.push({ id: opening.id, type, t0: interval.t0, t1: interval.t1, sill, head });
+  });
+  
+  // Keep the first of any overlapping openings so voids never intersect
+  resolved.sort((a, b) => a.t0 - b.t0);
+  const kept = [];
+  resolved.forEach(opening => {
+    if (kept.length === 0 || opening.t0 >= kept[kept.length - 1].t1 - 1e-9) {
+      kept.push(opening);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Extrude a wall centerline with openings into 3D faces
+ * Each opening subtracts a void from sill to head; the wall is built from solid pieces
+ * (full height between openings, below sill and above head inside them) and the void
+ * is lined with reveal faces: sill (top of the piece below), head (soffit of the piece above)
+ * and jambs (across the thickness at each end of the opening)
+ * @param {[number, number][]} centerline - Wall centerline polyline (2D points)
+ * @param {number} thickness - Wall thickness
+ * @param {number} height - Wall height
+ * @param {Array<{t0: number, t1: number, sill: number, head: number, id?: string}>} openings - Resolved openings (distances along the centerline)
+ * @returns {Array<{face: string, polygon3D: [number, number, number][], normal: [number, number, number], zDepth: number, openingId?: string}>} Faces
+ */
+function extrudeWallWithOpenings(centerline, thickness, height, openings) {
+  const halfThickness = thickness / 2;
+  const leftPolyline = offsetPolyline(centerline, halfThickness, 'left');
+  const rightPolyline = offsetPolyline(centerline, halfThickness, 'right');
+  const totalLength = centerline.slice(1).reduce((sum, p, i) => sum + lineLength(centerline[i], p), 0);
+  
+  const faces = [];
+  const addFace = (face, polygon3D, normal, openingId) => {
+    const entry = { face, polygon3D, normal, zDepth: calculate3DFaceDepth(polygon3D) };
+    if (openingId !== undefined) {
+      entry.openingId = openingId;
+    }
+    faces.push(entry);
+  };
+  
+  let segmentStart = 0;
+  for (let k = 0; k < centerline.length - 1; k++) {
+    const segmentLength = lineLength(centerline[k], centerline[k + 1]);
+    const perp = getPerpendicularUnitVector(centerline[k], centerline[k + 1]);
+    if (!perp || segmentLength < 1e-10) {
+      continue;
+    }
+    
+    const [px, py] = perp;
+    const dirX = -py;
+    const dirY = px;
+    // Segment ends keep the mitered corners; cuts inside the segment are square to the wall
+    const crossSection = (polyline, side) => u => {
+      if (u <= 0) return polyline[k];
+      if (u >= 1) return polyline[k + 1];
+      const [a, b] = [centerline[k], centerline[k + 1]];
+      return [a[0] + (b[0] - a[0]) * u + px * halfThickness * side, a[1] + (b[1] - a[1]) * u + py * halfThickness * side];
+    };
+    const leftAt = crossSection(leftPolyline, 1);
+    const rightAt = crossSection(rightPolyline, -1);
+    const toU = t => (t - segmentStart) / segmentLength;
+    
+    // Break the segment into intervals that are either solid or inside one opening
+    const breaks = [0, 1];
+    openings.forEach(opening => {
+      [opening.t0, opening.t1].forEach(t => {
+        const u = toU(t);
+        if (u > 0 && u < 1) breaks.push(u);
+      });
+    });
+    breaks.sort((a, b) => a - b);
+    
+    for (let b = 0; b < breaks.length - 1; b++) {
+      const ua = breaks[b];
+      const ub = breaks[b + 1];
+      if (ub - ua < 1e-12) continue;
+      
+      const mid = segmentStart + ((ua + ub) / 2) * segmentLength;
+      const opening = openings.find(o => mid > o.t0 && mid < o.t1);
+      const spans = opening
+        ? [[0, opening.sill], [opening.head, height]].filter(([z0, z1]) => z1 - z0 > 1e-9)
+        : [[0, height]];
+      
+      const [la, lb, ra, rb] = [leftAt(ua), leftAt(ub), rightAt(ua), rightAt(ub)];
+      spans.forEach(([z0, z1]) => {
+        addFace('left', [[la[0], la[1], z0], [lb[0], lb[1], z0], [lb[0], lb[1], z1], [la[0], la[1], z1]], [px, py, 0]);
+        addFace('right', [[rb[0], rb[1], z0], [ra[0], ra[1], z0], [ra[0], ra[1], z1], [rb[0], rb[1], z1]], [-px, -py, 0]);
+        
+        const topName = z1 >= height ? 'top' : 'sill';
+        addFace(topName, [[la[0], la[1], z1], [lb[0], lb[1], z1], [rb[0], rb[1], z1], [ra[0], ra[1], z1]], [0, 0, 1],
+          topName === 'sill' ? opening.id : undefined);
+        
+        if (z0 > 0) {
+          addFace('head', [[ra[0], ra[1], z0], [rb[0], rb[1], z0], [lb[0], lb[1], z0], [la[0], la[1], z0]], [0, 0, -1], opening.id);
+        }
+      });
+    }
+    
+    // Jambs line the void at each end of an opening that is backed by wall material
+    openings.forEach(opening => {
+      [[opening.t0, 1], [opening.t1, -1]].forEach(([t, facing]) => {
+        const u = toU(t);
+        const atWallEnd = t <= 1e-9 || t >= totalLength - 1e-9;
+        if (atWallEnd || u < 0 || u > 1 || (u === 1 && k < centerline.length - 2)) return;
+        
+        const l = leftAt(u);
+        const r = rightAt(u);
+        addFace('jamb', [
+          [l[0], l[1], opening.sill], [r[0], r[1], opening.sill],
+          [r[0], r[1], opening.head], [l[0], l[1], opening.head]
+        ], [dirX * facing, dirY * facing, 0], opening.id);
+      });
+    });
+    
+    segmentStart += segmentLength;
+  }
+  
+  return faces;
+}
+
 /**
  * Extrude a wall centerline polyline into 3D geometry
  * Creates 3 visible faces: top, left side, right side
  * Returns 3D geometry (not yet projected)
  * 
+ * With openings, each one is cut out as a void with sill, head and jamb reveal faces
+ * 
  * @param {[number, number][]} centerline - Wall centerline polyline (2D points)
  * @param {number} thickness - Wall thickness in same units as centerline (default: 200)
  * @param {number} height - Wall height in same units as centerline (default: 2700)
+ * @param {Array<{t0: number, t1: number, sill: number, head: number}>} openings - Openings as distances along the centerline (see resolveWallOpenings) (default: [])
  * @returns {Array<{face: string, polygon3D: [number, number, number][], depth?: number}>} Extruded 3D faces
  */
-export function extrudeWall(centerline, thickness = 200, height = 2700) {
+export function extrudeWall(centerline, thickness = 200, height = 2700, openings = []) {
   if (!Array.isArray(centerline) || centerline.length < 2) {
     return [];
   }
   
+  if (Array.isArray(openings) && openings.length > 0) {
+    return extrudeWallWithOpenings(centerline, thickness, height, openings);
+  }
+  
   const faces = [];
   
   // Create left and right offset polylines with mitered corners
@@ -572,7 +778,9 @@ function generateWallEdges(baseCorners, topCorners) {
  *   - Vertical edge: A0 → A1
  *   - Vertical edge: B0 → B1
  * 
- * @param {{start: [number, number], end: [number, number], height?: number}} wall - Wall segment
+ * Walls with a baseZ (upper storeys) start at that elevation instead of z=0
+ * 
+ * @param {{start: [number, number], end: [number, number], height?: number, baseZ?: number}} wall - Wall segment
  * @param {number} defaultHeight - Default wall height if not specified (default: 2700)
  * @returns {Object} Object with exactly 4 edges
  */
@@ -583,13 +791,14 @@ export function wallToSimpleEdges(wall, defaultHeight = 2700) {
   
   const [x1, y1] = wall.start;
   const [x2, y2] = wall.end;
-  const height = wall.height || defaultHeight;
+  const baseZ = wall.baseZ || 0;
+  const height = baseZ + (wall.height || defaultHeight);
   
   // Create 4 3D points explicitly
   // CRITICAL: Each point is a NEW array - never reuse array references
   // This ensures each edge has independent vertices that won't be affected by projection
-  const A0 = [x1, y1, 0];           // Floor point A (NEW array)
-  const B0 = [x2, y2, 0];           // Floor point B (NEW array)
+  const A0 = [x1, y1, baseZ];       // Floor point A (NEW array)
+  const B0 = [x2, y2, baseZ];       // Floor point B (NEW array)
   const A1 = [x1, y1, height];      // Roof point A (NEW array)
   const B1 = [x2, y2, height];      // Roof point B (NEW array)
   
@@ -640,23 +849,162 @@ export function wallToSweptVolume(wall, defaultHeight = 2700) {
   return wallToSimpleEdges(wall, defaultHeight);
 }
 
+/**
+ * Split the simple wall edges around openings and add the opening outlines
+ * Floor edges are interrupted by openings starting at the floor, roof edges by
+ * openings reaching the top; each void gets jamb verticals and sill/head lines
+ * 
+ * @param {{start: [number, number], end: [number, number]}} wall - Wall segment
+ * @param {number} height - Wall height
+ * @param {Array<{t0: number, t1: number, sill: number, head: number}>} openings - Resolved openings (see resolveWallOpenings)
+ * @returns {Array<{start: [number, number, number], end: [number, number, number], type: string, isVertical: boolean}>} Edges
+ */
+function wallToOpeningEdges(wall, height, openings) {
+  const [x1, y1] = wall.start;
+  const [x2, y2] = wall.end;
+  const length = lineLength(wall.start, wall.end);
+  const at = (t, z) => [x1 + (x2 - x1) * (t / length), y1 + (y2 - y1) * (t / length), z];
+  
+  // Solid runs of a horizontal edge at z, skipping openings that cut through it
+  const runs = (z, cuts) => {
+    const result = [];
+    let from = 0;
+    cuts.forEach(opening => {
+      if (opening.t0 > from + 1e-9) result.push([from, opening.t0]);
+      from = Math.max(from, opening.t1);
+    });
+    if (length > from + 1e-9) result.push([from, length]);
+    return result.map(([t0, t1]) => ({ start: at(t0, z), end: at(t1, z), type: 'horizontal', isVertical: false }));
+  };
+  
+  const edges = [
+    ...runs(0, openings.filter(o => o.sill <= 0)),
+    ...runs(height, openings.filter(o => o.head >= height))
+  ];
+  
+  [0, length].forEach(t => {
+    edges.push({ start: at(t, 0), end: at(t, height), type: 'vertical', isVertical: true });
+  });
+  
+  openings.forEach(opening => {
+    [opening.t0, opening.t1].forEach(t => {
+      edges.push({ start: at(t, opening.sill), end: at(t, opening.head), type: 'opening', isVertical: true });
+    });
+    [opening.sill, opening.head].forEach(z => {
+      if (z > 0 && z < height) {
+        edges.push({ start: at(opening.t0, z), end: at(opening.t1, z), type: 'opening', isVertical: false });
+      }
+    });
+  });
+  
+  return edges;
+}
+
 /**
  * Extrude multiple walls to simple edge sets
  * Each wall generates exactly 4 edges (2 horizontal + 2 vertical)
  * Returns 3D geometry with explicit Z coordinates (not yet projected to 2D)
  * 
- * @param {Array<{start: [number, number], end: [number, number], thickness?: number, height?: number}>} walls - Wall geometry
+ * With openings, floor and roof edges are split around each void, the void
+ * outline is added as 'opening' edges, and every volume also carries the
+ * opening-aware faces from extrudeWall for face-based rendering
+ * 
+ * @param {Array<{id?: string, start: [number, number], end: [number, number], thickness?: number, height?: number}>} walls - Wall geometry
  * @param {number} defaultHeight - Default wall height (default: 2700)
- * @returns {Array<Object>} Array of wall objects, each with exactly 4 edges
+ * @param {Object} options - Extrusion options
+ * @param {Array<{wallId: string, type?: string, position?: number, width?: number, sillHeight?: number, headHeight?: number}>} options.openings - Doors and windows to cut (default: [])
+ * @param {number} options.defaultThickness - Thickness for walls without one (default: 200)
+ * @param {number} options.defaultOpeningWidth - Width for openings without one (default: 900)
+ * @param {Object} options.openingHeights - Sill/head defaults per type (default: DEFAULT_OPENING_HEIGHTS)
+ * @returns {Array<Object>} Array of wall objects with edges (and faces/openings when openings are given)
  */
-export function extrudeWalls(walls, defaultHeight = 2700) {
+export function extrudeWalls(walls, defaultHeight = 2700, options = {}) {
   if (!Array.isArray(walls) || walls.length === 0) {
     return [];
   }
   
-  // Use simple 4-edge approach: each wall gets exactly 4 edges
-  return walls.map(wall => wallToSimpleEdges(wall, defaultHeight))
-    .filter(volume => volume !== null);
+  const {
+    openings = [],
+    defaultThickness = 200,
+    defaultOpeningWidth = 900,
+    openingHeights = DEFAULT_OPENING_HEIGHTS
+  } = options;
+  
+  const hasOpenings = (Array.isArray(openings) && openings.length > 0) ||
+    walls.some(wall => wall && Array.isArray(wall.openings) && wall.openings.length > 0);
+  
+  if (!hasOpenings) {
+    // Use simple 4-edge approach: each wall gets exactly 4 edges
+    return walls.map(wall => wallToSimpleEdges(wall, defaultHeight))
+      .filter(volume => volume !== null);
+  }
+  
+  return walls.map(wall => {
+    const volume = wallToSimpleEdges(wall, defaultHeight);
+    if (!volume) {
+      return null;
+    }
+    
+    const height = wall.height || defaultHeight;
+    const wallOpenings = resolveWallOpenings(wall, openings, height, { defaultOpeningWidth, openingHeights });
+    
+    // Solid walls also get faces with normals so culling treats every wall alike
+    const baseZ = wall.baseZ || 0;
+    const lift = p => [p[0], p[1], p[2] + baseZ];
+    const edges = wallOpenings.length > 0
+      ? wallToOpeningEdges(wall, height, wallOpenings).map(edge => ({ ...edge, start: lift(edge.start), end: lift(edge.end) }))
+      : volume.edges;
+    const faces = extrudeWallWithOpenings([wall.start, wall.end], wall.thickness || defaultThickness, height, wallOpenings)
+      .map(face => baseZ === 0 ? face : { ...face, polygon3D: face.polygon3D.map(lift), zDepth: face.zDepth + baseZ });
+    
+    return { wall, edges, openings: wallOpenings, faces };
+  }).filter(volume => volume !== null);
+}
+
+/**
+ * Extrude a floor slab outline into a prism between two elevations
+ * Returns the same volume shape as extrudeWalls (edges plus faces with normals)
+ * so slabs can be sorted and drawn together with walls
+ * 
+ * @param {{polygon: [number, number][], bottom: number, top: number, id?: string}} slab - Slab outline (open ring) and elevations
+ * @returns {{slab: Object, edges: Array<Object>, faces: Array<Object>}|null} Slab volume or null for degenerate outlines
+ */
+export function extrudeSlab(slab) {
+  if (!slab || !Array.isArray(slab.polygon) || slab.polygon.length < 3 || !(slab.top > slab.bottom)) {
+    return null;
+  }
+  
+  const { bottom, top } = slab;
+  // Work on a counter-clockwise ring so side normals point outwards
+  const signedArea = slab.polygon.reduce((sum, p, i) => {
+    const q = slab.polygon[(i + 1) % slab.polygon.length];
+    return sum + p[0] * q[1] - q[0] * p[1];
+  }, 0);
+  const ring = signedArea >= 0 ? slab.polygon : [...slab.polygon].reverse();
+  
+  const edges = [];
+  const faces = [];
+  const addFace = (face, polygon3D, normal) => {
+    faces.push({ face, polygon3D, normal, zDepth: calculate3DFaceDepth(polygon3D) });
+  };
+  
+  ring.forEach((p, i) => {
+    const q = ring[(i + 1) % ring.length];
+    const length = lineLength(p, q);
+    if (length < 1e-10) return;
+    
+    edges.push({ start: [p[0], p[1], bottom], end: [q[0], q[1], bottom], type: 'slab', isVertical: false });
+    edges.push({ start: [p[0], p[1], top], end: [q[0], q[1], top], type: 'slab', isVertical: false });
+    edges.push({ start: [p[0], p[1], bottom], end: [p[0], p[1], top], type: 'slab', isVertical: true });
+    
+    addFace('edge', [[p[0], p[1], bottom], [q[0], q[1], bottom], [q[0], q[1], top], [p[0], p[1], top]],
+      [(q[1] - p[1]) / length, -(q[0] - p[0]) / length, 0]);
+  });
+  
+  addFace('slab-top', ring.map(p => [p[0], p[1], top]), [0, 0, 1]);
+  addFace('slab-bottom', [...ring].reverse().map(p => [p[0], p[1], bottom]), [0, 0, -1]);
+  
+  return { slab, edges, faces };
 }
 
 /**
@@ -739,11 +1087,20 @@ export function projectAndSortEdges(wallVolumes, axonMatrix = null, scale = 1.0,
 }
 
 /**
- * Project 3D faces to 2D and sort by Z-depth (painter's algorithm)
- * Legacy function for face-based rendering (kept for backward compatibility)
- * @deprecated Use projectAndSortEdges for edge-based rendering
+ * Project 3D faces to 2D and sort by view depth (painter's algorithm)
+ * Faces with a normal (walls with openings) are back-face culled, so the far
+ * side of a wall and hidden reveals never paint over the void in front of them.
+ * Sorting uses the distance along the isometric view direction, which keeps
+ * sills, heads and jambs ordered correctly against the wall faces around them
+ * 
+ * @param {Array<{faces: Array<{face: string, polygon3D: [number, number, number][], normal?: [number, number, number], zDepth?: number}>}>} extrudedWalls - Wall volumes with faces
+ * @param {number[]} axonMatrix - Ignored (kept for backward compatibility)
+ * @param {Object} options - Sorting options
+ * @param {boolean} options.cullBackFaces - Drop faces whose normal points away from the viewer (default: true)
+ * @returns {Array<{face: string, polygon: [number, number][], zDepth: number, viewDepth: number, wallIndex: number, openingId?: string}>} Faces sorted far to near
  */
-export function projectAndSortFaces(extrudedWalls, axonMatrix) {
+export function projectAndSortFaces(extrudedWalls, axonMatrix, options = {}) {
+  const { cullBackFaces = true } = options;
   const allFaces = [];
   
   extrudedWalls.forEach((extrudedWall, wallIndex) => {
@@ -752,6 +1109,13 @@ export function projectAndSortFaces(extrudedWalls, axonMatrix) {
     }
     
     extrudedWall.faces.forEach(face => {
+      if (cullBackFaces && Array.isArray(face.normal)) {
+        const [vx, vy, vz] = VIEW_DIRECTION;
+        if (face.normal[0] * vx + face.normal[1] * vy + face.normal[2] * vz <= 1e-9) {
+          return;
+        }
+      }
+      
       // Calculate Z-depth from 3D geometry (before projection)
       // Use pre-calculated zDepth if available, otherwise calculate it
       const zDepth = face.zDepth !== undefined 
@@ -782,19 +1146,23 @@ export function projectAndSortFaces(extrudedWalls, axonMatrix) {
         return projected;
       });
       
-      allFaces.push({
+      const projectedFace = {
         face: face.face,
         polygon: polygon2D,
-        zDepth: zDepth,    // Average Z-depth for sorting
+        zDepth: zDepth,    // Average Z-depth (kept for callers that style by height)
+        viewDepth: calculateViewDepth(face.polygon3D),
         wallIndex: wallIndex
-      });
+      };
+      if (face.openingId !== undefined) {
+        projectedFace.openingId = face.openingId;
+      }
+      allFaces.push(projectedFace);
     });
   });
   
-  // Sort by Z-depth (far faces first, near faces last)
-  // Lower Z-depth (closer to ground) = render first (further back)
-  // Higher Z-depth (higher up) = render last (on top, closer to viewer)
-  allFaces.sort((a, b) => a.zDepth - b.zDepth);
+  // Sort by view depth (far faces first, near faces last)
+  // Ties fall back to Z-depth so lower faces still render first
+  allFaces.sort((a, b) => (a.viewDepth - b.viewDepth) || (a.zDepth - b.zDepth));
   
   return allFaces;
 }
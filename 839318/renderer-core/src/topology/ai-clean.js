@@ -21,6 +21,91 @@ function isRetryableError(status) {
   return status === 429 || (status >= 500 && status < 600);
 }
 
+/**
+ * Split complete Server-Sent Events off a text buffer
+ * @param {string} buffer - Text received so far
+ * @returns {{events: Array<{event: string, data: *}>, rest: string}} Complete events and the unparsed remainder
+ */
+export function parseEventStream(buffer) {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      // Lines starting with ':' are comments (heartbeats)
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    if (dataLines.length === 0) {
+      continue;
+    }
+    const text = dataLines.join('\n');
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+    events.push({ event, data });
+  }
+
+  return { events, rest };
+}
+
+/**
+ * Read a progress stream from the streaming endpoint until the final geometry
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onProgress - Called with {stage, data} for every event
+ * @param {Function} onActivity - Called whenever data arrives (resets the idle timeout)
+ * @returns {Promise<Object>} Data of the 'done' event
+ */
+async function readEventStream(response, onProgress, onActivity) {
+  let buffer = '';
+  let result = null;
+
+  const handle = text => {
+    const parsed = parseEventStream(buffer + text);
+    buffer = parsed.rest;
+    for (const { event, data } of parsed.events) {
+      if (event === 'error') {
+        const streamError = new Error(`AI endpoint stream failed: ${data?.error || 'Unknown error'}`);
+        streamError.details = data?.details;
+        throw streamError;
+      }
+      onProgress({ stage: event, data });
+      if (event === 'done') {
+        result = data;
+      }
+    }
+  };
+
+  if (response.body && typeof response.body.getReader === 'function') {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onActivity();
+      handle(decoder.decode(value, { stream: true }));
+    }
+    handle(decoder.decode() + '\n\n');
+  } else {
+    // No streaming body (older runtimes): events arrive all at once
+    handle((await response.text()) + '\n\n');
+  }
+
+  if (!result) {
+    throw new Error('AI endpoint stream ended without a result');
+  }
+  return result;
+}
+
 /**
  * Clean topology using AI endpoint with retries and error handling
  * @param {Array<{points: Array<[number, number]>, closed?: boolean}>} polylines - Array of polylines
@@ -32,7 +117,12 @@ function isRetryableError(status) {
  * @param {number} opts.maxRetries - Maximum retries (default: 2)
  * @param {number} opts.timeout - Request timeout in milliseconds (default: 30000)
  * @param {Object} opts.headers - Additional headers
- * @returns {Promise<Object>} Geometry response with {walls, rooms, openings, meta}
+ * @param {Function} opts.onProgress - Progress callback ({stage, data}); when set, the streaming endpoint is used and
+ *   stages (validated, llm-request, llm-response, repair-attempt, validation, fallback, done) are reported as they happen
+ * @param {string} opts.streamUrl - Streaming endpoint URL (default: endpointUrl + '/stream')
+ * @param {string} opts.schemaVersion - Response schema version ('v1' or 'v2'; default: server default, v1)
+ * @returns {Promise<Object>} Geometry response with {walls, rooms, openings, meta}, plus schemaVersion and
+ *   levels (v2) when the server sends them
  */
 export async function aiClean(polylines, metadata, opts = {}) {
   const {
@@ -41,8 +131,12 @@ export async function aiClean(polylines, metadata, opts = {}) {
     endpointUrl = 'http://localhost:3001/api/topology/ai-clean',
     maxRetries = 2,
     timeout = 30000,
-    headers = {}
+    headers = {},
+    onProgress = null,
+    streamUrl = `${endpointUrl.replace(/\/$/, '')}/stream`,
+    schemaVersion
   } = opts;
+  const streaming = typeof onProgress === 'function';
   
   // Validate input
   if (!Array.isArray(polylines)) {
@@ -81,6 +175,14 @@ export async function aiClean(polylines, metadata, opts = {}) {
     requestHeaders['X-Prefer-Deterministic'] = 'true';
   }
 
+  if (streaming) {
+    requestHeaders['Accept'] = 'text/event-stream';
+  }
+
+  if (schemaVersion) {
+    requestHeaders['X-Schema-Version'] = String(schemaVersion);
+  }
+
   let lastError = null;
   const maxAttempts = maxRetries + 1; // Total attempts = retries + 1 initial
 
@@ -88,18 +190,21 @@ export async function aiClean(polylines, metadata, opts = {}) {
     try {
   // Create AbortController for timeout
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  let timeoutId = setTimeout(() => controller.abort(), timeout);
   
   try {
     // POST to AI endpoint
-    const response = await fetch(endpointUrl, {
+    const response = await fetch(streaming ? streamUrl : endpointUrl, {
       method: 'POST',
       headers: requestHeaders,
       body: JSON.stringify(payload),
       signal: controller.signal
     });
     
-    clearTimeout(timeoutId);
+    // Streams keep the timeout as an idle timeout until the last event
+    if (!streaming || !response.ok) {
+      clearTimeout(timeoutId);
+    }
     
     // Check HTTP status
     if (!response.ok) {
@@ -123,12 +228,20 @@ export async function aiClean(polylines, metadata, opts = {}) {
           throw new Error(`AI endpoint returned status ${status}: ${errorText}`);
     }
     
-    // Parse JSON response
+    // Parse JSON response (or the final event of a stream)
     let data;
-    try {
-      data = await response.json();
-    } catch (parseError) {
-      throw new Error(`Failed to parse AI response as JSON: ${parseError.message}`);
+    if (streaming) {
+      data = await readEventStream(response, onProgress, () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), timeout);
+      });
+      clearTimeout(timeoutId);
+    } else {
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error(`Failed to parse AI response as JSON: ${parseError.message}`);
+      }
     }
     
         // Validate response structure
@@ -144,7 +257,9 @@ export async function aiClean(polylines, metadata, opts = {}) {
           meta: data.meta || {
             scale: metadata.pxToMeters || 0.01,
             bounds: { minX: 0, maxX: 0, minY: 0, maxY: 0 }
-          }
+          },
+          ...(data.schemaVersion ? { schemaVersion: data.schemaVersion } : {}),
+          ...(Array.isArray(data.levels) ? { levels: data.levels } : {})
     };
     
       } catch (fetchError) {
@@ -0,0 +1,248 @@
+/**
+ * Building Model
+ * Groups wall sets into stacked levels with floor-to-floor heights and floor slabs
+ * A level's elevation is its finished floor level: its slab sits directly below it
+ * and its walls rise from it to the underside of the next slab
+ * All functions are pure and deterministic
+ */
+
+import { buildPlanarGraph, enumerateFaces, removeCollinearVertices } from './planar-graph.js';
+
+/**
+ * Default floor-to-floor height (3000mm: 2700mm walls plus a 300mm slab)
+ */
+export const DEFAULT_FLOOR_TO_FLOOR = 3000;
+
+/**
+ * Default floor slab thickness (300mm)
+ */
+export const DEFAULT_SLAB_THICKNESS = 300;
+
+/**
+ * Number of levels for each `Storeys` value of the concept brief
+ * 'three_plus' is modelled as three levels
+ */
+export const STOREY_COUNTS = {
+  one: 1,
+  two: 2,
+  three_plus: 3
+};
+
+/**
+ * Resolve a storey count from a brief value or number
+ * @param {string|number} storeys - `Storeys` value ('one' | 'two' | 'three_plus') or level count
+ * @returns {number} Level count (at least 1)
+ */
+function resolveStoreyCount(storeys) {
+  if (typeof storeys === 'number' && Number.isFinite(storeys)) {
+    return Math.max(1, Math.floor(storeys));
+  }
+  return STOREY_COUNTS[storeys] || 1;
+}
+
+/**
+ * Bounding rectangle of wall endpoints as a counter-clockwise ring
+ * @param {Array<{start: [number, number], end: [number, number]}>} walls - Walls
+ * @returns {Array<[number, number]>} Rectangle ring, or [] without walls
+ */
+function boundsRectangle(walls) {
+  const points = walls.flatMap(wall => [wall.start, wall.end]);
+  if (points.length === 0) {
+    return [];
+  }
+
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  return [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]];
+}
+
+/**
+ * Outer footprint of a wall set
+ * Uses the outer face of the planar wall graph (the boundary around all rooms);
+ * falls back to the bounding rectangle when the walls do not enclose anything
+ * @param {Array<{start: [number, number], end: [number, number]}>} walls - Wall centre lines
+ * @param {Object} options - Footprint options
+ * @param {number} options.tolerance - Snap distance for wall junctions (default: 5)
+ * @returns {Array<[number, number]>} Footprint ring (counter-clockwise, open)
+ */
+export function getFootprint(walls, options = {}) {
+  const { tolerance = 5 } = options;
+
+  const valid = (Array.isArray(walls) ? walls : [])
+    .filter(wall => wall && Array.isArray(wall.start) && Array.isArray(wall.end));
+  if (valid.length === 0) {
+    return [];
+  }
+
+  // Outer faces come out with negative signed area; the largest one wraps the building
+  const outer = enumerateFaces(buildPlanarGraph(valid, { tolerance }))
+    .filter(face => face.signedArea < -1e-9)
+    .sort((f1, f2) => f1.signedArea - f2.signedArea)[0];
+
+  if (!outer) {
+    return boundsRectangle(valid);
+  }
+
+  return removeCollinearVertices(outer.polygon.map(([x, y]) => [x, y]).reverse());
+}
+
+/**
+ * Create a multi-level building model
+ *
+ * Accepts either explicit levels or a single-storey topology. A single topology
+ * is repeated `storeys` times, which matches briefs that only give a ground plan.
+ *
+ * @param {Object} input - Building input
+ *   Can be:
+ *   - {levels: [{walls, rooms?, openings?, id?, name?, floorToFloor?, slabThickness?, slab?}, ...]} - Levels from the ground up (slab: outline ring, default: wall footprint)
+ *   - {walls, rooms?, openings?, storeys?} - One wall set, stacked `storeys` times
+ * @param {Object} options - Model options
+ * @param {string|number} options.storeys - Brief `Storeys` value or level count for single topologies (default: input.storeys or 1)
+ * @param {number} options.floorToFloor - Default floor-to-floor height (default: 3000)
+ * @param {number} options.slabThickness - Default slab thickness (default: 300)
+ * @param {number} options.groundElevation - Ground floor level (default: 0)
+ * @param {string|Object} options.roof - Roof over the top level: a roof type / brief value or generateRoof() options (default: input.roof or none)
+ * @returns {{levels: Array<Object>, height: number, roof: Object|null}} Levels (id, index, name, elevation, floorToFloor, slabThickness, wallHeight, walls, rooms, openings, slab), overall height to the top of the walls and the roof options
+ */
+export function createBuilding(input, options = {}) {
+  const {
+    floorToFloor = DEFAULT_FLOOR_TO_FLOOR,
+    slabThickness = DEFAULT_SLAB_THICKNESS,
+    groundElevation = 0
+  } = options;
+
+  if (!input || typeof input !== 'object') {
+    return { levels: [], height: 0, roof: null };
+  }
+
+  let sources;
+  if (Array.isArray(input.levels)) {
+    sources = input.levels;
+  } else {
+    const count = resolveStoreyCount(options.storeys ?? input.storeys);
+    sources = Array.from({ length: count }, () => input);
+  }
+
+  let elevation = groundElevation;
+  const levels = sources.map((source, index) => {
+    const levelFloorToFloor = source.floorToFloor || floorToFloor;
+    const levelSlabThickness = source.slabThickness ?? slabThickness;
+    const wallHeight = levelFloorToFloor - levelSlabThickness;
+    if (wallHeight <= 0) {
+      throw new Error(`Level ${index}: slab thickness (${levelSlabThickness}) must be less than floor-to-floor height (${levelFloorToFloor})`);
+    }
+
+    const walls = (source.walls || []).map(wall => ({
+      ...wall,
+      height: Math.min(wall.height || wallHeight, wallHeight)
+    }));
+
+    const level = {
+      id: source.id || `level-${index}`,
+      index,
+      name: source.name || (index === 0 ? 'Ground floor' : `Level ${index}`),
+      elevation,
+      floorToFloor: levelFloorToFloor,
+      slabThickness: levelSlabThickness,
+      wallHeight,
+      walls,
+      rooms: source.rooms || [],
+      openings: source.openings || [],
+      slab: {
+        polygon: source.slab || getFootprint(walls),
+        bottom: elevation - levelSlabThickness,
+        top: elevation
+      }
+    };
+
+    elevation += levelFloorToFloor;
+    return level;
+  });
+
+  const top = levels.length > 0 ? levels[levels.length - 1] : null;
+  const roof = options.roof ?? input.roof ?? null;
+  return {
+    levels,
+    height: top ? top.elevation + top.wallHeight - groundElevation : 0,
+    roof: typeof roof === 'string' ? { type: roof } : roof
+  };
+}
+
+/**
+ * Find a level by index, id or name
+ * @param {{levels: Array<Object>}} building - Building from createBuilding()
+ * @param {number|string} level - Level index, id or name (default: 0)
+ * @returns {Object} Level
+ * @throws {Error} If the level does not exist
+ */
+export function getLevel(building, level = 0) {
+  const levels = (building && building.levels) || [];
+  const found = typeof level === 'number'
+    ? levels[level]
+    : levels.find(l => l.id === level || l.name === level);
+
+  if (!found) {
+    throw new Error(`Level not found: ${level} (building has ${levels.length} levels)`);
+  }
+
+  return found;
+}
+
+/**
+ * Flatten a building into 3D walls, openings and slabs for axon and section views
+ * Wall and opening ids are prefixed with the level id so levels never collide
+ * @param {{levels: Array<Object>}} building - Building from createBuilding()
+ * @param {Object} options - Stacking options
+ * @param {number} options.explode - Extra vertical gap between levels for exploded views (default: 0)
+ * @returns {{walls: Array<Object>, openings: Array<Object>, slabs: Array<{id: string, levelId: string, polygon: Array<[number, number]>, bottom: number, top: number}>, roof: Object|null}} Stacked geometry with baseZ on every wall; roof holds generateRoof() options with the top level footprint and eave height
+ */
+export function stackLevels(building, options = {}) {
+  const { explode = 0 } = options;
+
+  const walls = [];
+  const openings = [];
+  const slabs = [];
+  const levels = (building && building.levels) || [];
+
+  levels.forEach((level, index) => {
+    const offset = index * explode;
+    const prefix = id => (id === undefined ? undefined : `${level.id}/${id}`);
+
+    level.walls.forEach((wall, wallIndex) => {
+      walls.push({
+        ...wall,
+        id: prefix(wall.id ?? `wall-${wallIndex + 1}`),
+        levelId: level.id,
+        baseZ: level.elevation + offset
+      });
+    });
+
+    level.openings.forEach(opening => {
+      openings.push({ ...opening, id: prefix(opening.id), wallId: prefix(opening.wallId), levelId: level.id });
+    });
+
+    if (level.slab.polygon.length >= 3) {
+      slabs.push({
+        id: `${level.id}/slab`,
+        levelId: level.id,
+        polygon: level.slab.polygon,
+        bottom: level.slab.bottom + offset,
+        top: level.slab.top + offset
+      });
+    }
+  });
+
+  // The roof sits on the walls of the top level
+  const top = levels[levels.length - 1];
+  const roof = building && building.roof && top
+    ? {
+      ...building.roof,
+      footprint: building.roof.footprint || top.slab.polygon,
+      // An exploded view lifts the roof one more step above the top level
+      eaveHeight: top.elevation + top.wallHeight + levels.length * explode
+    }
+    : null;
+
+  return { walls, openings, slabs, roof };
+}
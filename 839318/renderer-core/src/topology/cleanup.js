@@ -7,6 +7,7 @@
 import { distance, lineLength, lineAngle, normalizeAngle } from '../utils/geom.js';
 import { snapOrthogonal } from './snap-orthogonal.js';
 import { mergeParallel } from './merge-parallel.js';
+import { findRooms } from './planar-graph.js';
 
 /**
  * Remove very small polygons (noise)
@@ -404,13 +405,13 @@ function connectLines(line1, line2, endpoint1, endpoint2) {
 
 /**
  * Detect closed polygons → rooms
- * Finds polygons from line segments and identifies rooms
- * Simplified approach: look for closed polylines in original input
+ * Builds a planar graph from the lines (split at crossings and T-junctions),
+ * enumerates its faces and returns the bounded ones as rooms
  * @param {Array<{start: [number, number], end: [number, number]}>} lines - Lines to analyze
  * @param {Object} options - Detection options
  * @param {number} options.minArea - Minimum room area (default: 100)
- * @param {number} options.maxGap - Maximum gap to consider polygon closed (default: 5)
- * @returns {Array<Array<[number, number]>>} Array of room polygons (each is array of points)
+ * @param {number} options.maxGap - Snap distance for endpoints and junctions (default: 5)
+ * @returns {Array<{id: string, polygon: Array<[number, number]>, area: number, centroid: [number, number], adjacent: string[]}>} Rooms with adjacency to neighbouring rooms
  */
 export function detectRooms(lines, options = {}) {
   const {
@@ -422,127 +423,7 @@ export function detectRooms(lines, options = {}) {
     return [];
   }
   
-  // For now, detect rooms from connected line segments that form closed loops
-  // Build polygons by following connected lines
-  const rooms = findClosedPolygons(lines, maxGap);
-  
-  // Filter by minimum area
-  const filteredRooms = rooms
-    .filter(room => {
-      const area = calculatePolygonArea(room);
-      return area >= minArea;
-    });
-  
-  return filteredRooms;
-}
-
-/**
- * Find closed polygons from line segments
- * Simple approach: find sequences of connected lines that form closed loops
- * @param {Array<{start: [number, number], end: [number, number]}>} lines - Lines to analyze
- * @param {number} maxGap - Maximum gap to consider connected
- * @returns {Array<Array<[number, number]>>} Array of closed polygons
- */
-function findClosedPolygons(lines, maxGap) {
-  const polygons = [];
-  const used = new Set();
-  
-  // Try to build polygons by following connected lines
-  for (let i = 0; i < lines.length; i++) {
-    if (used.has(i)) continue;
-    
-    // Try to build a polygon starting from this line
-    const polygon = tryBuildPolygon(lines, i, maxGap, used);
-    
-    if (polygon && polygon.length >= 3) {
-      // Check if polygon is closed (start point ≈ end point)
-      const first = polygon[0];
-      const last = polygon[polygon.length - 1];
-      const gap = distance(first, last);
-      
-      if (gap <= maxGap) {
-        // Close the polygon
-        polygon.push([first[0], first[1]]);
-        polygons.push(polygon);
-      }
-    }
-  }
-  
-  return polygons;
-}
-
-/**
- * Try to build a polygon starting from a line
- * Follows connected lines to form a closed loop
- * @param {Array<{start: [number, number], end: [number, number]}>} lines - All lines
- * @param {number} startIndex - Index of starting line
- * @param {number} maxGap - Maximum gap for connection
- * @param {Set<number>} used - Set of used line indices
- * @returns {Array<[number, number]}|null} Polygon points or null
- */
-function tryBuildPolygon(lines, startIndex, maxGap, used) {
-  const polygon = [];
-  const visited = new Set();
-  
-  let currentLine = lines[startIndex];
-  let currentPoint = currentLine.start;
-  polygon.push([currentPoint[0], currentPoint[1]]);
-  visited.add(startIndex);
-  
-  // Try to follow connected lines
-  let iterations = 0;
-  const maxIterations = lines.length; // Prevent infinite loops
-  
-  while (iterations < maxIterations) {
-    iterations++;
-    
-    // Find next line that connects to current endpoint
-    let nextLineIndex = -1;
-    let nextPoint = null;
-    let isReversed = false;
-    
-    for (let i = 0; i < lines.length; i++) {
-      if (visited.has(i)) continue;
-      
-      const line = lines[i];
-      const gapToStart = distance(currentPoint, line.start);
-      const gapToEnd = distance(currentPoint, line.end);
-      
-      if (gapToStart <= maxGap && gapToStart < gapToEnd) {
-        nextLineIndex = i;
-        nextPoint = line.end;
-        isReversed = false;
-        break;
-      } else if (gapToEnd <= maxGap) {
-        nextLineIndex = i;
-        nextPoint = line.start;
-        isReversed = true;
-        break;
-      }
-    }
-    
-    if (nextLineIndex === -1) {
-      // No connected line found
-      break;
-    }
-    
-    // Add endpoint to polygon
-    polygon.push([nextPoint[0], nextPoint[1]]);
-    visited.add(nextLineIndex);
-    currentPoint = nextPoint;
-    
-    // Check if we've closed the loop (reached start)
-    const firstPoint = polygon[0];
-    if (distance(currentPoint, firstPoint) <= maxGap && polygon.length >= 3) {
-      // Closed polygon found
-      used.add(startIndex);
-      visited.forEach(idx => used.add(idx));
-      return polygon;
-    }
-  }
-  
-  // Didn't close the loop
-  return null;
+  return findRooms(lines, { tolerance: maxGap, minArea });
 }
 
 /**
@@ -605,24 +486,16 @@ export function cleanupGeometry(lines, options = {}) {
     cleaned = bridgeGaps(cleaned, { maxGap });
   }
   
-  // Step 5: Detect rooms (closed polygons)
+  // Step 5: Detect rooms (bounded faces of the line graph)
   const rooms = detectRooms(cleaned, {
-    minArea: minRoomArea,
+    minArea: Math.max(minRoomArea, minArea),
     maxGap: roomDetectionGap
   });
   
-  // Extract polygons from lines (closed polylines)
-  // For now, polygons are the same as detected rooms
-  // In a more complete implementation, we'd extract all closed polylines
-  const polygons = rooms; // Rooms are polygons
-  
-  // Filter out very small polygons
-  const filteredPolygons = removeSmallPolygons(polygons, { minArea });
-  
   return {
-    rooms: filteredPolygons,      // Detected rooms (closed polygons)
-    lines: cleaned,                // Cleaned line segments
-    polygons: filteredPolygons     // All closed polygons (same as rooms for now)
+    rooms: rooms,                             // Detected rooms { id, polygon, area, centroid, adjacent }
+    lines: cleaned,                           // Cleaned line segments
+    polygons: rooms.map(room => room.polygon) // Room outlines as plain polygons
   };
 }
 
@@ -0,0 +1,512 @@
+/**
+ * Opening detection (doors, windows)
+ * Finds openings from sketch cues around detected walls:
+ * - gaps between collinear walls
+ * - door swing arcs (quarter circles hinged on a wall)
+ * - window marks (triple parallel lines or thin rectangles inside a wall band)
+ * Openings are attached to a host wall with a position and width
+ * All functions are pure and deterministic
+ */
+
+import { lineAngle, intersectSegments, projectPoint, distance } from '../utils/geom.js';
+
+/**
+ * Default detection options (plan units, i.e. pixels for vectorized sketches)
+ */
+export const DEFAULT_OPENING_OPTIONS = {
+  minWidth: 30,           // Narrowest opening to report
+  maxWidth: 200,          // Widest opening to report
+  tolerance: 5,           // Distance slack for alignment and band checks
+  angleTolerance: 0.1,    // Radians; parallel test for walls and marks
+  minWindowLines: 3       // Parallel lines needed for a window mark
+};
+
+/**
+ * Normalize angle difference to [0, π]
+ * @param {number} diff - Angle difference
+ * @returns {number} Normalized difference
+ */
+function normalizeAngleDiff(diff) {
+  let normalized = diff;
+  while (normalized > Math.PI) normalized -= Math.PI;
+  while (normalized < 0) normalized += Math.PI;
+  return normalized;
+}
+
+/**
+ * Check if two directions are parallel (same or opposite)
+ * @param {number} angle1 - First angle in radians
+ * @param {number} angle2 - Second angle in radians
+ * @param {number} tolerance - Angle tolerance in radians
+ * @returns {boolean} True if parallel
+ */
+function isParallelAngle(angle1, angle2, tolerance) {
+  const diff = Math.abs(normalizeAngleDiff(angle1 - angle2));
+  return diff < tolerance || Math.abs(diff - Math.PI) < tolerance;
+}
+
+/**
+ * Local frame of a wall: origin at start, u along the wall, n to its left
+ * @param {{start: [number, number], end: [number, number], thickness?: number}} wall - Wall
+ * @returns {{origin: [number, number], ux: number, uy: number, length: number, half: number, angle: number}|null} Frame or null for zero-length walls
+ */
+function wallFrame(wall) {
+  const [x1, y1] = wall.start;
+  const [x2, y2] = wall.end;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length < 1e-9) {
+    return null;
+  }
+  return {
+    origin: [x1, y1],
+    ux: (x2 - x1) / length,
+    uy: (y2 - y1) / length,
+    length,
+    half: (wall.thickness || 0) / 2,
+    angle: lineAngle(wall.start, wall.end)
+  };
+}
+
+/**
+ * Project a point into a wall frame
+ * @param {Object} frame - Wall frame from wallFrame()
+ * @param {[number, number]} point - Point
+ * @returns {{t: number, d: number}} Distance along the wall and signed offset from its centre line
+ */
+function toFrame(frame, point) {
+  const vx = point[0] - frame.origin[0];
+  const vy = point[1] - frame.origin[1];
+  return {
+    t: vx * frame.ux + vy * frame.uy,
+    d: vy * frame.ux - vx * frame.uy
+  };
+}
+
+/**
+ * Point on a wall centre line
+ * @param {Object} frame - Wall frame from wallFrame()
+ * @param {number} t - Distance along the wall
+ * @returns {[number, number]} Point
+ */
+function fromFrame(frame, t) {
+  return [frame.origin[0] + frame.ux * t, frame.origin[1] + frame.uy * t];
+}
+
+/**
+ * Convert a stroke to a point list
+ * @param {Array<[number, number]>|{start: [number, number], end: [number, number]}|{points: Array<[number, number]>}} stroke - Stroke
+ * @returns {Array<[number, number]>} Points (empty if invalid)
+ */
+function toPolyline(stroke) {
+  let points = [];
+  if (Array.isArray(stroke)) {
+    points = stroke;
+  } else if (stroke && Array.isArray(stroke.points)) {
+    points = stroke.points;
+  } else if (stroke && Array.isArray(stroke.start) && Array.isArray(stroke.end)) {
+    points = [stroke.start, stroke.end];
+  }
+  return points.filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+}
+
+/**
+ * Check if all points lie within tolerance of the chord between the first and last point
+ * @param {Array<[number, number]>} points - Points
+ * @param {number} tolerance - Maximum deviation
+ * @returns {boolean} True if straight
+ */
+function isStraight(points, tolerance) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (distance(first, last) < 1e-9) {
+    return false;
+  }
+  return points.every(p => distance(p, projectPoint(p, first, last)) <= tolerance);
+}
+
+/**
+ * Least-squares circle fit (Kåsa method)
+ * @param {Array<[number, number]>} points - Points on the arc
+ * @returns {{center: [number, number], radius: number, rms: number}|null} Circle or null if degenerate
+ */
+function fitCircle(points) {
+  const n = points.length;
+  const mx = points.reduce((sum, p) => sum + p[0], 0) / n;
+  const my = points.reduce((sum, p) => sum + p[1], 0) / n;
+
+  // Solve [Suu Suv; Suv Svv] [uc; vc] = 0.5 [Suuu + Suvv; Svvv + Suuv] in centred coordinates
+  let suu = 0, suv = 0, svv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+  for (const [x, y] of points) {
+    const u = x - mx;
+    const v = y - my;
+    suu += u * u;
+    suv += u * v;
+    svv += v * v;
+    suuu += u * u * u;
+    svvv += v * v * v;
+    suvv += u * v * v;
+    svuu += v * u * u;
+  }
+
+  const det = suu * svv - suv * suv;
+  if (Math.abs(det) < 1e-12) {
+    return null;
+  }
+
+  const bu = 0.5 * (suuu + suvv);
+  const bv = 0.5 * (svvv + svuu);
+  const uc = (bu * svv - bv * suv) / det;
+  const vc = (suu * bv - suv * bu) / det;
+  const center = [uc + mx, vc + my];
+  const radius = Math.sqrt(uc * uc + vc * vc + (suu + svv) / n);
+
+  const rms = Math.sqrt(points.reduce((sum, p) => sum + (distance(p, center) - radius) ** 2, 0) / n);
+  return { center, radius, rms };
+}
+
+/**
+ * Interval of an opening along its host wall
+ * Uses explicit start/end when present, otherwise position (0-1, centre) and width
+ * @param {{start?: [number, number], end?: [number, number], position?: number, width?: number}} opening - Opening
+ * @param {{start: [number, number], end: [number, number]}} wall - Host wall
+ * @param {number} defaultWidth - Width used when the opening has none (default: 0, i.e. skip)
+ * @returns {{t0: number, t1: number, length: number}|null} Distances along the wall (clamped to it) and wall length
+ */
+export function getOpeningInterval(opening, wall, defaultWidth = 0) {
+  if (!opening || !wall || !Array.isArray(wall.start) || !Array.isArray(wall.end)) {
+    return null;
+  }
+  const frame = wallFrame(wall);
+  if (!frame) {
+    return null;
+  }
+
+  let t0;
+  let t1;
+  if (Array.isArray(opening.start) && Array.isArray(opening.end)) {
+    t0 = toFrame(frame, opening.start).t;
+    t1 = toFrame(frame, opening.end).t;
+  } else {
+    const width = opening.width || defaultWidth;
+    if (!(width > 0)) {
+      return null;
+    }
+    const center = (typeof opening.position === 'number' ? opening.position : 0.5) * frame.length;
+    t0 = center - width / 2;
+    t1 = center + width / 2;
+  }
+
+  const lo = Math.max(0, Math.min(t0, t1));
+  const hi = Math.min(frame.length, Math.max(t0, t1));
+  return hi > lo ? { t0: lo, t1: hi, length: frame.length } : null;
+}
+
+/**
+ * Find gaps between collinear walls
+ * A gap counts as an opening when its width is in range and no other wall runs through it
+ * @param {Array<Object>} walls - Walls with ids
+ * @param {Object} options - Detection options (see DEFAULT_OPENING_OPTIONS)
+ * @returns {{walls: Array<Object>, gaps: Array<{wallId: string, start: [number, number], end: [number, number]}>}} Walls (merged across each gap into one host) and gaps
+ */
+function findWallGaps(walls, options) {
+  const { minWidth, maxWidth, tolerance, angleTolerance } = options;
+  const working = walls.map(wall => ({ ...wall }));
+  const gaps = [];
+
+  // A wall crossing or ending inside the gap makes it a junction, not an opening
+  const isBlocked = (gapStart, gapEnd, skip) => working.some((wall, k) => {
+    if (skip.includes(k)) return false;
+    const inside = p => p &&
+      distance(p, gapStart) > tolerance &&
+      distance(p, gapEnd) > tolerance &&
+      distance(p, projectPoint(p, gapStart, gapEnd)) <= tolerance;
+    return inside(intersectSegments(wall.start, wall.end, gapStart, gapEnd)) ||
+      inside(wall.start) || inside(wall.end);
+  });
+
+  let merged = true;
+  while (merged) {
+    merged = false;
+
+    for (let i = 0; i < working.length && !merged; i++) {
+      const frame = wallFrame(working[i]);
+      if (!frame) continue;
+
+      for (let j = 0; j < working.length && !merged; j++) {
+        if (i === j) continue;
+        const other = working[j];
+        if (!isParallelAngle(frame.angle, lineAngle(other.start, other.end), angleTolerance)) continue;
+
+        const s = toFrame(frame, other.start);
+        const e = toFrame(frame, other.end);
+        const align = Math.max(frame.half, (other.thickness || 0) / 2) + tolerance;
+        if (Math.abs(s.d) > align || Math.abs(e.d) > align) continue;
+
+        // Other wall must lie entirely beyond one end of wall i
+        const b0 = Math.min(s.t, e.t);
+        const b1 = Math.max(s.t, e.t);
+        const after = b0 >= frame.length;
+        const gap = after ? b0 - frame.length : -b1;
+        if (gap < minWidth || gap > maxWidth) continue;
+
+        const gapStart = fromFrame(frame, after ? frame.length : b1);
+        const gapEnd = fromFrame(frame, after ? b0 : 0);
+        if (isBlocked(gapStart, gapEnd, [i, j])) continue;
+
+        const hostId = working[i].id;
+        working[i] = {
+          ...other,
+          ...working[i],
+          start: fromFrame(frame, Math.min(0, b0)),
+          end: fromFrame(frame, Math.max(frame.length, b1)),
+          thickness: Math.max(working[i].thickness || 0, other.thickness || 0)
+        };
+        if (working[i].height !== undefined || other.height !== undefined) {
+          working[i].height = Math.max(working[i].height || 0, other.height || 0);
+        }
+        working.splice(j, 1);
+        merged = true;
+
+        gaps.push({ wallId: hostId, start: gapStart, end: gapEnd });
+      }
+    }
+  }
+
+  return { walls: working, gaps };
+}
+
+/**
+ * Find door swing arcs among strokes
+ * @param {Array<Array<[number, number]>>} polylines - Candidate strokes
+ * @param {Object} options - Detection options (see DEFAULT_OPENING_OPTIONS)
+ * @returns {Array<{hinge: [number, number], radius: number, ends: [[number, number], [number, number]]}>} Arcs
+ */
+function findDoorArcs(polylines, options) {
+  const { minWidth, maxWidth, tolerance } = options;
+  const arcs = [];
+
+  for (const points of polylines) {
+    if (points.length < 3 || isStraight(points, tolerance)) continue;
+
+    const circle = fitCircle(points);
+    if (!circle || circle.radius < minWidth || circle.radius > maxWidth) continue;
+    if (circle.rms > Math.max(tolerance / 2, circle.radius * 0.05)) continue;
+
+    // Sweep must be roughly a quarter turn without doubling back
+    const [cx, cy] = circle.center;
+    let sweep = 0;
+    for (let i = 1; i < points.length; i++) {
+      let step = Math.atan2(points[i][1] - cy, points[i][0] - cx) - Math.atan2(points[i - 1][1] - cy, points[i - 1][0] - cx);
+      if (step > Math.PI) step -= 2 * Math.PI;
+      if (step < -Math.PI) step += 2 * Math.PI;
+      sweep += step;
+    }
+    const degrees = Math.abs(sweep) * 180 / Math.PI;
+    if (degrees < 60 || degrees > 120) continue;
+
+    arcs.push({
+      hinge: circle.center,
+      radius: circle.radius,
+      ends: [points[0], points[points.length - 1]]
+    });
+  }
+
+  return arcs;
+}
+
+/**
+ * Find window marks inside a wall band
+ * @param {Object} wall - Host wall
+ * @param {Array<Array<[number, number]>>} polylines - Candidate strokes
+ * @param {Object} options - Detection options (see DEFAULT_OPENING_OPTIONS)
+ * @returns {Array<{t0: number, t1: number}>} Window intervals along the wall
+ */
+function findWindowMarks(wall, polylines, options) {
+  const { minWidth, maxWidth, tolerance, angleTolerance, minWindowLines } = options;
+  const frame = wallFrame(wall);
+  if (!frame) {
+    return [];
+  }
+
+  const band = frame.half + tolerance;
+  const windows = [];
+  const lines = [];
+
+  for (const points of polylines) {
+    if (points.length < 2) continue;
+    const local = points.map(p => toFrame(frame, p));
+    if (local.some(p => Math.abs(p.d) > band)) continue;
+
+    const ts = local.map(p => p.t);
+    const t0 = Math.min(...ts);
+    const t1 = Math.max(...ts);
+    if (t1 - t0 < minWidth || t1 - t0 > maxWidth) continue;
+
+    if (isStraight(points, tolerance / 2)) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (isParallelAngle(frame.angle, lineAngle(first, last), angleTolerance)) {
+        lines.push({ t0, t1, d: (local[0].d + local[local.length - 1].d) / 2 });
+      }
+      continue;
+    }
+
+    // Thin rectangle: closed ring whose long sides run along the wall
+    const closed = distance(points[0], points[points.length - 1]) <= tolerance;
+    const ds = local.map(p => p.d);
+    const depth = Math.max(...ds) - Math.min(...ds);
+    if (closed && depth >= 1 && depth <= frame.half * 2 + tolerance) {
+      const onSides = local.every(p =>
+        Math.min(Math.abs(p.t - t0), Math.abs(p.t - t1)) <= tolerance ||
+        Math.min(Math.abs(p.d - Math.min(...ds)), Math.abs(p.d - Math.max(...ds))) <= tolerance
+      );
+      if (onSides) {
+        windows.push({ t0, t1 });
+      }
+    }
+  }
+
+  // Triple lines: parallel strokes spanning the same stretch of wall
+  lines.sort((a, b) => a.t0 - b.t0);
+  const used = new Set();
+  lines.forEach((line, i) => {
+    if (used.has(i)) return;
+    const group = [line];
+    lines.forEach((other, j) => {
+      if (j <= i || used.has(j)) return;
+      const overlap = Math.min(line.t1, other.t1) - Math.max(line.t0, other.t0);
+      const shorter = Math.min(line.t1 - line.t0, other.t1 - other.t0);
+      const distinct = group.every(g => Math.abs(g.d - other.d) > 0.5);
+      if (overlap >= shorter * 0.8 && distinct) {
+        group.push(other);
+        used.add(j);
+      }
+    });
+    if (group.length >= minWindowLines) {
+      used.add(i);
+      windows.push({
+        t0: group.reduce((sum, g) => sum + g.t0, 0) / group.length,
+        t1: group.reduce((sum, g) => sum + g.t1, 0) / group.length
+      });
+    }
+  });
+
+  return windows;
+}
+
+/**
+ * Detect door and window openings
+ * Gaps between collinear walls become openings on a host wall spanning the gap;
+ * swing arcs and window marks either type an existing gap or add an opening inside a wall
+ * Door swing side is the sign of the open leaf along the host wall normal (-uy, ux)
+ * @param {Array<{start: [number, number], end: [number, number], thickness?: number, id?: string}>} walls - Detected walls (centre lines)
+ * @param {Array<Array<[number, number]>|{start: [number, number], end: [number, number]}>} strokes - Sketch strokes (polylines or line segments) to search for arcs and marks
+ * @param {Object} options - Detection options (see DEFAULT_OPENING_OPTIONS)
+ * @returns {{walls: Array<Object>, openings: Array<{id: string, type: 'door'|'window'|'opening', wallId: string, position: number, width: number, start: [number, number], end: [number, number], cues: string[], swing?: {hinge: [number, number], side: number}}>}} Host walls (with ids) and openings
+ */
+export function detectOpenings(walls, strokes = [], options = {}) {
+  const opts = { ...DEFAULT_OPENING_OPTIONS, ...options };
+
+  if (!Array.isArray(walls) || walls.length === 0) {
+    return { walls: [], openings: [] };
+  }
+
+  const withIds = walls
+    .filter(wall => wall && Array.isArray(wall.start) && Array.isArray(wall.end))
+    .map((wall, index) => ({ ...wall, id: wall.id || `wall-${index + 1}` }));
+
+  // Step 1: Gaps between collinear walls
+  const { walls: hosts, gaps } = findWallGaps(withIds, opts);
+  const frames = new Map(hosts.map(wall => [wall.id, wallFrame(wall)]));
+
+  const candidates = [];
+  gaps.forEach(gap => {
+    const frame = frames.get(gap.wallId);
+    if (!frame) return;
+    const a = toFrame(frame, gap.start).t;
+    const b = toFrame(frame, gap.end).t;
+    candidates.push({ wallId: gap.wallId, t0: Math.min(a, b), t1: Math.max(a, b), type: 'opening', cues: ['gap'] });
+  });
+
+  // Merge a cue into an overlapping candidate on the same wall, or add a new one
+  const addCue = (wallId, t0, t1, type, cue, extra = {}) => {
+    const existing = candidates.find(c => {
+      if (c.wallId !== wallId) return false;
+      const overlap = Math.min(c.t1, t1) - Math.max(c.t0, t0);
+      return overlap >= 0.5 * Math.min(c.t1 - c.t0, t1 - t0);
+    });
+    if (existing) {
+      if (existing.type === 'opening') existing.type = type;
+      if (!existing.cues.includes(cue)) existing.cues.push(cue);
+      Object.assign(existing, extra);
+      return;
+    }
+    candidates.push({ wallId, t0, t1, type, cues: [cue], ...extra });
+  };
+
+  const polylines = (Array.isArray(strokes) ? strokes : []).map(toPolyline).filter(points => points.length >= 2);
+
+  // Step 2: Door swing arcs hinged on a wall
+  findDoorArcs(polylines, opts).forEach(arc => {
+    let best = null;
+    hosts.forEach(wall => {
+      const frame = frames.get(wall.id);
+      if (!frame) return;
+      const band = frame.half + opts.tolerance;
+      const hinge = toFrame(frame, arc.hinge);
+      if (Math.abs(hinge.d) > band || hinge.t < -opts.tolerance || hinge.t > frame.length + opts.tolerance) return;
+
+      // The closed leaf lies along the wall, the open leaf sticks out of it
+      const [p, q] = arc.ends.map(end => toFrame(frame, end));
+      const [closed, open] = Math.abs(p.d) <= Math.abs(q.d) ? [p, q] : [q, p];
+      if (Math.abs(closed.d) > band || Math.abs(open.d) < arc.radius * 0.5) return;
+
+      const score = Math.abs(hinge.d) + Math.abs(closed.d);
+      if (!best || score < best.score) {
+        best = { wallId: wall.id, hinge, closed, open, score };
+      }
+    });
+    if (!best) return;
+
+    addCue(best.wallId, Math.min(best.hinge.t, best.closed.t), Math.max(best.hinge.t, best.closed.t), 'door', 'arc', {
+      swing: { hinge: [arc.hinge[0], arc.hinge[1]], side: Math.sign(best.open.d) }
+    });
+  });
+
+  // Step 3: Window marks inside wall bands
+  hosts.forEach(wall => {
+    findWindowMarks(wall, polylines, opts).forEach(({ t0, t1 }) => {
+      addCue(wall.id, t0, t1, 'window', 'mark');
+    });
+  });
+
+  // Resolve to host-relative position and width
+  const hostOrder = new Map(hosts.map((wall, index) => [wall.id, index]));
+  const openings = candidates
+    .map(candidate => {
+      const frame = frames.get(candidate.wallId);
+      const t0 = Math.max(0, candidate.t0);
+      const t1 = Math.min(frame.length, candidate.t1);
+      return { ...candidate, frame, t0, t1 };
+    })
+    .filter(c => c.t1 - c.t0 > 0)
+    .sort((a, b) => (hostOrder.get(a.wallId) - hostOrder.get(b.wallId)) || (a.t0 - b.t0))
+    .map(({ frame, t0, t1, wallId, type, cues, swing }, index) => {
+      const opening = {
+        id: `opening-${index + 1}`,
+        type,
+        wallId,
+        position: (t0 + t1) / 2 / frame.length,
+        width: t1 - t0,
+        start: fromFrame(frame, t0),
+        end: fromFrame(frame, t1),
+        cues
+      };
+      if (swing) {
+        opening.swing = swing;
+      }
+      return opening;
+    });
+
+  return { walls: hosts, openings };
+}
@@ -0,0 +1,347 @@
+/**
+ * Planar Graph Room Detection
+ * Builds a planar graph from wall centre lines and enumerates its faces
+ * Bounded faces are rooms; the unbounded outer face is discarded
+ * All functions are pure and deterministic
+ */
+
+import { distance, intersectSegments } from '../utils/geom.js';
+
+/**
+ * Signed polygon area (shoelace formula)
+ * Positive when the ring turns counter-clockwise in a y-up frame
+ * @param {Array<[number, number]>} polygon - Polygon points (open ring)
+ * @returns {number} Signed area
+ */
+function signedArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const j = (i + 1) % polygon.length;
+    area += polygon[i][0] * polygon[j][1] - polygon[j][0] * polygon[i][1];
+  }
+  return area / 2;
+}
+
+/**
+ * Area-weighted centroid of a simple polygon
+ * Falls back to the vertex average for degenerate rings
+ * @param {Array<[number, number]>} polygon - Polygon points (open ring)
+ * @returns {[number, number]} Centroid
+ */
+function polygonCentroid(polygon) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const j = (i + 1) % polygon.length;
+    const cross = polygon[i][0] * polygon[j][1] - polygon[j][0] * polygon[i][1];
+    area += cross;
+    cx += (polygon[i][0] + polygon[j][0]) * cross;
+    cy += (polygon[i][1] + polygon[j][1]) * cross;
+  }
+
+  if (Math.abs(area) < 1e-10) {
+    const n = polygon.length || 1;
+    return [
+      polygon.reduce((sum, p) => sum + p[0], 0) / n,
+      polygon.reduce((sum, p) => sum + p[1], 0) / n
+    ];
+  }
+
+  return [cx / (3 * area), cy / (3 * area)];
+}
+
+/**
+ * Drop vertices that lie on the straight line between their neighbours
+ * Segment splits at T-junctions leave such vertices in face rings
+ * @param {Array<[number, number]>} polygon - Polygon points (open ring)
+ * @returns {Array<[number, number]>} Polygon without collinear vertices
+ */
+export function removeCollinearVertices(polygon) {
+  if (polygon.length <= 3) return polygon;
+
+  const result = polygon.filter((point, i) => {
+    const prev = polygon[(i - 1 + polygon.length) % polygon.length];
+    const next = polygon[(i + 1) % polygon.length];
+    const cross = (point[0] - prev[0]) * (next[1] - prev[1]) - (point[1] - prev[1]) * (next[0] - prev[0]);
+    const span = distance(prev, next);
+    return span < 1e-10 || Math.abs(cross) / span > 1e-6;
+  });
+
+  return result.length >= 3 ? result : polygon;
+}
+
+/**
+ * Build a planar graph from line segments
+ * Endpoints within tolerance are merged, segments are split where they cross
+ * and where another vertex lies on them (T-junctions), duplicate edges are
+ * removed and dangling edges are pruned since they cannot bound a face
+ * @param {Array<{start: [number, number], end: [number, number]}>} lines - Line segments (e.g. wall centre lines)
+ * @param {Object} options - Graph options
+ * @param {number} options.tolerance - Snap distance for endpoints and junctions (default: 5)
+ * @param {boolean} options.pruneDangling - Remove degree-1 chains (default: true)
+ * @returns {{vertices: Array<[number, number]>, edges: Array<[number, number]>}} Vertices and undirected edges (vertex index pairs)
+ */
+export function buildPlanarGraph(lines, options = {}) {
+  const {
+    tolerance = 5,
+    pruneDangling = true
+  } = options;
+
+  const vertices = [];
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { vertices, edges: [] };
+  }
+
+  // Spatial hash so vertex snapping stays close to linear
+  const cellSize = Math.max(tolerance, 1e-6);
+  const cells = new Map();
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+
+  const findOrAddVertex = (point) => {
+    const cx = Math.floor(point[0] / cellSize);
+    const cy = Math.floor(point[1] / cellSize);
+    let best = -1;
+    let bestDist = tolerance;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const bucket = cells.get(cellKey(cx + dx, cy + dy));
+        if (!bucket) continue;
+        for (const index of bucket) {
+          const d = distance(point, vertices[index]);
+          if (d <= bestDist) {
+            best = index;
+            bestDist = d;
+          }
+        }
+      }
+    }
+
+    if (best !== -1) return best;
+
+    vertices.push([point[0], point[1]]);
+    const key = cellKey(cx, cy);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(vertices.length - 1);
+    return vertices.length - 1;
+  };
+
+  // Step 1: Snap endpoints
+  const segments = [];
+  for (const line of lines) {
+    if (!line || !Array.isArray(line.start) || !Array.isArray(line.end)) continue;
+    if (![...line.start, ...line.end].every(Number.isFinite)) continue;
+
+    const a = findOrAddVertex(line.start);
+    const b = findOrAddVertex(line.end);
+    if (a !== b) {
+      segments.push({ a, b });
+    }
+  }
+
+  // Step 2: Add vertices where segments cross
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const s1 = segments[i];
+      const s2 = segments[j];
+      if (s1.a === s2.a || s1.a === s2.b || s1.b === s2.a || s1.b === s2.b) continue;
+
+      const point = intersectSegments(vertices[s1.a], vertices[s1.b], vertices[s2.a], vertices[s2.b]);
+      if (point) {
+        findOrAddVertex(point);
+      }
+    }
+  }
+
+  // Step 3: Split every segment at the vertices lying on it
+  const edgeKeys = new Set();
+  const edges = [];
+  const addEdge = (u, v) => {
+    if (u === v) return;
+    const key = u < v ? `${u},${v}` : `${v},${u}`;
+    if (edgeKeys.has(key)) return;
+    edgeKeys.add(key);
+    edges.push(u < v ? [u, v] : [v, u]);
+  };
+
+  for (const { a, b } of segments) {
+    const [ax, ay] = vertices[a];
+    const [bx, by] = vertices[b];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const minX = Math.min(ax, bx) - tolerance;
+    const maxX = Math.max(ax, bx) + tolerance;
+    const minY = Math.min(ay, by) - tolerance;
+    const maxY = Math.max(ay, by) + tolerance;
+
+    const stops = [{ index: a, t: 0 }, { index: b, t: 1 }];
+    vertices.forEach(([px, py], index) => {
+      if (index === a || index === b) return;
+      if (px < minX || px > maxX || py < minY || py > maxY) return;
+
+      const t = ((px - ax) * dx + (py - ay) * dy) / lengthSq;
+      if (t <= 0 || t >= 1) return;
+
+      const offset = Math.abs((px - ax) * dy - (py - ay) * dx) / Math.sqrt(lengthSq);
+      if (offset <= tolerance) {
+        stops.push({ index, t });
+      }
+    });
+
+    stops.sort((s1, s2) => s1.t - s2.t);
+    for (let i = 0; i < stops.length - 1; i++) {
+      addEdge(stops[i].index, stops[i + 1].index);
+    }
+  }
+
+  if (!pruneDangling) {
+    return { vertices, edges };
+  }
+
+  // Step 4: Iteratively prune dangling edges (degree-1 vertices)
+  const degree = new Array(vertices.length).fill(0);
+  edges.forEach(([u, v]) => {
+    degree[u]++;
+    degree[v]++;
+  });
+
+  const alive = edges.map(() => true);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    edges.forEach(([u, v], i) => {
+      if (alive[i] && (degree[u] === 1 || degree[v] === 1)) {
+        alive[i] = false;
+        degree[u]--;
+        degree[v]--;
+        changed = true;
+      }
+    });
+  }
+
+  return { vertices, edges: edges.filter((_, i) => alive[i]) };
+}
+
+/**
+ * Enumerate the faces of a planar graph
+ * Walks every directed half-edge once, always taking the next edge clockwise
+ * around the arrival vertex. Bounded faces come out with positive signed area;
+ * the outer face of each connected component comes out non-positive
+ * @param {{vertices: Array<[number, number]>, edges: Array<[number, number]>}} graph - Planar graph from buildPlanarGraph()
+ * @returns {Array<{vertices: number[], polygon: Array<[number, number]>, signedArea: number}>} All faces, outer faces included
+ */
+export function enumerateFaces(graph) {
+  const { vertices = [], edges = [] } = graph || {};
+
+  // Neighbours of each vertex sorted by angle
+  const neighbours = vertices.map(() => []);
+  edges.forEach(([u, v]) => {
+    neighbours[u].push(v);
+    neighbours[v].push(u);
+  });
+  neighbours.forEach((list, u) => {
+    const [ux, uy] = vertices[u];
+    list.sort((p, q) =>
+      Math.atan2(vertices[p][1] - uy, vertices[p][0] - ux) -
+      Math.atan2(vertices[q][1] - uy, vertices[q][0] - ux)
+    );
+  });
+
+  const visited = new Set();
+  const faces = [];
+
+  for (const [u0, v0] of edges) {
+    for (const [start, next] of [[u0, v0], [v0, u0]]) {
+      if (visited.has(`${start},${next}`)) continue;
+
+      const ring = [];
+      let u = start;
+      let v = next;
+      // Each half-edge is visited once, so the walk is bounded by the edge count
+      for (let guard = 0; guard <= edges.length * 2; guard++) {
+        visited.add(`${u},${v}`);
+        ring.push(u);
+
+        const around = neighbours[v];
+        const back = around.indexOf(u);
+        const w = around[(back - 1 + around.length) % around.length];
+        u = v;
+        v = w;
+
+        if (u === start && v === next) break;
+      }
+
+      const polygon = ring.map(index => vertices[index]);
+      faces.push({ vertices: ring, polygon, signedArea: signedArea(polygon) });
+    }
+  }
+
+  return faces;
+}
+
+/**
+ * Find rooms as the bounded faces of the wall graph
+ * @param {Array<{start: [number, number], end: [number, number]}>} lines - Wall centre lines
+ * @param {Object} options - Detection options
+ * @param {number} options.tolerance - Snap distance for endpoints and junctions (default: 5)
+ * @param {number} options.minArea - Minimum room area in input units² (default: 100)
+ * @returns {Array<{id: string, polygon: Array<[number, number]>, area: number, centroid: [number, number], adjacent: string[]}>} Rooms sorted top-to-bottom, left-to-right
+ */
+export function findRooms(lines, options = {}) {
+  const {
+    tolerance = 5,
+    minArea = 100
+  } = options;
+
+  const graph = buildPlanarGraph(lines, { tolerance });
+  const faces = enumerateFaces(graph)
+    .filter(face => face.signedArea > 1e-9 && face.signedArea >= minArea);
+
+  const rooms = faces.map(face => {
+    const polygon = removeCollinearVertices(face.polygon.map(([x, y]) => [x, y]));
+    return {
+      face,
+      polygon,
+      area: face.signedArea,
+      centroid: polygonCentroid(polygon)
+    };
+  });
+
+  // Stable reading order so ids do not depend on input line order
+  rooms.sort((r1, r2) => (r1.centroid[1] - r2.centroid[1]) || (r1.centroid[0] - r2.centroid[0]));
+  rooms.forEach((room, index) => {
+    room.id = `room-${index + 1}`;
+  });
+
+  // Rooms sharing a graph edge are adjacent
+  const edgeOwners = new Map();
+  rooms.forEach(room => {
+    const ring = room.face.vertices;
+    ring.forEach((u, i) => {
+      const v = ring[(i + 1) % ring.length];
+      const key = u < v ? `${u},${v}` : `${v},${u}`;
+      if (!edgeOwners.has(key)) edgeOwners.set(key, new Set());
+      edgeOwners.get(key).add(room.id);
+    });
+  });
+
+  const adjacency = new Map(rooms.map(room => [room.id, new Set()]));
+  edgeOwners.forEach(owners => {
+    owners.forEach(id => {
+      owners.forEach(other => {
+        if (other !== id) adjacency.get(id).add(other);
+      });
+    });
+  });
+
+  return rooms.map(room => ({
+    id: room.id,
+    polygon: room.polygon,
+    area: room.area,
+    centroid: room.centroid,
+    adjacent: rooms.map(r => r.id).filter(id => adjacency.get(room.id).has(id))
+  }));
+}
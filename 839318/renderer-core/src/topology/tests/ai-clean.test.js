@@ -3,7 +3,7 @@
  * Mocks fetch() to test various response scenarios
  */
 
-import { aiClean } from '../ai-clean.js';
+import { aiClean, parseEventStream } from '../ai-clean.js';
 
 // Mock fetch globally
 let mockFetch = null;
@@ -373,5 +373,117 @@ await asyncTest('Response with missing fields uses defaults', async () => {
   cleanupMocks();
 });
 
-console.log('\nAll tests passed! ✓');
+/**
+ * Build a fetch response whose body streams the given text chunks
+ */
+function streamResponse(chunks) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (index < chunks.length
+          ? { value: encoder.encode(chunks[index++]), done: false }
+          : { value: undefined, done: true })
+      })
+    }
+  };
+}
+
+function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+test('parseEventStream splits complete events and keeps the remainder', () => {
+  const { events, rest } = parseEventStream(': heartbeat\n\nid: 1\nevent: validated\ndata: {"ok":true}\n\nevent: done\ndata: {"wa');
+  assert(events.length === 1, 'Heartbeats and partial events are not returned');
+  assert(events[0].event === 'validated' && events[0].data.ok === true, 'Event name and JSON data');
+  assert(rest === 'event: done\ndata: {"wa', 'Partial event is kept for the next chunk');
+});
+
+// Test: Streaming progress
+await asyncTest('onProgress streams stages from the SSE endpoint', async () => {
+  setupMocks();
+  const body = [
+    sseEvent('validated', { polylineCount: 1 }),
+    sseEvent('llm-request', { attempt: 1 }),
+    sseEvent('llm-response', { attempt: 1 }),
+    sseEvent('validation', { target: 'llm-response', valid: true }),
+    sseEvent('done', successResponse)
+  ].join('');
+  mockFetch = async () => streamResponse([body.slice(0, 50), body.slice(50, 51), body.slice(51)]);
+
+  const stages = [];
+  const result = await aiClean(testPolylines, testMetadata, {
+    onProgress: progress => stages.push(progress.stage)
+  });
+
+  assert(fetchCalls[0].url === 'http://localhost:3001/api/topology/ai-clean/stream', 'Should use the streaming endpoint');
+  assert(fetchCalls[0].options.headers['Accept'] === 'text/event-stream', 'Should ask for an event stream');
+  assert(stages.join(',') === 'validated,llm-request,llm-response,validation,done', `Unexpected stages: ${stages.join(',')}`);
+  assert(result.walls.length === 1 && result.rooms.length === 1, 'Should return the geometry from the done event');
+  cleanupMocks();
+});
+
+await asyncTest('Stream error event rejects with the server error', async () => {
+  setupMocks();
+  mockFetch = async () => streamResponse([
+    sseEvent('validated', {}),
+    sseEvent('error', { error: 'Internal server error: invalid output format' })
+  ]);
+
+  try {
+    await aiClean(testPolylines, testMetadata, { maxRetries: 0, onProgress: () => {} });
+    assert(false, 'Should have thrown an error');
+  } catch (error) {
+    assert(error.message.includes('invalid output format'), 'Error should carry the server message');
+  }
+  cleanupMocks();
+});
 
+await asyncTest('Stream without a done event rejects', async () => {
+  setupMocks();
+  mockFetch = async () => streamResponse([sseEvent('validated', {})]);
+
+  try {
+    await aiClean(testPolylines, testMetadata, { maxRetries: 0, onProgress: () => {} });
+    assert(false, 'Should have thrown an error');
+  } catch (error) {
+    assert(error.message.includes('without a result'), 'Error should say the stream ended early');
+  }
+  cleanupMocks();
+});
+
+// Test: Schema versions
+await asyncTest('schemaVersion option selects the response version', async () => {
+  setupMocks();
+  mockFetch = async (url, options) => {
+    assert(options.headers['X-Schema-Version'] === 'v2', 'Should send X-Schema-Version');
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        ...successResponse,
+        schemaVersion: 'v2',
+        levels: [{ id: 'level-1', name: 'Level 1', elevation: 0 }]
+      })
+    };
+  };
+
+  const result = await aiClean(testPolylines, testMetadata, { schemaVersion: 'v2' });
+  assert(result.schemaVersion === 'v2', 'Should return the schema version');
+  assert(result.levels.length === 1, 'Should keep v2 levels');
+  cleanupMocks();
+});
+
+await asyncTest('Responses without a schema version keep the v1 shape', async () => {
+  setupMocks();
+  const result = await aiClean(testPolylines, testMetadata);
+  assert(fetchCalls[0].options.headers['X-Schema-Version'] === undefined, 'Should not send X-Schema-Version by default');
+  assert(!('schemaVersion' in result) && !('levels' in result), 'Should not add v2 fields');
+  cleanupMocks();
+});
+
+console.log('\nAll tests passed! ✓');
@@ -6,6 +6,7 @@
  */
 
 import { distance } from './geom.js';
+import { findRooms } from '../topology/planar-graph.js';
 
 /**
  * Detect closed loops in polylines
@@ -39,9 +40,9 @@ function detectClosedLoops(polylines, closureTolerance = 5.0) {
 
 /**
  * Detect closed loops from walls
- * Checks if walls form closed perimeters
+ * Counts the bounded faces (rooms) of the planar graph formed by the walls
  * @param {Array<{start: [number, number], end: [number, number]}>} walls - Array of walls
- * @param {number} closureTolerance - Distance tolerance for considering closed (default: 5.0)
+ * @param {number} closureTolerance - Distance tolerance for joining wall endpoints (default: 5.0)
  * @returns {number} Number of closed loops detected
  */
 function detectClosedLoopsFromWalls(walls, closureTolerance = 5.0) {
@@ -49,43 +50,7 @@ function detectClosedLoopsFromWalls(walls, closureTolerance = 5.0) {
     return 0;
   }
   
-  // Simple approach: check if there are rooms defined
-  // For now, we'll count connected wall segments that form closed paths
-  // This is a simplified check - full room detection is more complex
-  
-  // Extract all unique endpoints
-  const endpoints = new Map();
-  const pointKey = (p) => `${Math.round(p[0] / closureTolerance) * closureTolerance},${Math.round(p[1] / closureTolerance) * closureTolerance}`;
-  
-  let segmentCount = 0;
-  for (const wall of walls) {
-    if (!wall || !Array.isArray(wall.start) || !Array.isArray(wall.end)) {
-      continue;
-    }
-    
-    const startKey = pointKey(wall.start);
-    const endKey = pointKey(wall.end);
-    
-    endpoints.set(startKey, (endpoints.get(startKey) || 0) + 1);
-    endpoints.set(endKey, (endpoints.get(endKey) || 0) + 1);
-    segmentCount++;
-  }
-  
-  // Count endpoints that appear at least twice (likely part of a closed loop)
-  let closedEndpoints = 0;
-  for (const count of endpoints.values()) {
-    if (count >= 2) {
-      closedEndpoints++;
-    }
-  }
-  
-  // Rough estimate: if we have many connected endpoints, likely closed loops
-  // This is a heuristic - a proper implementation would do path following
-  if (closedEndpoints >= 4 && segmentCount >= 4) {
-    return Math.floor(closedEndpoints / 4); // Rough estimate
-  }
-  
-  return 0;
+  return findRooms(walls, { tolerance: closureTolerance, minArea: 0 }).length;
 }
 
 /**
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the multi-level building model
+ */
+
+import { createBuilding, getLevel, getFootprint, stackLevels, DEFAULT_FLOOR_TO_FLOOR, DEFAULT_SLAB_THICKNESS } from '../src/topology/building-model.js';
+import { extrudeWalls, extrudeSlab } from '../src/render/wall-extrusion.js';
+import { cutBuilding } from '../src/render/section.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+const wall = (id, x1, y1, x2, y2) => ({ id, start: [x1, y1], end: [x2, y2], thickness: 200 });
+
+// 6000 x 4000 footprint with a partition at x=2500
+const ground = {
+  walls: [
+    wall('wall-1', 0, 0, 6000, 0),
+    wall('wall-2', 6000, 0, 6000, 4000),
+    wall('wall-3', 6000, 4000, 0, 4000),
+    wall('wall-4', 0, 4000, 0, 0),
+    wall('wall-5', 2500, 0, 2500, 4000)
+  ],
+  openings: [{ id: 'opening-1', wallId: 'wall-1', type: 'door', position: 0.75, width: 1000 }],
+  rooms: []
+};
+
+// Test getFootprint()
+console.log('Testing getFootprint()...');
+const footprint = getFootprint(ground.walls);
+assert(footprint.length === 4, `Outer boundary should drop the partition junctions, got ${footprint.length} points`);
+const footprintArea = footprint.reduce((sum, p, i) => {
+  const q = footprint[(i + 1) % footprint.length];
+  return sum + p[0] * q[1] - q[0] * p[1];
+}, 0) / 2;
+assertClose(footprintArea, 6000 * 4000, 1e-6, 'footprint should be the outline, counter-clockwise');
+assert(getFootprint([wall('a', 0, 0, 100, 0), wall('b', 100, 0, 100, 50)]).length === 4, 'Open walls fall back to the bounding rectangle');
+assert(getFootprint([]).length === 0, 'No walls give no footprint');
+console.log('✓ getFootprint() tests passed');
+
+// Test createBuilding()
+console.log('Testing createBuilding()...');
+const twoStorey = createBuilding(ground, { storeys: 'two' });
+assert(twoStorey.levels.length === 2, `'two' storeys should give 2 levels, got ${twoStorey.levels.length}`);
+const [gf, ff] = twoStorey.levels;
+assert(gf.elevation === 0 && ff.elevation === DEFAULT_FLOOR_TO_FLOOR, 'Levels should stack by floor-to-floor height');
+assert(gf.wallHeight === DEFAULT_FLOOR_TO_FLOOR - DEFAULT_SLAB_THICKNESS, 'Walls should stop under the next slab');
+assert(gf.walls.every(w => w.height === 2700), 'Default walls should be 2700 high');
+assert(gf.slab.top === 0 && gf.slab.bottom === -DEFAULT_SLAB_THICKNESS, 'Slab should sit below the floor level');
+assert(ff.slab.bottom === 2700, 'Upper slab should sit on the walls below');
+assert(twoStorey.height === 3000 + 2700, `Building height should reach the top walls, got ${twoStorey.height}`);
+assert(gf.id === 'level-0' && gf.name === 'Ground floor' && ff.name === 'Level 1', 'Levels should get ids and names');
+assert(createBuilding({ ...ground, storeys: 'three_plus' }).levels.length === 3, 'Storeys can come from the topology');
+assert(createBuilding(ground).levels.length === 1, 'A topology is single storey by default');
+
+const explicit = createBuilding({
+  levels: [
+    { ...ground, floorToFloor: 3600, slabThickness: 250 },
+    { walls: ground.walls.slice(0, 4), name: 'Loft', floorToFloor: 2800 }
+  ]
+});
+assert(explicit.levels[1].elevation === 3600 && explicit.levels[1].name === 'Loft', 'Levels should keep their own heights and names');
+assert(explicit.levels[0].wallHeight === 3350, 'Wall height should follow level slab thickness');
+assert(explicit.levels[1].slabThickness === DEFAULT_SLAB_THICKNESS, 'Slab thickness should fall back to the default');
+
+let threw = false;
+try {
+  createBuilding(ground, { floorToFloor: 200, slabThickness: 300 });
+} catch (err) {
+  threw = /slab thickness/.test(err.message);
+}
+assert(threw, 'Slabs thicker than the storey should be rejected');
+assert(createBuilding(null).levels.length === 0, 'No input gives an empty building');
+console.log('✓ createBuilding() tests passed');
+
+// Test getLevel()
+console.log('Testing getLevel()...');
+assert(getLevel(twoStorey, 1) === ff && getLevel(twoStorey, 'level-1') === ff, 'Levels resolve by index and id');
+assert(getLevel(twoStorey, 'Ground floor') === gf, 'Levels resolve by name');
+threw = false;
+try {
+  getLevel(twoStorey, 5);
+} catch (err) {
+  threw = /Level not found/.test(err.message);
+}
+assert(threw, 'Unknown levels should throw');
+console.log('✓ getLevel() tests passed');
+
+// Test stackLevels() and extrusion
+console.log('Testing stackLevels()...');
+const stacked = stackLevels(twoStorey);
+assert(stacked.walls.length === 10 && stacked.slabs.length === 2, 'Every level contributes walls and a slab');
+assert(new Set(stacked.walls.map(w => w.id)).size === 10, 'Wall ids should be unique across levels');
+assert(stacked.openings[1].wallId === 'level-1/wall-1', 'Openings should follow their prefixed host wall');
+assert(stacked.walls[5].baseZ === 3000, 'Upper walls should start at their level elevation');
+
+const exploded = stackLevels(twoStorey, { explode: 1000 });
+assert(exploded.walls[5].baseZ === 4000 && exploded.slabs[1].bottom === 3700, 'Explode should lift upper levels');
+
+const volumes = extrudeWalls(stacked.walls, 2700, { openings: stacked.openings });
+const upperWall = volumes[5];
+assert(upperWall.edges.every(e => e.start[2] >= 3000 && e.end[2] <= 5700), 'Upper wall edges should be lifted to their level');
+assert(upperWall.faces.some(f => f.face === 'head' && f.polygon3D[0][2] === 3000 + 2100), 'Upper door head should be lifted');
+assert(extrudeWalls(stacked.walls, 2700)[5].edges[0].start[2] === 3000, 'Simple edges should honour baseZ');
+
+const slabVolume = extrudeSlab(stacked.slabs[1]);
+assert(slabVolume.faces.filter(f => f.face === 'edge').length === 4, 'Slab should have a side face per outline edge');
+assert(slabVolume.faces.find(f => f.face === 'slab-top').polygon3D.every(p => p[2] === 3000), 'Slab top should sit at the floor level');
+const southEdge = slabVolume.faces.find(f => f.face === 'edge' && f.polygon3D.every(p => p[1] === 0));
+assert(southEdge && southEdge.normal[1] === -1, 'Slab side normals should point outwards');
+assert(extrudeSlab({ polygon: [[0, 0], [1, 0]], bottom: 0, top: 1 }) === null, 'Degenerate slabs are skipped');
+console.log('✓ stackLevels() tests passed');
+
+// Test cutBuilding()
+console.log('Testing cutBuilding()...');
+const section = cutBuilding(twoStorey, { start: [-1000, 2000], end: [7000, 2000] });
+assertClose(section.length, 8000, 1e-6, 'section length');
+const cutWalls = section.elements.filter(e => e.kind === 'wall');
+assert(cutWalls.length === 6, `Section should cut 3 walls on each level, got ${cutWalls.length}`);
+const partition = cutWalls.filter(e => e.id.endsWith('/wall-5'));
+assert(partition.length === 2 && partition[1].z0 === 3000 && partition[1].z1 === 5700, 'Upper partition should span its level');
+assertClose(partition[0].x1 - partition[0].x0, 200, 1e-6, 'square cut should show the wall thickness');
+const slabs = section.elements.filter(e => e.kind === 'slab');
+assert(slabs.length === 2, `Section should cut both slabs, got ${slabs.length}`);
+assertClose(slabs[0].x0, 1000, 1e-6, 'slab should start at the outline');
+assertClose(slabs[0].x1, 7000, 1e-6, 'slab should end at the outline');
+assert(section.levels.map(l => l.elevation).join(',') === '0,3000', 'Section should list level datums');
+
+// Cutting through the door keeps the opening void
+const throughDoor = cutBuilding(twoStorey, { start: [4500, -1000], end: [4500, 5000] });
+const doorWall = throughDoor.elements.filter(e => e.id === 'level-0/wall-1');
+assert(doorWall.length === 1 && doorWall[0].z0 === 2100, 'Door cut should only leave wall above the head');
+console.log('✓ cutBuilding() tests passed');
+
+console.log('\nAll tests passed! ✓');
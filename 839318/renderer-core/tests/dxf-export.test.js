@@ -0,0 +1,170 @@
+/**
+ * Unit tests for DXF export
+ */
+
+import { readFileSync, writeFileSync, rmSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { buildDXF, inferUnits, DXF_LAYERS } from '../src/render/dxf.js';
+import { exportDXF } from '../src/render/export.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Parse DXF text into [code, value] pairs
+ */
+function parsePairs(dxf) {
+  const lines = dxf.split('\n');
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push([parseInt(lines[i].trim(), 10), lines[i + 1].trim()]);
+  }
+  return pairs;
+}
+
+/**
+ * Collect entities of a given type as arrays of [code, value] pairs
+ */
+function entitiesOfType(dxf, type) {
+  const pairs = parsePairs(dxf);
+  const entities = [];
+  let current = null;
+  pairs.forEach(([code, value]) => {
+    if (code === 0) {
+      current = value === type ? [] : null;
+      if (current) entities.push(current);
+    } else if (current) {
+      current.push([code, value]);
+    }
+  });
+  return entities;
+}
+
+function groupValue(entity, code) {
+  const pair = entity.find(([c]) => c === code);
+  return pair ? pair[1] : undefined;
+}
+
+// Normalized plan in mm (same shape as normalizeTopology output)
+const planMM = {
+  walls: [
+    { id: 'w1', start: [0, 0], end: [5000, 0], thickness: 300, height: 2700 },
+    { id: 'w2', start: [5000, 0], end: [5000, 4000], thickness: 300, height: 2700 },
+    { id: 'w3', start: [5000, 4000], end: [0, 4000], thickness: 300, height: 2700 },
+    { id: 'w4', start: [0, 4000], end: [0, 0], thickness: 300, height: 2700 }
+  ],
+  openings: [
+    { wallId: 'w1', type: 'door', position: 0.5 },
+    { wallId: 'w3', type: 'window', position: 0.5, width: 1200 }
+  ],
+  rooms: [
+    { name: 'Living', polygon: [[0, 0], [5000, 0], [5000, 4000], [0, 4000]] }
+  ],
+  annotations: {
+    labels: [{ position: [2500, -1000], text: 'Ground floor' }]
+  }
+};
+
+console.log('Testing inferUnits()...');
+assert(inferUnits(planMM.walls) === 'mm', 'Thick walls should infer millimetres');
+assert(inferUnits([{ start: [0, 0], end: [5, 0], thickness: 0.3 }]) === 'm', 'Thin walls should infer metres');
+
+console.log('Testing buildDXF() document structure...');
+const dxf = buildDXF(planMM);
+const pairs = parsePairs(dxf);
+assert(pairs[pairs.length - 1][0] === 0 && pairs[pairs.length - 1][1] === 'EOF', 'Document should end with EOF');
+assert(dxf.includes('AC1009'), 'Should declare R12 ($ACADVER AC1009)');
+
+const insunitsIndex = pairs.findIndex(([code, value]) => code === 9 && value === '$INSUNITS');
+assert(insunitsIndex >= 0, 'Header should include $INSUNITS');
+assert(pairs[insunitsIndex + 1][1] === '4', `Millimetre plans should use INSUNITS 4, got ${pairs[insunitsIndex + 1][1]}`);
+
+const headerValue = (name) => pairs[pairs.findIndex(([code, value]) => code === 9 && value === name) + 1][1];
+assert(headerValue('$LUNITS') === '2', 'Header should set decimal $LUNITS');
+assert(headerValue('$MEASUREMENT') === '1', 'Header should set metric $MEASUREMENT');
+
+const layerNames = entitiesOfType(dxf, 'LAYER').map(layer => groupValue(layer, 2));
+Object.values(DXF_LAYERS).forEach(layer => {
+  assert(layerNames.includes(layer.name), `Layer table should include ${layer.name}`);
+});
+
+console.log('Testing buildDXF() walls...');
+const polylines = entitiesOfType(dxf, 'POLYLINE');
+const wallPolylines = polylines.filter(p => groupValue(p, 8) === DXF_LAYERS.walls.name);
+assert(wallPolylines.length === 4, `Expected 4 wall outlines, got ${wallPolylines.length}`);
+wallPolylines.forEach(p => {
+  assert(groupValue(p, 39) === '2700', 'Wall outlines should carry wall height as thickness');
+  assert(groupValue(p, 70) === '1', 'Wall outlines should be closed');
+});
+const vertices = entitiesOfType(dxf, 'VERTEX');
+assert(vertices.length === 4 * 4 + 4, `Expected 20 vertices (4 walls + 1 room), got ${vertices.length}`);
+
+console.log('Testing buildDXF() openings...');
+const openingLines = entitiesOfType(dxf, 'LINE').filter(l => groupValue(l, 8) === DXF_LAYERS.openings.name);
+// Door: 2 jambs + leaf; window: 2 jambs + 2 glazing lines
+assert(openingLines.length === 7, `Expected 7 opening lines, got ${openingLines.length}`);
+const arcs = entitiesOfType(dxf, 'ARC');
+assert(arcs.length === 1, 'Door should have one swing arc');
+assert(groupValue(arcs[0], 40) === '900', `Default door width should be 900mm, got ${groupValue(arcs[0], 40)}`);
+
+console.log('Testing buildDXF() rooms and annotations...');
+const texts = entitiesOfType(dxf, 'TEXT').map(t => groupValue(t, 1));
+assert(texts.includes('Living'), 'Room name should be labelled');
+assert(texts.includes('20.0 m2'), `Room area should be labelled in m2, got ${texts.join(', ')}`);
+assert(texts.includes('Ground floor'), 'Free labels should be exported');
+
+console.log('Testing buildDXF() Y flip...');
+const labelText = entitiesOfType(dxf, 'TEXT').find(t => groupValue(t, 1) === 'Ground floor');
+assert(groupValue(labelText, 20) === '1000', 'Y should be flipped by default');
+const unflipped = entitiesOfType(buildDXF(planMM, { flipY: false }), 'TEXT').find(t => groupValue(t, 1) === 'Ground floor');
+assert(groupValue(unflipped, 20) === '-1000', 'flipY: false should keep plan Y');
+
+console.log('Testing buildDXF() with topology meta.scale...');
+const topology = {
+  walls: [{ id: 'w1', start: [0, 0], end: [100, 0], thickness: 0.2 }],
+  openings: [{ id: 'o1', wallId: 'w1', type: 'door', position: 0.5 }],
+  rooms: [],
+  meta: { scale: 0.05 }
+};
+const dxfScaled = buildDXF(topology);
+const scaledPairs = parsePairs(dxfScaled);
+const scaledUnits = scaledPairs[scaledPairs.findIndex(([c, v]) => c === 9 && v === '$INSUNITS') + 1][1];
+assert(scaledUnits === '6', `meta.scale should export in metres (INSUNITS 6), got ${scaledUnits}`);
+const scaledArc = entitiesOfType(dxfScaled, 'ARC')[0];
+assert(groupValue(scaledArc, 40) === '0.9', `Door width should be 0.9m after scaling, got ${groupValue(scaledArc, 40)}`);
+
+console.log('Testing buildDXF() against the golden file...');
+// Regenerate with UPDATE_GOLDEN=1 after an intended output change
+const goldenPath = join(dirname(fileURLToPath(import.meta.url)), 'golden', 'plan-mm.dxf');
+if (process.env.UPDATE_GOLDEN) {
+  writeFileSync(goldenPath, dxf);
+}
+assert(dxf === readFileSync(goldenPath, 'utf-8'), `DXF output should match ${goldenPath} byte for byte`);
+
+console.log('Testing buildDXF() input validation...');
+let threw = false;
+try {
+  buildDXF({});
+} catch (error) {
+  threw = error.message.includes('walls');
+}
+assert(threw, 'Should throw when walls are missing');
+
+console.log('Testing exportDXF() file output...');
+const dir = mkdtempSync(join(tmpdir(), 'dxf-export-'));
+try {
+  const outPath = join(dir, 'plan.dxf');
+  const returned = await exportDXF(planMM, outPath);
+  assert(readFileSync(outPath, 'utf-8') === returned, 'Written file should match returned DXF');
+  assert(returned === dxf, 'exportDXF should produce the same document as buildDXF');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\nAll tests passed! ✓');
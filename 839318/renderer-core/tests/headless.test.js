@@ -0,0 +1,96 @@
+/**
+ * Unit tests for headless (Node.js) rendering
+ * Rendering checks need the optional paper, jsdom and canvas packages; without them they are
+ * reported as not run, and the run does not claim that all tests passed
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createHeadlessRough, renderHeadless, renderAllHeadless, isHeadlessAvailable } from '../src/render/headless.js';
+import { createBuilding } from '../src/topology/building-model.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+  } catch (err) {
+    assert(pattern.test(err.message), `${message} (got: ${err.message})`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (no error thrown)`);
+}
+
+const outline = [[0, 0], [6000, 0], [6000, 4000], [0, 4000]];
+const topology = {
+  walls: outline.map((p, i) => ({ id: `wall-${i + 1}`, start: p, end: outline[(i + 1) % 4], thickness: 200 })),
+  openings: [{ id: 'opening-1', wallId: 'wall-1', type: 'door', position: 0.5, width: 900 }],
+  rooms: []
+};
+const cutPlane = { start: [3000, -1000], end: [3000, 5000] };
+
+// Test createHeadlessRough()
+console.log('Testing createHeadlessRough()...');
+const rough = createHeadlessRough();
+const line = rough.line(0, 0, 1000, 0, { stroke: '#000' });
+const d = line.getAttribute('d');
+assert(typeof d === 'string' && d.startsWith('M'), 'Rough shapes should expose SVG path data');
+assert(line.getAttribute('fill') === null, 'Only path data is exposed');
+assert(createHeadlessRough().line(0, 0, 1000, 0, { stroke: '#000' }).getAttribute('d') === d, 'Same seed should give the same strokes');
+assert(createHeadlessRough({ seed: 2 }).line(0, 0, 1000, 0, { stroke: '#000' }).getAttribute('d') !== d, 'Seed should change the strokes');
+assert(typeof rough.polygon([[0, 0], [10, 0], [10, 10]]).getAttribute('d') === 'string', 'Polygons should be supported');
+console.log('✓ createHeadlessRough() tests passed');
+
+// Test renderHeadless() input checks
+console.log('Testing renderHeadless() input checks...');
+await assertRejects(renderHeadless('elevation', topology), /Unknown view/, 'Unknown views should be rejected');
+await assertRejects(renderHeadless('plan', {}), /walls/, 'Topologies without walls should be rejected');
+await assertRejects(renderHeadless('section', topology), /Cut plane is required/, 'Sections need a cut plane');
+console.log('✓ renderHeadless() input check tests passed');
+
+// Test rendering (needs paper, jsdom and canvas)
+const renderAvailable = await isHeadlessAvailable();
+if (renderAvailable) {
+  console.log('Testing renderHeadless() output...');
+  const plan = await renderHeadless('plan', topology, { width: 400, height: 300 });
+  assert(plan.svg.includes('<svg'), 'Plan should render to SVG');
+  assert(plan.png.subarray(1, 4).toString() === 'PNG', 'Plan should render to PNG');
+  assert(plan.width === 400 && plan.height === 300, 'Image size should be reported');
+
+  const again = await renderHeadless('plan', topology, { width: 400, height: 300, formats: ['svg'] });
+  assert(again.svg === plan.svg, 'Rendering should be deterministic');
+  assert(again.png === undefined, 'Only requested formats should be produced');
+
+  // Golden plan SVG; regenerate with UPDATE_GOLDEN=1 after an intended output change
+  const goldenPath = join(dirname(fileURLToPath(import.meta.url)), 'golden', 'headless-plan.svg');
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(goldenPath, plan.svg);
+  }
+  assert(existsSync(goldenPath), `Golden file ${goldenPath} is missing (create it with UPDATE_GOLDEN=1)`);
+  assert(plan.svg === readFileSync(goldenPath, 'utf-8'), `Plan SVG should match ${goldenPath}`);
+
+  const section = await renderHeadless('section', topology, { cutPlane, formats: ['svg'] });
+  assert(section.svg.includes('<svg'), 'Section should render to SVG');
+
+  const building = createBuilding(topology, { storeys: 'two', roof: 'gable' });
+  const views = await renderAllHeadless(building, { cutPlane, formats: ['svg'] });
+  assert(Object.keys(views).join(',') === 'plan,section,axon', 'All views should render with a cut plane');
+  assert(Object.values(views).every(view => view.svg.includes('<svg')), 'Building views should render to SVG');
+  assert(Object.keys(await renderAllHeadless(building, { formats: ['svg'] })).join(',') === 'plan,axon', 'Section is skipped without a cut plane');
+  assert(globalThis.paper.projects.length === 0, 'Rendered projects should be released');
+  console.log('✓ renderHeadless() output tests passed');
+} else {
+  console.log('⚠ paper, jsdom or canvas not available - render output tests NOT RUN');
+}
+
+if (renderAvailable) {
+  console.log('\nAll tests passed! ✓');
+} else {
+  console.log('\nInput check tests passed; render output tests were NOT RUN (install paper, jsdom and canvas to run them)');
+}
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for OpenCV geometric transformations
+ * Corner ordering and homography maths run anywhere; image warps require OpenCV.js
+ * In browser: <script src="opencv.js"></script>
+ * In worker: importScripts('opencv.js')
+ */
+
+import {
+  orderCorners,
+  getRectifiedSize,
+  computeHomography,
+  applyHomography,
+  correctPerspective,
+  detectDocumentQuad,
+  autoCorrectPerspective,
+  rotate,
+  scale,
+  transformImage
+} from '../src/preprocess/opencv-transform.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+function assertPointClose(actual, expected, tolerance = 1e-6) {
+  assertClose(actual[0], expected[0], tolerance, 'x coordinate');
+  assertClose(actual[1], expected[1], tolerance, 'y coordinate');
+}
+
+// Keystoned sheet: top edge narrower than bottom, as in a phone photo
+const keystone = [[120, 80], [520, 90], [600, 460], [40, 450]];
+
+// Test orderCorners()
+console.log('Testing orderCorners()...');
+const shuffled = [keystone[2], keystone[0], keystone[3], keystone[1]];
+const ordered = orderCorners(shuffled);
+ordered.forEach((p, i) => assertPointClose(p, keystone[i]));
+const fromObjects = orderCorners(shuffled.map(([x, y]) => ({ x, y })));
+assertPointClose(fromObjects[0], keystone[0]);
+let threw = false;
+try {
+  orderCorners([[0, 0], [1, 1], [2, 2]]);
+} catch (error) {
+  threw = true;
+}
+assert(threw, 'Should reject fewer than four corners');
+console.log('✓ orderCorners() tests passed');
+
+// Test getRectifiedSize()
+console.log('Testing getRectifiedSize()...');
+const size = getRectifiedSize(keystone);
+assert(size.width === 560, `Width should follow longest horizontal edge, got ${size.width}`);
+assert(size.height === Math.round(Math.hypot(80, 370)), `Height should follow longest vertical edge, got ${size.height}`);
+console.log('✓ getRectifiedSize() tests passed');
+
+// Test computeHomography() / applyHomography()
+console.log('Testing computeHomography()...');
+const target = [[0, 0], [559, 0], [559, 379], [0, 379]];
+const H = computeHomography(keystone, target);
+assert(H.length === 9 && H[8] === 1, 'Should return normalized 3x3 matrix');
+keystone.forEach((p, i) => assertPointClose(applyHomography(H, p), target[i], 1e-6));
+const identity = computeHomography(target, target);
+[1, 0, 0, 0, 1, 0, 0, 0, 1].forEach((v, i) => assertClose(identity[i], v, 1e-9, `identity[${i}]`));
+threw = false;
+try {
+  computeHomography([[0, 0], [1, 1], [2, 2], [3, 3]], target);
+} catch (error) {
+  threw = error.message.includes('Degenerate');
+}
+assert(threw, 'Should reject collinear corners');
+console.log('✓ computeHomography() tests passed');
+
+/**
+ * Image tests (require OpenCV.js)
+ */
+function runOpenCVTests() {
+  // Draw a white keystoned sheet on a dark background
+  console.log('Testing detectDocumentQuad()...');
+  const photo = new cv.Mat(540, 640, cv.CV_8UC1, new cv.Scalar(40));
+  const pts = cv.matFromArray(4, 1, cv.CV_32SC2, keystone.flat());
+  const polys = new cv.MatVector();
+  polys.push_back(pts);
+  cv.fillPoly(photo, polys, new cv.Scalar(235));
+  const detected = detectDocumentQuad(photo);
+  assert(detected !== null, 'Should find the sheet');
+  detected.forEach((p, i) => assertPointClose(p, keystone[i], 4));
+  console.log('✓ detectDocumentQuad() tests passed');
+
+  console.log('Testing correctPerspective()...');
+  const corrected = correctPerspective(photo, keystone);
+  assert(corrected.cols === size.width && corrected.rows === size.height, 'Output should use rectified size');
+  assert(cv.mean(corrected)[0] > 200, 'Rectified image should be mostly sheet');
+  corrected.delete();
+
+  const auto = autoCorrectPerspective(photo);
+  assert(auto.corners !== null, 'Auto correction should report corners');
+  auto.mat.delete();
+
+  const blank = new cv.Mat(100, 100, cv.CV_8UC1, new cv.Scalar(255));
+  const none = autoCorrectPerspective(blank);
+  assert(none.corners === null && none.mat.cols === 100, 'Should return a copy when no sheet is found');
+  none.mat.delete();
+  blank.delete();
+  console.log('✓ correctPerspective() tests passed');
+
+  console.log('Testing rotate() and scale()...');
+  const rect = new cv.Mat(100, 200, cv.CV_8UC1, new cv.Scalar(255));
+  const rotated = rotate(rect, 90);
+  assert(rotated.cols === 100 && rotated.rows === 200, 'Expanded 90° rotation should swap dimensions');
+  const sameSize = rotate(rect, 30, { expand: false });
+  assert(sameSize.cols === 200 && sameSize.rows === 100, 'expand: false should keep dimensions');
+  const half = scale(rect, 0.5);
+  assert(half.cols === 100 && half.rows === 50, 'Scale should resize');
+  const combined = transformImage(photo, { corners: keystone, angle: 90, scale: 0.5 });
+  assert(combined.cols === Math.round(size.height / 2), 'transformImage should apply rotation after correction');
+  [rect, rotated, sameSize, half, combined].forEach(mat => mat.delete());
+  console.log('✓ rotate() and scale() tests passed');
+
+  photo.delete();
+  pts.delete();
+  polys.delete();
+}
+
+if (typeof cv !== 'undefined' && cv.Mat) {
+  runOpenCVTests();
+} else {
+  console.log('OpenCV.js not loaded - skipping image transform tests');
+}
+
+console.log('\nAll tests passed! ✓');
+
+export { runOpenCVTests };
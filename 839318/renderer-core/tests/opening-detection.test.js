@@ -0,0 +1,136 @@
+/**
+ * Unit tests for door and window opening detection
+ */
+
+import { detectOpenings, getOpeningInterval } from '../src/topology/opening-detection.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+const wall = (x1, y1, x2, y2, thickness = 10) => ({ start: [x1, y1], end: [x2, y2], thickness });
+
+/**
+ * Sample a quarter-circle swing arc as a polyline
+ */
+function arc(cx, cy, r, fromDeg, toDeg, steps = 12) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = ((fromDeg + (toDeg - fromDeg) * (i / steps)) * Math.PI) / 180;
+    points.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+  }
+  return points;
+}
+
+// A 400x300 room; the top wall has a 90 unit door gap between x=100 and x=190
+const room = [
+  wall(0, 0, 100, 0),
+  wall(190, 0, 400, 0),
+  wall(400, 0, 400, 300),
+  wall(400, 300, 0, 300),
+  wall(0, 300, 0, 0)
+];
+
+// Test gap detection
+console.log('Testing detectOpenings() wall gaps...');
+const gapOnly = detectOpenings(room, []);
+assert(gapOnly.walls.length === 4, `Walls either side of the gap should merge into one host, got ${gapOnly.walls.length}`);
+assert(gapOnly.openings.length === 1, `Expected 1 opening, got ${gapOnly.openings.length}`);
+const gap = gapOnly.openings[0];
+const host = gapOnly.walls.find(w => w.id === gap.wallId);
+assert(host && host.start[0] === 0 && host.end[0] === 400, 'Host wall should span both segments');
+assert(gap.type === 'opening' && gap.cues[0] === 'gap', 'Untyped gap should be a plain opening');
+assertClose(gap.width, 90, 1e-6, 'gap width');
+assertClose(gap.position, 145 / 400, 1e-6, 'gap position');
+assertClose(gap.start[0], 100, 1e-6, 'gap start');
+assert(room[0].end[0] === 100, 'Input walls should not be modified');
+
+// Walls pointing away from the gap are found too
+const reversed = detectOpenings([wall(100, 0, 0, 0), wall(190, 0, 400, 0)], []);
+assert(reversed.openings.length === 1 && reversed.walls.length === 1, 'Gap should be found whichever way walls run');
+
+// A crossing wall inside the gap makes a junction, not an opening
+const junction = detectOpenings([wall(0, 0, 100, 0), wall(190, 0, 400, 0), wall(145, -100, 145, 100)], []);
+assert(junction.openings.length === 0, 'Gap with a wall through it is not an opening');
+assert(detectOpenings([wall(0, 0, 100, 0), wall(500, 0, 800, 0)], []).openings.length === 0, 'Gaps wider than maxWidth are ignored');
+assert(detectOpenings([wall(0, 0, 100, 0), wall(110, 0, 400, 0)], []).openings.length === 0, 'Gaps narrower than minWidth are ignored');
+console.log('✓ detectOpenings() wall gap tests passed');
+
+// Test door swing arcs
+console.log('Testing detectOpenings() door arcs...');
+// Hinge at (100, 0), closed leaf along the wall to (190, 0), open leaf swung into the room
+const withDoor = detectOpenings(room, [arc(100, 0, 90, 0, 90)]);
+assert(withDoor.openings.length === 1, `Arc in a gap should type the gap, got ${withDoor.openings.length} openings`);
+const door = withDoor.openings[0];
+assert(door.type === 'door', `Expected door, got ${door.type}`);
+assert(door.cues.includes('gap') && door.cues.includes('arc'), 'Door should record both cues');
+assertClose(door.swing.hinge[0], 100, 0.5, 'hinge x');
+assertClose(door.swing.hinge[1], 0, 0.5, 'hinge y');
+assert(door.swing.side === 1, 'Leaf swings along the (-uy, ux) wall normal, into the room');
+
+// Arc drawn on a continuous wall adds a door inside it
+const solid = detectOpenings([wall(0, 0, 400, 0)], [arc(300, 0, 80, 180, 270)]);
+assert(solid.openings.length === 1 && solid.openings[0].type === 'door', 'Arc on a solid wall should add a door');
+assertClose(solid.openings[0].width, 80, 1, 'door width from arc radius');
+assertClose(solid.openings[0].position, 260 / 400, 0.01, 'door centred between hinge and closed end');
+
+// Straight strokes, wide arcs and half circles are not doors
+assert(detectOpenings([wall(0, 0, 400, 0)], [[[10, 10], [50, 10], [90, 10]]]).openings.length === 0, 'Straight stroke is not an arc');
+assert(detectOpenings([wall(0, 0, 400, 0)], [arc(200, 0, 90, 0, 180, 24)]).openings.length === 0, 'Half circle is not a door swing');
+console.log('✓ detectOpenings() door arc tests passed');
+
+// Test window marks
+console.log('Testing detectOpenings() window marks...');
+const tripleLines = [
+  { start: [250, -5], end: [330, -5] },
+  { start: [250, 0], end: [330, 0] },
+  { start: [250, 5], end: [330, 5] }
+];
+const withWindow = detectOpenings(room, tripleLines);
+const windowOpening = withWindow.openings.find(o => o.type === 'window');
+assert(windowOpening, 'Triple lines inside a wall should mark a window');
+assertClose(windowOpening.width, 80, 1e-6, 'window width');
+assertClose(windowOpening.start[0], 250, 1e-6, 'window start');
+assert(windowOpening.cues[0] === 'mark', 'Window should come from a mark');
+assert(withWindow.openings.length === 2, 'Door gap and window should both be reported');
+assert(withWindow.openings[0].position < withWindow.openings[1].position, 'Openings on a wall should be ordered along it');
+
+const twoLines = detectOpenings([wall(0, 0, 400, 0)], tripleLines.slice(0, 2));
+assert(twoLines.openings.length === 0, 'Two lines are not a window mark');
+
+const rectangle = detectOpenings([wall(400, 0, 400, 300)], [[[397, 100], [403, 100], [403, 180], [397, 180], [397, 100]]]);
+assert(rectangle.openings.length === 1 && rectangle.openings[0].type === 'window', 'Thin rectangle in a wall should mark a window');
+assertClose(rectangle.openings[0].width, 80, 1e-6, 'rectangle window width');
+
+const gapWindow = detectOpenings(room, [
+  { start: [100, -4], end: [190, -4] },
+  { start: [100, 0], end: [190, 0] },
+  { start: [100, 4], end: [190, 4] }
+]);
+assert(gapWindow.openings.length === 1 && gapWindow.openings[0].type === 'window', 'Window mark in a gap should type the gap');
+console.log('✓ detectOpenings() window mark tests passed');
+
+// Test getOpeningInterval()
+console.log('Testing getOpeningInterval()...');
+const hostWall = { start: [0, 0], end: [400, 0] };
+const fromSpan = getOpeningInterval(door, gapOnly.walls.find(w => w.id === door.wallId));
+assertClose(fromSpan.t0, 100, 1e-6, 'interval from start/end');
+const fromPosition = getOpeningInterval({ position: 0.5, width: 100 }, hostWall);
+assert(fromPosition.t0 === 150 && fromPosition.t1 === 250, 'Interval from position and width');
+assert(getOpeningInterval({ position: 0.5 }, hostWall) === null, 'No width and no default gives no interval');
+assert(getOpeningInterval({ position: 0.5 }, hostWall, 90).t1 === 245, 'Default width should apply');
+assert(getOpeningInterval({ position: 0, width: 100 }, hostWall).t0 === 0, 'Interval should be clamped to the wall');
+assert(detectOpenings([], []).openings.length === 0, 'No walls gives no openings');
+console.log('✓ getOpeningInterval() tests passed');
+
+console.log('\nAll tests passed! ✓');
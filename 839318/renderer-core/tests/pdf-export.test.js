@@ -0,0 +1,121 @@
+/**
+ * Unit tests for vector PDF export
+ */
+
+import { readFileSync, rmSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildPDF, PDF_PAGE_SIZES } from '../src/render/pdf.js';
+import { exportPDF } from '../src/render/export.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Extract page content streams in page order
+ */
+function contentStreams(pdf) {
+  return [...pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)].map(match => match[1]);
+}
+
+// SVG in the shape Paper.js exportSVG produces
+const planSVG = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" width="800" height="600">
+  <g fill="none" fill-rule="nonzero" stroke="none" stroke-width="1" stroke-linecap="butt" stroke-linejoin="miter" font-family="none" font-weight="none" font-size="none" text-anchor="none" style="mix-blend-mode: normal">
+    <path d="M0,0h800v600h-800z" fill="#f8f8f8"/>
+    <g transform="translate(10,20)">
+      <path d="M100,100L700,100L700,500L100,500z" fill="none" stroke="#000000" stroke-width="3"/>
+      <path d="M200,100c0,50 50,100 100,100" stroke="#333" stroke-width="1.5"/>
+      <path d="M300,300a50,50 0 1,0 100,0" stroke="#000"/>
+    </g>
+    <polygon points="10,10 50,10 50,50" fill="rgba(220,220,220,0.4)"/>
+    <text x="400" y="300" fill="#000000" font-size="12" text-anchor="middle">Living (20 m²)</text>
+  </g>
+</svg>`;
+
+const views = {
+  plan: { svg: planSVG, bounds: { x: 0, y: 0, width: 800, height: 600 } },
+  section: null,
+  axon: { svg: '<svg width="400" height="300" xmlns="http://www.w3.org/2000/svg"><rect width="400" height="300" fill="white"/><line x1="0" y1="0" x2="400" y2="300" stroke="black"/></svg>' }
+};
+
+const options = {
+  projectName: 'Harrow Road (Flat 2)',
+  scale: { plan: '1:100' },
+  date: '2024-05-01',
+  version: 'pipeline 1.0.0'
+};
+
+console.log('Testing buildPDF() document structure...');
+const pdf = buildPDF(views, options);
+assert(pdf.startsWith('%PDF-1.4'), 'Should start with PDF header');
+assert(pdf.trimEnd().endsWith('%%EOF'), 'Should end with %%EOF');
+assert(/\/Count 2\b/.test(pdf), 'Should have one page per provided view (section skipped)');
+assert(pdf.includes('/BaseFont /Helvetica'), 'Should embed Helvetica font resource');
+assert(!/[^\x00-\x7f]/.test(pdf), 'Document should be 7-bit ASCII');
+
+console.log('Testing buildPDF() cross-reference table...');
+const startxref = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+assert(pdf.slice(startxref, startxref + 4) === 'xref', 'startxref should point at xref table');
+const entries = [...pdf.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => parseInt(m[1], 10));
+entries.forEach((offset, index) => {
+  assert(pdf.slice(offset).startsWith(`${index + 1} 0 obj`), `xref entry ${index + 1} should point at its object`);
+});
+[...pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)].forEach(match => {
+  const start = match.index + match[0].length;
+  assert(pdf.slice(start + parseInt(match[1], 10)).startsWith('\nendstream'), 'Stream /Length should match content');
+});
+
+console.log('Testing buildPDF() vector content...');
+const [planPage, axonPage] = contentStreams(pdf);
+assert(planPage.includes('1 0 0 1 10 20 cm'), 'Group transforms should become cm operators');
+assert(planPage.includes('100 100 m') && planPage.includes('700 100 l'), 'Path segments should be kept as vector operators');
+assert(/ c\n/.test(planPage), 'Curves should be emitted as bezier operators');
+assert(planPage.includes('3 w'), 'Stroke width should be preserved');
+assert(planPage.includes('/GS0 gs'), 'rgba fills should use a transparency graphics state');
+assert(pdf.includes('/ca 0.4'), 'Graphics state should carry fill alpha');
+assert(!planPage.includes('Do'), 'Views should not be embedded as images');
+assert(axonPage.includes('0 0 m') && axonPage.includes('400 300 l'), 'SVG lines should become path operators');
+
+console.log('Testing buildPDF() text and title block...');
+assert(planPage.includes('(Living \\(20 m\\262\\)) Tj'), 'SVG text should be escaped and drawn, with m² as its WinAnsi byte');
+assert(planPage.includes('(Harrow Road \\(Flat 2\\)) Tj'), 'Title block should include project name');
+assert(planPage.includes('(Plan) Tj') && axonPage.includes('(Axonometric) Tj'), 'Title block should name each view');
+assert(planPage.includes('(1:100) Tj') && axonPage.includes('(NTS) Tj'), 'Scale should fall back to NTS per view');
+assert(planPage.includes('(2024-05-01) Tj'), 'Title block should include the date');
+assert(planPage.includes('(pipeline 1.0.0) Tj'), 'Title block should include the version');
+assert(axonPage.includes('(2 of 2) Tj'), 'Title block should include sheet numbering');
+
+console.log('Testing buildPDF() WinAnsi text encoding...');
+const encoded = contentStreams(buildPDF(views.axon, { projectName: 'Café – 3 m² € 中' }))[0];
+assert(encoded.includes('(Caf\\351 \\226 3 m\\262 \\200 ?) Tj'), 'Text should use WinAnsi octal escapes, replacing only unencodable characters');
+assert(/^[\x00-\x7f]*$/.test(encoded), 'Content stream should stay ASCII');
+
+console.log('Testing buildPDF() page size and single view input...');
+const single = buildPDF(views.axon, { pageSize: 'A4' });
+assert(/\/Count 1\b/.test(single), 'Single rendered view should produce one page');
+assert(single.includes(`/MediaBox [0 0 ${PDF_PAGE_SIZES.A4[0]} ${PDF_PAGE_SIZES.A4[1]}]`), 'Should use requested page size');
+
+console.log('Testing buildPDF() input validation...');
+let threw = false;
+try {
+  buildPDF({ plan: null, section: null, axon: null });
+} catch (error) {
+  threw = error.message.includes('svg');
+}
+assert(threw, 'Should throw when no views have svg');
+
+console.log('Testing exportPDF() file output...');
+const dir = mkdtempSync(join(tmpdir(), 'pdf-export-'));
+try {
+  const outPath = join(dir, 'drawings.pdf');
+  const returned = await exportPDF(views, outPath, options);
+  assert(readFileSync(outPath, 'latin1') === returned, 'Written file should match returned PDF');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\nAll tests passed! ✓');
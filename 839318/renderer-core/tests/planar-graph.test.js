@@ -0,0 +1,119 @@
+/**
+ * Unit tests for planar-graph room detection
+ */
+
+import { buildPlanarGraph, enumerateFaces, findRooms } from '../src/topology/planar-graph.js';
+import { detectRooms, cleanupGeometry } from '../src/topology/cleanup.js';
+import { checkM1Acceptance } from '../src/utils/m1-acceptance.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+const line = (x1, y1, x2, y2) => ({ start: [x1, y1], end: [x2, y2] });
+
+// Two rooms: 400x200 outline with a partition wall ending on the outline (T-junctions)
+const twoRooms = [
+  line(0, 0, 400, 0),
+  line(400, 0, 400, 200),
+  line(400, 200, 0, 200),
+  line(0, 200, 0, 0),
+  line(150, 0, 150, 200)
+];
+
+// Test buildPlanarGraph()
+console.log('Testing buildPlanarGraph()...');
+const graph = buildPlanarGraph(twoRooms);
+assert(graph.vertices.length === 6, `T-junctions should add vertices, got ${graph.vertices.length}`);
+assert(graph.edges.length === 7, `Outline should be split at junctions, got ${graph.edges.length} edges`);
+
+const snapped = buildPlanarGraph([line(0, 0, 100, 0), line(102, 1, 100, 100), line(100, 100, 0, 100), line(0, 100, 0, 3)], { tolerance: 5 });
+assert(snapped.vertices.length === 4 && snapped.edges.length === 4, 'Nearby endpoints should be merged');
+
+const duplicate = buildPlanarGraph([...twoRooms, line(400, 0, 0, 0)]);
+assert(duplicate.edges.length === graph.edges.length, 'Duplicate segments should collapse');
+
+const dangling = buildPlanarGraph([...twoRooms, line(400, 100, 500, 100), line(500, 100, 500, 160)]);
+assert(dangling.edges.length === graph.edges.length + 1, 'Dangling chains should be pruned (the stub splits the wall it touches)');
+assert(buildPlanarGraph([line(0, 0, 10, 0), line(10, 0, 10, 10)]).edges.length === 0, 'An open chain has no edges left after pruning');
+assert(buildPlanarGraph([]).vertices.length === 0, 'Empty input should give empty graph');
+console.log('✓ buildPlanarGraph() tests passed');
+
+// Test enumerateFaces()
+console.log('Testing enumerateFaces()...');
+const faces = enumerateFaces(graph);
+const bounded = faces.filter(face => face.signedArea > 0);
+assert(faces.length === 3, `Expected two rooms plus the outer face, got ${faces.length}`);
+assert(bounded.length === 2, 'Only the rooms should have positive area');
+assertClose(bounded.reduce((sum, face) => sum + face.signedArea, 0), 400 * 200, 1e-6, 'faces should tile the outline');
+console.log('✓ enumerateFaces() tests passed');
+
+// Test findRooms()
+console.log('Testing findRooms()...');
+const rooms = findRooms(twoRooms);
+assert(rooms.length === 2, `Expected 2 rooms, got ${rooms.length}`);
+const [left, right] = [...rooms].sort((a, b) => a.centroid[0] - b.centroid[0]);
+assertClose(left.area, 150 * 200, 1e-6, 'left room area');
+assertClose(right.area, 250 * 200, 1e-6, 'right room area');
+assertClose(left.centroid[0], 75, 1e-6, 'left centroid x');
+assertClose(left.centroid[1], 100, 1e-6, 'left centroid y');
+assertClose(right.centroid[0], 275, 1e-6, 'right centroid x');
+assert(left.polygon.length === 4, `Collinear split vertices should be dropped, got ${left.polygon.length}`);
+assert(left.adjacent.length === 1 && left.adjacent[0] === right.id, 'Rooms sharing a wall should be adjacent');
+assert(right.adjacent[0] === left.id, 'Adjacency should be symmetric');
+assert(new Set(rooms.map(room => room.id)).size === 2, 'Room ids should be unique');
+
+// Walls crossing each other split into four rooms
+const cross = findRooms([
+  line(0, 0, 200, 0), line(200, 0, 200, 200), line(200, 200, 0, 200), line(0, 200, 0, 0),
+  line(100, -10, 100, 210), line(-10, 100, 210, 100)
+]);
+assert(cross.length === 4, `Crossing walls should give 4 rooms, got ${cross.length}`);
+cross.forEach(room => {
+  assertClose(room.area, 100 * 100, 1e-6, 'quadrant area');
+  assert(room.adjacent.length === 2, 'Each quadrant should touch two others');
+});
+assert(cross[0].id === 'room-1' && cross[0].centroid[1] < 100 && cross[0].centroid[0] < 100, 'Rooms should be ordered top-left first');
+
+// Room order and ids do not depend on input order
+const reversed = findRooms([...twoRooms].reverse().map(l => line(l.end[0], l.end[1], l.start[0], l.start[1])));
+assert(JSON.stringify(reversed.map(r => [r.id, r.area])) === JSON.stringify(rooms.map(r => [r.id, r.area])), 'Result should be deterministic');
+
+// Walls drawn slightly short of each other still close
+const gappy = findRooms([line(0, 0, 98, 0), line(100, 2, 100, 100), line(100, 100, 0, 100), line(0, 100, 0, 3)]);
+assert(gappy.length === 1, 'Small gaps should close within tolerance');
+
+assert(findRooms(twoRooms, { minArea: 40000 }).length === 1, 'minArea should filter small rooms');
+assert(findRooms([line(0, 0, 100, 0), line(100, 0, 100, 100)]).length === 0, 'Open walls should not form rooms');
+console.log('✓ findRooms() tests passed');
+
+// Test cleanup integration
+console.log('Testing detectRooms() and cleanupGeometry()...');
+const detected = detectRooms(twoRooms, { minArea: 100 });
+assert(detected.length === 2 && Array.isArray(detected[0].polygon), 'detectRooms should return room objects');
+const cleaned = cleanupGeometry(twoRooms);
+assert(cleaned.rooms.length === 2, `cleanupGeometry should find 2 rooms, got ${cleaned.rooms.length}`);
+assert(cleaned.polygons.length === 2 && cleaned.polygons[0] === cleaned.rooms[0].polygon, 'polygons should mirror room outlines');
+console.log('✓ detectRooms() and cleanupGeometry() tests passed');
+
+// Test M1 acceptance loop counting
+console.log('Testing checkM1Acceptance() wall loops...');
+const acceptance = checkM1Acceptance(
+  { vectorized: { polylines: [] }, topology: { walls: twoRooms, rooms: [] } },
+  { minWalls: 1 }
+);
+assert(acceptance.stats.wallLoops === 2, `Wall loops should count rooms, got ${acceptance.stats.wallLoops}`);
+assert(acceptance.accepted, 'Closed walls should pass the loop check');
+console.log('✓ checkM1Acceptance() wall loop tests passed');
+
+console.log('\nAll tests passed! ✓');
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for roof generation
+ */
+
+import { generateRoof, straightSkeleton, normalizeRoofType } from '../src/render/roof.js';
+import { createBuilding, stackLevels } from '../src/topology/building-model.js';
+import { cutBuilding } from '../src/render/section.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+// Plan area of a face (projected onto the ground)
+function planArea(polygon3D) {
+  let area = 0;
+  for (let i = 0; i < polygon3D.length; i++) {
+    const [x1, y1] = polygon3D[i];
+    const [x2, y2] = polygon3D[(i + 1) % polygon3D.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+const rectangle = [[0, 0], [6000, 0], [6000, 4000], [0, 4000]];
+const lShape = [[0, 0], [6000, 0], [6000, 2000], [2000, 2000], [2000, 6000], [0, 6000]];
+
+// Test normalizeRoofType()
+console.log('Testing normalizeRoofType()...');
+assert(normalizeRoofType('Pitched') === 'gable', 'Pitched briefs should give gables');
+assert(normalizeRoofType('Flat') === 'flat' && normalizeRoofType('mixed') === 'mono', 'Brief values should map to roof types');
+assert(normalizeRoofType('hip') === 'hip' && normalizeRoofType(undefined) === 'flat', 'Roof types pass through, flat by default');
+let threw = false;
+try {
+  normalizeRoofType('dome');
+} catch (err) {
+  threw = /Unknown roof type/.test(err.message);
+}
+assert(threw, 'Unknown roof types should throw');
+console.log('✓ normalizeRoofType() tests passed');
+
+// Test straightSkeleton()
+console.log('Testing straightSkeleton()...');
+const rectSkeleton = straightSkeleton(rectangle);
+const ridge = rectSkeleton.arcs.find(([a, b]) => a[1] === 2000 && b[1] === 2000 && a[0] !== b[0]);
+assert(ridge, 'Rectangle skeleton should have a ridge along the long axis');
+assertClose(Math.abs(ridge[0][0] - ridge[1][0]), 2000, 1e-6, 'ridge length');
+assert(rectSkeleton.arcs.length === 5, `Rectangle skeleton has 4 hips and a ridge, got ${rectSkeleton.arcs.length}`);
+const lSkeleton = straightSkeleton(lShape);
+assert(lSkeleton.nodes.some(n => Math.abs(n.point[0] - 1000) < 1e-6 && Math.abs(n.point[1] - 1000) < 1e-6 && Math.abs(n.time - 1000) < 1e-6), 'L wings should meet over the corner');
+console.log('✓ straightSkeleton() tests passed');
+
+// Test hip roofs
+console.log('Testing generateRoof() hip...');
+const hip = generateRoof(rectangle, { type: 'hip', pitch: 45, eaveHeight: 2700 });
+assert(hip.faces.length === 4 && hip.faces.every(f => f.face === 'roof'), 'Hip roof has one plane per eave');
+assertClose(hip.height, 2700 + 2000, 1e-6, 'hip ridge height at 45°');
+assertClose(hip.faces.reduce((sum, f) => sum + planArea(f.polygon3D), 0), 6000 * 4000, 1e-3, 'hip planes cover the footprint');
+assert(hip.faces.every(f => f.normal[2] > 0), 'Roof planes face up');
+const lHip = generateRoof([...lShape].reverse(), { type: 'hip', pitch: 45 });
+assert(lHip.faces.length === 6, `Every L edge gets a plane, got ${lHip.faces.length}`);
+assertClose(lHip.faces.reduce((sum, f) => sum + planArea(f.polygon3D), 0), 6000 * 2000 + 2000 * 4000, 1e-3, 'L hip covers the footprint (clockwise input)');
+console.log('✓ generateRoof() hip tests passed');
+
+// Test gable roofs
+console.log('Testing generateRoof() gable...');
+const gable = generateRoof(rectangle, { type: 'gable', pitch: 45 });
+const gables = gable.faces.filter(f => f.face === 'gable');
+assert(gables.length === 2, `Gable roof has two gable ends, got ${gables.length}`);
+assert(gables.every(f => Math.abs(f.normal[2]) < 1e-9), 'Gable ends are vertical');
+assert(gable.faces.filter(f => f.face === 'roof').every(f => Math.abs(planArea(f.polygon3D)) === 6000 * 2000), 'Slopes run the full length');
+const rotated = generateRoof(rectangle.map(([x, y]) => [y, x]), { type: 'gable', pitch: 45 });
+assert(rotated.faces.filter(f => f.face === 'gable').every(f => Math.abs(f.normal[1]) > 0.99), 'Ridge should follow the long axis');
+console.log('✓ generateRoof() gable tests passed');
+
+// Test mono-pitch roofs
+console.log('Testing generateRoof() mono...');
+const mono = generateRoof(rectangle, { type: 'mono', pitch: 10, eaveHeight: 2700 });
+const plane = mono.faces.find(f => f.face === 'roof');
+assertClose(mono.height, 2700 + 4000 * Math.tan(Math.PI / 18), 1e-6, 'mono rises across the short axis');
+assert(plane.polygon3D.length === 4 && plane.normal[1] < 0 && plane.normal[2] > 0, 'Mono plane faces the low side');
+assert(mono.faces.filter(f => f.face === 'gable').length === 3, 'Infill walls close the three raised sides');
+console.log('✓ generateRoof() mono tests passed');
+
+// Test flat roofs
+console.log('Testing generateRoof() flat...');
+const flat = generateRoof(rectangle, { type: 'flat', eaveHeight: 2700 });
+const deck = flat.faces.find(f => f.face === 'roof');
+assertClose(planArea(deck.polygon3D), 5600 * 3600, 1e-3, 'deck sits inside the parapet');
+assert(flat.faces.filter(f => f.face === 'parapet').length === 8, 'Parapet has inner and outer faces per edge');
+assertClose(flat.height, 3300, 1e-6, 'parapet top');
+assert(generateRoof(rectangle, { type: 'flat', parapetHeight: 0 }).faces.length === 1, 'No parapet gives a bare deck');
+assert(generateRoof([[0, 0], [1, 0]], { type: 'hip' }).faces.length === 0, 'Degenerate footprints give no roof');
+assert(hip.edges.length === 9 && hip.edges.every(e => e.type === 'roof'), 'Roof edges are shared once');
+console.log('✓ generateRoof() flat tests passed');
+
+// Test building integration
+console.log('Testing building roofs...');
+const walls = rectangle.map((p, i) => ({ id: `wall-${i + 1}`, start: p, end: rectangle[(i + 1) % 4], thickness: 200 }));
+const building = createBuilding({ walls, storeys: 'two', roof: 'Pitched' });
+assert(building.roof.type === 'Pitched', 'Brief roof value should be kept on the building');
+const stacked = stackLevels(building);
+assertClose(stacked.roof.eaveHeight, 3000 + 2700, 1e-6, 'roof sits on the top level walls');
+assert(stackLevels(building, { explode: 500 }).roof.eaveHeight === 5700 + 1000, 'Exploded roof lifts above the top level');
+
+const section = cutBuilding(building, { start: [3000, -1000], end: [3000, 5000] });
+assert(section.roof.length === 2, `Cut across the ridge should give two slopes, got ${section.roof.length}`);
+const apex = Math.max(...section.roof.flatMap(s => s.points.map(p => p[1])));
+assertClose(apex, 5700 + 2000 * Math.tan((35 * Math.PI) / 180), 1e-6, 'section apex');
+assert(cutBuilding(createBuilding({ walls }), { start: [3000, -1000], end: [3000, 5000] }).roof.length === 0, 'No roof without a roof type');
+console.log('✓ building roof tests passed');
+
+console.log('\nAll tests passed! ✓');
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for grid detection and removal
+ */
+
+import {
+  detectGrid,
+  detectGridLines,
+  detectReferencePoints,
+  detectVectorGuides,
+  removeGridLines,
+  calibrateFromGrid
+} from '../src/preprocess/vector-guide-detect.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+/**
+ * Create a white mask; ImageData-shaped so it runs in Node
+ */
+function createMask(width, height) {
+  return { width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) };
+}
+
+function setInk(mask, x, y) {
+  const ix = Math.round(x);
+  const iy = Math.round(y);
+  if (ix < 0 || iy < 0 || ix >= mask.width || iy >= mask.height) return;
+  const idx = (iy * mask.width + ix) * 4;
+  mask.data[idx] = 0;
+  mask.data[idx + 1] = 0;
+  mask.data[idx + 2] = 0;
+}
+
+function isInk(mask, x, y) {
+  return mask.data[(y * mask.width + x) * 4] < 128;
+}
+
+/**
+ * Draw a 1px grid rotated by angle (degrees) about the image origin
+ */
+function drawGrid(mask, pitch, offset, angle = 0) {
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const extent = Math.max(mask.width, mask.height) * 2;
+  for (let k = -extent / pitch; k <= extent / pitch; k++) {
+    const c = offset + k * pitch;
+    for (let t = -extent; t <= extent; t += 0.5) {
+      // Vertical family: u = c; horizontal family: v = c
+      setInk(mask, c * cos - t * sin, c * sin + t * cos);
+      setInk(mask, t * cos - c * sin, t * sin + c * cos);
+    }
+  }
+}
+
+function fillRect(mask, x0, y0, x1, y1) {
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      setInk(mask, x, y);
+    }
+  }
+}
+
+// A room outline with 6px walls
+function drawRoom(mask) {
+  fillRect(mask, 60, 60, 300, 65);
+  fillRect(mask, 60, 215, 300, 220);
+  fillRect(mask, 60, 60, 65, 220);
+  fillRect(mask, 295, 60, 300, 220);
+}
+
+// Test detectGrid() on an axis-aligned grid
+console.log('Testing detectGrid() axis-aligned...');
+const gridded = createMask(400, 300);
+drawGrid(gridded, 20, 7);
+drawRoom(gridded);
+const grid = detectGrid(gridded);
+assert(grid !== null, 'Should detect grid');
+assertClose(grid.angle, 0, 1e-9, 'angle');
+assertClose(grid.pitchX, 20, 0.1, 'pitchX');
+assertClose(grid.pitchY, 20, 0.1, 'pitchY');
+assertClose(grid.origin[0], 7, 0.5, 'origin x');
+assertClose(grid.origin[1], 7, 0.5, 'origin y');
+assert(grid.lineWidth <= 2, `Grid line width should be thin, got ${grid.lineWidth}`);
+assert(grid.confidence >= 0.5, `Confidence should be high, got ${grid.confidence}`);
+const verticalLines = grid.lines.filter(l => l.axis === 'vertical');
+assert(verticalLines.length === 20, `Expected 20 vertical lines, got ${verticalLines.length}`);
+assert(detectGridLines(gridded).length === grid.lines.length, 'detectGridLines should return grid lines');
+console.log('✓ detectGrid() axis-aligned tests passed');
+
+// Test detectGrid() on a rotated grid
+console.log('Testing detectGrid() rotated...');
+const rotated = createMask(400, 300);
+drawGrid(rotated, 25, 3, 2);
+const rotatedGrid = detectGrid(rotated);
+assert(rotatedGrid !== null, 'Should detect rotated grid');
+assertClose(rotatedGrid.angle, 2, 0.5, 'angle');
+assertClose(rotatedGrid.pitch, 25, 0.5, 'pitch');
+console.log('✓ detectGrid() rotated tests passed');
+
+// Test no false positives
+console.log('Testing detectGrid() without grid...');
+const plain = createMask(400, 300);
+drawRoom(plain);
+assert(detectGrid(plain) === null, 'Plan without grid should not report a grid');
+assert(detectGrid(createMask(100, 100)) === null, 'Blank image should not report a grid');
+assert(detectVectorGuides(plain).length === 0, 'No guides without grid');
+const guides = detectVectorGuides(gridded);
+assert(guides.length === 1 && guides[0].type === 'grid', 'Grid should be reported as a guide');
+console.log('✓ detectGrid() without grid tests passed');
+
+// Test no false positive on a thin-line plan with regular bays
+console.log('Testing detectGrid() on a regular-bay plan...');
+const bays = createMask(800, 600);
+for (let x = 25; x <= 775; x += 125) fillRect(bays, x, 25, x + 1, 476);
+for (let y = 25; y <= 475; y += 150) fillRect(bays, 25, y, 776, y + 1);
+// A door swing in every bay, drawn with the same 2px pen as the walls
+for (let x = 25; x < 775; x += 125) {
+  for (let y = 25; y < 475; y += 150) {
+    for (let a = 0; a <= 90; a += 0.25) {
+      const rad = (a * Math.PI) / 180;
+      setInk(bays, x + 20 + 40 * Math.cos(rad), y + 2 + 40 * Math.sin(rad));
+      setInk(bays, x + 20 + 41 * Math.cos(rad), y + 2 + 41 * Math.sin(rad));
+    }
+    fillRect(bays, x + 20, y + 2, x + 21, y + 42);
+  }
+}
+assert(detectGrid(bays) === null, 'Regularly spaced walls should not be reported as a grid');
+// Each check rejects the plan on its own
+assert(detectGrid(bays, { minLines: 4, minLineSpan: 0 }) === null, 'Strokes as thin as the lines should reject the grid');
+assert(detectGrid(bays, { minLines: 4, minStrokeRatio: 0 }) === null, 'Lines stopping short of the sheet edges should reject the grid');
+assert(detectGrid(bays, { minLineSpan: 0, minStrokeRatio: 0 }) === null, 'Too few lines should reject the grid');
+assert(detectGrid(bays, { minLines: 4, minLineSpan: 0, minStrokeRatio: 0 }) !== null, 'Without the checks the bays look like a grid');
+console.log('✓ detectGrid() regular-bay plan tests passed');
+
+// Test removeGridLines()
+console.log('Testing removeGridLines()...');
+const cleaned = removeGridLines(gridded, grid);
+assert(cleaned !== gridded && isInk(gridded, 7, 100), 'Should not modify the input mask');
+assert(!isInk(cleaned, 7, 100), 'Grid line pixels should be removed');
+assert(!isInk(cleaned, 27, 27), 'Grid crossings should be removed');
+assert(!isInk(cleaned, 150, 147), 'Grid lines inside rooms should be removed');
+// Wall pixels survive, including where grid lines cross the wall
+assert(isInk(cleaned, 100, 62), 'Horizontal wall should be kept');
+assert(isInk(cleaned, 107, 62), 'Wall should be kept where a grid line crosses it');
+assert(isInk(cleaned, 62, 67), 'Wall should be kept where it runs along a grid line');
+assert(isInk(cleaned, 67, 63), 'Wall should be kept at grid crossings inside it');
+let remaining = 0;
+for (let y = 0; y < 300; y++) {
+  for (let x = 0; x < 400; x++) {
+    const insideWall = isInk(plain, x, y);
+    if (isInk(cleaned, x, y) && !insideWall) remaining++;
+  }
+}
+assert(remaining < 50, `Almost no grid ink should remain, got ${remaining} pixels`);
+console.log('✓ removeGridLines() tests passed');
+
+// Test detectReferencePoints()
+console.log('Testing detectReferencePoints()...');
+const points = detectReferencePoints(gridded, { grid });
+assert(points.length === 20 * 15, `Expected 300 intersections, got ${points.length}`);
+assertClose(points[0].x, 7, 0.5, 'first intersection x');
+assert(detectReferencePoints(plain).length === 0, 'No reference points without grid');
+console.log('✓ detectReferencePoints() tests passed');
+
+// Test calibrateFromGrid()
+console.log('Testing calibrateFromGrid()...');
+const calibration = calibrateFromGrid({ pitch: 20 }, { squareSizeMm: 5, drawingScale: 100 });
+assertClose(calibration.mmPerPixel, 25, 1e-9, 'mmPerPixel');
+assertClose(calibration.pxToMeters, 0.025, 1e-12, 'pxToMeters');
+assert(calibrateFromGrid(null) === null, 'No calibration without grid');
+console.log('✓ calibrateFromGrid() tests passed');
+
+console.log('\nAll tests passed! ✓');
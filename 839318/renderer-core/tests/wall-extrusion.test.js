@@ -0,0 +1,135 @@
+/**
+ * Unit tests for opening-aware wall extrusion
+ */
+
+import {
+  extrudeWall,
+  extrudeWalls,
+  projectAndSortFaces,
+  resolveWallOpenings,
+  DEFAULT_OPENING_HEIGHTS
+} from '../src/render/wall-extrusion.js';
+
+// Simple test assertion helper
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  const diff = Math.abs(actual - expected);
+  if (diff > tolerance) {
+    throw new Error(`Assertion failed: expected ${expected}, got ${actual} (diff: ${diff})${message ? ': ' + message : ''}`);
+  }
+}
+
+// Area of a planar 3D polygon (Newell's method)
+function area3D(polygon) {
+  let nx = 0;
+  let ny = 0;
+  let nz = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, y1, z1] = polygon[i];
+    const [x2, y2, z2] = polygon[(i + 1) % polygon.length];
+    nx += (y1 - y2) * (z1 + z2);
+    ny += (z1 - z2) * (x1 + x2);
+    nz += (x1 - x2) * (y1 + y2);
+  }
+  return Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+}
+
+const sumArea = (faces, name) => faces.filter(f => f.face === name).reduce((sum, f) => sum + area3D(f.polygon3D), 0);
+
+const wall = { id: 'wall-1', start: [0, 0], end: [4000, 0], thickness: 200 };
+const door = { id: 'opening-1', wallId: 'wall-1', type: 'door', position: 0.25, width: 900 };
+const window = { id: 'opening-2', wallId: 'wall-1', type: 'window', position: 0.75, width: 1200 };
+
+// Test resolveWallOpenings()
+console.log('Testing resolveWallOpenings()...');
+const resolved = resolveWallOpenings(wall, [window, door, { wallId: 'wall-2', type: 'door', position: 0.5, width: 900 }]);
+assert(resolved.length === 2, `Only openings hosted by the wall should resolve, got ${resolved.length}`);
+assert(resolved[0].id === 'opening-1', 'Openings should be sorted along the wall');
+assertClose(resolved[0].t0, 550, 1e-6, 'door start');
+assertClose(resolved[0].t1, 1450, 1e-6, 'door end');
+assert(resolved[0].sill === DEFAULT_OPENING_HEIGHTS.door.sill && resolved[0].head === DEFAULT_OPENING_HEIGHTS.door.head, 'Door heights should default per type');
+assert(resolved[1].sill === 900 && resolved[1].head === 2100, 'Window should sit on a sill');
+
+const custom = resolveWallOpenings(wall, [{ ...window, sillHeight: 1200, headHeight: 5000 }], 2700);
+assert(custom[0].sill === 1200 && custom[0].head === 2700, 'Explicit heights should override defaults and clamp to the wall');
+const overlapping = resolveWallOpenings(wall, [door, { ...door, id: 'opening-3', position: 0.3 }]);
+assert(overlapping.length === 1 && overlapping[0].id === 'opening-1', 'Overlapping openings should keep the first');
+assert(resolveWallOpenings({ ...wall, openings: [{ type: 'door', position: 0.5, width: 800 }] }).length === 1, 'wall.openings should be used too');
+console.log('✓ resolveWallOpenings() tests passed');
+
+// Test extrudeWall() with openings
+console.log('Testing extrudeWall() with openings...');
+const solid = extrudeWall([wall.start, wall.end], 200, 2700);
+assert(solid.length === 3 && solid.every(f => !f.normal), 'Without openings the legacy three faces are returned');
+
+const cut = extrudeWall([wall.start, wall.end], 200, 2700, resolved);
+const doorVoid = 900 * 2100;
+const windowVoid = 1200 * 1200;
+assertClose(sumArea(cut, 'left'), 4000 * 2700 - doorVoid - windowVoid, 1e-3, 'left face loses both voids');
+assertClose(sumArea(cut, 'right'), 4000 * 2700 - doorVoid - windowVoid, 1e-3, 'right face loses both voids');
+assertClose(sumArea(cut, 'top'), (4000) * 200, 1e-3, 'top stays whole when heads are below the top');
+
+const sills = cut.filter(f => f.face === 'sill');
+const heads = cut.filter(f => f.face === 'head');
+const jambs = cut.filter(f => f.face === 'jamb');
+assert(sills.length === 1 && sills[0].openingId === 'opening-2', 'Only the window has a sill reveal');
+assert(sills[0].polygon3D.every(p => p[2] === 900), 'Sill reveal sits at sill height');
+assert(heads.length === 2 && heads.every(f => f.polygon3D.every(p => p[2] === 2100)), 'Both openings have a head soffit');
+assert(heads.every(f => f.normal[2] === -1), 'Head soffits face down');
+assert(jambs.length === 4, `Each opening has two jambs, got ${jambs.length}`);
+assertClose(sumArea(jambs.filter(f => f.openingId === 'opening-1'), 'jamb'), 2 * 200 * 2100, 1e-3, 'door jamb area');
+const [jambStart, jambEnd] = jambs.filter(f => f.openingId === 'opening-1');
+assert(jambStart.normal[0] === 1 && jambEnd.normal[0] === -1, 'Jambs face into the void');
+
+// An opening running to the wall top removes the top face over it
+const fullHeight = extrudeWall([wall.start, wall.end], 200, 2700, [{ t0: 1000, t1: 2000, sill: 0, head: 2700 }]);
+assertClose(sumArea(fullHeight, 'top'), 3000 * 200, 1e-3, 'full-height opening cuts the top face');
+assert(fullHeight.filter(f => f.face === 'head').length === 0, 'No soffit above a full-height opening');
+
+// Openings on a polyline are measured along its length
+const bent = extrudeWall([[0, 0], [1000, 0], [1000, 1000]], 200, 2700, [{ t0: 1200, t1: 1800, sill: 0, head: 2100 }]);
+assert(bent.filter(f => f.face === 'jamb').every(f => f.polygon3D.every(p => Math.abs(p[1] - 200) < 1e-6 || Math.abs(p[1] - 800) < 1e-6)), 'Jambs should sit on the second segment');
+console.log('✓ extrudeWall() opening tests passed');
+
+// Test extrudeWalls() edges
+console.log('Testing extrudeWalls() with openings...');
+const legacy = extrudeWalls([wall], 2700);
+assert(legacy.length === 1 && legacy[0].edges.length === 4 && !legacy[0].faces, 'Without openings walls keep their 4 edges');
+
+const volumes = extrudeWalls([wall, { id: 'wall-2', start: [4000, 0], end: [4000, 3000] }], 2700, { openings: [door, window] });
+const [host, plain] = volumes;
+const floorEdges = host.edges.filter(e => e.type === 'horizontal' && e.start[2] === 0);
+assert(floorEdges.length === 2, `Floor edge should be split around the door, got ${floorEdges.length}`);
+assert(host.edges.filter(e => e.type === 'horizontal' && e.start[2] === 2700).length === 1, 'Roof edge stays whole');
+const outline = host.edges.filter(e => e.type === 'opening');
+assert(outline.length === 4 + 3, `Door outline has 3 edges past its jambs and window 4, got ${outline.length}`);
+assert(host.faces.some(f => f.face === 'jamb'), 'Volumes should carry opening-aware faces');
+assert(plain.openings.length === 0 && plain.edges.length === 4, 'Walls without openings keep simple edges');
+assert(plain.faces.every(f => Array.isArray(f.normal)), 'Solid walls get faces with normals alongside cut walls');
+console.log('✓ extrudeWalls() opening tests passed');
+
+// Test projectAndSortFaces()
+console.log('Testing projectAndSortFaces()...');
+const sorted = projectAndSortFaces(volumes, null);
+assert(sorted.length > 0, 'Faces should be projected');
+assert(!sorted.some(f => f.face === 'head'), 'Soffits face away from the isometric viewer and are culled');
+assert(sorted.filter(f => f.face === 'jamb' && f.wallIndex === 0).length === 2, 'Only jambs facing the viewer remain');
+// wall-1 runs along +x, so its left side faces -y (away from the viewer) and its right side faces +y
+assert(!sorted.some(f => f.face === 'left' && f.wallIndex === 0), 'Back side of the wall should be culled');
+assert(sorted.some(f => f.face === 'right' && f.wallIndex === 0), 'Front side of the wall should be kept');
+for (let i = 1; i < sorted.length; i++) {
+  assert(sorted[i - 1].viewDepth <= sorted[i].viewDepth, 'Faces should be sorted far to near');
+}
+assert(sorted.every(f => f.polygon.every(p => p.every(Number.isFinite))), 'Projected points should be finite');
+assert(projectAndSortFaces(volumes, null, { cullBackFaces: false }).length === volumes.reduce((n, v) => n + v.faces.length, 0), 'Culling can be turned off');
+
+const legacyFaces = projectAndSortFaces([{ faces: solid }], null);
+assert(legacyFaces.length === 3, 'Faces without normals are never culled');
+console.log('✓ projectAndSortFaces() tests passed');
+
+console.log('\nAll tests passed! ✓');
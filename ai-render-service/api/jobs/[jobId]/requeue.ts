@@ -0,0 +1,31 @@
+/**
+ * POST /api/jobs/:jobId/requeue - Requeue a failed (dead-lettered) job
+ * Proxies to Express app
+ */
+
+import 'dotenv/config';
+import { createServer } from '../../../src/server.js';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+
+let app: ReturnType<typeof createServer> | null = null;
+
+function getApp() {
+  if (!app) app = createServer();
+  return app;
+}
+
+export default function handler(req: VercelRequest, res: VercelResponse) {
+  let jobId = (req.query?.jobId as string) || '';
+  if (!jobId && typeof req.url === 'string') {
+    const match = req.url.match(/\/api\/jobs\/([^/?]+)\/requeue/);
+    jobId = match?.[1] ?? '';
+  }
+  const path = jobId ? `/api/jobs/${jobId}/requeue` : '/api/jobs/requeue';
+  const query = (typeof req.url === 'string' && req.url.includes('?')) ? req.url.slice(req.url.indexOf('?')) : '';
+  const originalUrl = path + query;
+  const modifiedReq = Object.assign(req, {
+    url: originalUrl,
+    originalUrl: originalUrl,
+  });
+  getApp()(modifiedReq, res);
+}
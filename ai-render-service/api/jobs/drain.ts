@@ -0,0 +1,23 @@
+/**
+ * GET /api/jobs/drain - Run queued render jobs and callback retries (Vercel cron)
+ * Proxies to Express app (Vercel requires explicit file for this route)
+ */
+
+import 'dotenv/config';
+import { createServer } from '../../src/server.js';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+
+let app: ReturnType<typeof createServer> | null = null;
+
+function getApp() {
+  if (!app) app = createServer();
+  return app;
+}
+
+export default function handler(req: VercelRequest, res: VercelResponse) {
+  const modifiedReq = Object.assign(req, {
+    url: '/api/jobs/drain',
+    originalUrl: req.url || '/api/jobs/drain',
+  });
+  getApp()(modifiedReq, res);
+}
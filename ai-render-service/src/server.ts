@@ -7,7 +7,7 @@ import 'express-async-errors'; // Ensures async route rejections are passed to e
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
-import { randomUUID } from 'crypto';
+import { randomUUID, timingSafeEqual } from 'crypto';
 import { generateConceptImage } from './services/aiRenderService.js';
 import { buildConceptPrompt } from './services/buildConceptPrompt.js';
 import { geocodeAddress } from './services/site/geocodeAddress.js';
@@ -23,9 +23,61 @@ import type { ConceptInputs, ConceptBrief } from './types/conceptInputs.js';
 import type { ExistingBaseline } from './services/site/inferExistingBaseline.js';
 import { legacyInputsToConceptBrief } from './types/conceptInputs.js';
 import type { RenderType, RenderResponse, SiteInput, ExistingBuildingPayload } from './types/render.js';
-import type { RenderJob, JobStatusResponse } from './types/job.js';
-import { storeJob, getJob } from './utils/jobStorage.js';
-import { extractSupabaseConfig, resolveSupabaseConfig } from './utils/supabaseConfig.js';
+import {
+  TERMINAL_JOB_STATUSES,
+  toPublicJob,
+  type RenderJob,
+  type JobStage,
+  type JobStatus,
+  type JobStatusResponse,
+  type JobRenderRequest,
+} from './types/job.js';
+import {
+  storeJob,
+  getJob,
+  listJobs,
+  enqueueJob,
+  dequeueJob,
+  addDeadLetter,
+  listDeadLetters,
+  removeDeadLetter,
+  storeJobRequest,
+  getJobRequest,
+  requestJobCancel,
+  getJobCancelRequest,
+  clearJobCancelRequest,
+} from './utils/jobStorage.js';
+import { extractSupabaseConfig, resolveSupabaseConfig, type SupabaseConfig } from './utils/supabaseConfig.js';
+import {
+  createJobWorker,
+  createStorageJobQueue,
+  claimJob,
+  JobLeaseLostError,
+  leaseExpiry,
+  DEFAULT_LEASE_MS,
+  DEFAULT_POLL_INTERVAL_MS,
+  type JobWorker,
+} from './services/jobWorker.js';
+import {
+  classifyJobError,
+  finishAttempt,
+  resolveRetryPolicy,
+  retryDelayMs,
+  shouldRetry,
+  startAttempt,
+  type RetryPolicy,
+} from './services/jobRetry.js';
+import { scheduleJobCallback, retryDueCallbacks, validateCallbackUrl } from './services/jobCallbacks.js';
+import {
+  DEFAULT_EVENTS_POLL_MS,
+  HEARTBEAT_MS,
+  formatSseEvent,
+  isNewProgress,
+  jobProgressEvent,
+  publishJobUpdate,
+  subscribeJobUpdates,
+  type JobProgressEvent,
+} from './services/jobEvents.js';
 import type { ConceptSeed as ConceptSeedType, StoreyCount } from './services/generateConceptSeed.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -42,11 +94,19 @@ type SiteParams = {
   baselineOverride?: { buildingForm?: string; storeys?: string; roofAssumption?: string; footprintScale?: string };
 };
 
-/** If job.imageUrl is a relative /storage/ path, rewrite to absolute URL so cross-origin clients can load the image. */
-function jobWithAbsoluteImageUrl(job: RenderJob, req: Request): RenderJob {
-  if (!job.imageUrl?.startsWith('/storage/')) return job;
-  const base = `${req.protocol}://${req.get('host') || req.hostname}`;
-  return { ...job, imageUrl: `${base}${job.imageUrl}` };
+/**
+ * Job as sent to clients: without worker bookkeeping (toPublicJob), and with a relative /storage/ imageUrl
+ * rewritten to an absolute URL so cross-origin clients can load the image.
+ */
+function publicJob(job: RenderJob, req: Request): RenderJob {
+  const view = toPublicJob(job);
+  if (!view.imageUrl?.startsWith('/storage/')) return view;
+  return { ...view, imageUrl: `${requestOrigin(req)}${view.imageUrl}` };
+}
+
+/** Origin the client reached us at (protocol + host) */
+function requestOrigin(req: Request): string {
+  return `${req.protocol}://${req.get('host') || req.hostname}`;
 }
 
 /** Normalize site params from req.body: prefer site object, fall back to flat address/lat/lng/baseline fields. */
@@ -517,6 +577,491 @@ function normalizeRenderRequestBody(body: Record<string, unknown>): {
   return out;
 }
 
+/** Render request fields persisted with a job (see JobRenderRequest); Supabase credentials are deliberately left out. */
+const JOB_REQUEST_FIELDS = [
+  'conceptInputs',
+  'site',
+  'address',
+  'lat',
+  'lng',
+  'selectedBuildingId',
+  'existingBuilding',
+  'baselineOverrides',
+  'conceptSeed',
+  'referenceAxonUrl',
+  'referenceAxonBase64',
+  'includePeopleInPlan',
+  'includePeopleInSection',
+] as const;
+
+/** Pick the render request from a /api/jobs/render (or /process) body so the job can run without the client. */
+function pickJobRequest(body: Record<string, unknown>): JobRenderRequest {
+  const request: Record<string, unknown> = {};
+  for (const field of JOB_REQUEST_FIELDS) {
+    if (body[field] !== undefined) request[field] = body[field];
+  }
+  return request as unknown as JobRenderRequest;
+}
+
+/**
+ * Run a render job from its request: baseline, seed, prompt, image generation and storage.
+ * Progress is stored along the way; each write also extends the job's lease, if it has one.
+ * Every run is recorded in job.attempts. Invalid concept inputs mark the job failed and return it;
+ * a retryable error with attempts left puts the job back to pending with nextAttemptAt and returns it;
+ * any other error marks the job failed, adds it to the dead-letter listing and is rethrown.
+ * A completed or failed job with a callbackUrl is queued for its callback (see services/jobCallbacks.ts);
+ * the delivery is sent by the worker or the drain, never inline.
+ * Cancellation is cooperative: each progress checkpoint checks for a cancel request (job-cancel/{jobId}.json,
+ * written by DELETE /api/jobs/:jobId), and once there is one the job is marked cancelled and returned
+ * (so an image generated after the request is never stored). The final write checks again before and
+ * after storing the outcome, so a request that raced it still ends the job cancelled.
+ * Every write is fenced on job.leaseGeneration: once another worker has claimed the job, the run stops
+ * without writing and returns the job still processing.
+ */
+async function runRenderJob(
+  job: RenderJob,
+  request: JobRenderRequest,
+  sb: SupabaseConfig | null,
+  leaseMs: number = DEFAULT_LEASE_MS,
+  retryPolicy: RetryPolicy = resolveRetryPolicy()
+): Promise<RenderJob> {
+  const conceptInputs = request.conceptInputs;
+  // Re-read the stored job before writing: stop (JobLeaseLostError) if another worker has claimed it
+  // since, and pick up a cancel request made since the last write
+  const refresh = async (): Promise<void> => {
+    const stored = await getJob(job.projectId, job.jobId, sb);
+    if (stored && (stored.leaseGeneration ?? 0) !== (job.leaseGeneration ?? 0)) {
+      throw new JobLeaseLostError(job.jobId);
+    }
+    const cancelRequest = await getJobCancelRequest(job.jobId, sb);
+    if (cancelRequest) job.cancelRequestedAt = job.cancelRequestedAt ?? cancelRequest.addedAt;
+  };
+  const writeJob = async (): Promise<void> => {
+    if (job.lease) job.lease.expiresAt = leaseExpiry(leaseMs);
+    await storeJob(job, sb);
+    publishJobUpdate(job);
+  };
+  const saveJob = async (): Promise<void> => {
+    await refresh();
+    await writeJob();
+  };
+  // Store progress and stage unless the job was cancelled in the meantime; returns false when cancelled
+  const checkpoint = async (progress: number, stage: JobStage): Promise<boolean> => {
+    await refresh();
+    if (job.cancelRequestedAt) return false;
+    job.progress = progress;
+    job.stage = stage;
+    await writeJob();
+    return true;
+  };
+  const attempt = startAttempt(job, job.lease?.owner);
+  let promptVersion: string | undefined;
+  const cancelJob = async (): Promise<RenderJob> => {
+    job.status = 'cancelled';
+    job.cancelledAt = new Date().toISOString();
+    finishAttempt(attempt, 'cancelled', { promptVersion });
+    delete job.lease;
+    await saveJob();
+    await clearJobCancelRequest(job.jobId, sb);
+    console.log(`[jobs] Job ${job.jobId} cancelled`);
+    return job;
+  };
+  // DELETE writes its cancel request and then re-reads the job, so checking for a request after the job's
+  // final write means either this runner sees it or DELETE sees the finished job (and answers 409)
+  const cancelledAfterFinish = async (): Promise<boolean> => {
+    if (!(await getJobCancelRequest(job.jobId, sb))) return false;
+    await cancelJob();
+    return true;
+  };
+  // Store a completed job, or a job failed on invalid input, and queue its callback
+  const finishJob = async (): Promise<RenderJob> => {
+    await refresh();
+    if (job.cancelRequestedAt) return await cancelJob();
+    await writeJob();
+    if (await cancelledAfterFinish()) return job;
+    await scheduleJobCallback(job, sb);
+    return job;
+  };
+
+  try {
+    // Update job to processing
+    delete job.nextAttemptAt;
+    delete job.error;
+    job.status = 'processing';
+    job.startedAt = new Date().toISOString();
+    if (!(await checkpoint(10, 'preparing'))) return await cancelJob();
+
+    // Parse concept inputs
+    let conceptBrief: ConceptBrief;
+    if (conceptInputs == null || typeof conceptInputs !== 'object') {
+      job.status = 'failed';
+      job.error = 'conceptInputs is required and must be an object';
+      finishAttempt(attempt, 'failed', { error: job.error, errorClass: 'invalid_input' });
+      delete job.lease;
+      return await finishJob();
+    }
+    if ('proposedDesign' in conceptInputs) {
+      conceptBrief = conceptInputs as ConceptBrief;
+    } else if (isValidConceptInputs(conceptInputs)) {
+      conceptBrief = legacyInputsToConceptBrief(conceptInputs);
+    } else {
+      job.status = 'failed';
+      job.error = 'Invalid conceptInputs';
+      finishAttempt(attempt, 'failed', { error: job.error, errorClass: 'invalid_input' });
+      delete job.lease;
+      return await finishJob();
+    }
+
+    // Apply default conceptRange
+    if (!conceptBrief.conceptRange) {
+      conceptBrief.conceptRange = 'Grounded';
+    }
+
+    // Align effective renderType with conceptBrief.proposedDesign.outputType when they conflict (same as sync /api/render)
+    let effectiveRenderType: RenderType = job.renderType;
+    const requestedOutputType = conceptBrief.proposedDesign?.outputType;
+    if (requestedOutputType === 'concept_plan' && job.renderType !== 'floor_plan') {
+      effectiveRenderType = 'floor_plan';
+      console.log('[jobs/process] Using renderType=floor_plan from conceptInputs.outputType (concept_plan)');
+    } else if (requestedOutputType === 'concept_section' && job.renderType !== 'section') {
+      effectiveRenderType = 'section';
+      console.log('[jobs/process] Using renderType=section from conceptInputs.outputType (concept_section)');
+    } else if (requestedOutputType === 'concept_axonometric' && job.renderType !== 'axonometric') {
+      effectiveRenderType = 'axonometric';
+      console.log('[jobs/process] Using renderType=axonometric from conceptInputs.outputType (concept_axonometric)');
+    }
+
+    // Map renderType to outputType
+    const outputTypeMap = {
+      'axonometric': 'concept_axonometric',
+      'floor_plan': 'concept_plan',
+      'section': 'concept_section',
+    } as const;
+    conceptBrief.proposedDesign.outputType = outputTypeMap[effectiveRenderType];
+
+    // Resolve baseline from site (same as sync /api/render) so Lovable can send address/lat/lng and get same prompt context
+    const siteParams = getSiteParams(request as unknown as Record<string, unknown>);
+    let resolvedBaseline: ExistingBaseline | null = null;
+    try {
+      resolvedBaseline = await resolveBaselineIfSite(siteParams);
+      if (resolvedBaseline) {
+        console.log(`[jobs/process] Resolved existingBaseline (confidence: ${resolvedBaseline.confidence})`);
+      }
+      if (siteParams.existingBuilding) {
+        resolvedBaseline = applyExistingBuildingToBaseline(resolvedBaseline, siteParams.existingBuilding);
+        if (resolvedBaseline) {
+          console.log(`[jobs/process] Applied selected footprint: ${siteParams.existingBuilding.classification}, ${siteParams.existingBuilding.footprintArea} m²`);
+        }
+      }
+    } catch (err) {
+      console.error('[jobs/process] Baseline resolution failed:', err);
+    }
+
+    // Load or generate seed (with baseline so prompt matches sync renderer). Prefer client-supplied seed (e.g. from Lovable).
+    if (!(await checkpoint(30, 'seed_generation'))) return await cancelJob();
+
+    const jobClientSeed = request.conceptSeed;
+    const jobHasValidClientSeed =
+      jobClientSeed &&
+      typeof jobClientSeed === 'object' &&
+      typeof (jobClientSeed as Record<string, unknown>).footprintShape === 'string' &&
+      typeof (jobClientSeed as Record<string, unknown>).storeys === 'string' &&
+      typeof (jobClientSeed as Record<string, unknown>).roof === 'string';
+
+    let conceptSeed: ConceptSeedType | null = jobHasValidClientSeed ? validateAndNormalizeSeed(jobClientSeed) : null;
+    if (conceptSeed && jobHasValidClientSeed) {
+      console.log(`[jobs/process] Using client-supplied concept seed for ${job.projectId}/${job.conceptId}`);
+      conceptBrief.conceptRange = conceptSeed.conceptRange;
+    }
+    if (!conceptSeed) {
+      conceptSeed = await loadConceptSeed(job.projectId, job.conceptId, sb);
+    }
+    if (conceptSeed) {
+      conceptBrief.conceptRange = conceptSeed.conceptRange;
+      if (conceptSeed.existingBaseline === undefined && resolvedBaseline) {
+        conceptSeed.existingBaseline = resolvedBaseline;
+        conceptSeed.storeys = resolveSeedStoreys(conceptBrief, resolvedBaseline);
+        await saveConceptSeed(job.projectId, job.conceptId, conceptSeed, sb);
+      }
+    } else {
+      conceptSeed = await generateConceptSeed(conceptBrief, resolvedBaseline ? { existingBaseline: resolvedBaseline } : undefined);
+      if (resolvedBaseline) {
+        conceptSeed.existingBaseline = resolvedBaseline;
+        conceptSeed.storeys = resolveSeedStoreys(conceptBrief, resolvedBaseline);
+      } else if (conceptBrief.proposedDesign.projectType !== 'new_build') {
+        conceptSeed.storeys = resolveSeedStoreys(conceptBrief, null);
+      }
+      await saveConceptSeed(job.projectId, job.conceptId, conceptSeed, sb);
+    }
+
+    // Build prompt
+    if (!(await checkpoint(50, 'prompt_build'))) return await cancelJob();
+
+    const requiresExistingConcept = job.renderType === 'floor_plan' || job.renderType === 'section';
+    let referenceAxonBuffer: Buffer | undefined;
+    let referenceImageUrl: string | undefined;
+
+    if (requiresExistingConcept) {
+      const axonBuffer = await loadRenderedImage(job.projectId, job.conceptId, 'axonometric', sb);
+      if (axonBuffer) {
+        referenceAxonBuffer = axonBuffer;
+        console.log(`Using axonometric reference for ${job.renderType} (buffer from storage)`);
+      } else {
+        // Client can pass reference (same as sync) so Lovable can supply axon from another source
+        const refUrl = request.referenceAxonUrl;
+        const refB64 = request.referenceAxonBase64;
+        if (typeof refUrl === 'string' && refUrl.trim()) {
+          referenceImageUrl = refUrl.trim();
+          console.log(`Using axonometric reference for ${job.renderType} (client referenceAxonUrl)`);
+        } else if (typeof refB64 === 'string' && refB64.trim()) {
+          try {
+            referenceAxonBuffer = Buffer.from(refB64.trim(), 'base64');
+            if (referenceAxonBuffer.length > 0) {
+              console.log(`Using axonometric reference for ${job.renderType} (client referenceAxonBase64, ${referenceAxonBuffer.length} bytes)`);
+            } else referenceAxonBuffer = undefined;
+          } catch {
+            referenceAxonBuffer = undefined;
+          }
+        }
+        if (!referenceAxonBuffer && !referenceImageUrl) {
+          const url = getRenderedImageUrl(job.projectId, job.conceptId, 'axonometric', sb) || undefined;
+          if (url && !url.startsWith('/')) {
+            referenceImageUrl = url;
+            console.log(`Using axonometric reference for ${job.renderType} render: ${referenceImageUrl}`);
+          } else {
+            console.log(`No axonometric reference found for ${job.renderType} render - generating standalone`);
+          }
+        }
+      }
+    }
+
+    const promptOptions: Parameters<typeof buildConceptPrompt>[1] = {
+      conceptSeed,
+      hasReferenceAxon: !!(referenceAxonBuffer?.length || referenceImageUrl),
+    };
+    if (job.renderType === 'floor_plan' && typeof request.includePeopleInPlan === 'boolean') {
+      promptOptions.includePeopleInPlan = request.includePeopleInPlan;
+    }
+    if (job.renderType === 'section' && typeof request.includePeopleInSection === 'boolean') {
+      promptOptions.includePeopleInSection = request.includePeopleInSection;
+    }
+    if (siteParams.baselineOverride?.footprintScale) {
+      promptOptions.baselineFootprintScaleOverride = siteParams.baselineOverride.footprintScale;
+    }
+    const promptResult = buildConceptPrompt(conceptBrief, promptOptions);
+    promptVersion = promptResult.promptVersion;
+
+    // Generate image
+    if (!(await checkpoint(70, 'image_generation'))) return await cancelJob();
+
+    const result = await generateConceptImage(
+      Buffer.alloc(0),
+      effectiveRenderType,
+      undefined,
+      promptResult.prompt,
+      referenceAxonBuffer ?? undefined,
+      referenceImageUrl,
+      job.conceptId
+    );
+
+    // Store rendered image
+    if (!(await checkpoint(90, 'storage'))) return await cancelJob();
+
+    const imageUrl = await storeRenderedImage(
+      job.projectId,
+      job.conceptId,
+      effectiveRenderType,
+      result.imageBase64,
+      sb
+    );
+
+    // Mark job as completed (use effectiveRenderType so stored job and response show what was actually rendered)
+    job.status = 'completed';
+    job.progress = 100;
+    job.completedAt = new Date().toISOString();
+    job.imageUrl = imageUrl;
+    job.renderType = effectiveRenderType;
+    job.promptVersion = promptResult.promptVersion;
+    job.conceptRange = conceptBrief.conceptRange;
+    finishAttempt(attempt, 'succeeded', { promptVersion });
+    delete job.lease;
+    return await finishJob();
+  } catch (error) {
+    // The job belongs to another worker now: leave it to that worker
+    if (error instanceof JobLeaseLostError) {
+      console.warn(`[jobs] ${error.message}; stopping`);
+      return job;
+    }
+    try {
+      await refresh();
+    } catch (refreshError) {
+      if (refreshError instanceof JobLeaseLostError) return job;
+    }
+    // A job that fails after cancellation was requested is recorded as cancelled, not retried or dead-lettered
+    if (job.cancelRequestedAt) return await cancelJob().catch(() => job);
+
+    const errorClass = classifyJobError(error);
+    job.error = error instanceof Error ? error.message : 'Unknown error';
+    finishAttempt(attempt, 'failed', { error: job.error, errorClass, promptVersion });
+    delete job.lease;
+
+    const retry = shouldRetry(job, errorClass, retryPolicy);
+    if (retry) {
+      const delayMs = retryDelayMs(attempt.attempt, retryPolicy);
+      job.status = 'pending';
+      job.progress = 0;
+      job.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      console.warn(`[jobs] Job ${job.jobId} attempt ${attempt.attempt} failed (${errorClass}); retrying in ${delayMs}ms`);
+    } else {
+      job.status = 'failed';
+      job.completedAt = new Date().toISOString();
+      job.deadLetteredAt = job.completedAt;
+    }
+    try {
+      await writeJob();
+      if (!retry && (await cancelledAfterFinish())) return job;
+      if (!retry) await addDeadLetter(job, sb);
+    } catch (storeError) {
+      console.error('Failed to update job status:', storeError);
+    }
+    if (retry) return job;
+    await scheduleJobCallback(job, sb);
+    throw error;
+  }
+}
+
+/** A failed job reset to pending for a new retry cycle (attempt history is kept) */
+function requeuedJob(job: RenderJob): RenderJob {
+  const requeued: RenderJob = {
+    ...job,
+    status: 'pending',
+    progress: 0,
+    requeueCount: (job.requeueCount ?? 0) + 1,
+  };
+  delete requeued.error;
+  delete requeued.completedAt;
+  delete requeued.deadLetteredAt;
+  delete requeued.nextAttemptAt;
+  delete requeued.lease;
+  delete requeued.stage;
+  if (requeued.callback) {
+    // The rerun's outcome is delivered again, with a fresh delivery budget
+    requeued.callback = { ...requeued.callback, status: 'pending' };
+    delete requeued.callback.nextAttemptAt;
+  }
+  return requeued;
+}
+
+/** Whether the request carries `Authorization: Bearer <token>` (constant-time comparison) */
+function hasBearerToken(req: Request, token: string): boolean {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization ?? '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Operator endpoints (dead-letter listing, requeue) require `Authorization: Bearer $JOB_ADMIN_TOKEN`.
+ * They are disabled (403) while JOB_ADMIN_TOKEN is unset. Sends 401 when the token is missing or wrong.
+ * @returns false when a response was sent
+ */
+function requireJobAdmin(req: Request, res: Response): boolean {
+  const token = process.env.JOB_ADMIN_TOKEN;
+  if (!token) {
+    res.status(403).json({ error: 'Operator endpoints are disabled: JOB_ADMIN_TOKEN is not configured' });
+    return false;
+  }
+  if (hasBearerToken(req, token)) return true;
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
+/**
+ * afterPoll hook that sends due callbacks in the background, one batch at a time, so a slow
+ * receiver never holds up claiming jobs
+ */
+function backgroundCallbackDelivery(sb: SupabaseConfig | null): () => Promise<void> {
+  let running = false;
+  return async () => {
+    if (running) return;
+    running = true;
+    retryDueCallbacks(sb)
+      .catch((error) => console.error('[jobCallbacks] Callback delivery failed:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+}
+
+/**
+ * Job worker over the server's own storage backend (jobs created with client-supplied Supabase
+ * credentials still need POST /api/jobs/:jobId/process)
+ */
+function createRenderJobWorker(sb: SupabaseConfig | null): JobWorker {
+  return createJobWorker({
+    queue: createStorageJobQueue(sb),
+    processJob: async (job, leaseMs) => {
+      const request = await getJobRequest(job, sb);
+      if (!request) throw new Error('Job has no stored brief');
+      return runRenderJob(job, request, sb, leaseMs);
+    },
+    leaseMs: Number(process.env.JOB_LEASE_MS) || DEFAULT_LEASE_MS,
+    pollIntervalMs: Number(process.env.JOB_WORKER_POLL_MS) || DEFAULT_POLL_INTERVAL_MS,
+    afterPoll: backgroundCallbackDelivery(sb),
+  });
+}
+
+/**
+ * In-process job worker for local dev and long-running servers (npm run dev / npm start)
+ */
+export function startJobWorker(): JobWorker {
+  const worker = createRenderJobWorker(resolveSupabaseConfig());
+  worker.start();
+  return worker;
+}
+
+/** Default time GET /api/jobs/drain keeps starting new jobs (a job started near the end still runs to completion) */
+const DEFAULT_DRAIN_BUDGET_MS = 20 * 1000;
+
+/**
+ * Drain the worker queue where no worker runs (Vercel functions): run queued jobs one at a time until the
+ * queue is empty or JOB_DRAIN_BUDGET_MS has passed, then retry due callback deliveries. A job still running
+ * when the function is cut off keeps its lease and is picked up by a later drain once the lease expires.
+ */
+async function drainJobQueue(): Promise<{ processed: Array<Pick<RenderJob, 'jobId' | 'status'>>; drained: boolean }> {
+  const sb = resolveSupabaseConfig();
+  const worker = createRenderJobWorker(sb);
+  const budgetMs = Number(process.env.JOB_DRAIN_BUDGET_MS) || DEFAULT_DRAIN_BUDGET_MS;
+  const deadline = Date.now() + budgetMs;
+  const processed: Array<Pick<RenderJob, 'jobId' | 'status'>> = [];
+  let drained = false;
+  while (Date.now() < deadline) {
+    const job = await worker.runOnce();
+    if (!job) {
+      drained = true;
+      break;
+    }
+    processed.push({ jobId: job.jobId, status: job.status });
+  }
+  await retryDueCallbacks(sb);
+  return { processed, drained };
+}
+
+/**
+ * GET /api/jobs/drain is called by the Vercel cron (`Authorization: Bearer $CRON_SECRET`) or an operator
+ * (JOB_ADMIN_TOKEN). Disabled (403) while neither secret is configured.
+ * @returns false when a response was sent
+ */
+function requireJobDrainAuth(req: Request, res: Response): boolean {
+  const tokens = [process.env.CRON_SECRET, process.env.JOB_ADMIN_TOKEN].filter((t): t is string => !!t);
+  if (tokens.length === 0) {
+    res.status(403).json({ error: 'Queue drain is disabled: CRON_SECRET is not configured' });
+    return false;
+  }
+  if (tokens.some((token) => hasBearerToken(req, token))) return true;
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
 export function createServer(): express.Application {
   const app = express();
 
@@ -697,6 +1242,7 @@ export function createServer(): express.Application {
         const renderType = normalizeIncomingRenderType(body.renderType);
         const conceptInputs = body.conceptInputs as any;
         const conceptId = typeof body.conceptId === 'string' ? body.conceptId : undefined;
+        const callbackUrl = body.callbackUrl;
         const sbClientConfig = extractSupabaseConfig(req.body);
         const sb = resolveSupabaseConfig(sbClientConfig);
 
@@ -716,6 +1262,27 @@ export function createServer(): express.Application {
           return;
         }
 
+        if (callbackUrl !== undefined) {
+          // Callbacks are queued and sent from the server's own storage, which never sees these jobs
+          if (sbClientConfig) {
+            res.status(400).json({
+              error: 'callbackUrl is not available for jobs stored with client-supplied Supabase credentials',
+            });
+            return;
+          }
+          const callbackError = await validateCallbackUrl(callbackUrl);
+          if (callbackError) {
+            res.status(400).json({ error: callbackError });
+            return;
+          }
+          if (!process.env.JOB_CALLBACK_SECRET) {
+            res.status(400).json({
+              error: 'callbackUrl is not available: JOB_CALLBACK_SECRET is not configured on the server',
+            });
+            return;
+          }
+        }
+
         // Align renderType with conceptInputs.outputType so job is created with correct type (e.g. isometric cutaway when client sends outputType 'concept_plan' but renderType 'axonometric')
         const requestedOutputType =
           (conceptInputs && typeof conceptInputs === 'object' && (conceptInputs as any).proposedDesign?.outputType) ||
@@ -746,16 +1313,36 @@ export function createServer(): express.Application {
           progress: 0,
           createdAt: new Date().toISOString(),
         };
+        if (typeof callbackUrl === 'string') {
+          job.callback = { url: callbackUrl.trim(), baseUrl: requestOrigin(req), status: 'pending', deliveries: [] };
+        }
+
+        // Keep the brief in private storage for the worker, which reads the server's own storage backend.
+        // Jobs stored with client-supplied Supabase credentials, or on a deployment without private job
+        // storage (SUPABASE_JOBS_BUCKET), are not queued and still need /process with the brief.
+        if (!sbClientConfig && (await storeJobRequest(job, pickJobRequest(body), sb))) {
+          job.requestStored = true;
+        }
 
         // Store job (fast operation, <1s)
         await storeJob(job, sb);
 
+        const queued = !!job.requestStored;
+        if (queued) {
+          await enqueueJob(job, sb);
+        }
+
         // Return immediately with jobId
         res.json({
           jobId,
           conceptId: finalConceptId,
           status: 'pending',
-          message: 'Job created. Poll /api/jobs/:jobId for status.',
+          queued,
+          // Queued jobs are run by a worker or the drain cron when the deployment has one; processUrl
+          // runs the job now either way (it answers 409 if a worker already claimed it)
+          message: queued
+            ? 'Job queued. Call processUrl to run it now (or let the worker pick it up), then poll /api/jobs/:jobId for status.'
+            : 'Job created. Call processUrl, then poll /api/jobs/:jobId for status.',
           pollUrl: `/api/jobs/${jobId}`,
           processUrl: `/api/jobs/${jobId}/process`,
         });
@@ -765,6 +1352,53 @@ export function createServer(): express.Application {
     }
   );
 
+  /**
+   * GET /api/jobs/drain
+   * Run queued jobs and due callback retries for a while (see drainJobQueue). Called by the Vercel cron in vercel.json.
+   */
+  app.get(
+    '/api/jobs/drain',
+    async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        if (!requireJobDrainAuth(req, res)) return;
+        const result = await drainJobQueue();
+        console.log(`[jobs/drain] Processed ${result.processed.length} job(s); queue ${result.drained ? 'empty' : 'not empty'}`);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  /**
+   * GET /api/jobs/dead-letter
+   * Jobs that failed for good (non-retryable error or out of retries), oldest first.
+   * Operator endpoint: requires JOB_ADMIN_TOKEN (403 while it is unset). Supabase query params as for GET /api/jobs/:jobId.
+   */
+  app.get(
+    '/api/jobs/dead-letter',
+    async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        if (!requireJobAdmin(req, res)) return;
+        const { supabaseUrl, supabaseKey, supabaseBucket } = req.query;
+        const sb = resolveSupabaseConfig({
+          supabaseUrl: typeof supabaseUrl === 'string' ? supabaseUrl : undefined,
+          supabaseKey: typeof supabaseKey === 'string' ? supabaseKey : undefined,
+          supabaseBucket: typeof supabaseBucket === 'string' ? supabaseBucket : undefined,
+        });
+
+        const jobs: RenderJob[] = [];
+        for (const ref of await listDeadLetters(sb)) {
+          const job = await getJob(ref.projectId, ref.jobId, sb);
+          if (job) jobs.push(publicJob(job, req));
+        }
+        res.json({ jobs, count: jobs.length });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   /**
    * GET /api/jobs/:jobId
    * Check job status (fast, <1s)
@@ -805,7 +1439,7 @@ export function createServer(): express.Application {
           return;
         }
 
-        const response: JobStatusResponse = { job: jobWithAbsoluteImageUrl(job, req) };
+        const response: JobStatusResponse = { job: publicJob(job, req) };
         res.json(response);
       } catch (error) {
         next(error);
@@ -814,21 +1448,22 @@ export function createServer(): express.Application {
   );
 
   /**
-   * POST /api/jobs/:jobId/process
-   * Actually process the job (long-running, requires Pro tier or local)
-   * This can be called by:
-   * - Client (if on Pro tier)
-   * - Vercel Cron (if configured)
-   * - External worker
+   * GET /api/jobs/:jobId/events
+   * Stream the job's status, progress and stage as Server-Sent Events: a `progress` event
+   * (JobProgressEvent) on every change, then `done` with the final job, after which the stream closes.
+   * Query params as for GET /api/jobs/:jobId.
    */
-  app.post(
-    '/api/jobs/:jobId/process',
+  app.get(
+    '/api/jobs/:jobId/events',
     async (req: Request, res: Response, next: NextFunction): Promise<void> => {
       try {
         const { jobId } = req.params;
-        const { projectId, conceptInputs } = req.body;
-        const sbClientConfig = extractSupabaseConfig(req.body);
-        const sb = resolveSupabaseConfig(sbClientConfig);
+        const { projectId, supabaseUrl, supabaseKey, supabaseBucket } = req.query;
+        const sb = resolveSupabaseConfig({
+          supabaseUrl: typeof supabaseUrl === 'string' ? supabaseUrl : undefined,
+          supabaseKey: typeof supabaseKey === 'string' ? supabaseKey : undefined,
+          supabaseBucket: typeof supabaseBucket === 'string' ? supabaseBucket : undefined,
+        });
 
         if (!jobId || typeof jobId !== 'string') {
           res.status(400).json({
@@ -837,15 +1472,14 @@ export function createServer(): express.Application {
           return;
         }
 
-        if (!projectId || typeof projectId !== 'string' || !conceptInputs) {
+        if (!projectId || typeof projectId !== 'string') {
           res.status(400).json({
-            error: 'projectId and conceptInputs are required',
+            error: 'projectId query parameter is required',
           });
           return;
         }
 
-        // Load job
-        let job = await getJob(projectId, jobId, sb);
+        const job = await getJob(projectId, jobId, sb);
         if (!job) {
           res.status(404).json({
             error: 'Job not found',
@@ -854,237 +1488,417 @@ export function createServer(): express.Application {
           return;
         }
 
-        // Check if already completed
-        if (job.status === 'completed') {
-          res.json({ job: jobWithAbsoluteImageUrl(job, req), message: 'Job already completed' });
-          return;
-        }
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // don't let nginx-style proxies buffer the stream
+        res.flushHeaders();
+        res.write('retry: 2000\n\n');
+
+        let eventId = 0;
+        let last: JobProgressEvent | null = null;
+        let closed = false;
+        let polling = false;
+
+        const send = (current: RenderJob): void => {
+          if (closed) return;
+          const event = jobProgressEvent(current);
+          if (isNewProgress(last, event)) {
+            last = event;
+            res.write(formatSseEvent('progress', event, ++eventId));
+          }
+          if (TERMINAL_JOB_STATUSES.includes(current.status)) {
+            res.write(formatSseEvent('done', { job: publicJob(current, req) }, ++eventId));
+            close();
+          }
+        };
 
-        // Update job to processing
-        job.status = 'processing';
-        job.startedAt = new Date().toISOString();
-        job.progress = 10;
-        await storeJob(job, sb);
+        // Writes by this process arrive on the bus; writes by other runners are found by polling storage
+        const unsubscribe = subscribeJobUpdates(jobId, (update) => {
+          if (update.projectId === projectId) send(update);
+        });
+        const poller = setInterval(async () => {
+          if (polling || closed) return;
+          polling = true;
+          try {
+            const current = await getJob(projectId, jobId, sb);
+            if (current) send(current);
+          } catch (error) {
+            console.error(`[jobs/events] Poll for job ${jobId} failed:`, error);
+          } finally {
+            polling = false;
+          }
+        }, Number(process.env.JOB_EVENTS_POLL_MS) || DEFAULT_EVENTS_POLL_MS);
+        const heartbeat = setInterval(() => {
+          if (!closed) res.write(': ping\n\n');
+        }, HEARTBEAT_MS);
+
+        function close(): void {
+          if (closed) return;
+          closed = true;
+          clearInterval(poller);
+          clearInterval(heartbeat);
+          unsubscribe();
+          res.end();
+        }
+
+        req.on('close', close);
+        send(job);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
 
-        // Parse concept inputs
-        let conceptBrief: ConceptBrief;
-        if (conceptInputs == null || typeof conceptInputs !== 'object') {
-          job.status = 'failed';
-          job.error = 'conceptInputs is required and must be an object';
-          await storeJob(job, sb);
-          res.status(400).json({ job });
+  /**
+   * DELETE /api/jobs/:jobId
+   * Cancel a job. A pending job (or one whose worker died) is cancelled at once; a running job
+   * is asked to stop (cancelRequestedAt) and runRenderJob cancels it at its next checkpoint,
+   * before the image is stored. Query params as for GET /api/jobs/:jobId.
+   */
+  app.delete(
+    '/api/jobs/:jobId',
+    async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        const { jobId } = req.params;
+        const { projectId, supabaseUrl, supabaseKey, supabaseBucket } = req.query;
+        const sb = resolveSupabaseConfig({
+          supabaseUrl: typeof supabaseUrl === 'string' ? supabaseUrl : undefined,
+          supabaseKey: typeof supabaseKey === 'string' ? supabaseKey : undefined,
+          supabaseBucket: typeof supabaseBucket === 'string' ? supabaseBucket : undefined,
+        });
+
+        if (!jobId || typeof jobId !== 'string') {
+          res.status(400).json({
+            error: 'jobId parameter is required',
+          });
           return;
         }
-        if ('proposedDesign' in conceptInputs) {
-          conceptBrief = conceptInputs as ConceptBrief;
-        } else if (isValidConceptInputs(conceptInputs)) {
-          conceptBrief = legacyInputsToConceptBrief(conceptInputs);
-        } else {
-          job.status = 'failed';
-          job.error = 'Invalid conceptInputs';
-          await storeJob(job, sb);
-          res.status(400).json({ job });
+
+        if (!projectId || typeof projectId !== 'string') {
+          res.status(400).json({
+            error: 'projectId query parameter is required',
+          });
           return;
         }
 
-        // Apply default conceptRange
-        if (!conceptBrief.conceptRange) {
-          conceptBrief.conceptRange = 'Grounded';
+        const job = await getJob(projectId, jobId, sb);
+        if (!job) {
+          res.status(404).json({
+            error: 'Job not found',
+            jobId,
+          });
+          return;
         }
 
-        // Align effective renderType with conceptBrief.proposedDesign.outputType when they conflict (same as sync /api/render)
-        let effectiveRenderType: RenderType = job.renderType;
-        const requestedOutputType = conceptBrief.proposedDesign?.outputType;
-        if (requestedOutputType === 'concept_plan' && job.renderType !== 'floor_plan') {
-          effectiveRenderType = 'floor_plan';
-          console.log('[jobs/process] Using renderType=floor_plan from conceptInputs.outputType (concept_plan)');
-        } else if (requestedOutputType === 'concept_section' && job.renderType !== 'section') {
-          effectiveRenderType = 'section';
-          console.log('[jobs/process] Using renderType=section from conceptInputs.outputType (concept_section)');
-        } else if (requestedOutputType === 'concept_axonometric' && job.renderType !== 'axonometric') {
-          effectiveRenderType = 'axonometric';
-          console.log('[jobs/process] Using renderType=axonometric from conceptInputs.outputType (concept_axonometric)');
+        if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+          res.status(409).json({
+            job: publicJob(job, req),
+            message: `Job already ${job.status}`,
+          });
+          return;
         }
 
-        // Map renderType to outputType
-        const outputTypeMap = {
-          'axonometric': 'concept_axonometric',
-          'floor_plan': 'concept_plan',
-          'section': 'concept_section',
-        } as const;
-        conceptBrief.proposedDesign.outputType = outputTypeMap[effectiveRenderType];
+        // Record the request first: a runner checks for it at every step and after its final write
+        await requestJobCancel(job, sb);
 
-        // Resolve baseline from site (same as sync /api/render) so Lovable can send address/lat/lng and get same prompt context
-        const siteParams = getSiteParams(req.body);
-        let resolvedBaseline: ExistingBaseline | null = null;
-        try {
-          resolvedBaseline = await resolveBaselineIfSite(siteParams);
-          if (resolvedBaseline) {
-            console.log(`[jobs/process] Resolved existingBaseline (confidence: ${resolvedBaseline.confidence})`);
+        // Nobody is running it (pending, or its lease expired): take the lease so no worker starts it, and cancel now
+        const claimed = await claimJob(job, `cancel-${randomUUID()}`, DEFAULT_LEASE_MS, sb, (current) => {
+          const cancellable = { ...current };
+          delete cancellable.nextAttemptAt;
+          return cancellable;
+        });
+        if (!claimed) {
+          // Running under a live lease: the runner stops at its next checkpoint, unless it has just finished
+          const current = (await getJob(projectId, jobId, sb)) ?? job;
+          if (current.status === 'completed' || current.status === 'failed') {
+            await clearJobCancelRequest(jobId, sb);
+            res.status(409).json({
+              job: publicJob(current, req),
+              message: `Job already ${current.status}`,
+            });
+            return;
           }
-          if (siteParams.existingBuilding) {
-            resolvedBaseline = applyExistingBuildingToBaseline(resolvedBaseline, siteParams.existingBuilding);
-            if (resolvedBaseline) {
-              console.log(`[jobs/process] Applied selected footprint: ${siteParams.existingBuilding.classification}, ${siteParams.existingBuilding.footprintArea} m²`);
-            }
+          if (current.status === 'cancelled') {
+            res.json({ job: publicJob(current, req), message: 'Job cancelled' });
+            return;
           }
-        } catch (err) {
-          console.error('[jobs/process] Baseline resolution failed:', err);
+          res.status(202).json({
+            job: publicJob({ ...current, cancelRequestedAt: current.cancelRequestedAt ?? new Date().toISOString() }, req),
+            message: 'Cancellation requested; the job stops at its next progress step',
+          });
+          return;
         }
 
-        // Load or generate seed (with baseline so prompt matches sync renderer). Prefer client-supplied seed (e.g. from Lovable).
-        job.progress = 30;
-        await storeJob(job, sb);
+        const now = new Date().toISOString();
+        const cancelled: RenderJob = {
+          ...claimed,
+          status: 'cancelled',
+          cancelRequestedAt: claimed.cancelRequestedAt ?? now,
+          cancelledAt: now,
+        };
+        for (const attempt of cancelled.attempts ?? []) {
+          if (attempt.outcome === 'running') finishAttempt(attempt, 'cancelled');
+        }
+        delete cancelled.lease;
+        await storeJob(cancelled, sb);
+        await dequeueJob(jobId, sb);
+        await clearJobCancelRequest(jobId, sb);
 
-        const jobClientSeed = req.body?.conceptSeed;
-        const jobHasValidClientSeed =
-          jobClientSeed &&
-          typeof jobClientSeed === 'object' &&
-          typeof (jobClientSeed as Record<string, unknown>).footprintShape === 'string' &&
-          typeof (jobClientSeed as Record<string, unknown>).storeys === 'string' &&
-          typeof (jobClientSeed as Record<string, unknown>).roof === 'string';
-
-        let conceptSeed: ConceptSeedType | null = jobHasValidClientSeed ? validateAndNormalizeSeed(jobClientSeed) : null;
-        if (conceptSeed && jobHasValidClientSeed) {
-          console.log(`[jobs/process] Using client-supplied concept seed for ${projectId}/${job.conceptId}`);
-          conceptBrief.conceptRange = conceptSeed.conceptRange;
+        console.log(`[jobs/cancel] Job ${jobId} cancelled`);
+        res.json({ job: publicJob(cancelled, req), message: 'Job cancelled' });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  /**
+   * GET /api/projects/:projectId/jobs
+   * A project's jobs, newest first (fast, one storage listing).
+   * Query: status (comma-separated, e.g. "pending,processing"), limit (1-100, default 20), offset (default 0),
+   * plus Supabase params as for GET /api/jobs/:jobId.
+   */
+  app.get(
+    '/api/projects/:projectId/jobs',
+    async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        const { projectId } = req.params;
+        const { status, limit, offset, supabaseUrl, supabaseKey, supabaseBucket } = req.query;
+        const sb = resolveSupabaseConfig({
+          supabaseUrl: typeof supabaseUrl === 'string' ? supabaseUrl : undefined,
+          supabaseKey: typeof supabaseKey === 'string' ? supabaseKey : undefined,
+          supabaseBucket: typeof supabaseBucket === 'string' ? supabaseBucket : undefined,
+        });
+
+        if (!projectId || typeof projectId !== 'string') {
+          res.status(400).json({
+            error: 'projectId parameter is required',
+          });
+          return;
         }
-        if (!conceptSeed) {
-          conceptSeed = await loadConceptSeed(projectId, job.conceptId, sb);
+
+        const validStatuses: JobStatus[] = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+        const statuses = typeof status === 'string' && status.trim()
+          ? status.split(',').map((s) => s.trim())
+          : [];
+        const invalidStatus = statuses.find((s) => !validStatuses.includes(s as JobStatus));
+        if (invalidStatus !== undefined) {
+          res.status(400).json({
+            error: `status must be a comma-separated list of: ${validStatuses.join(', ')}`,
+          });
+          return;
         }
-        if (conceptSeed) {
-          conceptBrief.conceptRange = conceptSeed.conceptRange;
-          if (conceptSeed.existingBaseline === undefined && resolvedBaseline) {
-            conceptSeed.existingBaseline = resolvedBaseline;
-            conceptSeed.storeys = resolveSeedStoreys(conceptBrief, resolvedBaseline);
-            await saveConceptSeed(projectId, job.conceptId, conceptSeed, sb);
-          }
-        } else {
-          conceptSeed = await generateConceptSeed(conceptBrief, resolvedBaseline ? { existingBaseline: resolvedBaseline } : undefined);
-          if (resolvedBaseline) {
-            conceptSeed.existingBaseline = resolvedBaseline;
-            conceptSeed.storeys = resolveSeedStoreys(conceptBrief, resolvedBaseline);
-          } else if (conceptBrief.proposedDesign.projectType !== 'new_build') {
-            conceptSeed.storeys = resolveSeedStoreys(conceptBrief, null);
-          }
-          await saveConceptSeed(projectId, job.conceptId, conceptSeed, sb);
+
+        const pageLimit = limit === undefined ? 20 : Number(limit);
+        const pageOffset = offset === undefined ? 0 : Number(offset);
+        if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > 100) {
+          res.status(400).json({
+            error: 'limit must be an integer from 1 to 100',
+          });
+          return;
+        }
+        if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+          res.status(400).json({
+            error: 'offset must be a non-negative integer',
+          });
+          return;
         }
 
-        // Build prompt
-        job.progress = 50;
-        await storeJob(job, sb);
+        const page = await listJobs(
+          projectId,
+          { status: statuses as JobStatus[], limit: pageLimit, offset: pageOffset },
+          sb
+        );
+        res.json({
+          jobs: page.jobs.map((job) => publicJob(job, req)),
+          total: page.total,
+          limit: pageLimit,
+          offset: pageOffset,
+          nextOffset: pageOffset + page.jobs.length < page.total ? pageOffset + page.jobs.length : null,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
 
-        const requiresExistingConcept = job.renderType === 'floor_plan' || job.renderType === 'section';
-        let referenceAxonBuffer: Buffer | undefined;
-        let referenceImageUrl: string | undefined;
+  /**
+   * POST /api/jobs/:jobId/process
+   * Run the job now, in this request (long-running, requires Pro tier or local).
+   * The worker runs queued jobs on its own; this stays for clients that drive processing
+   * themselves and for jobs stored with client-supplied Supabase credentials.
+   * conceptInputs (and site fields) may be resent; otherwise the brief stored with the job is used.
+   */
+  app.post(
+    '/api/jobs/:jobId/process',
+    async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        const { jobId } = req.params;
+        const { projectId } = req.body;
+        const sbClientConfig = extractSupabaseConfig(req.body);
+        const sb = resolveSupabaseConfig(sbClientConfig);
 
-        if (requiresExistingConcept) {
-          const axonBuffer = await loadRenderedImage(projectId, job.conceptId, 'axonometric', sb);
-          if (axonBuffer) {
-            referenceAxonBuffer = axonBuffer;
-            console.log(`Using axonometric reference for ${job.renderType} (buffer from storage)`);
-          } else {
-            // Client can pass reference (same as sync) so Lovable can supply axon from another source
-            const refUrl = req.body?.referenceAxonUrl;
-            const refB64 = req.body?.referenceAxonBase64;
-            if (typeof refUrl === 'string' && refUrl.trim()) {
-              referenceImageUrl = refUrl.trim();
-              console.log(`Using axonometric reference for ${job.renderType} (client referenceAxonUrl)`);
-            } else if (typeof refB64 === 'string' && refB64.trim()) {
-              try {
-                referenceAxonBuffer = Buffer.from(refB64.trim(), 'base64');
-                if (referenceAxonBuffer.length > 0) {
-                  console.log(`Using axonometric reference for ${job.renderType} (client referenceAxonBase64, ${referenceAxonBuffer.length} bytes)`);
-                } else referenceAxonBuffer = undefined;
-              } catch {
-                referenceAxonBuffer = undefined;
-              }
-            }
-            if (!referenceAxonBuffer && !referenceImageUrl) {
-              const url = getRenderedImageUrl(projectId, job.conceptId, 'axonometric', sb) || undefined;
-              if (url && !url.startsWith('/')) {
-                referenceImageUrl = url;
-                console.log(`Using axonometric reference for ${job.renderType} render: ${referenceImageUrl}`);
-              } else {
-                console.log(`No axonometric reference found for ${job.renderType} render - generating standalone`);
-              }
-            }
-          }
+        if (!jobId || typeof jobId !== 'string') {
+          res.status(400).json({
+            error: 'jobId parameter is required',
+          });
+          return;
         }
 
-        const promptOptions: Parameters<typeof buildConceptPrompt>[1] = {
-          conceptSeed,
-          hasReferenceAxon: !!(referenceAxonBuffer?.length || referenceImageUrl),
-        };
-        if (job.renderType === 'floor_plan' && typeof req.body?.includePeopleInPlan === 'boolean') {
-          promptOptions.includePeopleInPlan = req.body.includePeopleInPlan;
-        }
-        if (job.renderType === 'section' && typeof req.body?.includePeopleInSection === 'boolean') {
-          promptOptions.includePeopleInSection = req.body.includePeopleInSection;
+        if (!projectId || typeof projectId !== 'string') {
+          res.status(400).json({
+            error: 'projectId is required',
+          });
+          return;
         }
-        if (siteParams.baselineOverride?.footprintScale) {
-          promptOptions.baselineFootprintScaleOverride = siteParams.baselineOverride.footprintScale;
+
+        // Load job
+        const job = await getJob(projectId, jobId, sb);
+        if (!job) {
+          res.status(404).json({
+            error: 'Job not found',
+            jobId,
+          });
+          return;
         }
-        const promptResult = buildConceptPrompt(conceptBrief, promptOptions);
 
-        // Generate image
-        job.progress = 70;
-        await storeJob(job, sb);
+        // Check if already completed
+        if (job.status === 'completed') {
+          res.json({ job: publicJob(job, req), message: 'Job already completed' });
+          return;
+        }
 
-        const result = await generateConceptImage(
-          Buffer.alloc(0),
-          effectiveRenderType,
-          undefined,
-          promptResult.prompt,
-          referenceAxonBuffer ?? undefined,
-          referenceImageUrl,
-          job.conceptId
-        );
+        if (job.status === 'cancelled') {
+          res.status(409).json({ job: publicJob(job, req), message: 'Job was cancelled' });
+          return;
+        }
 
-        // Store rendered image
-        job.progress = 90;
-        await storeJob(job, sb);
+        const request = req.body.conceptInputs ? pickJobRequest(req.body) : await getJobRequest(job, sb);
+        if (!request) {
+          res.status(400).json({
+            error: 'conceptInputs is required (job has no stored brief)',
+          });
+          return;
+        }
 
-        const imageUrl = await storeRenderedImage(
-          projectId,
-          job.conceptId,
-          effectiveRenderType,
-          result.imageBase64,
-          sb
-        );
+        // Take the lease so the worker doesn't run the job at the same time. A job waiting out its
+        // retry backoff runs now; a failed job is rerun with a fresh retry budget (like a requeue).
+        const claimed = await claimJob(job, `process-${randomUUID()}`, DEFAULT_LEASE_MS, sb, (current) => {
+          const runnable: RenderJob = current.status === 'failed' ? requeuedJob(current) : current;
+          delete runnable.nextAttemptAt;
+          return runnable;
+        });
+        if (!claimed) {
+          res.status(409).json({
+            job: publicJob(job, req),
+            message: 'Job is already being processed',
+          });
+          return;
+        }
+        if (job.status === 'failed') {
+          await removeDeadLetter(jobId, sb);
+        }
 
-        // Mark job as completed (use effectiveRenderType so stored job and response show what was actually rendered)
-        job.status = 'completed';
-        job.progress = 100;
-        job.completedAt = new Date().toISOString();
-        job.imageUrl = imageUrl;
-        job.renderType = effectiveRenderType;
-        job.promptVersion = promptResult.promptVersion;
-        job.conceptRange = conceptBrief.conceptRange;
-        await storeJob(job, sb);
+        const result = await runRenderJob(claimed, request, sb);
+        if (result.status === 'processing') {
+          res.status(409).json({ job: publicJob(result, req), message: 'Job was taken over by another worker' });
+          return;
+        }
+        if (result.status === 'failed') {
+          res.status(400).json({ job: publicJob(result, req) });
+          return;
+        }
+        if (result.status === 'cancelled') {
+          res.status(409).json({ job: publicJob(result, req), message: 'Job was cancelled' });
+          return;
+        }
+        if (result.status === 'pending') {
+          // Retryable failure: the worker (or another /process call) retries after nextAttemptAt
+          if (result.requestStored) {
+            await enqueueJob(result, sb);
+          }
+          const retryAfterMs = Date.parse(result.nextAttemptAt ?? '') - Date.now();
+          res.setHeader('Retry-After', String(Math.max(0, Math.ceil(retryAfterMs / 1000))));
+          res.status(503).json({ job: publicJob(result, req), message: 'Attempt failed; retry scheduled' });
+          return;
+        }
 
         console.log(`✅ Job ${jobId} completed successfully`);
-        res.json({ job: jobWithAbsoluteImageUrl(job, req) });
+        res.json({ job: publicJob(result, req) });
       } catch (error) {
-        // Mark job as failed
+        // runRenderJob has already marked the job failed
+        next(error);
+      }
+    }
+  );
+
+  /**
+   * POST /api/jobs/:jobId/requeue
+   * Put a failed job back in the queue with a fresh retry budget and take it off the dead-letter listing.
+   * Operator endpoint: requires JOB_ADMIN_TOKEN (403 while it is unset). Body: projectId (+ optional Supabase credentials).
+   */
+  app.post(
+    '/api/jobs/:jobId/requeue',
+    async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        if (!requireJobAdmin(req, res)) return;
         const { jobId } = req.params;
         const { projectId } = req.body;
-        const sbErr = resolveSupabaseConfig(extractSupabaseConfig(req.body));
-        
-        if (projectId && typeof projectId === 'string' && jobId && typeof jobId === 'string') {
-          try {
-            const job = await getJob(projectId, jobId, sbErr);
-            if (job) {
-              job.status = 'failed';
-              job.error = error instanceof Error ? error.message : 'Unknown error';
-              job.completedAt = new Date().toISOString();
-              await storeJob(job, sbErr);
-            }
-          } catch (storeError) {
-            console.error('Failed to update job status:', storeError);
-          }
+        const sbClientConfig = extractSupabaseConfig(req.body);
+        const sb = resolveSupabaseConfig(sbClientConfig);
+
+        if (!jobId || typeof jobId !== 'string') {
+          res.status(400).json({
+            error: 'jobId parameter is required',
+          });
+          return;
         }
-        
+
+        if (!projectId || typeof projectId !== 'string') {
+          res.status(400).json({
+            error: 'projectId is required',
+          });
+          return;
+        }
+
+        const job = await getJob(projectId, jobId, sb);
+        if (!job) {
+          res.status(404).json({
+            error: 'Job not found',
+            jobId,
+          });
+          return;
+        }
+
+        if (job.status !== 'failed') {
+          res.status(409).json({
+            job: publicJob(job, req),
+            message: `Only failed jobs can be requeued (job is ${job.status})`,
+          });
+          return;
+        }
+
+        const requeued = requeuedJob(job);
+        await storeJob(requeued, sb);
+        const queued = !!requeued.requestStored;
+        if (queued) {
+          await enqueueJob(requeued, sb);
+        }
+        await removeDeadLetter(jobId, sb);
+
+        console.log(`[jobs/requeue] Job ${jobId} requeued (requeue ${requeued.requeueCount})`);
+        res.json({
+          job: publicJob(requeued, req),
+          queued,
+          message: queued
+            ? 'Job requeued. Poll /api/jobs/:jobId for status.'
+            : 'Job requeued. Call processUrl, then poll /api/jobs/:jobId for status.',
+          pollUrl: `/api/jobs/${jobId}`,
+          processUrl: `/api/jobs/${jobId}/process`,
+        });
+      } catch (error) {
         next(error);
       }
     }
@@ -2056,6 +2870,11 @@ export function startServer(): void {
   app.listen(port, () => {
     console.log(`Server running on port ${port}`);
   });
+
+  // Vercel serves the jobs API without startServer, so the in-process worker only runs here
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
 }
 
 /**
@@ -0,0 +1,378 @@
+/**
+ * Render Job Webhook Callbacks
+ *
+ * When a job with a callbackUrl completes or fails, its result is POSTed to the URL, signed with
+ * JOB_CALLBACK_SECRET. The job that finished is only put on the callback index
+ * (job-callback/{jobId}.json, scheduleJobCallback) so nothing waits on the receiver; the worker in the
+ * background between polls, or the drain cron, sends due deliveries via retryDueCallbacks(). Every delivery is
+ * recorded on job.callback.deliveries, and a failed one is retried with backoff. Delivery is at least once.
+ */
+
+import { createHmac, randomUUID } from 'crypto';
+import { lookup, type LookupAddress } from 'dns';
+import { request as httpRequest, type IncomingMessage } from 'http';
+import { request as httpsRequest } from 'https';
+import { BlockList, isIP, type LookupFunction } from 'net';
+import { toPublicJob, type JobCallback, type JobCallbackDelivery, type JobCallbackEvent, type RenderJob } from '../types/job.js';
+import { storeJob, getJob, addCallbackRetry, listCallbackRetries, removeCallbackRetry } from '../utils/jobStorage.js';
+import type { SupabaseConfig } from '../utils/supabaseConfig.js';
+import { resolveRetryPolicy, retryDelayMs, type RetryPolicy } from './jobRetry.js';
+
+export const SIGNATURE_HEADER = 'X-Render-Signature';
+
+export const DEFAULT_CALLBACK_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 5,
+  baseDelayMs: 10 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+};
+
+/** How long a receiver gets to answer before the delivery counts as failed */
+export const CALLBACK_TIMEOUT_MS = 10 * 1000;
+
+/** Delivery retries from JOB_CALLBACK_MAX_ATTEMPTS, JOB_CALLBACK_RETRY_BASE_MS and JOB_CALLBACK_RETRY_MAX_MS */
+export function resolveCallbackRetryPolicy(env: NodeJS.ProcessEnv = process.env): RetryPolicy {
+  return resolveRetryPolicy(env, 'JOB_CALLBACK_', DEFAULT_CALLBACK_RETRY_POLICY);
+}
+
+/**
+ * Addresses a callback may not reach: loopback, private, link-local (including the cloud metadata
+ * address 169.254.169.254), CGNAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses are
+ * checked against the IPv4 ranges.
+ */
+const BLOCKED_CALLBACK_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+] as const) {
+  BLOCKED_CALLBACK_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+] as const) {
+  BLOCKED_CALLBACK_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/** Whether an IP address is outside the public internet (see BLOCKED_CALLBACK_ADDRESSES) */
+export function isBlockedCallbackAddress(address: string): boolean {
+  const family = isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_CALLBACK_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/** Private hosts are allowed only for local testing (JOB_CALLBACK_ALLOW_PRIVATE_HOSTS=true) */
+function allowPrivateHosts(env: NodeJS.ProcessEnv): boolean {
+  return env.JOB_CALLBACK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Check a callbackUrl without resolving it: an absolute https URL (http is accepted when
+ * NODE_ENV=development) whose host is not an internal name or a non-public IP address
+ * @returns Error message, or null when the URL passes
+ */
+export function checkCallbackUrl(value: unknown, env: NodeJS.ProcessEnv = process.env): string | null {
+  if (typeof value !== 'string' || !value.trim()) return 'callbackUrl must be a non-empty string';
+  let url: URL;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return 'callbackUrl must be an absolute URL';
+  }
+  const allowHttp = env.NODE_ENV === 'development';
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    return allowHttp ? 'callbackUrl must be an http(s) URL' : 'callbackUrl must be an https URL';
+  }
+  if (url.username || url.password) return 'callbackUrl must not contain credentials';
+  if (allowPrivateHosts(env)) return null;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isIP(host)) {
+    return isBlockedCallbackAddress(host) ? 'callbackUrl must not point to a private or loopback address' : null;
+  }
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host) || !host.includes('.')) {
+    return 'callbackUrl must be a public host name';
+  }
+  return null;
+}
+
+/**
+ * Validate a callbackUrl from a create request: checkCallbackUrl, then every address the host resolves
+ * to must be public. Deliveries check the address they connect to again (DNS can change).
+ * @returns Error message, or null when the URL is usable
+ */
+export async function validateCallbackUrl(value: unknown, env: NodeJS.ProcessEnv = process.env): Promise<string | null> {
+  const error = checkCallbackUrl(value, env);
+  if (error || allowPrivateHosts(env)) return error;
+  const host = new URL((value as string).trim()).hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return null;
+  try {
+    const addresses = await new Promise<Array<{ address: string }>>((resolve, reject) =>
+      lookup(host, { all: true }, (lookupError, result) => (lookupError ? reject(lookupError) : resolve(result)))
+    );
+    if (addresses.some(({ address }) => isBlockedCallbackAddress(address))) {
+      return 'callbackUrl must not resolve to a private or loopback address';
+    }
+  } catch {
+    return 'callbackUrl host could not be resolved';
+  }
+  return null;
+}
+
+/**
+ * DNS lookup for deliveries that refuses non-public addresses, so a host re-pointed at an internal
+ * address after validation is still not reached
+ */
+const publicOnlyLookup: LookupFunction = (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error, '', 0);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedCallbackAddress(address));
+    if (blocked) {
+      callback(new Error(`callbackUrl resolves to a non-public address (${blocked.address})`), '', 0);
+    } else if (options.all) {
+      (callback as unknown as (err: null, all: LookupAddress[]) => void)(null, addresses);
+    } else {
+      callback(null, addresses[0]!.address, addresses[0]!.family);
+    }
+  });
+};
+
+/**
+ * POST a callback body; redirects are not followed
+ * @returns The response status code
+ */
+function postCallback(
+  url: string,
+  body: string,
+  headers: Record<string, string>,
+  signal: AbortSignal
+): Promise<number> {
+  const target = new URL(url);
+  const send = target.protocol === 'https:' ? httpsRequest : httpRequest;
+  return new Promise((resolve, reject) => {
+    const req = send(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': String(Buffer.byteLength(body)) },
+        signal,
+        ...(allowPrivateHosts(process.env) ? {} : { lookup: publicOnlyLookup }),
+      },
+      (res: IncomingMessage) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode ?? 0));
+        res.on('error', reject);
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/** Make a /storage/ image URL absolute against baseUrl (Supabase URLs are already absolute) */
+export function absoluteImageUrl(imageUrl: string | undefined, baseUrl: string): string | undefined {
+  if (!imageUrl?.startsWith('/storage/')) return imageUrl;
+  return `${baseUrl.replace(/\/$/, '')}${imageUrl}`;
+}
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Receivers recompute the HMAC over the raw body and reject stale timestamps.
+ */
+export function signCallbackBody(body: string, secret: string, timestamp: number): string {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/** Event for a job's current status, or null if the status has no callback */
+export function callbackEventFor(job: RenderJob): JobCallbackEvent | null {
+  if (job.status === 'completed') return 'job.completed';
+  if (job.status === 'failed') return 'job.failed';
+  return null;
+}
+
+/**
+ * Callback payload: the job (without its lease and callback state), the absolute image URL and the prompt version
+ */
+export function buildCallbackPayload(
+  job: RenderJob,
+  event: JobCallbackEvent,
+  deliveryId: string,
+  callback: JobCallback
+): Record<string, unknown> {
+  const { callback: _callback, ...publicJob } = toPublicJob(job);
+  const imageUrl = absoluteImageUrl(job.imageUrl, callback.baseUrl);
+  return {
+    event,
+    deliveryId,
+    sentAt: new Date().toISOString(),
+    job: { ...publicJob, imageUrl },
+    imageUrl: imageUrl ?? null,
+    promptVersion: job.promptVersion ?? null,
+  };
+}
+
+function deliveriesInCurrentCycle(job: RenderJob): JobCallbackDelivery[] {
+  const requeue = job.requeueCount ?? 0;
+  return (job.callback?.deliveries ?? []).filter((delivery) => delivery.requeue === requeue);
+}
+
+/**
+ * POST the job's callback once and record the delivery on job.callback
+ * (status becomes delivered, failed when out of attempts, or stays pending with nextAttemptAt).
+ * Does not store the job.
+ */
+export async function deliverJobCallback(
+  job: RenderJob,
+  options: { secret?: string | undefined; policy?: RetryPolicy } = {}
+): Promise<JobCallbackDelivery | null> {
+  const callback = job.callback;
+  const event = callbackEventFor(job);
+  if (!callback || !event) return null;
+
+  const { secret = process.env.JOB_CALLBACK_SECRET, policy = resolveCallbackRetryPolicy() } = options;
+  const delivery: JobCallbackDelivery = {
+    attempt: deliveriesInCurrentCycle(job).length + 1,
+    requeue: job.requeueCount ?? 0,
+    deliveryId: randomUUID(),
+    event,
+    sentAt: new Date().toISOString(),
+    durationMs: 0,
+    ok: false,
+  };
+
+  const start = Date.now();
+  if (!secret) {
+    delivery.error = 'JOB_CALLBACK_SECRET is not configured';
+  } else {
+    const body = JSON.stringify(buildCallbackPayload(job, event, delivery.deliveryId, callback));
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CALLBACK_TIMEOUT_MS);
+    try {
+      // Re-checked on every delivery: the policy (or NODE_ENV) may have changed since the job was created
+      const urlError = checkCallbackUrl(callback.url);
+      if (urlError) throw new Error(urlError);
+      const statusCode = await postCallback(
+        callback.url,
+        body,
+        {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ai-render-service-callbacks/1.0',
+          'X-Render-Event': event,
+          'X-Render-Delivery': delivery.deliveryId,
+          [SIGNATURE_HEADER]: signCallbackBody(body, secret, Math.floor(Date.now() / 1000)),
+        },
+        controller.signal
+      );
+      delivery.statusCode = statusCode;
+      delivery.ok = statusCode >= 200 && statusCode < 300;
+      if (!delivery.ok) delivery.error = `HTTP ${statusCode}`;
+    } catch (error) {
+      delivery.error = controller.signal.aborted
+        ? `Timed out after ${CALLBACK_TIMEOUT_MS}ms`
+        : error instanceof Error ? error.message : String(error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  delivery.durationMs = Date.now() - start;
+
+  callback.deliveries = [...callback.deliveries, delivery];
+  delete callback.nextAttemptAt;
+  if (delivery.ok) {
+    callback.status = 'delivered';
+  } else if (secret && delivery.attempt < policy.maxAttempts) {
+    callback.status = 'pending';
+    callback.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempt, policy)).toISOString();
+  } else {
+    callback.status = 'failed';
+  }
+  return delivery;
+}
+
+/**
+ * Queue a finished job's callback for delivery (see retryDueCallbacks). Errors are logged, never thrown:
+ * a callback must not fail the job.
+ */
+export async function scheduleJobCallback(job: RenderJob, sb: SupabaseConfig | null): Promise<void> {
+  if (job.callback?.status !== 'pending' || !callbackEventFor(job)) return;
+  try {
+    await addCallbackRetry(job, sb);
+  } catch (error) {
+    console.error(`[jobCallbacks] Could not queue callback for job ${job.jobId}:`, error);
+  }
+}
+
+/**
+ * Deliver a finished job's callback, record it on the stored job, and keep the job on the callback
+ * retry index while the delivery is pending. The delivery can take up to CALLBACK_TIMEOUT_MS, so only
+ * the callback field is merged into a fresh read of the job, and nothing is written if the job was
+ * requeued or claimed meanwhile. Errors are logged, never thrown: a callback must not fail the job.
+ */
+export async function notifyJobCallback(job: RenderJob, sb: SupabaseConfig | null): Promise<void> {
+  if (job.callback?.status !== 'pending' || !callbackEventFor(job)) return;
+  try {
+    const delivery = await deliverJobCallback(job);
+    const current = await getJob(job.projectId, job.jobId, sb);
+    if (
+      !current ||
+      current.status !== job.status ||
+      (current.leaseGeneration ?? 0) !== (job.leaseGeneration ?? 0) ||
+      (current.requeueCount ?? 0) !== (job.requeueCount ?? 0)
+    ) {
+      console.log(`[jobCallbacks] Job ${job.jobId} changed during its ${delivery?.event} callback, not recording it`);
+      return;
+    }
+    await storeJob({ ...current, callback: job.callback }, sb);
+    if (job.callback.status === 'pending') {
+      await addCallbackRetry(job, sb);
+    } else {
+      await removeCallbackRetry(job.jobId, sb);
+    }
+    const outcome = delivery?.ok ? 'delivered' : `failed (${delivery?.error}), ${job.callback.status}`;
+    console.log(`[jobCallbacks] Job ${job.jobId} ${delivery?.event} callback ${outcome}`);
+  } catch (error) {
+    console.error(`[jobCallbacks] Callback for job ${job.jobId} failed:`, error);
+  }
+}
+
+/** Most deliveries one retryDueCallbacks() call sends; the rest wait for the next call */
+export const CALLBACK_BATCH_SIZE = 5;
+
+/**
+ * Send callback deliveries that are due (first deliveries, and retries whose backoff has passed),
+ * at most `limit` per call; entries whose callback is no longer pending (delivered, out of attempts,
+ * job gone or requeued) are dropped from the index. Resolves to the number of deliveries sent.
+ */
+export async function retryDueCallbacks(
+  sb: SupabaseConfig | null,
+  { now = Date.now(), limit = CALLBACK_BATCH_SIZE }: { now?: number; limit?: number } = {}
+): Promise<number> {
+  let sent = 0;
+  for (const ref of await listCallbackRetries(sb)) {
+    if (sent >= limit) break;
+    const job = await getJob(ref.projectId, ref.jobId, sb);
+    if (!job || job.callback?.status !== 'pending' || !callbackEventFor(job)) {
+      await removeCallbackRetry(ref.jobId, sb);
+      continue;
+    }
+    if (job.callback.nextAttemptAt && Date.parse(job.callback.nextAttemptAt) > now) continue;
+    await notifyJobCallback(job, sb);
+    sent++;
+  }
+  return sent;
+}
@@ -0,0 +1,95 @@
+/**
+ * Render Job Progress Events
+ *
+ * Feeds GET /api/jobs/:jobId/events (Server-Sent Events). Jobs run by this process publish each
+ * progress write on an in-process bus, so the stream sees every stage as it happens; jobs run
+ * elsewhere (another worker, a /process function) are picked up by polling storage.
+ */
+
+import { EventEmitter } from 'events';
+import type { JobStage, JobStatus, RenderJob } from '../types/job.js';
+
+/** UI text per stage */
+export const JOB_STAGE_LABELS: Record<JobStage, string> = {
+  queued: 'Waiting to start…',
+  preparing: 'Reading brief and site context…',
+  seed_generation: 'Generating concept seed…',
+  prompt_build: 'Building prompt…',
+  image_generation: 'Generating image…',
+  storage: 'Saving render…',
+};
+
+/** Default time between storage polls while streaming */
+export const DEFAULT_EVENTS_POLL_MS = 1000;
+
+/** Comment line sent this often so proxies keep the stream open */
+export const HEARTBEAT_MS = 15 * 1000;
+
+export interface JobProgressEvent {
+  jobId: string;
+  status: JobStatus;
+  progress: number;
+  stage: JobStage | null;
+  label: string;
+  updatedAt: string;
+  nextAttemptAt?: string;
+  error?: string;
+}
+
+/** Progress event for a job's current state */
+export function jobProgressEvent(job: RenderJob): JobProgressEvent {
+  const stage = job.stage ?? (job.status === 'pending' ? 'queued' : null);
+  const event: JobProgressEvent = {
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress ?? 0,
+    stage,
+    label: statusLabel(job, stage),
+    updatedAt: new Date().toISOString(),
+  };
+  if (job.status === 'pending' && job.nextAttemptAt) event.nextAttemptAt = job.nextAttemptAt;
+  if (job.error && job.status !== 'completed') event.error = job.error;
+  return event;
+}
+
+function statusLabel(job: RenderJob, stage: JobStage | null): string {
+  if (job.status === 'completed') return 'Render complete';
+  if (job.status === 'failed') return 'Render failed';
+  if (job.status === 'cancelled') return 'Render cancelled';
+  if (job.status === 'pending' && job.nextAttemptAt) return 'Retrying shortly…';
+  return stage ? JOB_STAGE_LABELS[stage] : JOB_STAGE_LABELS.queued;
+}
+
+/**
+ * Whether `next` is worth sending after `last`: a new status, or progress/stage moving on within the
+ * same status. A storage poll that lags behind the in-process bus (lower progress) is not.
+ */
+export function isNewProgress(last: JobProgressEvent | null, next: JobProgressEvent): boolean {
+  if (!last || last.status !== next.status) return true;
+  if (next.progress < last.progress) return false;
+  return next.progress !== last.progress || next.stage !== last.stage;
+}
+
+/** One SSE message; data is sent as a single JSON line */
+export function formatSseEvent(event: string, data: unknown, id?: number): string {
+  return `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+/** Publish a job write to streams in this process */
+export function publishJobUpdate(job: RenderJob): void {
+  bus.emit(job.jobId, { ...job });
+}
+
+/**
+ * Listen for writes to one job made by this process
+ * @returns Unsubscribe function
+ */
+export function subscribeJobUpdates(jobId: string, listener: (job: RenderJob) => void): () => void {
+  bus.on(jobId, listener);
+  return () => {
+    bus.off(jobId, listener);
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Render Job Retry Policy
+ *
+ * Classifies render errors, decides whether a failed attempt is retried, and computes
+ * the backoff before the next attempt. Transient errors (connection, timeout, rate limit,
+ * upstream 5xx) are retried; anything else fails the job on the first attempt.
+ */
+
+import type { JobAttempt, JobErrorClass, RenderJob } from '../types/job.js';
+
+export interface RetryPolicy {
+  /** Attempts per requeue cycle, including the first */
+  maxAttempts: number;
+  /** Backoff before the second attempt; doubles for each attempt after that */
+  baseDelayMs: number;
+  /** Upper bound on the backoff */
+  maxDelayMs: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 3,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 10 * 60 * 1000,
+};
+
+/** Error classes worth another attempt */
+export const RETRYABLE_ERROR_CLASSES: readonly JobErrorClass[] = ['connection', 'timeout', 'rate_limit', 'upstream'];
+
+/**
+ * Retry policy from JOB_MAX_ATTEMPTS, JOB_RETRY_BASE_MS and JOB_RETRY_MAX_MS (unset or invalid values use the defaults).
+ * Other retry loops pass their own prefix and defaults (e.g. JOB_CALLBACK_ for webhook deliveries).
+ */
+export function resolveRetryPolicy(
+  env: NodeJS.ProcessEnv = process.env,
+  prefix: string = 'JOB_',
+  defaults: RetryPolicy = DEFAULT_RETRY_POLICY
+): RetryPolicy {
+  const read = (value: string | undefined, fallback: number, min: number): number => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= min ? Math.floor(parsed) : fallback;
+  };
+  return {
+    maxAttempts: read(env[`${prefix}MAX_ATTEMPTS`], defaults.maxAttempts, 1),
+    baseDelayMs: read(env[`${prefix}RETRY_BASE_MS`], defaults.baseDelayMs, 0),
+    maxDelayMs: read(env[`${prefix}RETRY_MAX_MS`], defaults.maxDelayMs, 0),
+  };
+}
+
+/**
+ * Classify a render error from its message (and its cause's, if any).
+ * Messages come from aiRenderService / the OpenAI SDK, which put the HTTP status first ("429 Rate limit reached ...").
+ */
+export function classifyJobError(error: unknown): JobErrorClass {
+  if (!(error instanceof Error)) return 'unknown';
+  const causeMsg = error.cause instanceof Error ? error.cause.message : String(error.cause ?? '');
+  const msg = `${error.message} ${causeMsg}`.toLowerCase();
+  const status = (error as { status?: unknown }).status;
+  const statusCode = typeof status === 'number' ? status : Number(msg.match(/(?:^|:\s*|http\s+)([45]\d\d)\b/)?.[1]);
+
+  if (msg.includes('api key') || statusCode === 401 || statusCode === 403) return 'auth';
+  if (msg.includes('content_policy') || msg.includes('safety system')) return 'content_policy';
+  if (statusCode === 429 || msg.includes('rate limit')) return 'rate_limit';
+  if (statusCode === 408 || msg.includes('timed out') || msg.includes('timeout') || msg.includes('etimedout')) return 'timeout';
+  if (
+    msg.includes('connection') ||
+    msg.includes('econnrefused') ||
+    msg.includes('econnreset') ||
+    msg.includes('enotfound') ||
+    msg.includes('fetch failed') ||
+    msg.includes('socket hang up')
+  ) {
+    return 'connection';
+  }
+  if ((statusCode >= 500 && statusCode < 600) || msg.includes('server error') || msg.includes('overloaded')) return 'upstream';
+  if (statusCode === 400) return 'invalid_input';
+  return 'unknown';
+}
+
+export function isRetryableErrorClass(errorClass: JobErrorClass): boolean {
+  return RETRYABLE_ERROR_CLASSES.includes(errorClass);
+}
+
+/** Attempts made since the job was created or last requeued by an operator */
+export function attemptsInCurrentCycle(job: RenderJob): JobAttempt[] {
+  const requeue = job.requeueCount ?? 0;
+  return (job.attempts ?? []).filter((attempt) => attempt.requeue === requeue);
+}
+
+/** Backoff before attempt `attemptNumber + 1`: baseDelayMs * 2^(attemptNumber - 1), capped at maxDelayMs */
+export function retryDelayMs(attemptNumber: number, policy: RetryPolicy): number {
+  return Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** Math.max(0, attemptNumber - 1));
+}
+
+/**
+ * Whether a failed attempt should be retried: the error is retryable and the current cycle has attempts left
+ */
+export function shouldRetry(job: RenderJob, errorClass: JobErrorClass, policy: RetryPolicy): boolean {
+  return isRetryableErrorClass(errorClass) && attemptsInCurrentCycle(job).length < policy.maxAttempts;
+}
+
+/**
+ * Append a running attempt to the job's history and return it.
+ * An attempt still marked running belonged to a worker that died (its lease expired); it is closed as a timeout.
+ */
+export function startAttempt(job: RenderJob, workerId?: string): JobAttempt {
+  for (const previous of job.attempts ?? []) {
+    if (previous.outcome === 'running') {
+      finishAttempt(previous, 'failed', { error: 'Lease expired before the attempt finished', errorClass: 'timeout' });
+    }
+  }
+  const attempt: JobAttempt = {
+    attempt: attemptsInCurrentCycle(job).length + 1,
+    requeue: job.requeueCount ?? 0,
+    startedAt: new Date().toISOString(),
+    outcome: 'running',
+  };
+  if (workerId) attempt.workerId = workerId;
+  job.attempts = [...(job.attempts ?? []), attempt];
+  return attempt;
+}
+
+/**
+ * Mark an attempt finished; a failure records the error and its class
+ */
+export function finishAttempt(
+  attempt: JobAttempt,
+  outcome: 'succeeded' | 'failed' | 'cancelled',
+  details: { error?: string; errorClass?: JobErrorClass; promptVersion?: string | undefined } = {}
+): void {
+  attempt.outcome = outcome;
+  attempt.finishedAt = new Date().toISOString();
+  if (details.error) attempt.error = details.error;
+  if (details.errorClass) attempt.errorClass = details.errorClass;
+  if (details.promptVersion) attempt.promptVersion = details.promptVersion;
+}
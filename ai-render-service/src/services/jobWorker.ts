@@ -0,0 +1,220 @@
+/**
+ * Render Job Worker
+ *
+ * Runs pending render jobs without any client involvement. A worker claims a job by
+ * creating the lock for its next lease generation and writing a lease on it; a job whose
+ * lease has expired (the worker or the /process function died mid-render) can be claimed
+ * again, so stuck `processing` jobs recover.
+ *
+ * The queue is pluggable: createStorageJobQueue() works over jobStorage (local files
+ * or Supabase Storage) for local dev; a real queue can implement JobQueue later.
+ */
+
+import { randomUUID } from 'crypto';
+import { TERMINAL_JOB_STATUSES, type RenderJob } from '../types/job.js';
+import { getJob, storeJob, listQueuedJobs, dequeueJob, acquireJobLock } from '../utils/jobStorage.js';
+import type { SupabaseConfig } from '../utils/supabaseConfig.js';
+
+/** Default lease: long enough to cover the slowest step (image generation) between progress writes */
+export const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+/** Default time between queue polls when idle */
+export const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Source of runnable jobs
+ */
+export interface JobQueue {
+  /** Claim the oldest runnable job for `owner`, or null if there is none */
+  claimNext(owner: string, leaseMs: number): Promise<RenderJob | null>;
+  /** Remove a finished (completed, failed or cancelled) job from the queue */
+  complete(job: RenderJob): Promise<void>;
+}
+
+/**
+ * Whether a job can be claimed: pending (and past its retry backoff), or processing with an expired lease.
+ * A live lease always blocks a claim, including on a pending job its runner has not started yet.
+ * Processing jobs without a lease (started by an older /process call) expire leaseMs after startedAt.
+ */
+export function isClaimable(job: RenderJob, leaseMs: number, now: number = Date.now()): boolean {
+  const leaseExpiresAt = job.lease ? Date.parse(job.lease.expiresAt) : NaN;
+  if (leaseExpiresAt > now) return false;
+  if (job.status === 'pending') {
+    return !job.nextAttemptAt || !(Date.parse(job.nextAttemptAt) > now);
+  }
+  if (job.status !== 'processing') return false;
+  const expiresAt = job.lease ? leaseExpiresAt : Date.parse(job.startedAt ?? job.createdAt) + leaseMs;
+  return Number.isNaN(expiresAt) || expiresAt <= now;
+}
+
+/** Lease expiry timestamp from now */
+export function leaseExpiry(leaseMs: number, now: number = Date.now()): string {
+  return new Date(now + leaseMs).toISOString();
+}
+
+/**
+ * Thrown by a runner whose lease was taken over (it outlived its lease and another worker claimed the job);
+ * the runner stops without writing to the job
+ */
+export class JobLeaseLostError extends Error {
+  constructor(jobId: string) {
+    super(`Lease on job ${jobId} was taken over by another worker`);
+    this.name = 'JobLeaseLostError';
+  }
+}
+
+/**
+ * Try to take a lease on a job
+ * Each claim is a new lease generation. Creating the lock for generation n (acquireJobLock) is the
+ * compare-and-swap: of several workers claiming the same job from the same state, exactly one creates
+ * it. The winner re-reads the job and writes its lease onto the current state, so changes made since
+ * `job` was read (a cancel request, say) are kept. A runner holding an older generation stops at its
+ * next write (JobLeaseLostError).
+ *
+ * @param prepare - Changes applied to the current job before the lease is written (e.g. requeueing a failed job)
+ * @returns The claimed job, or null if the job is not claimable or another worker won
+ */
+export async function claimJob(
+  job: RenderJob,
+  owner: string,
+  leaseMs: number,
+  sb?: SupabaseConfig | null,
+  prepare: (current: RenderJob) => RenderJob = (current) => current
+): Promise<RenderJob | null> {
+  if (!isClaimable(prepare({ ...job }), leaseMs)) return null;
+
+  const generation = (job.leaseGeneration ?? 0) + 1;
+  if (!(await acquireJobLock(job.jobId, generation, owner, sb))) return null;
+
+  // The lock only proves `job` was current when read; a job that moved on since then (finished, cancelled,
+  // or claimed from a newer read) keeps its state
+  const stored = await getJob(job.projectId, job.jobId, sb);
+  if (!stored || (stored.leaseGeneration ?? 0) !== generation - 1) return null;
+  const current = prepare({ ...stored });
+  if (!isClaimable(current, leaseMs)) return null;
+
+  const now = Date.now();
+  const claimed: RenderJob = {
+    ...current,
+    leaseGeneration: generation,
+    lease: { owner, claimedAt: new Date(now).toISOString(), expiresAt: leaseExpiry(leaseMs, now) },
+  };
+  await storeJob(claimed, sb);
+  return claimed;
+}
+
+/**
+ * JobQueue over jobStorage's queue index (job-queue/{jobId}.json)
+ * Jobs that are finished, missing, or have no stored brief are dropped from the index.
+ */
+export function createStorageJobQueue(sb?: SupabaseConfig | null): JobQueue {
+  return {
+    async claimNext(owner, leaseMs) {
+      const refs = await listQueuedJobs(sb);
+      for (const ref of refs) {
+        const job = await getJob(ref.projectId, ref.jobId, sb);
+        if (!job || TERMINAL_JOB_STATUSES.includes(job.status) || !job.requestStored) {
+          await dequeueJob(ref.jobId, sb);
+          continue;
+        }
+        const claimed = await claimJob(job, owner, leaseMs, sb);
+        if (claimed) return claimed;
+      }
+      return null;
+    },
+
+    async complete(job) {
+      await dequeueJob(job.jobId, sb);
+    },
+  };
+}
+
+export interface JobWorkerOptions {
+  queue: JobQueue;
+  /** Runs a claimed job and stores the result: completed, failed, cancelled, or pending with a retry scheduled */
+  processJob: (job: RenderJob, leaseMs: number) => Promise<RenderJob>;
+  leaseMs?: number;
+  pollIntervalMs?: number;
+  owner?: string;
+  /** Runs after every poll, whether or not it found a job (e.g. sending due webhook deliveries) */
+  afterPoll?: () => Promise<void>;
+}
+
+export interface JobWorker {
+  owner: string;
+  start(): void;
+  stop(): Promise<void>;
+  /** Claim and run one job; returns the job, or null when the queue was empty */
+  runOnce(): Promise<RenderJob | null>;
+}
+
+/**
+ * Create a polling worker that runs one job at a time
+ */
+export function createJobWorker(options: JobWorkerOptions): JobWorker {
+  const {
+    queue,
+    processJob,
+    leaseMs = DEFAULT_LEASE_MS,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    owner = `worker-${randomUUID()}`,
+    afterPoll,
+  } = options;
+
+  let running = false;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let current: Promise<unknown> = Promise.resolve();
+
+  async function runOnce(): Promise<RenderJob | null> {
+    const job = await queue.claimNext(owner, leaseMs);
+    if (!job) return null;
+
+    console.log(`[jobWorker] ${owner} claimed job ${job.jobId} (${job.projectId})`);
+    let result: RenderJob = job;
+    try {
+      result = await processJob(job, leaseMs);
+      console.log(`[jobWorker] Job ${job.jobId} ${result.status}`);
+    } catch (error) {
+      // processJob stores the failure; the error is only logged here and claimNext drops the failed job
+      console.error(`[jobWorker] Job ${job.jobId} failed:`, error);
+      return result;
+    }
+    // A job waiting to be retried stays queued
+    if (TERMINAL_JOB_STATUSES.includes(result.status)) {
+      await queue.complete(job);
+    }
+    return result;
+  }
+
+  function schedule(delayMs: number): void {
+    if (!running) return;
+    timer = setTimeout(() => {
+      current = runOnce()
+        .then(async (job) => {
+          if (afterPoll) await afterPoll();
+          schedule(job ? 0 : pollIntervalMs);
+        })
+        .catch((error) => {
+          console.error('[jobWorker] Poll failed:', error);
+          schedule(pollIntervalMs);
+        });
+    }, delayMs);
+    timer.unref?.();
+  }
+
+  return {
+    owner,
+    runOnce,
+    start() {
+      if (running) return;
+      running = true;
+      console.log(`[jobWorker] ${owner} started (lease ${leaseMs}ms, poll ${pollIntervalMs}ms)`);
+      schedule(0);
+    },
+    async stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      await current;
+    },
+  };
+}
@@ -2,7 +2,103 @@
  * Job types for async rendering
  */
 
-export type JobStatus = 'pending' | 'processing' | 'completed' | 'failed';
+export type JobStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled';
+
+/** Statuses a job never leaves on its own (only a requeue moves a failed job back to pending) */
+export const TERMINAL_JOB_STATUSES: readonly JobStatus[] = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Render brief stored beside the job so it can run without the client
+ * (same fields the client used to resend to /process; Supabase credentials are never stored).
+ * Briefs carry site data and reference images: they live in private storage (see storeJobRequest),
+ * never in the job record or the public bucket.
+ */
+export interface JobRenderRequest {
+  conceptInputs: any; // ConceptBrief or legacy ConceptInputs
+  site?: any; // SiteInput
+  address?: string;
+  lat?: number;
+  lng?: number;
+  selectedBuildingId?: number;
+  existingBuilding?: any; // ExistingBuildingPayload
+  baselineOverrides?: { buildingForm?: string; storeys?: string; roofAssumption?: string; footprintScale?: string };
+  conceptSeed?: any;
+  referenceAxonUrl?: string;
+  referenceAxonBase64?: string;
+  includePeopleInPlan?: boolean;
+  includePeopleInSection?: boolean;
+}
+
+/** Worker lease: the job belongs to `owner` until `expiresAt`, after which another worker may take it over */
+export interface JobLease {
+  owner: string;
+  claimedAt: string;
+  expiresAt: string;
+}
+
+/**
+ * Error classes recorded on failed attempts.
+ * connection, timeout, rate_limit and upstream are retryable (see services/jobRetry.ts).
+ */
+export type JobErrorClass =
+  | 'connection'
+  | 'timeout'
+  | 'rate_limit'
+  | 'upstream'
+  | 'auth'
+  | 'content_policy'
+  | 'invalid_input'
+  | 'unknown';
+
+/** One run of a job, kept in RenderJob.attempts */
+export interface JobAttempt {
+  attempt: number; // 1-based within the requeue cycle
+  requeue: number; // requeueCount when the attempt ran (0 before any operator requeue)
+  startedAt: string;
+  finishedAt?: string;
+  outcome: 'running' | 'succeeded' | 'failed' | 'cancelled';
+  errorClass?: JobErrorClass;
+  error?: string;
+  promptVersion?: string;
+  workerId?: string; // lease owner that ran the attempt
+}
+
+/**
+ * Step a job is at, streamed by GET /api/jobs/:jobId/events (labels in services/jobEvents.ts).
+ * Kept after the job finishes, so a failed job shows where it stopped.
+ */
+export type JobStage =
+  | 'queued'
+  | 'preparing' // brief and site baseline
+  | 'seed_generation'
+  | 'prompt_build'
+  | 'image_generation' // one candidate per job, so there is no best-of selection step
+  | 'storage';
+
+/** Callback events, sent when a job reaches one of these statuses */
+export type JobCallbackEvent = 'job.completed' | 'job.failed';
+
+/** One POST to the job's callbackUrl, kept in JobCallback.deliveries */
+export interface JobCallbackDelivery {
+  attempt: number; // 1-based within the requeue cycle
+  requeue: number; // requeueCount when the delivery was made
+  deliveryId: string; // X-Render-Delivery header
+  event: JobCallbackEvent;
+  sentAt: string;
+  durationMs: number;
+  ok: boolean;
+  statusCode?: number;
+  error?: string;
+}
+
+/** Webhook registered with callbackUrl on POST /api/jobs/render (see services/jobCallbacks.ts) */
+export interface JobCallback {
+  url: string;
+  baseUrl: string; // origin of the create request, used to make /storage/ image URLs absolute
+  status: 'pending' | 'delivered' | 'failed';
+  nextAttemptAt?: string; // set while a failed delivery is waiting out its backoff
+  deliveries: JobCallbackDelivery[];
+}
 
 export interface RenderJob {
   jobId: string;
@@ -11,10 +107,21 @@ export interface RenderJob {
   renderType: 'axonometric' | 'floor_plan' | 'section';
   status: JobStatus;
   progress?: number; // 0-100
+  stage?: JobStage;
   imageUrl?: string;
   promptVersion?: string;
   conceptRange?: string;
   error?: string;
+  requestStored?: boolean; // brief kept in private storage, so the worker can run the job
+  lease?: JobLease;
+  leaseGeneration?: number; // claims so far; claim n creates job-lock/{jobId}/{n}.json, which only one worker can create
+  attempts?: JobAttempt[];
+  nextAttemptAt?: string; // set while a retry is waiting out its backoff
+  deadLetteredAt?: string; // set when the job ran out of retries
+  requeueCount?: number; // operator requeues from the dead-letter listing
+  cancelRequestedAt?: string; // DELETE /api/jobs/:jobId while processing; the runner stops at its next checkpoint
+  cancelledAt?: string;
+  callback?: JobCallback;
   createdAt: string;
   startedAt?: string;
   completedAt?: string;
@@ -30,3 +137,9 @@ export interface JobCreateRequest {
 export interface JobStatusResponse {
   job: RenderJob;
 }
+
+/** A job as returned to clients and callbacks: without the lease, which is worker bookkeeping */
+export function toPublicJob(job: RenderJob): RenderJob {
+  const { lease: _lease, leaseGeneration: _leaseGeneration, ...publicJob } = job;
+  return publicJob;
+}
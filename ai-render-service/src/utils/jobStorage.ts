@@ -3,11 +3,11 @@
  * Uses same storage backend as concept seeds (Supabase or local filesystem)
  */
 
-import { writeFile, readFile, mkdir } from 'fs/promises';
+import { writeFile, readFile, mkdir, readdir, unlink } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import type { RenderJob } from '../types/job.js';
-import { resolveSupabaseConfig, type SupabaseConfig } from './supabaseConfig.js';
+import type { RenderJob, JobStatus, JobRenderRequest } from '../types/job.js';
+import { resolveSupabaseConfig, resolvePrivateJobsConfig, type SupabaseConfig } from './supabaseConfig.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -94,21 +94,491 @@ export async function getJob(projectId: string, jobId: string, sbOverride?: Supa
     }
   }
 
-  const downloadUrl = `${sb.url}/storage/v1/object/public/${sb.bucket}/${storagePath}`;
-
   try {
-    const response = await fetch(downloadUrl);
+    return await readSupabaseJson<RenderJob>(sb, storagePath);
+  } catch (error) {
+    console.error('Error retrieving job from Supabase:', error);
+    return null;
+  }
+}
+
+/**
+ * Read a JSON object through the authenticated endpoint, bypassing the CDN cache in front of public
+ * URLs: job state is read back by workers and status polls and must not be stale
+ * @returns The object, or null if it does not exist
+ */
+async function readSupabaseJson<T>(sb: SupabaseConfig, storagePath: string): Promise<T | null> {
+  const response = await fetch(`${sb.url}/storage/v1/object/authenticated/${sb.bucket}/${storagePath}`, {
+    headers: { 'Authorization': `Bearer ${sb.key}` },
+  });
+
+  if (!response.ok) {
+    // Storage answers 400 with statusCode "404" in the body for a missing object on some versions
+    if (response.status === 404 || (response.status === 400 && (await response.text()).includes('not_found'))) {
+      return null;
+    }
+    throw new Error(`Failed to read ${storagePath}: ${response.status}`);
+  }
+
+  return (await response.json()) as T;
+}
+
+const REQUEST_PREFIX = 'job-requests';
+
+/**
+ * Storage for a job's brief: local files with the local backend; with Supabase, the private jobs bucket,
+ * or nowhere (null) when it is not configured, since the job bucket is public
+ */
+function resolveRequestStore(sb: SupabaseConfig | null): { sb: SupabaseConfig | null } | null {
+  if (!sb) return { sb: null };
+  const privateSb = resolvePrivateJobsConfig();
+  return privateSb ? { sb: privateSb } : null;
+}
+
+/**
+ * Store a job's brief (job-requests/{projectId}/{jobId}.json) for the worker
+ * @returns false when there is no private storage for it (Supabase without SUPABASE_JOBS_BUCKET)
+ */
+export async function storeJobRequest(
+  job: RenderJob,
+  request: JobRenderRequest,
+  sbOverride?: SupabaseConfig | null
+): Promise<boolean> {
+  const store = resolveRequestStore(sbOverride !== undefined ? sbOverride : resolveSupabaseConfig());
+  if (!store) return false;
+  const storagePath = `${REQUEST_PREFIX}/${job.projectId}/${job.jobId}.json`;
+  const jsonContent = JSON.stringify(request);
+
+  if (!store.sb) {
+    const localFilePath = join(LOCAL_STORAGE_DIR, storagePath);
+    await mkdir(dirname(localFilePath), { recursive: true });
+    await writeFile(localFilePath, jsonContent, 'utf-8');
+    return true;
+  }
+
+  const response = await fetch(`${store.sb.url}/storage/v1/object/${store.sb.bucket}/${storagePath}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${store.sb.key}`,
+      'Content-Type': 'application/json',
+      'x-upsert': 'true',
+    },
+    body: jsonContent,
+  });
+
+  if (!response.ok) {
+    console.error(`Failed to store job request to Supabase: ${response.status}`, await response.text());
+    throw new Error('Failed to store job request');
+  }
+  return true;
+}
+
+/**
+ * Read a job's stored brief
+ * @returns The brief, or null if the job has none
+ */
+export async function getJobRequest(job: RenderJob, sbOverride?: SupabaseConfig | null): Promise<JobRenderRequest | null> {
+  if (!job.requestStored) return null;
+  const store = resolveRequestStore(sbOverride !== undefined ? sbOverride : resolveSupabaseConfig());
+  if (!store) return null;
+  const storagePath = `${REQUEST_PREFIX}/${job.projectId}/${job.jobId}.json`;
+
+  if (!store.sb) {
+    try {
+      return JSON.parse(await readFile(join(LOCAL_STORAGE_DIR, storagePath), 'utf-8')) as JobRenderRequest;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  return readSupabaseJson<JobRenderRequest>(store.sb, storagePath);
+}
+
+export interface ListJobsOptions {
+  /** Only jobs with one of these statuses (all statuses when empty or unset) */
+  status?: JobStatus[];
+  limit?: number;
+  offset?: number;
+}
+
+export interface JobPage {
+  jobs: RenderJob[];
+  /** Matching jobs across all pages */
+  total: number;
+}
+
+/** Page size of the Supabase object listing */
+const SUPABASE_LIST_PAGE_SIZE = 1000;
+
+/** Job reads in flight at once when listing from Supabase */
+const SUPABASE_READ_CONCURRENCY = 8;
+
+/**
+ * List a project's jobs, newest first, optionally filtered by status
+ * Without a status filter only the requested page is read from Supabase; with one, every job
+ * in the project is read (SUPABASE_READ_CONCURRENCY at a time) so the filter and total are exact.
+ */
+export async function listJobs(
+  projectId: string,
+  options: ListJobsOptions = {},
+  sbOverride?: SupabaseConfig | null
+): Promise<JobPage> {
+  const { status = [], limit = 20, offset = 0 } = options;
+  const prefix = `jobs/${projectId}`;
+  const matches = (job: RenderJob): boolean => status.length === 0 || status.includes(job.status);
+  const newestFirst = (a: RenderJob, b: RenderJob): number => b.createdAt.localeCompare(a.createdAt);
+
+  const sb = sbOverride !== undefined ? sbOverride : resolveSupabaseConfig();
 
+  if (!sb) {
+    const localDir = join(LOCAL_STORAGE_DIR, prefix);
+    let names: string[];
+    try {
+      names = await readdir(localDir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return { jobs: [], total: 0 };
+      throw error;
+    }
+    const jobs: RenderJob[] = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      try {
+        jobs.push(JSON.parse(await readFile(join(localDir, name), 'utf-8')) as RenderJob);
+      } catch (error) {
+        console.error(`Error reading job ${name} from local file system:`, error);
+      }
+    }
+    const filtered = jobs.filter(matches).sort(newestFirst);
+    return { jobs: filtered.slice(offset, offset + limit), total: filtered.length };
+  }
+
+  // Object names, newest first (objects are created with the job, so created_at follows job.createdAt)
+  const names: string[] = [];
+  for (let page = 0; ; page++) {
+    const response = await fetch(`${sb.url}/storage/v1/object/list/${sb.bucket}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${sb.key}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        prefix,
+        limit: SUPABASE_LIST_PAGE_SIZE,
+        offset: page * SUPABASE_LIST_PAGE_SIZE,
+        sortBy: { column: 'created_at', order: 'desc' },
+      }),
+    });
     if (!response.ok) {
-      if (response.status === 404) {
-        return null;
+      throw new Error(`Failed to list jobs: ${response.status}`);
+    }
+    const objects = (await response.json()) as Array<{ name: string }>;
+    names.push(...objects.map((o) => o.name).filter((n) => n.endsWith('.json')));
+    if (objects.length < SUPABASE_LIST_PAGE_SIZE) break;
+  }
+
+  // At most SUPABASE_READ_CONCURRENCY reads in flight, however many jobs the project has
+  const readJobs = async (selected: string[]): Promise<RenderJob[]> => {
+    const jobs: Array<RenderJob | null> = new Array(selected.length).fill(null);
+    let next = 0;
+    const readNext = async (): Promise<void> => {
+      while (next < selected.length) {
+        const index = next++;
+        jobs[index] = await getJob(projectId, selected[index]!.replace(/\.json$/, ''), sb);
       }
-      throw new Error(`Failed to retrieve job: ${response.status}`);
+    };
+    await Promise.all(Array.from({ length: Math.min(SUPABASE_READ_CONCURRENCY, selected.length) }, readNext));
+    return jobs.filter((job): job is RenderJob => job !== null);
+  };
+
+  if (status.length === 0) {
+    return { jobs: (await readJobs(names.slice(offset, offset + limit))).sort(newestFirst), total: names.length };
+  }
+  const filtered = (await readJobs(names)).filter(matches).sort(newestFirst);
+  return { jobs: filtered.slice(offset, offset + limit), total: filtered.length };
+}
+
+/**
+ * Entry in a job index (job-queue/, job-dead-letter/, job-callback/, job-cancel/{jobId}.json)
+ * Indexes let a worker or operator find jobs without scanning every project's jobs.
+ */
+export interface JobIndexRef {
+  jobId: string;
+  projectId: string;
+  addedAt: string;
+}
+
+const QUEUE_PREFIX = 'job-queue';
+const DEAD_LETTER_PREFIX = 'job-dead-letter';
+const CALLBACK_RETRY_PREFIX = 'job-callback';
+const CANCEL_PREFIX = 'job-cancel';
+
+/**
+ * Write an index entry for a job
+ */
+async function addIndexEntry(prefix: string, job: RenderJob, sbOverride?: SupabaseConfig | null): Promise<void> {
+  const storagePath = `${prefix}/${job.jobId}.json`;
+  const ref: JobIndexRef = { jobId: job.jobId, projectId: job.projectId, addedAt: new Date().toISOString() };
+  const jsonContent = JSON.stringify(ref);
+
+  const sb = sbOverride !== undefined ? sbOverride : resolveSupabaseConfig();
+
+  if (!sb) {
+    const localFilePath = join(LOCAL_STORAGE_DIR, storagePath);
+    await mkdir(dirname(localFilePath), { recursive: true });
+    await writeFile(localFilePath, jsonContent, 'utf-8');
+    return;
+  }
+
+  const response = await fetch(`${sb.url}/storage/v1/object/${sb.bucket}/${storagePath}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${sb.key}`,
+      'Content-Type': 'application/json',
+      'x-upsert': 'true',
+    },
+    body: jsonContent,
+  });
+
+  if (!response.ok) {
+    console.error(`Failed to write ${prefix} entry to Supabase: ${response.status}`, await response.text());
+    throw new Error(`Failed to write ${prefix} entry`);
+  }
+}
+
+/**
+ * List an index, oldest first
+ */
+async function listIndex(prefix: string, sbOverride?: SupabaseConfig | null): Promise<JobIndexRef[]> {
+  const sb = sbOverride !== undefined ? sbOverride : resolveSupabaseConfig();
+
+  if (!sb) {
+    const localDir = join(LOCAL_STORAGE_DIR, prefix);
+    let names: string[];
+    try {
+      names = await readdir(localDir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
     }
+    const refs: JobIndexRef[] = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      try {
+        refs.push(JSON.parse(await readFile(join(localDir, name), 'utf-8')) as JobIndexRef);
+      } catch {
+        // Removed by another worker between readdir and readFile
+      }
+    }
+    return refs.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  }
 
-    return (await response.json()) as RenderJob;
-  } catch (error) {
-    console.error('Error retrieving job from Supabase:', error);
-    return null;
+  const response = await fetch(`${sb.url}/storage/v1/object/list/${sb.bucket}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${sb.key}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      prefix,
+      limit: 1000,
+      offset: 0,
+      sortBy: { column: 'created_at', order: 'asc' },
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to list ${prefix}: ${response.status}`);
+  }
+
+  // Listing only returns object names; the ref is the jobId and the projectId lives in the object
+  const objects = (await response.json()) as Array<{ name: string }>;
+  const refs: JobIndexRef[] = [];
+  for (const object of objects.filter((o) => o.name.endsWith('.json'))) {
+    const ref = await readSupabaseJson<JobIndexRef>(sb, `${prefix}/${object.name}`).catch(() => null);
+    if (ref) refs.push(ref);
+  }
+  return refs;
+}
+
+/**
+ * Read a job's index entry
+ * @returns The entry, or null if there is none
+ */
+async function getIndexEntry(prefix: string, jobId: string, sbOverride?: SupabaseConfig | null): Promise<JobIndexRef | null> {
+  const storagePath = `${prefix}/${jobId}.json`;
+  const sb = sbOverride !== undefined ? sbOverride : resolveSupabaseConfig();
+
+  if (!sb) {
+    try {
+      return JSON.parse(await readFile(join(LOCAL_STORAGE_DIR, storagePath), 'utf-8')) as JobIndexRef;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  return readSupabaseJson<JobIndexRef>(sb, storagePath);
+}
+
+/**
+ * Remove a job's index entry (no-op if there is none)
+ */
+async function removeIndexEntry(prefix: string, jobId: string, sbOverride?: SupabaseConfig | null): Promise<void> {
+  const storagePath = `${prefix}/${jobId}.json`;
+  const sb = sbOverride !== undefined ? sbOverride : resolveSupabaseConfig();
+
+  if (!sb) {
+    try {
+      await unlink(join(LOCAL_STORAGE_DIR, storagePath));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+    }
+    return;
   }
+
+  const response = await fetch(`${sb.url}/storage/v1/object/${sb.bucket}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${sb.key}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ prefixes: [storagePath] }),
+  });
+
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Failed to remove ${prefix} entry: ${response.status}`);
+  }
+}
+
+/**
+ * Add a job to the worker queue
+ */
+export async function enqueueJob(job: RenderJob, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await addIndexEntry(QUEUE_PREFIX, job, sbOverride);
+}
+
+/**
+ * List the worker queue, oldest first
+ */
+export async function listQueuedJobs(sbOverride?: SupabaseConfig | null): Promise<JobIndexRef[]> {
+  return listIndex(QUEUE_PREFIX, sbOverride);
+}
+
+/**
+ * Remove a job from the worker queue (no-op if it is not queued)
+ */
+export async function dequeueJob(jobId: string, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await removeIndexEntry(QUEUE_PREFIX, jobId, sbOverride);
+}
+
+/**
+ * Add a job that ran out of retries to the dead-letter listing
+ */
+export async function addDeadLetter(job: RenderJob, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await addIndexEntry(DEAD_LETTER_PREFIX, job, sbOverride);
+}
+
+/**
+ * List dead-lettered jobs, oldest first
+ */
+export async function listDeadLetters(sbOverride?: SupabaseConfig | null): Promise<JobIndexRef[]> {
+  return listIndex(DEAD_LETTER_PREFIX, sbOverride);
+}
+
+/**
+ * Remove a job from the dead-letter listing (no-op if it is not there)
+ */
+export async function removeDeadLetter(jobId: string, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await removeIndexEntry(DEAD_LETTER_PREFIX, jobId, sbOverride);
+}
+
+/**
+ * Add a job with a callback delivery due (the first one, or a retry) to the callback index
+ */
+export async function addCallbackRetry(job: RenderJob, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await addIndexEntry(CALLBACK_RETRY_PREFIX, job, sbOverride);
+}
+
+/**
+ * List jobs with a callback delivery pending, oldest first
+ */
+export async function listCallbackRetries(sbOverride?: SupabaseConfig | null): Promise<JobIndexRef[]> {
+  return listIndex(CALLBACK_RETRY_PREFIX, sbOverride);
+}
+
+/**
+ * Remove a job from the callback index (no-op if it is not there)
+ */
+export async function removeCallbackRetry(jobId: string, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await removeIndexEntry(CALLBACK_RETRY_PREFIX, jobId, sbOverride);
+}
+
+/**
+ * Record a cancel request (job-cancel/{jobId}.json). It lives apart from the job record, which the
+ * runner rewrites at every step, so a runner can never write over it.
+ */
+export async function requestJobCancel(job: RenderJob, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await addIndexEntry(CANCEL_PREFIX, job, sbOverride);
+}
+
+/**
+ * A job's cancel request (addedAt is when it was made), or null if there is none
+ */
+export async function getJobCancelRequest(jobId: string, sbOverride?: SupabaseConfig | null): Promise<JobIndexRef | null> {
+  return getIndexEntry(CANCEL_PREFIX, jobId, sbOverride);
+}
+
+/**
+ * Remove a job's cancel request once the job has finished (no-op if there is none)
+ */
+export async function clearJobCancelRequest(jobId: string, sbOverride?: SupabaseConfig | null): Promise<void> {
+  await removeIndexEntry(CANCEL_PREFIX, jobId, sbOverride);
+}
+
+const LOCK_PREFIX = 'job-lock';
+
+/**
+ * Create job-lock/{jobId}/{generation}.json if it does not exist yet. Creation is the compare-and-swap
+ * behind job claims: the local backend opens the file with O_EXCL, Supabase uploads without x-upsert,
+ * so of several workers claiming the same generation exactly one succeeds.
+ *
+ * @returns true if this call created the lock
+ */
+export async function acquireJobLock(
+  jobId: string,
+  generation: number,
+  owner: string,
+  sbOverride?: SupabaseConfig | null
+): Promise<boolean> {
+  const storagePath = `${LOCK_PREFIX}/${jobId}/${generation}.json`;
+  const jsonContent = JSON.stringify({ jobId, generation, owner, acquiredAt: new Date().toISOString() });
+
+  const sb = sbOverride !== undefined ? sbOverride : resolveSupabaseConfig();
+
+  if (!sb) {
+    const localFilePath = join(LOCAL_STORAGE_DIR, storagePath);
+    await mkdir(dirname(localFilePath), { recursive: true });
+    try {
+      await writeFile(localFilePath, jsonContent, { encoding: 'utf-8', flag: 'wx' });
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  const response = await fetch(`${sb.url}/storage/v1/object/${sb.bucket}/${storagePath}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${sb.key}`,
+      'Content-Type': 'application/json',
+    },
+    body: jsonContent,
+  });
+  if (response.ok) return true;
+
+  // An existing object is a 409, or a 400 with "Duplicate" in the body on older Storage versions
+  const errorText = await response.text();
+  if (response.status === 409 || (response.status === 400 && errorText.includes('Duplicate'))) return false;
+  console.error(`Failed to write ${LOCK_PREFIX} entry to Supabase: ${response.status}`, errorText);
+  throw new Error(`Failed to write ${LOCK_PREFIX} entry`);
 }
@@ -29,6 +29,19 @@ export function resolveSupabaseConfig(clientConfig?: SupabaseClientConfig): Supa
   return { url, key, bucket };
 }
 
+/**
+ * Private bucket for render job briefs (SUPABASE_JOBS_BUCKET, written with SUPABASE_SERVICE_ROLE_KEY).
+ * Returns null when either is unset; briefs are then not stored with Supabase.
+ */
+export function resolvePrivateJobsConfig(): SupabaseConfig | null {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const bucket = process.env.SUPABASE_JOBS_BUCKET;
+
+  if (!url || !key || !bucket) return null;
+  return { url, key, bucket };
+}
+
 /**
  * Extracts SupabaseClientConfig from a request body object.
  * Accepts either a nested `supabase` object or flat fields.
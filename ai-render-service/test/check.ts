@@ -0,0 +1,24 @@
+/**
+ * Minimal runner for the plain-script checks in test/: each check prints ✅ or ❌,
+ * and done() exits with 1 if any failed.
+ */
+
+let failed = 0;
+
+export async function check(name: string, fn: () => void | Promise<void>): Promise<void> {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`❌ ${name}:`, (e as Error).message);
+  }
+}
+
+export function done(suite: string): void {
+  if (failed > 0) {
+    console.error(`❌ ${failed} ${suite} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`✅ ${suite} checks passed`);
+}
@@ -0,0 +1,87 @@
+/**
+ * Job progress events - jobProgressEvent and isNewProgress (GET /api/jobs/:jobId/events).
+ * Run with: npx tsx test/job-events.ts
+ *
+ * Does NOT require OpenAI keys or external services.
+ */
+
+import assert from 'assert/strict';
+import { jobProgressEvent, isNewProgress, type JobProgressEvent } from '../src/services/jobEvents.js';
+import type { RenderJob } from '../src/types/job.js';
+import { check, done } from './check.js';
+
+const job = (fields: Partial<RenderJob>): RenderJob => ({
+  jobId: 'job-1',
+  projectId: 'project-1',
+  conceptId: 'concept-1',
+  renderType: 'axonometric',
+  status: 'pending',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  ...fields,
+});
+
+const event = (fields: Partial<JobProgressEvent>): JobProgressEvent => ({
+  jobId: 'job-1',
+  status: 'processing',
+  progress: 50,
+  stage: 'prompt_build',
+  label: 'Building prompt…',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ...fields,
+});
+
+await check('jobProgressEvent: a new pending job is queued at 0%', () => {
+  const e = jobProgressEvent(job({}));
+  assert.equal(e.status, 'pending');
+  assert.equal(e.progress, 0);
+  assert.equal(e.stage, 'queued');
+  assert.equal(e.label, 'Waiting to start…');
+  assert.equal(e.nextAttemptAt, undefined);
+});
+
+await check('jobProgressEvent: a processing job reports its stage and label', () => {
+  const e = jobProgressEvent(job({ status: 'processing', progress: 70, stage: 'image_generation' }));
+  assert.equal(e.progress, 70);
+  assert.equal(e.stage, 'image_generation');
+  assert.equal(e.label, 'Generating image…');
+});
+
+await check('jobProgressEvent: a pending job waiting out a retry carries nextAttemptAt and the last error', () => {
+  const nextAttemptAt = '2026-01-01T00:01:00.000Z';
+  const e = jobProgressEvent(job({ status: 'pending', nextAttemptAt, error: '429 Rate limit reached', stage: 'image_generation' }));
+  assert.equal(e.nextAttemptAt, nextAttemptAt);
+  assert.equal(e.label, 'Retrying shortly…');
+  assert.equal(e.error, '429 Rate limit reached');
+});
+
+await check('jobProgressEvent: terminal statuses get their own labels; completed drops a stale error', () => {
+  assert.equal(jobProgressEvent(job({ status: 'failed', error: 'boom' })).label, 'Render failed');
+  assert.equal(jobProgressEvent(job({ status: 'cancelled' })).label, 'Render cancelled');
+  const completed = jobProgressEvent(job({ status: 'completed', progress: 100, stage: 'storage', error: 'earlier attempt' }));
+  assert.equal(completed.label, 'Render complete');
+  assert.equal(completed.error, undefined);
+});
+
+await check('jobProgressEvent: a processing job with no stage yet has a null stage', () => {
+  assert.equal(jobProgressEvent(job({ status: 'processing' })).stage, null);
+});
+
+await check('isNewProgress: the first event is always sent', () => {
+  assert.equal(isNewProgress(null, event({})), true);
+});
+
+await check('isNewProgress: a status change is sent, even with lower progress', () => {
+  assert.equal(isNewProgress(event({ progress: 70 }), event({ status: 'pending', progress: 0, stage: 'queued' })), true);
+});
+
+await check('isNewProgress: progress or stage moving on is sent', () => {
+  assert.equal(isNewProgress(event({}), event({ progress: 70, stage: 'image_generation' })), true);
+  assert.equal(isNewProgress(event({ stage: 'seed_generation' }), event({})), true);
+});
+
+await check('isNewProgress: an unchanged state or a lagging storage poll is not sent', () => {
+  assert.equal(isNewProgress(event({}), event({ updatedAt: '2026-01-01T00:00:05.000Z' })), false);
+  assert.equal(isNewProgress(event({ progress: 70, stage: 'image_generation' }), event({})), false);
+});
+
+done('Job event');
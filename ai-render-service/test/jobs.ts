@@ -0,0 +1,337 @@
+/**
+ * Render job queue checks - claims, retry policy, callback signing and URL validation, job listing.
+ * Run with: npx tsx test/jobs.ts
+ *
+ * Does NOT require OpenAI keys or external services. Storage checks use the local backend
+ * (.jobs/) under a throwaway project, removed afterwards.
+ */
+
+import assert from 'assert/strict';
+import { createHmac, randomUUID } from 'crypto';
+import { rm } from 'fs/promises';
+import http from 'http';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { isClaimable, claimJob } from '../src/services/jobWorker.js';
+import { classifyJobError, retryDelayMs, resolveRetryPolicy, shouldRetry, type RetryPolicy } from '../src/services/jobRetry.js';
+import { signCallbackBody, validateCallbackUrl, isBlockedCallbackAddress, notifyJobCallback } from '../src/services/jobCallbacks.js';
+import { storeJob, getJob, listJobs } from '../src/utils/jobStorage.js';
+import { createServer } from '../src/server.js';
+import type { JobStatus, RenderJob } from '../src/types/job.js';
+import { check, done } from './check.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00.000Z');
+const LEASE_MS = 60 * 1000;
+const at = (offsetMs: number): string => new Date(NOW + offsetMs).toISOString();
+
+const job = (fields: Partial<RenderJob>): RenderJob => ({
+  jobId: randomUUID(),
+  projectId: 'project-1',
+  conceptId: 'concept-1',
+  renderType: 'axonometric',
+  status: 'pending',
+  createdAt: at(-10 * 60 * 1000),
+  ...fields,
+});
+
+// --- isClaimable / claimJob ---
+
+await check('isClaimable: pending jobs are claimable once past their retry backoff', () => {
+  assert.equal(isClaimable(job({}), LEASE_MS, NOW), true);
+  assert.equal(isClaimable(job({ nextAttemptAt: at(1000) }), LEASE_MS, NOW), false);
+  assert.equal(isClaimable(job({ nextAttemptAt: at(-1000) }), LEASE_MS, NOW), true);
+});
+
+await check('isClaimable: a live lease blocks a claim, an expired one does not', () => {
+  const lease = (expiresAt: string) => ({ owner: 'w', claimedAt: at(-LEASE_MS), expiresAt });
+  assert.equal(isClaimable(job({ status: 'processing', lease: lease(at(1000)) }), LEASE_MS, NOW), false);
+  assert.equal(isClaimable(job({ status: 'processing', lease: lease(at(-1000)) }), LEASE_MS, NOW), true);
+  // Claimed but not started yet: still pending, already leased
+  assert.equal(isClaimable(job({ status: 'pending', lease: lease(at(1000)) }), LEASE_MS, NOW), false);
+});
+
+await check('isClaimable: processing jobs without a lease expire leaseMs after startedAt', () => {
+  assert.equal(isClaimable(job({ status: 'processing', startedAt: at(-LEASE_MS - 1) }), LEASE_MS, NOW), true);
+  assert.equal(isClaimable(job({ status: 'processing', startedAt: at(-1000) }), LEASE_MS, NOW), false);
+});
+
+await check('isClaimable: finished jobs are never claimable', () => {
+  for (const status of ['completed', 'failed', 'cancelled'] as JobStatus[]) {
+    assert.equal(isClaimable(job({ status }), LEASE_MS, NOW), false, status);
+  }
+});
+
+const projectId = `test-jobs-${randomUUID()}`;
+const claimedJobId = randomUUID();
+
+await check('claimJob: of concurrent claims exactly one wins, and a stale copy cannot claim again', async () => {
+  const pending = job({ projectId, jobId: claimedJobId });
+  await storeJob(pending, null);
+  const claims = await Promise.all(['a', 'b', 'c', 'd'].map((owner) => claimJob(pending, owner, LEASE_MS, null)));
+  const winners = claims.filter((claim): claim is RenderJob => claim !== null);
+  assert.equal(winners.length, 1);
+  assert.equal(winners[0]!.leaseGeneration, 1);
+  assert.equal(await claimJob(pending, 'e', LEASE_MS, null), null);
+});
+
+// --- Retry policy ---
+
+await check('classifyJobError: transient errors are retryable classes', () => {
+  assert.equal(classifyJobError(new Error('429 Rate limit reached for images')), 'rate_limit');
+  assert.equal(classifyJobError(new Error('Request timed out.')), 'timeout');
+  assert.equal(classifyJobError(new Error('fetch failed', { cause: new Error('read ECONNRESET') })), 'connection');
+  assert.equal(classifyJobError(new Error('503 The server is overloaded')), 'upstream');
+});
+
+await check('classifyJobError: permanent errors are not', () => {
+  assert.equal(classifyJobError(Object.assign(new Error('Unauthorized'), { status: 401 })), 'auth');
+  assert.equal(classifyJobError(new Error('Incorrect API key provided')), 'auth');
+  assert.equal(classifyJobError(new Error('400 Your request was rejected by our safety system')), 'content_policy');
+  assert.equal(classifyJobError(new Error('400 Invalid value for size')), 'invalid_input');
+  assert.equal(classifyJobError(new Error('Something unexpected')), 'unknown');
+  assert.equal(classifyJobError('not an error'), 'unknown');
+});
+
+const policy: RetryPolicy = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+await check('retryDelayMs: doubles per attempt up to maxDelayMs', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map((n) => retryDelayMs(n, policy)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+await check('resolveRetryPolicy: reads prefixed env vars and ignores invalid values', () => {
+  assert.deepEqual(
+    resolveRetryPolicy({ JOB_MAX_ATTEMPTS: '5', JOB_RETRY_BASE_MS: 'soon', JOB_RETRY_MAX_MS: '-1' }),
+    { maxAttempts: 5, baseDelayMs: 30000, maxDelayMs: 600000 }
+  );
+  assert.equal(resolveRetryPolicy({ JOB_CALLBACK_MAX_ATTEMPTS: '2' }, 'JOB_CALLBACK_', policy).maxAttempts, 2);
+});
+
+await check('shouldRetry: only retryable classes with attempts left in the current cycle', () => {
+  const attempt = (requeue: number) => ({ attempt: 1, requeue, startedAt: at(0), outcome: 'failed' as const });
+  const twoAttempts = job({ attempts: [attempt(0), attempt(0)] });
+  assert.equal(shouldRetry(twoAttempts, 'rate_limit', policy), true);
+  assert.equal(shouldRetry(twoAttempts, 'auth', policy), false);
+  assert.equal(shouldRetry(job({ attempts: [attempt(0), attempt(0), attempt(0)] }), 'rate_limit', policy), false);
+  // A requeue starts a fresh budget
+  assert.equal(shouldRetry(job({ requeueCount: 1, attempts: [attempt(0), attempt(0), attempt(0)] }), 'rate_limit', policy), true);
+});
+
+// --- Callbacks ---
+
+await check('signCallbackBody: t=<timestamp>,v1=<HMAC-SHA256 of "t.body">', () => {
+  const body = '{"event":"job.completed"}';
+  const expected = createHmac('sha256', 'secret').update(`1767268800.${body}`).digest('hex');
+  assert.equal(signCallbackBody(body, 'secret', 1767268800), `t=1767268800,v1=${expected}`);
+  assert.notEqual(signCallbackBody(body, 'other', 1767268800), signCallbackBody(body, 'secret', 1767268800));
+});
+
+await check('validateCallbackUrl: requires an absolute https URL outside development', async () => {
+  assert.match((await validateCallbackUrl('', {}))!, /non-empty/);
+  assert.match((await validateCallbackUrl('/hooks/render', {}))!, /absolute/);
+  assert.match((await validateCallbackUrl('http://93.184.215.14/hook', {}))!, /https/);
+  assert.match((await validateCallbackUrl('ftp://93.184.215.14/hook', { NODE_ENV: 'development' }))!, /http\(s\)/);
+  assert.equal(await validateCallbackUrl('https://93.184.215.14/hook', {}), null);
+  assert.equal(await validateCallbackUrl('http://93.184.215.14/hook', { NODE_ENV: 'development' }), null);
+  assert.match((await validateCallbackUrl('https://user:pw@93.184.215.14/hook', {}))!, /credentials/);
+});
+
+await check('validateCallbackUrl: rejects loopback, private, link-local and internal hosts', async () => {
+  for (const url of [
+    'https://127.0.0.1/hook',
+    'https://10.1.2.3/hook',
+    'https://172.16.0.1/hook',
+    'https://192.168.1.10/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://100.64.0.1/hook',
+    'https://0.0.0.0/hook',
+    'https://2130706433/hook',
+    'https://[::1]/hook',
+    'https://[fd00::1]/hook',
+    'https://[fe80::1]/hook',
+    'https://[::ffff:192.168.0.1]/hook',
+    'https://localhost/hook',
+    'https://metadata.google.internal/hook',
+    'https://printer.local/hook',
+    'https://intranet/hook',
+  ]) {
+    assert.notEqual(await validateCallbackUrl(url, {}), null, url);
+  }
+  assert.equal(await validateCallbackUrl('https://127.0.0.1/hook', { JOB_CALLBACK_ALLOW_PRIVATE_HOSTS: 'true' }), null);
+});
+
+await check('isBlockedCallbackAddress: public addresses pass', () => {
+  assert.equal(isBlockedCallbackAddress('93.184.215.14'), false);
+  assert.equal(isBlockedCallbackAddress('2606:4700::6810:84e5'), false);
+  assert.equal(isBlockedCallbackAddress('not-an-ip'), true);
+});
+
+/** Start a server on a free local port, run fn against its base URL, then close it */
+async function withServer(
+  handler: http.RequestListener,
+  fn: (baseUrl: string) => Promise<void>
+): Promise<void> {
+  const server = http.createServer(handler);
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${(server.address() as { port: number }).port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const callbackEnv = { NODE_ENV: 'development', JOB_CALLBACK_ALLOW_PRIVATE_HOSTS: 'true', JOB_CALLBACK_SECRET: 'secret' };
+const callbackJobIds: string[] = [];
+
+/** Run fn with callbackEnv set, restoring process.env afterwards */
+async function withCallbackEnv(fn: () => Promise<void>): Promise<void> {
+  const saved = Object.fromEntries(Object.keys(callbackEnv).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, callbackEnv);
+  try {
+    await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+/** A completed job with a pending callback to url, stored locally */
+async function storeCallbackJob(url: string): Promise<RenderJob> {
+  const finished = job({
+    projectId,
+    status: 'completed',
+    leaseGeneration: 1,
+    callback: { url, baseUrl: 'https://render.example.com', status: 'pending', deliveries: [] },
+  });
+  callbackJobIds.push(finished.jobId);
+  await storeJob(finished, null);
+  return finished;
+}
+
+await check('notifyJobCallback: records the delivery on a fresh read of the job', async () => {
+  await withCallbackEnv(() =>
+    withServer(
+      (_req, res) => res.writeHead(204).end(),
+      async (baseUrl) => {
+        const finished = await storeCallbackJob(`${baseUrl}/hook`);
+        // Written by someone else while the stale copy was being delivered
+        await storeJob({ ...finished, imageUrl: '/storage/renders/late.png' }, null);
+        await notifyJobCallback(finished, null);
+        const stored = (await getJob(projectId, finished.jobId, null))!;
+        assert.equal(stored.callback?.status, 'delivered');
+        assert.equal(stored.callback?.deliveries.length, 1);
+        assert.equal(stored.imageUrl, '/storage/renders/late.png');
+      }
+    )
+  );
+});
+
+await check('notifyJobCallback: does not overwrite a job requeued during the delivery', async () => {
+  await withCallbackEnv(async () => {
+    let requeued: RenderJob | undefined;
+    await withServer(
+      (_req, res) => {
+        storeJob(requeued!, null).then(() => res.writeHead(204).end());
+      },
+      async (baseUrl) => {
+        const finished = await storeCallbackJob(`${baseUrl}/hook`);
+        requeued = { ...finished, status: 'pending', requeueCount: 1, callback: { ...finished.callback!, deliveries: [] } };
+        await notifyJobCallback(finished, null);
+        const stored = (await getJob(projectId, finished.jobId, null))!;
+        assert.equal(stored.status, 'pending');
+        assert.equal(stored.callback?.status, 'pending');
+        assert.deepEqual(stored.callback?.deliveries, []);
+      }
+    );
+  });
+});
+
+// --- HTTP API ---
+
+await check('POST /api/jobs/render: callbackUrl is rejected for jobs on client-supplied Supabase credentials', async () => {
+  await withCallbackEnv(() =>
+    withServer(createServer(), async (baseUrl) => {
+      const res = await fetch(`${baseUrl}/api/jobs/render`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          projectId,
+          renderType: 'axonometric',
+          conceptInputs: {},
+          callbackUrl: 'https://93.184.215.14/hook',
+          supabase: { url: 'https://client.supabase.co', anonKey: 'anon' },
+        }),
+      });
+      assert.equal(res.status, 400);
+      assert.match(((await res.json()) as { error: string }).error, /client-supplied Supabase/);
+    })
+  );
+});
+
+const requeueProjectId = `${projectId}-requeue`;
+
+await check('POST /api/jobs/:jobId/requeue: returns the public job, without its lease', async () => {
+  const savedToken = process.env.JOB_ADMIN_TOKEN;
+  process.env.JOB_ADMIN_TOKEN = 'admin';
+  try {
+    const failed = job({
+      projectId: requeueProjectId,
+      status: 'failed',
+      imageUrl: '/storage/renders/failed.png',
+      leaseGeneration: 2,
+      lease: { owner: 'w', claimedAt: at(-LEASE_MS), expiresAt: at(0) },
+    });
+    await storeJob(failed, null);
+    await withServer(createServer(), async (baseUrl) => {
+      const res = await fetch(`${baseUrl}/api/jobs/${failed.jobId}/requeue`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer admin' },
+        body: JSON.stringify({ projectId: requeueProjectId }),
+      });
+      assert.equal(res.status, 200);
+      const body = (await res.json()) as { job: Record<string, unknown> };
+      assert.equal(body.job.status, 'pending');
+      assert.equal('lease' in body.job, false);
+      assert.equal('leaseGeneration' in body.job, false);
+      assert.equal(body.job.imageUrl, `${baseUrl}/storage/renders/failed.png`);
+    });
+  } finally {
+    if (savedToken === undefined) delete process.env.JOB_ADMIN_TOKEN;
+    else process.env.JOB_ADMIN_TOKEN = savedToken;
+  }
+});
+
+// --- Listing ---
+
+await check('listJobs: filters by status, newest first, with exact totals and pages', async () => {
+  const statuses: JobStatus[] = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'failed'];
+  const listed = statuses.map((status, i) =>
+    job({ projectId, jobId: `list-${i}`, status, createdAt: new Date(NOW + i * 1000).toISOString() })
+  );
+  for (const j of listed) await storeJob(j, null);
+
+  const failedOrCancelled = await listJobs(projectId, { status: ['failed', 'cancelled'] }, null);
+  assert.deepEqual(failedOrCancelled.jobs.map((j) => j.jobId), ['list-5', 'list-4', 'list-3']);
+  assert.equal(failedOrCancelled.total, 3);
+
+  const page = await listJobs(projectId, { status: ['failed', 'cancelled'], limit: 2, offset: 1 }, null);
+  assert.deepEqual(page.jobs.map((j) => j.jobId), ['list-4', 'list-3']);
+  assert.equal(page.total, 3);
+
+  // The claimJob and callback checks above stored more jobs in this project
+  const all = await listJobs(projectId, { limit: 3 }, null);
+  assert.equal(all.total, statuses.length + 1 + callbackJobIds.length);
+  assert.deepEqual(all.jobs.map((j) => j.jobId), ['list-5', 'list-4', 'list-3']);
+
+  assert.deepEqual(await listJobs(`${projectId}-empty`, {}, null), { jobs: [], total: 0 });
+});
+
+// Local storage root as in src/utils/jobStorage.ts
+const jobsDir = join(fileURLToPath(new URL('.', import.meta.url)), '../.jobs');
+await rm(join(jobsDir, 'jobs', projectId), { recursive: true, force: true });
+await rm(join(jobsDir, 'jobs', requeueProjectId), { recursive: true, force: true });
+await rm(join(jobsDir, 'job-lock', claimedJobId), { recursive: true, force: true });
+for (const jobId of callbackJobIds) await rm(join(jobsDir, 'job-callback', `${jobId}.json`), { force: true });
+
+done('Job queue');